@@ -1,9 +1,18 @@
 import { CanvasRenderer } from './core/Canvas.js';
+import { HistoryManager } from './core/HistoryManager.js';
+import { AutosaveManager } from './core/AutosaveManager.js';
+import { MapImageExporter } from './core/MapImageExporter.js';
+import { CategoryIconCache } from './core/CategoryIconCache.js';
 import { PointManager } from './data/PointManager.js';
 import { RouteManager } from './data/RouteManager.js';
 import { SpotManager } from './data/SpotManager.js';
 import { AreaManager } from './data/AreaManager.js';
 import { FileHandler } from './data/FileHandler.js';
+import { GeoreferenceManager } from './data/GeoreferenceManager.js';
+import { ProjectSettingsManager } from './data/ProjectSettingsManager.js';
+import { ElevationManager } from './data/ElevationManager.js';
+import { LayerManager } from './data/LayerManager.js';
+import { SelectionManager } from './data/SelectionManager.js';
 import { InputManager } from './ui/InputManager.js';
 import { LayoutManager } from './ui/LayoutManager.js';
 import { UIHelper } from './ui/UIHelper.js';
@@ -20,6 +29,23 @@ import { FirebaseSyncManager } from './firebase/FirebaseSyncManager.js';
 import { CanvasEventHandler } from './ui/CanvasEventHandler.js';
 import { RouteUIManager } from './ui/RouteUIManager.js';
 import { AreaUIManager } from './ui/AreaUIManager.js';
+import { GeoreferenceUIManager } from './ui/GeoreferenceUIManager.js';
+import { ReferenceIntegrityUIManager } from './ui/ReferenceIntegrityUIManager.js';
+import { PointIdSettingsUIManager } from './ui/PointIdSettingsUIManager.js';
+import { LintPanelUIManager } from './ui/LintPanelUIManager.js';
+import { TrailTraceUIManager } from './ui/TrailTraceUIManager.js';
+import { RouteNetworkUIManager } from './ui/RouteNetworkUIManager.js';
+import { MeasurementUIManager } from './ui/MeasurementUIManager.js';
+import { ElevationUIManager } from './ui/ElevationUIManager.js';
+import { AttributeInspectorUIManager } from './ui/AttributeInspectorUIManager.js';
+import { CategoryStyleUIManager } from './ui/CategoryStyleUIManager.js';
+import { LayerPanelUIManager } from './ui/LayerPanelUIManager.js';
+import { SelectionUIManager } from './ui/SelectionUIManager.js';
+import { VersionHistoryUIManager } from './ui/VersionHistoryUIManager.js';
+import { ProjectBrowserUIManager } from './ui/ProjectBrowserUIManager.js';
+import { AuthUIManager } from './ui/AuthUIManager.js';
+import { ProjectMembersUIManager, PROJECT_ROLE_LABELS } from './ui/ProjectMembersUIManager.js';
+import { CategoryStyles } from './utils/CategoryStyles.js';
 
 /**
  * PointMarkerアプリケーションのメインクラス
@@ -35,14 +61,63 @@ export class PointMarkerApp {
         this.routeManager = new RouteManager();
         this.spotManager = new SpotManager();
         this.areaManager = new AreaManager();
+        this.georeferenceManager = new GeoreferenceManager();
+        this.projectSettingsManager = new ProjectSettingsManager();
+        this.layerManager = new LayerManager();
+        // キャンバス上で複数選択したオブジェクト（保存・履歴の対象外）
+        this.selectionManager = new SelectionManager();
+        this.elevationManager = new ElevationManager(this.pointManager, this.spotManager);
+        // カテゴリのアイコン（読み込み完了時に再描画）
+        this.categoryIconCache = new CategoryIconCache();
+        this.categoryIconCache.setOnLoad(() => this.redrawCanvas());
+        this.canvasRenderer.setIconCache(this.categoryIconCache);
+        this.canvasRenderer.setCategoryStyles(this.projectSettingsManager.getCategoryStyles());
         this.fileHandler = new FileHandler();
         this.inputManager = new InputManager(this.canvas);
         this.layoutManager = new LayoutManager();
         this.validationManager = new ValidationManager();
 
+        // 編集履歴（元に戻す/やり直し）の対象としてデータ管理クラスを登録
+        this.historyManager = new HistoryManager();
+        this.historyManager.register('point', this.pointManager);
+        this.historyManager.register('spot', this.spotManager);
+        this.historyManager.register('route', this.routeManager);
+        this.historyManager.register('area', this.areaManager);
+
+        // 編集内容をブラウザに自動保存し、クラッシュ・再読み込み後に復元できるようにする
+        this.autosaveManager = new AutosaveManager();
+        this.autosaveManager.register('point', this.pointManager);
+        this.autosaveManager.register('spot', this.spotManager);
+        this.autosaveManager.register('route', this.routeManager);
+        this.autosaveManager.register('area', this.areaManager);
+        this.autosaveManager.register('georeference', this.georeferenceManager);
+        this.autosaveManager.register('settings', this.projectSettingsManager);
+        this.autosaveManager.register('layers', this.layerManager);
+        // データベース読み込み・保存の実行中フラグ（二重操作防止）
+        this.isLoadingDatabase = false;
+        this.isSavingDatabase = false;
+        // 閲覧のみ（プロジェクトの閲覧者）の場合true。キャンバスでの編集とデータベース保存を止める
+        this.readOnly = false;
+
         this.canvasEventHandler = new CanvasEventHandler(this);
         this.routeUIManager = new RouteUIManager(this);
         this.areaUIManager = new AreaUIManager(this);
+        this.georeferenceUIManager = new GeoreferenceUIManager(this);
+        this.pointIdSettingsUIManager = new PointIdSettingsUIManager(this);
+        this.referenceIntegrityUIManager = new ReferenceIntegrityUIManager(this);
+        this.lintPanelUIManager = new LintPanelUIManager(this);
+        this.trailTraceUIManager = new TrailTraceUIManager(this);
+        this.routeNetworkUIManager = new RouteNetworkUIManager(this);
+        this.measurementUIManager = new MeasurementUIManager(this);
+        this.elevationUIManager = new ElevationUIManager(this);
+        this.attributeInspectorUIManager = new AttributeInspectorUIManager(this);
+        this.categoryStyleUIManager = new CategoryStyleUIManager(this);
+        this.layerPanelUIManager = new LayerPanelUIManager(this);
+        this.selectionUIManager = new SelectionUIManager(this);
+        this.versionHistoryUIManager = new VersionHistoryUIManager(this);
+        this.projectBrowserUIManager = new ProjectBrowserUIManager(this);
+        this.authUIManager = new AuthUIManager(this);
+        this.projectMembersUIManager = new ProjectMembersUIManager(this);
         this.dragDropHandler = new DragDropHandler();
         this.resizeHandler = new ResizeHandler();
         this.markerSettingsManager = new MarkerSettingsManager();
@@ -66,7 +141,10 @@ export class PointMarkerApp {
             this.spotManager,
             this.routeManager,
             this.areaManager,
-            this.fileHandler
+            this.fileHandler,
+            this.projectSettingsManager,
+            this.elevationManager,
+            this.layerManager
         );
 
         // Firebase関連（グローバルスコープから取得）
@@ -101,6 +179,7 @@ export class PointMarkerApp {
             if (!skipRedrawInput) {
                 this.inputManager.redrawInputBoxes(points);
             }
+            this.autosaveManager.scheduleSave();
         });
 
         this.pointManager.setCallback('onCountChange', (count) => {
@@ -110,6 +189,7 @@ export class PointMarkerApp {
         // ルート管理のコールバック
         this.routeManager.setCallback('onChange', () => {
             this.redrawCanvas();
+            this.autosaveManager.scheduleSave();
         });
 
         this.routeManager.setCallback('onCountChange', (count) => {
@@ -192,6 +272,7 @@ export class PointMarkerApp {
             if (!skipRedrawInput) {
                 this.inputManager.redrawSpotInputBoxes(spots || this.spotManager.getSpots());
             }
+            this.autosaveManager.scheduleSave();
         });
 
         this.spotManager.setCallback('onCountChange', (count) => {
@@ -206,6 +287,54 @@ export class PointMarkerApp {
         // エリア管理のコールバック
         this.areaManager.setCallback('onChange', () => {
             this.redrawCanvas();
+            this.autosaveManager.scheduleSave();
+        });
+
+        this.georeferenceManager.setCallback('onChange', () => {
+            this.autosaveManager.scheduleSave();
+        });
+
+        // レイヤーの表示・ロックの変更時は入力ボックスの表示を切り替えて再描画
+        this.layerManager.setCallback('onChange', () => {
+            this.applyLayerStateToInputs();
+            this.layerPanelUIManager.update();
+            if (this.currentImage) this.redrawCanvas();
+            this.autosaveManager.scheduleSave();
+        });
+
+        // 選択の変更時は強調表示と選択バーを更新
+        this.selectionManager.setCallback('onChange', () => {
+            if (this.currentImage) {
+                this.redrawCanvas();
+            } else {
+                this.selectionUIManager.updateBar();
+            }
+        });
+
+        // ポイントID体系の変更時は入力ボックスの幅と開始・終了ポイントの判定を更新
+        // カテゴリの表示設定の変更時はスポット・エリアを描き直す
+        this.projectSettingsManager.setCallback('onChange', () => {
+            this.canvasRenderer.setCategoryStyles(this.projectSettingsManager.getCategoryStyles());
+            this.categoryStyleUIManager.updateForm();
+            this.inputManager.redrawInputBoxes(this.pointManager.getPoints());
+            ValidationManager.updateBothRoutePointsValidation(this.routeManager, this.pointManager, this.spotManager);
+            this.pointIdSettingsUIManager.updateForm();
+            this.measurementUIManager.updateForm();
+            this.measurementUIManager.updateDisplays();
+            this.elevationUIManager.updateDisplays();
+            this.attributeInspectorUIManager.updateCategoryForm();
+            this.attributeInspectorUIManager.update();
+            if (this.currentImage) this.redrawCanvas();
+            this.autosaveManager.scheduleSave();
+        });
+
+        // 標高グリッドの読み込み・解除時は標高の表示を更新（グリッドは保存しない）
+        this.elevationManager.setCallback('onChange', () => {
+            if (this.elevationUIManager.isVisible()) {
+                this.elevationUIManager.updateGridStatus();
+                this.elevationUIManager.renderItemList();
+            }
+            this.elevationUIManager.updateDisplays();
         });
 
         this.areaManager.setCallback('onCountChange', (count) => {
@@ -249,52 +378,69 @@ export class PointMarkerApp {
 
         // 入力管理のコールバック
         this.inputManager.setCallback('onPointIdChange', (data) => {
+            // 削除確認ダイアログの表示中は、フォーカスが外れた入力ボックスの確定を無視
+            if (!data.skipFormatting && this.referenceIntegrityUIManager.isConfirming) return;
+
             // blur時にIDが空白の場合はポイントを削除して終了
             if (!data.skipFormatting && data.id.trim() === '') {
                 const points = this.pointManager.getPoints();
                 if (data.index >= 0 && data.index < points.length) {
                     // 画面から削除（Firestoreは「データベース保存」ボタンで同期）
-                    this.pointManager.removePoint(data.index);
+                    // ルートの開始・終了ポイントに使われている場合は確認する
+                    this.referenceIntegrityUIManager.removePoint(data.index, data.previousId);
                 }
                 return;
             }
 
-            // フォーマット処理を実行（blur時もinput時も）
-            this.pointManager.updatePointId(data.index, data.id, data.skipFormatting, true);
+            // blur時はIDの確定とルートの付け替えを、入力中のID変更と合わせて1件の履歴として記録
+            const history = this.historyManager;
+            if (!data.skipFormatting) {
+                history.beginGroup('ポイントID変更', history.getMergeKey('point', 'updatePointId', [data.index]));
+            }
+            try {
+                // フォーマット処理を実行（blur時もinput時も）
+                this.pointManager.updatePointId(data.index, data.id, data.skipFormatting, true);
 
-            // blur時のみ、フォーマット後のIDで重複チェックを実行
-            if (!data.skipFormatting && data.id.trim() !== '') {
-                // フォーマット後のIDを取得
-                const point = this.pointManager.getPoints()[data.index];
-                const formattedId = point ? point.id : data.id;
+                // blur時のみ、フォーマット後のIDで重複チェックを実行
+                if (!data.skipFormatting && data.id.trim() !== '') {
+                    // フォーマット後のIDを取得
+                    const point = this.pointManager.getPoints()[data.index];
+                    const formattedId = point ? point.id : data.id;
 
-                const registeredIds = this.pointManager.getRegisteredIds();
+                    const registeredIds = this.pointManager.getRegisteredIds();
 
-                // 自分以外で同じIDが存在するかチェック
-                const hasDuplicate = registeredIds.some((id, idx) => {
-                    return id === formattedId && idx !== data.index;
-                });
+                    // 自分以外で同じIDが存在するかチェック
+                    const hasDuplicate = registeredIds.some((id, idx) => {
+                        return id === formattedId && idx !== data.index;
+                    });
 
-                if (hasDuplicate) {
-                    // 重複エラーを表示
-                    const inputElement = document.querySelector(`input[data-point-index="${data.index}"]`);
-                    if (inputElement) {
-                        inputElement.style.backgroundColor = '#ffebee'; // ピンク背景
-                        inputElement.style.borderColor = '#f44336'; // 赤枠
-                        inputElement.style.borderWidth = '2px';
-                        inputElement.title = `ポイントID "${formattedId}" は既に使用されています`;
-                    }
-                    UIHelper.showError(`ポイントID "${formattedId}" は既に使用されています。別のIDを入力してください。`);
-                } else {
-                    // 重複がない場合はエラー表示をクリア
-                    const inputElement = document.querySelector(`input[data-point-index="${data.index}"]`);
-                    if (inputElement) {
-                        inputElement.style.backgroundColor = '';
-                        inputElement.style.borderColor = '';
-                        inputElement.style.borderWidth = '';
-                        inputElement.title = '';
+                    if (hasDuplicate) {
+                        // 重複エラーを表示
+                        const inputElement = document.querySelector(`input[data-point-index="${data.index}"]`);
+                        if (inputElement) {
+                            inputElement.style.backgroundColor = '#ffebee'; // ピンク背景
+                            inputElement.style.borderColor = '#f44336'; // 赤枠
+                            inputElement.style.borderWidth = '2px';
+                            inputElement.title = `ポイントID "${formattedId}" は既に使用されています`;
+                        }
+                        UIHelper.showError(`ポイントID "${formattedId}" は既に使用されています。別のIDを入力してください。`);
+                    } else {
+                        // 重複がない場合はエラー表示をクリア
+                        const inputElement = document.querySelector(`input[data-point-index="${data.index}"]`);
+                        if (inputElement) {
+                            inputElement.style.backgroundColor = '';
+                            inputElement.style.borderColor = '';
+                            inputElement.style.borderWidth = '';
+                            inputElement.title = '';
+                        }
+                        // 元のIDを参照しているルートの開始・終了ポイントを新しいIDに付け替え
+                        this.referenceIntegrityUIManager.cascadeRename(data.previousId, formattedId);
                     }
                 }
+            } finally {
+                if (!data.skipFormatting) {
+                    history.endGroup();
+                }
             }
 
             // 入力中の場合は表示更新をスキップ（入力ボックスの値はそのまま維持）
@@ -307,27 +453,55 @@ export class PointMarkerApp {
             }
         });
 
+        // 入力ボックスを選択したポイントを属性の編集対象にする
+        this.inputManager.setCallback('onPointFocus', (data) => {
+            this.attributeInspectorUIManager.setFocusedItem('point', data.point);
+        });
+
         this.inputManager.setCallback('onPointRemove', (data) => {
-            if (this.layoutManager.getCurrentEditingMode() === 'point') {
+            if (this.layoutManager.getCurrentEditingMode() === 'point' && !this.referenceIntegrityUIManager.isConfirming) {
                 // 画面から削除（Firestoreは「データベース保存」ボタンで同期）
-                this.pointManager.removePoint(data.index);
+                this.referenceIntegrityUIManager.removePoint(data.index, data.previousId);
             }
         });
 
         // スポット名変更のコールバック
         this.inputManager.setCallback('onSpotNameChange', (data) => {
+            // 削除確認ダイアログの表示中は、フォーカスが外れた入力ボックスの確定を無視
+            if (!data.skipFormatting && this.referenceIntegrityUIManager.isConfirming) return;
+
             // blur時にスポット名が空白の場合はスポットを削除
             if (!data.skipFormatting && data.name.trim() === '') {
                 const spots = this.spotManager.getSpots();
                 if (data.index >= 0 && data.index < spots.length) {
                     // 画面から削除（Firestoreは「データベース保存」ボタンで同期）
-                    this.spotManager.removeSpot(data.index);
+                    // ルートの開始・終了ポイントに使われている場合は確認する
+                    this.referenceIntegrityUIManager.removeSpot(data.index, data.previousName);
                     return;
                 }
             }
 
-            // フォーマット処理を実行（blur時のみ、input時はスキップ）
-            this.spotManager.updateSpotName(data.index, data.name, !!data.skipFormatting, !!data.skipDisplay);
+            // blur時は名前の確定とルートの付け替えを、入力中の名前変更と合わせて1件の履歴として記録
+            const history = this.historyManager;
+            if (!data.skipFormatting) {
+                history.beginGroup('スポット名変更', history.getMergeKey('spot', 'updateSpotName', [data.index]));
+            }
+            try {
+                // フォーマット処理を実行（blur時のみ、input時はスキップ）
+                this.spotManager.updateSpotName(data.index, data.name, !!data.skipFormatting, !!data.skipDisplay);
+
+                // 元のスポット名を参照しているルートの開始・終了ポイントを新しい名前に付け替え
+                if (!data.skipFormatting) {
+                    const spot = this.spotManager.getSpots()[data.index];
+                    if (spot) {
+                        this.referenceIntegrityUIManager.cascadeRename(data.previousName, spot.name);
+                    }
+                }
+            } finally {
+                if (!data.skipFormatting) {
+                    history.endGroup();
+                }
+            }
 
             // 入力中の場合は表示更新をスキップ（入力ボックスの値はそのまま維持）
             if (!data.skipDisplay) {
@@ -339,12 +513,17 @@ export class PointMarkerApp {
             }
         });
 
+        // 入力ボックスを選択したスポットを属性の編集対象にする
+        this.inputManager.setCallback('onSpotFocus', (data) => {
+            this.attributeInspectorUIManager.setFocusedItem('spot', data.spot);
+        });
+
         this.inputManager.setCallback('onSpotRemove', (data) => {
-            if (this.layoutManager.getCurrentEditingMode() === 'spot') {
+            if (this.layoutManager.getCurrentEditingMode() === 'spot' && !this.referenceIntegrityUIManager.isConfirming) {
                 const spots = this.spotManager.getSpots();
                 if (data.index >= 0 && data.index < spots.length) {
                     // 画面から削除（Firestoreは「データベース保存」ボタンで同期）
-                    this.spotManager.removeSpot(data.index);
+                    this.referenceIntegrityUIManager.removeSpot(data.index, data.previousName);
                 }
             }
         });
@@ -360,6 +539,7 @@ export class PointMarkerApp {
 
         this.layoutManager.setCallback('onModeChange', (mode) => {
             this.inputManager.setEditMode(mode);
+            this.attributeInspectorUIManager.update();
             const pointIdCheckbox = document.getElementById('showPointIdsCheckbox');
             const spotNameCheckbox = document.getElementById('showSpotNamesCheckbox');
 
@@ -432,6 +612,24 @@ export class PointMarkerApp {
 
             this.redrawCanvas();
         });
+
+        // 名称変更など描画を伴わない変更も、履歴に記録された時点で自動保存する
+        this.historyManager.setCallback('onHistoryChange', () => {
+            this.autosaveManager.scheduleSave();
+        });
+
+        // 共同編集者の変更（ライブ同期・保存前の取り込み）は自分の操作として記録せず、
+        // 元に戻す・やり直しの履歴をその変更の上に付け替える（元に戻しても共同編集者の変更は取り消さない）
+        this.firebaseSyncManager.setCallback('onRemoteChange', (descriptions, transforms) => {
+            this.historyManager.rebase(transforms);
+            this.syncAfterHistoryChange();
+            this.showRemoteChangeSummary(descriptions);
+        });
+
+        // プロジェクトでの自分のロールに応じて、閲覧のみに切り替える
+        this.firebaseSyncManager.setCallback('onRoleChange', (role) => {
+            this.handleProjectRoleChange(role);
+        });
     }
 
     /**
@@ -448,67 +646,83 @@ export class PointMarkerApp {
             });
         }
 
+        // プロジェクト一覧（画像読み込み前・読み込み後の両方から開ける）
+        ['stage1ProjectBtn', 'projectBrowserBtn'].forEach(buttonId => {
+            const projectBrowserBtn = document.getElementById(buttonId);
+            if (projectBrowserBtn) {
+                projectBrowserBtn.addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    await this.projectBrowserUIManager.show();
+                });
+            }
+        });
+
         // データベース読み込み（メインパネル）
         const loadDatabaseBtn = document.getElementById('loadDatabaseBtn');
         if (loadDatabaseBtn) {
-            let isLoading = false;
             loadDatabaseBtn.addEventListener('click', async (e) => {
                 e.preventDefault();
                 if (this.viewportManager.isViewTransformed()) {
                     UIHelper.showMessage('画像がズームまたは移動された状態です。\nズームボタンの左にある「反時計回りの矢印」アイコン（表示リセット）で元に戻してから実行してください', 'warning');
                     return;
                 }
-                if (isLoading) {
-                    UIHelper.showMessage('読み込み中です。完了までお待ちください', 'warning');
-                    return;
-                }
-                isLoading = true;
-                try {
-                    if (window.connectFirebase) {
-                        await window.connectFirebase();
-                    }
-                } catch (error) {
-                    isLoading = false;
-                    return;
-                }
-                try {
-                    await this.firebaseSyncManager.loadFromFirebase(() => {
-                        this.redrawCanvas();
-                    });
-                } finally {
-                    isLoading = false;
-                }
+                await this.handleDatabaseLoad();
             });
         }
 
         // データベース保存（メインパネル）
         const saveDatabaseBtn = document.getElementById('saveDatabaseBtn');
         if (saveDatabaseBtn) {
-            let isSaving = false;
             saveDatabaseBtn.addEventListener('click', async (e) => {
                 e.preventDefault();
                 if (this.viewportManager.isViewTransformed()) {
                     UIHelper.showMessage('画像がズームまたは移動された状態です。\nズームボタンの左にある「反時計回りの矢印」アイコン（表示リセット）で元に戻してから実行してください', 'warning');
                     return;
                 }
-                if (isSaving) {
-                    UIHelper.showMessage('保存中です。完了までお待ちください', 'warning');
-                    return;
-                }
-                isSaving = true;
-                try {
-                    if (window.connectFirebase) {
-                        await window.connectFirebase();
-                    }
-                } catch (error) {
-                    isSaving = false;
-                    return;
-                }
-                try {
-                    await this.firebaseSyncManager.saveAllToFirebase();
-                } finally {
-                    isSaving = false;
-                }
+                await this.handleDatabaseSave();
+            });
+        }
+
+        // プロジェクトのメンバー（所有者・編集者・閲覧者）の一覧・変更
+        const projectMembersBtn = document.getElementById('projectMembersBtn');
+        if (projectMembersBtn) {
+            projectMembersBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                await this.projectMembersUIManager.show();
+            });
+        }
+
+        // 保存履歴（データベースに保存した版の一覧・復元）
+        const versionHistoryBtn = document.getElementById('versionHistoryBtn');
+        if (versionHistoryBtn) {
+            versionHistoryBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                await this.versionHistoryUIManager.show();
+            });
+        }
+
+        // オンライン復帰時に、オフライン中に保留したデータベース保存を実行
+        window.addEventListener('online', () => {
+            if (this.currentImage && this.autosaveManager.hasPendingSync()) {
+                this.handleDatabaseSave();
+            }
+        });
+
+        // タブを閉じる・切り替える前に、待機中の自動保存を書き込む
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.autosaveManager.flush();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.autosaveManager.flush();
+        });
+
+        // 共同編集（ライブ同期）の切り替え
+        const liveSyncCheckbox = document.getElementById('liveSyncCheckbox');
+        if (liveSyncCheckbox) {
+            liveSyncCheckbox.addEventListener('change', async () => {
+                await this.handleLiveSyncToggle(liveSyncCheckbox.checked);
             });
         }
 
@@ -535,12 +749,41 @@ export class PointMarkerApp {
             });
         }
 
+        // データチェック（プロジェクト全体の整合性チェック）
+        const lintBtn = document.getElementById('lintBtn');
+        if (lintBtn) {
+            lintBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.lintPanelUIManager.show();
+            });
+        }
+
+        // 属性（説明・カテゴリ・任意項目など）の編集
+        const attributeBtn = document.getElementById('attributeBtn');
+        if (attributeBtn) {
+            attributeBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.attributeInspectorUIManager.show();
+            });
+        }
+
+        // レイヤーの表示・ロック
+        const layerBtn = document.getElementById('layerBtn');
+        if (layerBtn) {
+            layerBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.layerPanelUIManager.show();
+            });
+        }
+
         // キャンバスイベント
         this.canvas.addEventListener('mousedown', (e) => this.canvasEventHandler.handleCanvasMouseDown(e));
         this.canvas.addEventListener('mousemove', (e) => this.canvasEventHandler.handleCanvasMouseMove(e));
         this.canvas.addEventListener('mouseup', (e) => this.canvasEventHandler.handleCanvasMouseUp(e));
         this.canvas.addEventListener('click', (e) => this.canvasEventHandler.handleCanvasClick(e));
         this.canvas.addEventListener('contextmenu', (e) => this.canvasEventHandler.handleCanvasContextMenu(e));
+        // キャンバスの外でボタンを離した場合もドラッグを終了する
+        document.addEventListener('mouseup', (e) => this.canvasEventHandler.handleDocumentMouseUp(e));
 
 
         // ズーム・パンコントロール
@@ -615,6 +858,44 @@ export class PointMarkerApp {
                 }
                 await this.handleOutput();
                 this.markerSettingsManager.closeDialog();
+            },
+            onGeoreference: (e) => {
+                e.preventDefault();
+                this.markerSettingsManager.closeDialog();
+                this.georeferenceUIManager.openDialog();
+            },
+            onGeoJsonLoad: async (e) => {
+                e.preventDefault();
+                if (this.viewportManager.isViewTransformed()) {
+                    UIHelper.showMessage('画像がズームまたは移動された状態です。\nズームボタンの左にある「反時計回りの矢印」アイコン（表示リセット）で元に戻してから実行してください', 'warning');
+                    return;
+                }
+                await this.handleGeoJsonInput();
+                this.markerSettingsManager.closeDialog();
+            },
+            onGeoJsonExport: async (e) => {
+                e.preventDefault();
+                await this.handleGeoJsonOutput();
+                this.markerSettingsManager.closeDialog();
+            },
+            onGpxLoad: async (e) => {
+                e.preventDefault();
+                if (this.viewportManager.isViewTransformed()) {
+                    UIHelper.showMessage('画像がズームまたは移動された状態です。\nズームボタンの左にある「反時計回りの矢印」アイコン（表示リセット）で元に戻してから実行してください', 'warning');
+                    return;
+                }
+                await this.handleGpxInput();
+                this.markerSettingsManager.closeDialog();
+            },
+            onGpxExport: async (e) => {
+                e.preventDefault();
+                await this.handleGpxOutput();
+                this.markerSettingsManager.closeDialog();
+            },
+            onImageExport: async (e) => {
+                e.preventDefault();
+                await this.handleImageExport();
+                this.markerSettingsManager.closeDialog();
             }
         });
 
@@ -624,7 +905,7 @@ export class PointMarkerApp {
 
         // readonly状態の入力フィールドクリック時に変更確認
         startPointInput.addEventListener('click', (e) => {
-            if (e.target.hasAttribute('readonly')) {
+            if (e.target.hasAttribute('readonly') && this.ensureWritable()) {
                 const confirmed = confirm('開始ポイントを変更しますか？\n変更すると中間点がクリアされます。');
                 if (confirmed) {
                     this.routeUIManager.handleRoutePointEditRequest('start');
@@ -633,7 +914,7 @@ export class PointMarkerApp {
         });
 
         endPointInput.addEventListener('click', (e) => {
-            if (e.target.hasAttribute('readonly')) {
+            if (e.target.hasAttribute('readonly') && this.ensureWritable()) {
                 const confirmed = confirm('終了ポイントを変更しますか？\n変更すると中間点がクリアされます。');
                 if (confirmed) {
                     this.routeUIManager.handleRoutePointEditRequest('end');
@@ -641,7 +922,7 @@ export class PointMarkerApp {
             }
         });
 
-        // blur時に半角・大文字変換とX-nn形式のフォーマット処理を実行
+        // blur時に半角・大文字変換とポイントID体系に合わせたフォーマット処理を実行
         startPointInput.addEventListener('blur', (e) => {
             const inputValue = e.target.value.trim();
             const previousValue = this.routeManager.getStartEndPoints().start;
@@ -693,6 +974,11 @@ export class PointMarkerApp {
             this.routeUIManager.handleDeleteRoute();
         });
 
+        document.getElementById('routeNetworkBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.routeNetworkUIManager.show();
+        });
+
         // エリア選択ドロップダウン
         const areaDropdown = document.getElementById('areaSelectDropdown');
         if (areaDropdown) {
@@ -762,6 +1048,11 @@ export class PointMarkerApp {
             this.redrawCanvas();
         });
 
+        // 凡例表示切り替えチェックボックス
+        document.getElementById('showLegendCheckbox').addEventListener('change', () => {
+            if (this.currentImage) this.redrawCanvas();
+        });
+
         // ルート経路の最適化ボタン
         document.getElementById('optimizeRouteBtn').addEventListener('click', (e) => {
             e.preventDefault();
@@ -778,6 +1069,27 @@ export class PointMarkerApp {
             this.handleSpotNameVisibilityChange(e.target.checked, true);
         });
 
+        // 元に戻す（Ctrl+Z）・やり直し（Ctrl+Y / Ctrl+Shift+Z）
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            // 入力欄の編集中はブラウザ標準の取り消し操作を優先
+            const target = e.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+                target.tagName === 'SELECT' || target.isContentEditable)) {
+                return;
+            }
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.handleUndo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.handleRedo();
+            }
+        });
+
         // ウィンドウリサイズ
         window.addEventListener('resize', () => {
             if (this.currentImage) {
@@ -787,11 +1099,12 @@ export class PointMarkerApp {
             }
         });
 
-        // マップコンテナのスクロール時にポップアップ位置を更新
+        // マップコンテナのスクロール時にポップアップ位置を更新（凡例は表示範囲の左下に置くため描き直す）
         const mapContainer = document.querySelector('.map-container');
         if (mapContainer) {
             mapContainer.addEventListener('scroll', () => {
                 this.viewportManager.updatePopupPositions();
+                if (this.currentImage && this.isLegendVisible()) this.redrawCanvas();
             });
         }
     }
@@ -811,12 +1124,20 @@ export class PointMarkerApp {
     setUIStage(stage) {
         const stage1 = document.getElementById('stage1-container');
         const fileOps = document.getElementById('file-operations-container');
+        const liveSync = document.getElementById('live-sync-container');
+        const legend = document.getElementById('legend-control');
 
         if (stage1 && fileOps) {
             stage1.style.display = stage === 1 ? 'block' : 'none';
             // Stage 2以降はファイル操作ボタンを表示
             fileOps.style.display = stage >= 2 ? 'flex' : 'none';
         }
+        if (liveSync) {
+            liveSync.style.display = stage >= 2 ? 'block' : 'none';
+        }
+        if (legend) {
+            legend.style.display = stage >= 2 ? 'block' : 'none';
+        }
     }
 
     /**
@@ -863,11 +1184,20 @@ export class PointMarkerApp {
      */
     async processLoadedImage(image, fileName, fullFileName = '') {
         this.currentImage = image;
+        // 前の画像の経路検索の結果・標高データは引き継がない
+        this.routeNetworkUIManager.hide();
+        this.elevationUIManager.hide();
+        this.elevationManager.clearGrid();
         this.canvasRenderer.setImage(image);
         this.canvasRenderer.setupCanvas(this.layoutManager.getCurrentLayout());
         this.canvasRenderer.drawImage();
+        // 入力ボックスの配置に使う描画倍率を新しい画像に合わせる
+        this.viewportManager.updatePopupPositions();
         this.enableImageControls();
         this.layoutManager.setDefaultPointMode();
+        // 別の画像に切り替わるため編集履歴を破棄し、前のプロジェクトのライブ同期も停止
+        this.historyManager.clear();
+        this.handleLiveSyncToggle(false);
         UIHelper.showMessage(`画像「${fileName}」を読み込みました`);
 
         // ファイル名表示を更新
@@ -882,25 +1212,156 @@ export class PointMarkerApp {
 
         // Stage 2へ移行
         this.setUIStage(2);
+
+        // 前回の未保存の編集内容があれば復元を確認（画像の内容で対応付け、ファイル名を変えた画像でも復元できる）
+        await this.restoreAutosavedSession(
+            this.fileHandler.getCurrentImageHash() || this.fileHandler.getCurrentImageFileName(),
+            [this.fileHandler.getProjectId(), this.fileHandler.getCurrentImageFileName()]
+        );
+    }
+
+    /**
+     * 自動保存された未保存の編集内容の復元を確認し、自動保存を開始
+     * @param {string} sessionId - 自動保存の単位（画像の内容のハッシュ、計算できない場合は画像ファイル名）
+     * @param {Array<string>} legacyIds - 以前のバージョンで自動保存の単位にしていたキー（プロジェクトID・画像ファイル名）
+     */
+    async restoreAutosavedSession(sessionId, legacyIds = []) {
+        const record = await this.autosaveManager.openSession(sessionId, legacyIds);
+        // 基準点・ポイントID体系は画像ごとに異なるため、前の画像の設定は引き継がない
+        this.georeferenceManager.clear();
+        this.projectSettingsManager.reset();
+        this.layerManager.reset();
+
+        if (record) {
+            const savedAt = new Date(record.savedAt).toLocaleString();
+            const pendingNote = record.pendingSync ? '\n（オフラインのため保留したデータベース保存を含みます）' : '';
+            if (confirm(`この画像の保存されていない編集内容があります（${savedAt}）。${pendingNote}\n復元しますか？`)) {
+                // 復元を1件の履歴とし、復元前の状態に戻せるようにする
+                this.historyManager.beginGroup('自動保存から復元');
+                try {
+                    this.autosaveManager.restore(record);
+                } finally {
+                    this.historyManager.endGroup();
+                }
+                this.syncAfterHistoryChange();
+                UIHelper.showMessage('前回の編集内容を復元しました');
+            } else {
+                await this.autosaveManager.discard();
+            }
+        }
+
+        this.autosaveManager.activate();
+
+        if (this.autosaveManager.hasPendingSync() && navigator.onLine) {
+            await this.handleDatabaseSave();
+        }
+    }
+
+    /**
+     * データベース読み込み処理
+     */
+    async handleDatabaseLoad() {
+        if (this.isLoadingDatabase) {
+            UIHelper.showMessage('読み込み中です。完了までお待ちください', 'warning');
+            return;
+        }
+
+        this.isLoadingDatabase = true;
+        try {
+            try {
+                if (window.connectFirebase) {
+                    await window.connectFirebase();
+                }
+            } catch (error) {
+                return;
+            }
+            const loaded = await this.firebaseSyncManager.loadFromFirebase(() => {
+                this.redrawCanvas();
+            }, (apply) => {
+                // 読み込み全体を1件の履歴とし、読み込み前の状態に戻せるようにする
+                // （通信を待つ間は記録せず、取得し終えたデータの反映だけをまとめる）
+                this.historyManager.beginGroup('データベース読み込み');
+                try {
+                    apply();
+                } finally {
+                    this.historyManager.endGroup();
+                }
+            });
+            if (loaded) {
+                await this.autosaveManager.markSaved();
+            }
+        } finally {
+            this.isLoadingDatabase = false;
+        }
+    }
+
+    /**
+     * データベース保存処理
+     * オフライン時は保存を保留し、オンライン復帰時に自動で実行する
+     */
+    async handleDatabaseSave() {
+        if (this.isSavingDatabase) {
+            UIHelper.showMessage('保存中です。完了までお待ちください', 'warning');
+            return;
+        }
+
+        if (this.readOnly) {
+            UIHelper.showWarning('閲覧のみの権限のため、データベースに保存できません');
+            return;
+        }
+
+        if (!navigator.onLine) {
+            await this.autosaveManager.queueSync();
+            UIHelper.showMessage('オフラインのため保存を保留しました。\nオンラインに戻ると自動的に保存します', 'warning');
+            return;
+        }
+
+        this.isSavingDatabase = true;
+        try {
+            try {
+                if (window.connectFirebase) {
+                    await window.connectFirebase();
+                }
+            } catch (error) {
+                return;
+            }
+            const saved = await this.firebaseSyncManager.saveAllToFirebase();
+            if (saved) {
+                await this.autosaveManager.markSynced();
+            }
+        } finally {
+            this.isSavingDatabase = false;
+        }
     }
 
     /**
      * データ入力処理
      */
     async handleInput() {
+        if (!this.ensureWritable()) return;
+
         try {
             const file = await this.fileHandler.selectJsonFile();
-            const result = await this.fileHandler.importProjectData(
-                {
-                    pointManager: this.pointManager,
-                    routeManager: this.routeManager,
-                    spotManager: this.spotManager,
-                    areaManager: this.areaManager
-                },
-                file,
-                this.canvasRenderer.baseWidth, this.canvasRenderer.baseHeight, // ベースキャンバスサイズ（zoom非依存）
-                this.currentImage.width, this.currentImage.height // 元画像サイズ
-            );
+            const jsonData = await this.fileHandler.loadJsonFile(file);
+            // 読み込み全体を1件の履歴とし、読み込み前の状態に戻せるようにする（ファイルの読み込みを待つ間は記録しない）
+            this.historyManager.beginGroup('ファイル読み込み');
+            let result;
+            try {
+                result = this.fileHandler.applyProjectData(
+                    {
+                        pointManager: this.pointManager,
+                        routeManager: this.routeManager,
+                        spotManager: this.spotManager,
+                        areaManager: this.areaManager,
+                        georeferenceManager: this.georeferenceManager,
+                        projectSettingsManager: this.projectSettingsManager,
+                        layerManager: this.layerManager
+                    },
+                    jsonData
+                );
+            } finally {
+                this.historyManager.endGroup();
+            }
 
             this.redrawAndSyncUI(result.pointsCount, result.routesCount, result.spotsCount);
             const loadParts = [];
@@ -1018,14 +1479,19 @@ export class PointMarkerApp {
                     pointManager: this.pointManager,
                     routeManager: this.routeManager,
                     spotManager: this.spotManager,
-                    areaManager: this.areaManager
+                    areaManager: this.areaManager,
+                    georeferenceManager: this.georeferenceManager,
+                    projectSettingsManager: this.projectSettingsManager,
+                    elevationManager: this.elevationManager,
+                    layerManager: this.layerManager
                 },
                 this.fileHandler.getCurrentImageFileName() + '.png',
-                this.canvasRenderer.baseWidth, this.canvasRenderer.baseHeight, // ベースキャンバスサイズ（zoom非依存）
                 this.currentImage.width, this.currentImage.height,
                 filename,
-                saveOptions
+                saveOptions,
+                (id) => this.resolveRouteEndpointCoord(id)
             );
+            await this.autosaveManager.markSaved();
 
             // 出力が完了したら、入力ボタン（Stage 2）を表示
             this.setUIStage(2);
@@ -1038,6 +1504,305 @@ export class PointMarkerApp {
         }
     }
 
+    /**
+     * GeoJSON入力処理（基準点で緯度・経度を画像座標に変換して読み込む）
+     */
+    async handleGeoJsonInput() {
+        if (!this.ensureWritable()) return;
+        if (!this.georeferenceManager.isReady()) {
+            UIHelper.showWarning('先に基準点を設定してください');
+            return;
+        }
+
+        try {
+            const file = await this.fileHandler.selectGeoJsonFile();
+            const geojson = await this.fileHandler.loadJsonFile(file);
+            // 読み込み全体を1件の履歴とし、読み込み前の状態に戻せるようにする（ファイルの読み込みを待つ間は記録しない）
+            this.historyManager.beginGroup('GeoJSON読み込み');
+            let result;
+            try {
+                result = this.fileHandler.applyGeoJSON(
+                    {
+                        pointManager: this.pointManager,
+                        routeManager: this.routeManager,
+                        spotManager: this.spotManager,
+                        areaManager: this.areaManager,
+                        georeferenceManager: this.georeferenceManager
+                    },
+                    geojson,
+                    this.currentImage.width, this.currentImage.height
+                );
+            } finally {
+                this.historyManager.endGroup();
+            }
+
+            this.redrawAndSyncUI(result.pointsCount, result.routesCount, result.spotsCount);
+            const loadParts = [];
+            if (result.pointsCount > 0) loadParts.push(`ポイント: ${result.pointsCount}`);
+            if (result.routesCount > 0) loadParts.push(`ルート: ${result.routesCount}`);
+            if (result.spotsCount > 0) loadParts.push(`スポット: ${result.spotsCount}`);
+            if (result.areasCount > 0) loadParts.push(`エリア: ${result.areasCount}`);
+            const loadDetail = loadParts.length > 0 ? ` (${loadParts.join(', ')})` : '';
+            const skippedNote = result.skippedCount > 0
+                ? `\n画像の範囲外または未対応の地物 ${result.skippedCount}件は読み込みませんでした`
+                : '';
+            UIHelper.showMessage(`GeoJSONファイルからデータを読み込みました${loadDetail}${skippedNote}`,
+                result.skippedCount > 0 ? 'warning' : 'info');
+
+            this.setUIStage(2);
+
+        } catch (error) {
+            console.error('GeoJSON入力エラー:', error);
+            if (error.message !== 'ファイル選択がキャンセルされました') {
+                UIHelper.showError('GeoJSONの読み込みに失敗しました: ' + error.message);
+            }
+        }
+    }
+
+    /**
+     * GeoJSON出力処理（基準点で画像座標を緯度・経度に変換して出力する）
+     */
+    async handleGeoJsonOutput() {
+        if (!this.georeferenceManager.isReady()) {
+            UIHelper.showWarning('先に基準点を設定してください');
+            return;
+        }
+
+        try {
+            const projectId = this.fileHandler.getCurrentImageFileName() || 'project_data';
+            const abbrMatch = projectId.match(/^[^-_ ]+/);
+            const abbr = abbrMatch ? abbrMatch[0] : projectId;
+
+            const counts = {
+                points: this.pointManager.getPoints().filter(p => p.id && p.id.trim() !== '').length,
+                routes: this.routeManager.getAllRoutes().length,
+                spots:  this.spotManager.getSpots().filter(s => s.name && s.name.trim() !== '').length,
+                areas:  this.areaManager.getAllAreas().filter(a => a.areaName && a.areaName.trim() !== '').length
+            };
+            const saveOptions = await this.showSaveSelectionDialog(counts);
+            if (!saveOptions) return; // キャンセル
+
+            const now = new Date();
+            const dateSuffix = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+
+            await this.fileHandler.exportGeoJSON(
+                {
+                    pointManager: this.pointManager,
+                    routeManager: this.routeManager,
+                    spotManager: this.spotManager,
+                    areaManager: this.areaManager,
+                    georeferenceManager: this.georeferenceManager
+                },
+                (id) => this.resolveRouteEndpointCoord(id),
+                `${abbr}-${dateSuffix}.geojson`,
+                saveOptions
+            );
+
+        } catch (error) {
+            console.error('GeoJSON出力エラー:', error);
+            UIHelper.showError('GeoJSONの保存に失敗しました: ' + error.message);
+        }
+    }
+
+    /**
+     * GPX入力処理（トラック・ルートをルートとして追加する）
+     */
+    async handleGpxInput() {
+        if (!this.currentImage) {
+            UIHelper.showWarning('先に画像を読み込んでください');
+            return;
+        }
+        if (!this.ensureWritable()) return;
+
+        try {
+            const file = await this.fileHandler.selectGpxFile();
+            const gpxText = await this.fileHandler.loadGpxFile(file);
+            const model = await this.georeferenceUIManager.selectCoordinateModel();
+            if (!model) return; // キャンセル
+
+            // 読み込み全体を1件の履歴とし、読み込み前の状態に戻せるようにする（ファイルの読み込みを待つ間は記録しない）
+            this.historyManager.beginGroup('GPX読み込み');
+            let result;
+            try {
+                result = this.fileHandler.applyGPX(
+                    {
+                        pointManager: this.pointManager,
+                        routeManager: this.routeManager,
+                        spotManager: this.spotManager
+                    },
+                    gpxText, model,
+                    this.currentImage.width, this.currentImage.height
+                );
+            } finally {
+                this.historyManager.endGroup();
+            }
+
+            this.redrawCanvas();
+            const skippedNote = result.skippedCount > 0
+                ? `\n画像の範囲外または位置のないトラック ${result.skippedCount}件は読み込みませんでした`
+                : '';
+            UIHelper.showMessage(`GPXファイルからルートを読み込みました (ルート: ${result.routesCount})${skippedNote}`,
+                result.skippedCount > 0 ? 'warning' : 'info');
+
+        } catch (error) {
+            console.error('GPX入力エラー:', error);
+            if (error.message !== 'ファイル選択がキャンセルされました') {
+                UIHelper.showError('GPXの読み込みに失敗しました: ' + error.message);
+            }
+        }
+    }
+
+    /**
+     * GPX出力処理（ルートをトラック、ポイント・スポットをウェイポイントとして出力する）
+     */
+    async handleGpxOutput() {
+        if (!this.currentImage) {
+            UIHelper.showWarning('先に画像を読み込んでください');
+            return;
+        }
+
+        try {
+            const model = await this.georeferenceUIManager.selectCoordinateModel();
+            if (!model) return; // キャンセル
+
+            const projectId = this.fileHandler.getCurrentImageFileName() || 'project_data';
+            const abbrMatch = projectId.match(/^[^-_ ]+/);
+            const abbr = abbrMatch ? abbrMatch[0] : projectId;
+
+            // エリアはGPXに出力しないため0件とする
+            const counts = {
+                points: this.pointManager.getPoints().filter(p => p.id && p.id.trim() !== '').length,
+                routes: this.routeManager.getAllRoutes().length,
+                spots:  this.spotManager.getSpots().filter(s => s.name && s.name.trim() !== '').length,
+                areas:  0
+            };
+            const saveOptions = await this.showSaveSelectionDialog(counts);
+            if (!saveOptions) return; // キャンセル
+
+            const now = new Date();
+            const dateSuffix = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+
+            await this.fileHandler.exportGPX(
+                {
+                    pointManager: this.pointManager,
+                    routeManager: this.routeManager,
+                    spotManager: this.spotManager
+                },
+                (id) => this.resolveRouteEndpointCoord(id),
+                model,
+                `${abbr}-${dateSuffix}.gpx`,
+                saveOptions
+            );
+
+        } catch (error) {
+            console.error('GPX出力エラー:', error);
+            UIHelper.showError('GPXの保存に失敗しました: ' + error.message);
+        }
+    }
+
+    /**
+     * 画像出力ダイアログを表示し、選択結果を返す
+     * @returns {Promise<{format: string, layers: Object}|null>} 出力形式とレイヤー（キャンセル時はnull）
+     */
+    showImageExportDialog() {
+        return new Promise((resolve) => {
+            const dialog = document.getElementById('imageExportDialog');
+            const okBtn = document.getElementById('imageExportOkBtn');
+            const cancelBtn = document.getElementById('imageExportCancelBtn');
+
+            dialog.style.display = 'flex';
+
+            const cleanup = () => {
+                dialog.style.display = 'none';
+                okBtn.removeEventListener('click', onOk);
+                cancelBtn.removeEventListener('click', onCancel);
+            };
+
+            const onOk = () => {
+                cleanup();
+                resolve({
+                    format: document.getElementById('imageExportFormatSvg').checked ? 'svg' : 'png',
+                    layers: {
+                        image: document.getElementById('imageExportLayerImage').checked,
+                        points: document.getElementById('imageExportLayerPoints').checked,
+                        routes: document.getElementById('imageExportLayerRoutes').checked,
+                        spots: document.getElementById('imageExportLayerSpots').checked,
+                        areas: document.getElementById('imageExportLayerAreas').checked,
+                        labels: document.getElementById('imageExportLayerLabels').checked,
+                        legend: document.getElementById('imageExportLayerLegend').checked
+                    }
+                });
+            };
+
+            const onCancel = () => {
+                cleanup();
+                resolve(null);
+            };
+
+            okBtn.addEventListener('click', onOk);
+            cancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * 画像出力処理（マーカーを描き込んだ地図を元画像のサイズでPNG・SVGに出力する）
+     * 画面上のキャンバスとは別に描画するため、ズーム・表示サイズの状態によらず実行できる
+     */
+    async handleImageExport() {
+        if (!this.currentImage) {
+            UIHelper.showWarning('先に画像を読み込んでください');
+            return;
+        }
+
+        try {
+            const options = await this.showImageExportDialog();
+            if (!options) return; // キャンセル
+
+            const data = {
+                points: this.pointManager.getPoints(),
+                spots: this.spotManager.getSpots(),
+                routes: this.routeManager.getAllRoutes().map(route => {
+                    const startCoord = this.resolveRouteEndpointCoord(route.startPointId);
+                    const endCoord = this.resolveRouteEndpointCoord(route.endPointId);
+                    const routePoints = route.routePoints || [];
+                    return {
+                        routeName: route.routeName,
+                        routePoints,
+                        path: [startCoord, ...routePoints, endCoord].filter(Boolean)
+                    };
+                }),
+                areas: this.areaManager.getAllAreas(),
+                legend: this.getLegendEntries()
+            };
+
+            UIHelper.showPersistentMessage('画像を作成しています...');
+            let content;
+            try {
+                // カテゴリのアイコンは描画前に読み込んでおく（読み込めなかったアイコンは描かない）
+                const categoryStyles = this.projectSettingsManager.getCategoryStyles();
+                await this.categoryIconCache.preload(Object.values(categoryStyles).map(style => style.icon));
+                const exporter = new MapImageExporter(this.canvasRenderer.markerSizes, categoryStyles, this.categoryIconCache);
+                content = options.format === 'svg'
+                    ? exporter.renderSvg(this.currentImage, data, options.layers)
+                    : await exporter.renderPng(this.currentImage, data, options.layers);
+            } finally {
+                UIHelper.hidePersistentMessage();
+            }
+
+            const projectId = this.fileHandler.getCurrentImageFileName() || 'project_data';
+            const abbrMatch = projectId.match(/^[^-_ ]+/);
+            const abbr = abbrMatch ? abbrMatch[0] : projectId;
+            const now = new Date();
+            const dateSuffix = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+
+            await this.fileHandler.saveMapImageWithUserChoice(content, `${abbr}_map-${dateSuffix}.${options.format}`, options.format);
+
+        } catch (error) {
+            console.error('画像出力エラー:', error);
+            UIHelper.showError('画像の出力に失敗しました: ' + error.message);
+        }
+    }
+
     /**
      * UI同期と再描画
      */
@@ -1111,9 +1876,9 @@ export class PointMarkerApp {
 
 
     /**
-     * ポイントIDまたはスポット名からキャンバス座標を解決
+     * ポイントIDまたはスポット名から画像座標を解決
      * @param {string} id - ポイントIDまたはスポット名
-     * @returns {{x:number, y:number}|null} キャンバス座標、見つからない場合はnull
+     * @returns {{x:number, y:number}|null} 画像座標、見つからない場合はnull
      */
     resolveRouteEndpointCoord(id) {
         if (!id || !id.trim()) return null;
@@ -1129,7 +1894,7 @@ export class PointMarkerApp {
 
     /**
      * 選択中ルートの経路点列（開始→中間点→終了）を構築
-     * @returns {Array|null} キャンバス座標の点列、構築できない場合はnull
+     * @returns {Array|null} 画像座標の点列、構築できない場合はnull
      */
     buildSelectedRoutePath() {
         const selectedRoute = this.routeManager.getSelectedRoute();
@@ -1147,6 +1912,61 @@ export class PointMarkerApp {
         return path.length >= 2 ? path : null;
     }
 
+    /**
+     * 凡例を表示するか
+     * @returns {boolean} 「凡例を表示」がオンの場合true
+     */
+    isLegendVisible() {
+        const checkbox = document.getElementById('showLegendCheckbox');
+        return !!checkbox && checkbox.checked;
+    }
+
+    /**
+     * 現在のスポット・エリアの凡例の項目を取得
+     * @returns {Array<{label: string, kind: string, style: Object|null}>} 凡例の項目
+     */
+    getLegendEntries() {
+        return CategoryStyles.getLegendEntries(
+            this.projectSettingsManager.getCategoryStyles(),
+            this.projectSettingsManager.getCategories(),
+            this.spotManager.getSpots(),
+            this.areaManager.getAllAreas()
+        );
+    }
+
+    /**
+     * キャンバスに描く凡例の項目と位置（マップコンテナに表示されている範囲の左下）を取得
+     * @returns {{entries: Array<Object>, left: number, bottom: number}} 凡例の描画オプション
+     */
+    getLegendPlacement() {
+        const margin = 10;
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const mapContainer = document.querySelector('.map-container');
+        const viewRect = mapContainer ? mapContainer.getBoundingClientRect() : canvasRect;
+        // 表示サイズとキャンバスサイズの比（通常は1）
+        const ratio = canvasRect.width > 0 ? this.canvas.width / canvasRect.width : 1;
+        const left = Math.max(0, viewRect.left - canvasRect.left);
+        const bottom = Math.min(canvasRect.height, viewRect.bottom - canvasRect.top);
+        return {
+            entries: this.getLegendEntries(),
+            left: (left + margin) * ratio,
+            bottom: (bottom - margin) * ratio
+        };
+    }
+
+    /**
+     * レイヤーの表示・ロックをポイントID・スポット名の入力ボックスに反映
+     * 非表示のレイヤー（ラベルを含む）の入力ボックスは隠し、ロック中のレイヤーの入力ボックスは操作できなくする
+     */
+    applyLayerStateToInputs() {
+        const classList = document.body.classList;
+        ['points', 'spots', 'labels'].forEach(layerId => {
+            const state = this.layerManager.getLayerState(layerId);
+            classList.toggle(`layer-${layerId}-hidden`, !state.visible);
+            classList.toggle(`layer-${layerId}-locked`, state.locked);
+        });
+    }
+
     /**
      * キャンバスを再描画
      */
@@ -1154,28 +1974,51 @@ export class PointMarkerApp {
         const mode = this.layoutManager.getCurrentEditingMode();
         const routePoints = this.routeManager.getStartEndPoints();
 
+        // 非表示のレイヤーは描画しない（ルート・エリアは選択中のインデックスを描画する配列での位置に合わせる）
+        const layers = this.layerManager;
+        const selectedRoute = this.routeManager.getSelectedRoute();
+        const isSelectedRouteVisible = !!selectedRoute && layers.isVisible(LayerManager.getRouteLayerId(selectedRoute));
+        const routes = this.routeManager.getAllRoutes()
+            .filter(route => layers.isVisible(LayerManager.getRouteLayerId(route)));
+        const visibleAreas = this.areaManager.getAllAreas()
+            .filter(area => layers.isVisible(LayerManager.getAreaLayerId(area)));
+        // エリア名はラベルレイヤーとして扱う
+        const areas = layers.isVisible('labels') ? visibleAreas : visibleAreas.map(area => ({ ...area, areaName: null }));
+
         // 「ルート経路を描画」チェックオン時、選択中ルートの経路を折れ線で描画
         const showRoutePathCheckbox = document.getElementById('showRoutePathCheckbox');
-        const routePath = (showRoutePathCheckbox && showRoutePathCheckbox.checked)
+        const routePath = (showRoutePathCheckbox && showRoutePathCheckbox.checked && isSelectedRouteVisible)
             ? this.buildSelectedRoutePath()
             : null;
 
+        // 削除・元に戻す・モード切り替え等で選択対象でなくなったオブジェクトを選択から外す
+        this.selectionUIManager.refresh();
+
         this.canvasRenderer.redraw(
-            this.pointManager.getPoints(),
-            this.routeManager.getRoutePoints(),
-            this.spotManager.getSpots(),
-            this.areaManager.getAllAreas(), // エリアデータを渡す
+            layers.isVisible('points') ? this.pointManager.getPoints() : [],
+            isSelectedRouteVisible ? this.routeManager.getRoutePoints() : [],
+            layers.isVisible('spots') ? this.spotManager.getSpots() : [],
+            areas, // エリアデータを渡す
             {
                 showRouteMode: mode === 'route',
                 startPointId: routePoints.start,
                 endPointId: routePoints.end,
-                allRoutes: this.routeManager.getAllRoutes(),
-                selectedRouteIndex: this.routeManager.selectedRouteIndex,
-                selectedAreaIndex: this.areaManager.selectedAreaIndex, // エリア選択状態
+                allRoutes: routes,
+                selectedRouteIndex: routes.indexOf(selectedRoute),
+                selectedAreaIndex: visibleAreas.indexOf(this.areaManager.getSelectedArea()), // エリア選択状態
                 showAreaEditMode: mode === 'area', // エリア編集モード
-                routePath: routePath // ルート経路の折れ線（null = 非表示）
+                routePath: routePath, // ルート経路の折れ線（null = 非表示）
+                highlightPath: this.routeNetworkUIManager.getHighlightPath(), // 経路検索の結果
+                legend: this.isLegendVisible() ? this.getLegendPlacement() : null, // 凡例（null = 非表示）
+                selection: this.selectionUIManager.getRenderSelection() // 複数選択の強調表示（null = 未選択）
             }
         );
+
+        // 描画内容に合わせてルート長・エリア面積・2地点間の距離・累積標高・属性パネル・レイヤーパネルを更新
+        this.measurementUIManager.updateDisplays();
+        this.elevationUIManager.updateDisplays();
+        this.attributeInspectorUIManager.update();
+        this.layerPanelUIManager.update();
     }
 
 
@@ -1192,6 +2035,7 @@ export class PointMarkerApp {
      * 選択中のルートを削除
      */
     async handleDeleteRoute() {
+        if (!this.ensureWritable()) return;
         const selectedIndex = this.routeManager.selectedRouteIndex;
         if (selectedIndex < 0) {
             UIHelper.showError('ルートが選択されていません');
@@ -1220,7 +2064,8 @@ export class PointMarkerApp {
         const startPointInput = document.getElementById('startPointInput');
         const endPointInput = document.getElementById('endPointInput');
 
-        if (editable) {
+        // 閲覧のみの間は常に読み取り専用
+        if (editable && !this.readOnly) {
             startPointInput.removeAttribute('readonly');
             endPointInput.removeAttribute('readonly');
         } else {
@@ -1235,21 +2080,25 @@ export class PointMarkerApp {
      */
     handleRoutePointEditRequest(pointType) {
         const selectedRoute = this.routeManager.getSelectedRoute();
-        if (!selectedRoute) return;
+        if (!selectedRoute || !this.ensureWritable()) return;
 
-        // 中間点をクリア
-        if (selectedRoute.routePoints && selectedRoute.routePoints.length > 0) {
-            selectedRoute.routePoints = [];
-            this.routeManager.notify('onCountChange', 0);
-            this.routeManager.notify('onChange');
-        }
+        // 中間点と開始・終了ポイントのクリアを1件の履歴としてまとめる
+        this.historyManager.beginGroup(pointType === 'start' ? '開始ポイント変更' : '終了ポイント変更');
+        try {
+            // 中間点をクリア
+            if (selectedRoute.routePoints && selectedRoute.routePoints.length > 0) {
+                this.routeManager.clearRoutePoints();
+            }
 
-        // 開始・終了ポイントをクリア
-        if (pointType === 'start') {
-            this.routeManager.setStartPoint('', true);
-            this.routeManager.setEndPoint('', true);
-        } else {
-            this.routeManager.setEndPoint('', true);
+            // 開始・終了ポイントをクリア
+            if (pointType === 'start') {
+                this.routeManager.setStartPoint('', true);
+                this.routeManager.setEndPoint('', true);
+            } else {
+                this.routeManager.setEndPoint('', true);
+            }
+        } finally {
+            this.historyManager.endGroup();
         }
 
         // 入力フィールドを編集可能にする
@@ -1264,6 +2113,196 @@ export class PointMarkerApp {
         UIHelper.showMessage('ルートポイントを編集できるようになりました。画像上でポイント/スポットを選択してください');
     }
 
+    /**
+     * 直前の編集操作を元に戻す
+     */
+    handleUndo() {
+        if (!this.currentImage || this.dragDropHandler.isDraggingObject() || !this.ensureWritable()) return;
+
+        const label = this.historyManager.undo();
+        if (label) {
+            this.syncAfterHistoryChange();
+            UIHelper.showMessage(`「${label}」を元に戻しました`, 'info');
+        } else {
+            UIHelper.showMessage('元に戻す操作はありません', 'info');
+        }
+    }
+
+    /**
+     * 元に戻した編集操作をやり直す
+     */
+    handleRedo() {
+        if (!this.currentImage || this.dragDropHandler.isDraggingObject() || !this.ensureWritable()) return;
+
+        const label = this.historyManager.redo();
+        if (label) {
+            this.syncAfterHistoryChange();
+            UIHelper.showMessage(`「${label}」をやり直しました`, 'info');
+        } else {
+            UIHelper.showMessage('やり直す操作はありません', 'info');
+        }
+    }
+
+    /**
+     * 元に戻す/やり直し後に、データから導出されるUI状態を同期
+     */
+    syncAfterHistoryChange() {
+        // 開始・終了ポイントが揃っていないルートは入力欄を編集可能に戻す
+        const selectedRoute = this.routeManager.getSelectedRoute();
+        if (selectedRoute) {
+            this.setRouteInputsEditable(!selectedRoute.startPointId || !selectedRoute.endPointId);
+        }
+        this.updateAlwaysVisibleSpotNames();
+        this.redrawCanvas();
+    }
+
+    /**
+     * 共同編集（ライブ同期）の開始・停止
+     * @param {boolean} enabled - 開始するかどうか
+     */
+    async handleLiveSyncToggle(enabled) {
+        const checkbox = document.getElementById('liveSyncCheckbox');
+
+        if (!enabled) {
+            if (this.firebaseSyncManager.isLiveSyncActive()) {
+                this.firebaseSyncManager.stopLiveSync();
+                UIHelper.showMessage('共同編集を終了しました', 'info');
+            }
+            if (checkbox) checkbox.checked = false;
+            return;
+        }
+
+        try {
+            if (window.connectFirebase) {
+                await window.connectFirebase();
+            }
+            // 監視するプロジェクトを画像の内容・ファイル名から決める
+            await this.firebaseSyncManager.resolveProjectId();
+        } catch (error) {
+            if (checkbox) checkbox.checked = false;
+            return;
+        }
+
+        if (!this.firebaseSyncManager.startLiveSync(() => this.isLocalEditing())) {
+            if (checkbox) checkbox.checked = false;
+            UIHelper.showError('共同編集を開始できません。画像とデータベース接続を確認してください');
+            return;
+        }
+        UIHelper.showMessage('共同編集を開始しました。他のユーザーが保存した変更を自動で反映します', 'success');
+    }
+
+    /**
+     * プロジェクトでの自分のロールの変更を表示に反映（閲覧者の場合は閲覧のみにする）
+     * @param {string|null} role - 'owner' | 'editor' | 'viewer'（未確認の場合はnull）
+     */
+    handleProjectRoleChange(role) {
+        const roleDisplay = document.getElementById('projectRoleDisplay');
+        if (roleDisplay) {
+            roleDisplay.textContent = role ? PROJECT_ROLE_LABELS[role] : '';
+            roleDisplay.style.display = role ? 'inline-block' : 'none';
+        }
+        this.setReadOnly(role === 'viewer');
+    }
+
+    /**
+     * 閲覧のみの切り替え
+     * 閲覧のみの間は、入力欄を読み取り専用にし、データを変更する操作（キャンバスでの編集、元に戻す/やり直し、
+     * 各パネル・設定ダイアログでの変更、ファイルの入力、データベース保存）は ensureWritable() で止める
+     * （ライブ同期で他のユーザーの変更を見ることはできる）
+     * @param {boolean} readOnly - 閲覧のみにする場合true
+     */
+    setReadOnly(readOnly) {
+        if (this.readOnly === readOnly) return;
+        this.readOnly = readOnly;
+        document.body.classList.toggle('read-only', readOnly);
+
+        const saveDatabaseBtn = document.getElementById('saveDatabaseBtn');
+        if (saveDatabaseBtn) {
+            saveDatabaseBtn.disabled = readOnly;
+        }
+        this.inputManager.setReadOnly(readOnly);
+        this.areaUIManager.updateAreaNameInput();
+        if (readOnly) {
+            this.selectionManager.clear();
+            this.setRouteInputsEditable(false);
+        } else {
+            // 開始・終了ポイントが揃っていないルートは入力欄を編集可能に戻す
+            const selectedRoute = this.routeManager.getSelectedRoute();
+            if (selectedRoute) {
+                this.setRouteInputsEditable(!selectedRoute.startPointId || !selectedRoute.endPointId);
+            }
+        }
+    }
+
+    /**
+     * 閲覧のみかどうか
+     * @returns {boolean} 閲覧のみの場合true
+     */
+    isReadOnly() {
+        return this.readOnly;
+    }
+
+    /**
+     * プロジェクトを編集できるか確認し、閲覧のみの場合は警告を表示
+     * データを変更する操作の入口で呼び出す
+     * @returns {boolean} 編集できる場合true
+     */
+    ensureWritable() {
+        if (!this.readOnly) return true;
+        UIHelper.showWarning('閲覧のみの権限のため編集できません');
+        return false;
+    }
+
+    /**
+     * ログアウト
+     * 共同編集を終了してデータベースの接続を切り、次に接続したときにログインし直したユーザーでプロジェクトとロールを決め直す
+     */
+    async handleSignOut() {
+        await this.handleLiveSyncToggle(false);
+        try {
+            await window.authManager.signOut();
+        } catch (error) {
+            UIHelper.showError(error.message);
+            return;
+        }
+        if (window.firestoreManager) {
+            window.firestoreManager.unsubscribeAll();
+            window.firestoreManager = null;
+        }
+        this.fileHandler.setProjectId('');
+        this.firebaseSyncManager.setProjectRole(null);
+        this.authUIManager.updateAccountDisplay();
+        UIHelper.showMessage('ログアウトしました', 'info');
+    }
+
+    /**
+     * ローカルで編集操作中かどうかを判定（ライブ同期の反映を保留する判定に使用）
+     * - テキスト入力欄（ポイントID・スポット名・ルート開始/終了等）にフォーカスがある
+     * - マーカーをドラッグ中、または読み込み等の一連の操作の途中
+     * @returns {boolean} 編集操作中ならtrue
+     */
+    isLocalEditing() {
+        const active = document.activeElement;
+        const isTyping = !!active &&
+            (active.tagName === 'TEXTAREA' || (active.tagName === 'INPUT' && active.type === 'text'));
+        return isTyping || this.dragDropHandler.isDraggingObject() || this.historyManager.isGrouping();
+    }
+
+    /**
+     * 共同編集者による変更内容を表示
+     * @param {Array<string>} descriptions - 変更内容の説明
+     */
+    showRemoteChangeSummary(descriptions) {
+        if (!descriptions || descriptions.length === 0) return;
+
+        const maxLines = 5;
+        const lines = descriptions.slice(0, maxLines);
+        if (descriptions.length > maxLines) {
+            lines.push(`ほか${descriptions.length - maxLines}件の変更`);
+        }
+        UIHelper.showMessage(lines.join('\n'), 'info');
+    }
+
     /**
      * ポイントID表示/非表示切り替え処理
      * @param {boolean} visible - 表示するかどうか
@@ -1298,15 +2337,10 @@ export class PointMarkerApp {
     handleWindowResize() {
         this.resizeHandler.handleResize(
             this.currentImage,
-            this.canvas,
             this.canvasRenderer,
             this.layoutManager,
-            this.pointManager,
-            this.routeManager,
-            this.spotManager,
             this.viewportManager,
-            () => this.redrawCanvas(),
-            this.areaManager
+            () => this.redrawCanvas()
         );
     }
 
@@ -0,0 +1,302 @@
+import { BaseManager } from './BaseManager.js';
+
+// IndexedDBのデータベース名・バージョン・ストア名
+const DB_NAME = 'PointMarker';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+// 最後の変更から自動保存するまでの待ち時間（ミリ秒）
+const AUTOSAVE_DELAY = 1000;
+
+/**
+ * 編集中のデータをブラウザ（IndexedDB）に自動保存するクラス
+ * 画像ごと（画像の内容のハッシュ、計算できない場合は画像ファイル名）に、登録したマネージャーのスナップショットを保存する。
+ * タブのクラッシュや再読み込みの後、同じ画像を開いた時に未保存の編集内容を復元できる
+ *
+ * 保存レコード: { projectId, savedAt, dirty, pendingSync, data: { point, spot, route, area } }
+ * - projectId: 保存単位のキー（画像の内容のハッシュまたは画像ファイル名）
+ * - dirty: データベース保存・ファイル出力以降に変更があるか
+ * - pendingSync: オフラインのため保留したデータベース保存があるか
+ */
+export class AutosaveManager extends BaseManager {
+    /**
+     * @param {number} delay - 最後の変更から保存するまでの待ち時間（ミリ秒）
+     */
+    constructor(delay = AUTOSAVE_DELAY) {
+        super();
+        this.delay = delay;
+        this.managers = {};
+        this.projectId = null;
+        // 復元の確認が済むまでは保存しない（空の状態で前回の内容を上書きしないため）
+        this.isActive = false;
+        this.timer = null;
+        this.lastSerialized = null;
+        this.dirty = false;
+        this.pendingSync = false;
+        this.dbPromise = null;
+    }
+
+    /**
+     * マネージャーを自動保存の対象として登録
+     * マネージャーは getSnapshot() / restoreSnapshot(snapshot) を実装している必要がある
+     * @param {string} key - マネージャー種別（'point' | 'spot' | 'route' | 'area'）
+     * @param {Object} manager - 対象マネージャー
+     */
+    register(key, manager) {
+        this.managers[key] = manager;
+    }
+
+    /**
+     * IndexedDBが利用可能かどうかを取得
+     * @returns {boolean} 利用可能ならtrue
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * 画像（プロジェクト）の切り替え時に呼び出し、保存済みのレコードを取得
+     * activate() を呼ぶまで自動保存は停止する。
+     * レコードがなく、以前のキー（画像ファイル名・プロジェクトID）のレコードがあれば新しいキーへ移す
+     * @param {string} projectId - 保存単位のキー（画像の内容のハッシュ、計算できない場合は画像ファイル名）
+     * @param {Array<string>} legacyIds - 以前のバージョンで使っていたキー
+     * @returns {Promise<Object|null>} 未保存の編集内容のレコード（ない場合はnull）
+     */
+    async openSession(projectId, legacyIds = []) {
+        // 前のプロジェクトの待機中の変更を書き込んでから切り替える
+        await this.flush();
+        this.isActive = false;
+        this.projectId = projectId;
+        this.dirty = false;
+        this.pendingSync = false;
+
+        if (!this.isAvailable() || !projectId) return null;
+
+        try {
+            const record = await this._request('readonly', store => store.get(projectId)) ||
+                await this._migrateLegacyRecord(projectId, legacyIds);
+            return record && (record.dirty || record.pendingSync) ? record : null;
+        } catch (error) {
+            console.error('自動保存データの読み込みエラー:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存済みのレコードをマネージャーに復元
+     * @param {Object} record - openSession() で取得したレコード
+     */
+    restore(record) {
+        Object.entries(this.managers).forEach(([key, manager]) => {
+            if (record.data && record.data[key]) {
+                manager.restoreSnapshot(record.data[key]);
+            }
+        });
+        this.dirty = !!record.dirty;
+        this.pendingSync = !!record.pendingSync;
+    }
+
+    /**
+     * 保存済みのレコードを破棄（復元しない場合）
+     */
+    async discard() {
+        this.dirty = false;
+        this.pendingSync = false;
+        await this._persist();
+    }
+
+    /**
+     * 自動保存を開始（現在の状態を基準とし、以降の変更を保存する）
+     */
+    activate() {
+        this.lastSerialized = this._serialize();
+        this.isActive = true;
+    }
+
+    /**
+     * 変更を通知し、待ち時間の経過後に保存する（連続した変更は1回にまとめる）
+     */
+    scheduleSave() {
+        if (!this.isActive) return;
+
+        this._cancelTimer();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this._saveNow();
+        }, this.delay);
+    }
+
+    /**
+     * 待機中の自動保存があれば直ちに保存（タブを閉じる・切り替える前に呼び出す）
+     */
+    async flush() {
+        if (!this.timer) return;
+
+        this._cancelTimer();
+        await this._saveNow();
+    }
+
+    /**
+     * データベース保存・ファイル出力・データベース読み込みの完了時に呼び出し、未保存の状態を解除
+     */
+    async markSaved() {
+        if (!this.isActive) return;
+
+        this._cancelTimer();
+        this.lastSerialized = this._serialize();
+        this.dirty = false;
+        await this._persist();
+    }
+
+    /**
+     * データベース保存の完了時に呼び出し、保留中の保存も解除
+     */
+    async markSynced() {
+        this.pendingSync = false;
+        await this.markSaved();
+    }
+
+    /**
+     * オフラインのためデータベース保存を保留
+     */
+    async queueSync() {
+        this.pendingSync = true;
+        this._cancelTimer();
+        this.lastSerialized = this._serialize();
+        await this._persist();
+    }
+
+    /**
+     * 保留中のデータベース保存があるかどうかを取得
+     * @returns {boolean} 保留中ならtrue
+     */
+    hasPendingSync() {
+        return this.pendingSync;
+    }
+
+    /**
+     * 現在の状態を保存（前回の保存から変わっていない場合は何もしない）
+     */
+    async _saveNow() {
+        if (!this.isActive) return;
+
+        const serialized = this._serialize();
+        if (serialized === this.lastSerialized) return;
+
+        this.lastSerialized = serialized;
+        this.dirty = true;
+        await this._persist();
+    }
+
+    /**
+     * 現在の状態と保存フラグをIndexedDBに書き込む
+     * 未保存の変更も保留中の保存もない場合はレコードを削除する
+     */
+    async _persist() {
+        if (!this.isAvailable() || !this.projectId) return;
+
+        const projectId = this.projectId;
+        try {
+            if (!this.dirty && !this.pendingSync) {
+                await this._request('readwrite', store => store.delete(projectId));
+                return;
+            }
+
+            const record = {
+                projectId,
+                savedAt: Date.now(),
+                dirty: this.dirty,
+                pendingSync: this.pendingSync,
+                data: JSON.parse(this.lastSerialized || this._serialize())
+            };
+            await this._request('readwrite', store => store.put(record));
+        } catch (error) {
+            console.error('自動保存エラー:', error);
+        }
+    }
+
+    /**
+     * 以前のキーで保存したレコードを新しいキーへ移す
+     * @param {string} projectId - 新しいキー
+     * @param {Array<string>} legacyIds - 以前のキー
+     * @returns {Promise<Object|null>} 移したレコード（ない場合はnull）
+     */
+    async _migrateLegacyRecord(projectId, legacyIds) {
+        const candidates = [...new Set(legacyIds)].filter(id => id && id !== projectId);
+        for (const legacyId of candidates) {
+            const legacy = await this._request('readonly', store => store.get(legacyId));
+            if (!legacy) continue;
+
+            const record = { ...legacy, projectId };
+            await this._request('readwrite', store => {
+                store.put(record);
+                return store.delete(legacyId);
+            });
+            return record;
+        }
+        return null;
+    }
+
+    /**
+     * 登録したマネージャーの状態を比較・保存用の文字列に変換
+     * @returns {string} JSON文字列
+     */
+    _serialize() {
+        const data = {};
+        Object.entries(this.managers).forEach(([key, manager]) => {
+            data[key] = manager.getSnapshot();
+        });
+        return JSON.stringify(data);
+    }
+
+    /**
+     * 待機中の自動保存を取り消す
+     */
+    _cancelTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * IndexedDBを開く（初回のみ）
+     * @returns {Promise<IDBDatabase>} データベース
+     */
+    _openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                        db.createObjectStore(SESSION_STORE, { keyPath: 'projectId' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * セッションストアに対する1件の操作を実行
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - ストアを受け取りIDBRequestを返す関数
+     * @returns {Promise<*>} 操作の結果
+     */
+    async _request(mode, operation) {
+        const db = await this._openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(SESSION_STORE, mode);
+            const request = operation(transaction.objectStore(SESSION_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
@@ -1,3 +1,16 @@
+import { CategoryStyles, DEFAULT_SPOT_STYLE } from '../utils/CategoryStyles.js';
+
+// アイコン付きのスポットマーカーの拡大率（アイコンが見えるよう、マーカーサイズ設定より大きく描く）
+export const ICON_MARKER_SCALE = 1.5;
+
+// 凡例の寸法（unit=1 の場合のピクセル数。画像出力のSVGでも同じ寸法を使う）
+export const LEGEND_LAYOUT = {
+    fontSize: 12,
+    rowHeight: 20,
+    padding: 8,
+    swatchSize: 14
+};
+
 /**
  * キャンバス描画を管理するクラス
  */
@@ -38,6 +51,10 @@ export class CanvasRenderer {
             spot: 12,
             areaVertex: 6
         };
+
+        // カテゴリごとの表示設定（カテゴリ名 → { shape, color, icon }）とアイコンの読み込み
+        this.categoryStyles = {};
+        this.iconCache = null;
     }
 
     /**
@@ -48,6 +65,22 @@ export class CanvasRenderer {
         this.markerSizes = { ...sizes };
     }
 
+    /**
+     * カテゴリごとの表示設定を設定
+     * @param {Object} styles - カテゴリ名 → 表示設定
+     */
+    setCategoryStyles(styles) {
+        this.categoryStyles = styles || {};
+    }
+
+    /**
+     * カテゴリのアイコンの読み込みに使うキャッシュを設定
+     * @param {CategoryIconCache} iconCache - アイコンのキャッシュ
+     */
+    setIconCache(iconCache) {
+        this.iconCache = iconCache;
+    }
+
     /**
      * 現在の画像を設定
      * @param {HTMLImageElement} image - 設定する画像
@@ -56,6 +89,26 @@ export class CanvasRenderer {
         this.currentImage = image;
     }
 
+    /**
+     * 画像座標1pxあたりのベースキャンバス（ズーム前）のピクセル数を取得
+     * マーカー座標は画像座標で保持しているため、描画・当たり判定時にこの倍率で投影する
+     * @returns {number} 画像→ベースキャンバスの倍率
+     */
+    getImageScale() {
+        if (!this.currentImage || !this.currentImage.width || this.baseWidth === 0) {
+            return 1.0;
+        }
+        return this.baseWidth / this.currentImage.width;
+    }
+
+    /**
+     * 画像座標からズーム適用後のキャンバス要素座標への描画倍率を取得
+     * @returns {number} 描画倍率（ズーム倍率 × 画像→ベースキャンバス倍率）
+     */
+    getDrawScale() {
+        return this.scale * this.getImageScale();
+    }
+
     /**
      * devicePixelRatioとズームスケールによる補正を適用
      * @param {number} value - 補正する値
@@ -80,7 +133,7 @@ export class CanvasRenderer {
 
     /**
      * 汎用マーカー描画メソッド
-     * @param {string} type - 'circle' | 'square' | 'diamond'
+     * @param {string} type - 'circle' | 'square' | 'diamond' | 'triangle'
      * @param {number} x - 中心X座標
      * @param {number} y - 中心Y座標
      * @param {number} size - サイズ（半径または一辺の長さ）
@@ -111,6 +164,12 @@ export class CanvasRenderer {
             this.ctx.lineTo(x, y + adjustedSize);  // 下
             this.ctx.lineTo(x - adjustedSize, y);  // 左
             this.ctx.closePath();
+        } else if (type === 'triangle') {
+            const halfWidth = adjustedSize * Math.sqrt(3) / 2;
+            this.ctx.moveTo(x, y - adjustedSize);                        // 上
+            this.ctx.lineTo(x + halfWidth, y + adjustedSize / 2);        // 右下
+            this.ctx.lineTo(x - halfWidth, y + adjustedSize / 2);        // 左下
+            this.ctx.closePath();
         }
 
         this.ctx.fill();
@@ -156,17 +215,18 @@ export class CanvasRenderer {
 
     /**
      * ルート経路（開始ポイント→中間点→終了ポイント）を折れ線で描画
-     * @param {Array} pathPoints - 経路上の点の配列 [{x, y}, ...]（キャンバス座標）
+     * @param {Array} pathPoints - 経路上の点の配列 [{x, y}, ...]（画像座標）
      * @param {number} canvasScale - キャンバスのスケール値
+     * @param {{color?: string, width?: number}} style - 線の色・太さ（省略時はルート経路のオレンジ色）
      */
-    drawRoutePath(pathPoints, canvasScale = 1.0) {
+    drawRoutePath(pathPoints, canvasScale = 1.0, style = {}) {
         if (!pathPoints || pathPoints.length < 2) return;
 
         // devicePixelRatio + ズーム倍率で補正し、線の太さを一定に保つ
-        const lineWidth = this.applyDevicePixelRatioCorrection(2.5, canvasScale);
+        const lineWidth = this.applyDevicePixelRatioCorrection(style.width || 2.5, canvasScale);
 
         this.ctx.save();
-        this.ctx.strokeStyle = 'rgba(255, 149, 0, 0.8)';
+        this.ctx.strokeStyle = style.color || 'rgba(255, 149, 0, 0.8)';
         this.ctx.lineWidth = lineWidth;
         this.ctx.lineJoin = 'round';
         this.ctx.lineCap = 'round';
@@ -210,32 +270,57 @@ export class CanvasRenderer {
     }
 
     /**
-     * スポット（正四角形マーカー）を描画
+     * スポットを描画
+     * カテゴリの表示設定がある場合はその形状・色・アイコンで、ない場合は青い正四角形で描く
      */
     drawSpots(spots, options = {}, canvasScale = 1.0) {
         const {
-            fillColor = '#0066ff',
-            strokeColor = '#ffffff',
             size = this.markerSizes.spot,
             strokeWidth = 1
         } = options;
 
         spots.forEach(spot => {
-            let currentFillColor = fillColor;
-            let currentStrokeColor = strokeColor;
+            const style = CategoryStyles.getStyle(this.categoryStyles, spot.category) || DEFAULT_SPOT_STYLE;
+            let fillColor = style.color;
+            let strokeColor = '#ffffff';
             let currentStrokeWidth = strokeWidth;
 
-            // ルート編集モードで開始点・終了点の場合は白抜きにする
-            if (options.showRouteMode && (spot.name === options.startPointId || spot.name === options.endPointId)) {
-                currentFillColor = '#ffffff';
-                currentStrokeColor = fillColor;
+            // ルート編集モードで開始点・終了点の場合は白抜きにする（アイコンは描かない）
+            const isEndpoint = options.showRouteMode && (spot.name === options.startPointId || spot.name === options.endPointId);
+            if (isEndpoint) {
+                fillColor = '#ffffff';
+                strokeColor = style.color;
                 currentStrokeWidth = 2.0;
             }
 
-            this.drawMarker('square', spot.x, spot.y, size, currentFillColor, currentStrokeColor, currentStrokeWidth, canvasScale);
+            this.drawSpotMarker(spot.x, spot.y, size, style, fillColor, strokeColor, currentStrokeWidth, canvasScale, !isEndpoint);
         });
     }
 
+    /**
+     * スポットのマーカーを1つ描画
+     * @param {number} x - 中心X座標
+     * @param {number} y - 中心Y座標
+     * @param {number} size - スポットマーカーのサイズ
+     * @param {{shape: string, color: string, icon: string}} style - 表示設定
+     * @param {string} fillColor - 塗りつぶし色
+     * @param {string} strokeColor - 枠線色
+     * @param {number} strokeWidth - 枠線の太さ
+     * @param {number} canvasScale - キャンバスのスケール値
+     * @param {boolean} withIcon - アイコンを描くか（読み込み前のアイコンは描かない）
+     */
+    drawSpotMarker(x, y, size, style, fillColor, strokeColor, strokeWidth, canvasScale, withIcon = true) {
+        const icon = withIcon && style.icon && this.iconCache ? this.iconCache.get(style.icon) : null;
+        const markerSize = icon ? size * ICON_MARKER_SCALE : size;
+        this.drawMarker(style.shape, x, y, CategoryStyles.getMarkerSize(style.shape, markerSize),
+            fillColor, strokeColor, strokeWidth, canvasScale);
+
+        if (icon) {
+            const iconSize = this.applyDevicePixelRatioCorrection(size, canvasScale);
+            this.ctx.drawImage(icon, x - iconSize / 2, y - iconSize / 2, iconSize, iconSize);
+        }
+    }
+
     /**
      * 多角形エリアを描画
      */
@@ -288,15 +373,17 @@ export class CanvasRenderer {
         cy /= vertices.length;
 
         const fontSize = this.applyDevicePixelRatioCorrection(12, canvasScale);
+        // 最小フォントサイズはベースキャンバス上で10px（画像座標に換算）
+        const minFontSize = 10 / this.getImageScale();
 
-        this.ctx.font = `bold ${Math.max(10, fontSize)}px sans-serif`;
+        this.ctx.font = `bold ${Math.max(minFontSize, fontSize)}px sans-serif`;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
 
         // 文字の背景（読みやすくするため）
         const metrics = this.ctx.measureText(name);
         const padding = 4 / canvasScale;
-        const textHeight = Math.max(10, fontSize);
+        const textHeight = Math.max(minFontSize, fontSize);
 
         // 背景色: エリア編集モードは白、それ以外はグレー
         this.ctx.fillStyle = isAreaEditMode ? 'rgba(255, 255, 255, 0.8)' : 'rgba(224, 224, 224, 0.8)';
@@ -328,10 +415,17 @@ export class CanvasRenderer {
             // 色設定
             // 選択中: ピンク (Fill: HotPink 40%, Stroke: DeepPink)
             // 未選択: 薄いピンク (Fill: Pink 20%, Stroke: DeepPink)
-            const fillColor = isSelected ? 'rgba(255, 105, 180, 0.4)' : 'rgba(255, 182, 193, 0.4)'; // HotPink vs LightPink
-            const strokeColor = isSelected ? '#ff1493' : '#ff69b4'; // DeepPink vs HotPink
+            // カテゴリの表示設定がある場合はその色（選択中は濃く塗る）
+            const style = CategoryStyles.getStyle(this.categoryStyles, area.category);
+            let fillColor = isSelected ? 'rgba(255, 105, 180, 0.4)' : 'rgba(255, 182, 193, 0.4)'; // HotPink vs LightPink
+            let strokeColor = isSelected ? '#ff1493' : '#ff69b4'; // DeepPink vs HotPink
             // 頂点の色は常にDeepPink (#ff1493)
-            const vertexColor = '#ff1493';
+            let vertexColor = '#ff1493';
+            if (style) {
+                fillColor = CategoryStyles.toRgba(style.color, isSelected ? 0.45 : 0.25);
+                strokeColor = style.color;
+                vertexColor = style.color;
+            }
             const strokeWidth = isSelected ? 3 : 2;
 
             // 頂点サイズ (選択中・未選択にかかわらず設定値を使用)
@@ -386,39 +480,143 @@ export class CanvasRenderer {
      *   - selectedRouteIndex: 選択中のルートインデックス
      *   - selectedAreaIndex: 選択中のエリアインデックス
      *   - showAreaEditMode: エリア編集モードかどうか
+     *   - highlightPath: 経路検索で強調表示する折れ線
+     *   - legend: 凡例 { entries, left, bottom }（キャンバス要素の座標、null = 非表示）
      */
     redraw(points = [], routePoints = [], spots = [], areas = [], options = {}) {
         this.drawImage();
 
-        // マーカー描画時にスケール変換を適用（canvas要素はズーム済みサイズ）
+        // マーカーは画像座標で保持しているため、画像→キャンバス要素（ズーム済みサイズ）の変換を適用
+        const drawScale = this.getDrawScale();
         this.ctx.save();
-        this.ctx.scale(this.scale, this.scale);
+        this.ctx.scale(drawScale, drawScale);
+
+        // 経路検索の結果（ルートの折れ線の下に太線で表示）
+        if (options.highlightPath && options.highlightPath.length >= 2) {
+            this.drawRoutePath(options.highlightPath, drawScale, { color: 'rgba(0, 122, 255, 0.6)', width: 7 });
+        }
 
         // ルート経路の折れ線描画（マーカーより下に表示するため先に描画）
         if (options.routePath && options.routePath.length >= 2) {
-            this.drawRoutePath(options.routePath, this.scale);
+            this.drawRoutePath(options.routePath, drawScale);
         }
 
-        // 現在のスケール値をマーカー描画メソッドに渡す
-        this.drawPoints(points, options, this.scale);
+        // 現在の描画倍率をマーカー描画メソッドに渡す（画面上のマーカーサイズを一定に保つ）
+        this.drawPoints(points, options, drawScale);
 
         // ルート中間点の描画（複数ルート対応）
         if (options.allRoutes && Array.isArray(options.allRoutes) && options.allRoutes.length > 0) {
             // 複数ルート対応: 選択中のルートは通常サイズ（radius=6）、未選択は小さく（radius=4）
-            this.drawAllRoutesWaypoints(options.allRoutes, options.selectedRouteIndex !== undefined ? options.selectedRouteIndex : -1, this.scale);
+            this.drawAllRoutesWaypoints(options.allRoutes, options.selectedRouteIndex !== undefined ? options.selectedRouteIndex : -1, drawScale);
         } else if (routePoints && routePoints.length > 0) {
             // 後方互換性: 従来の方式（選択中のルートのみ）
-            this.drawRoutePoints(routePoints, this.scale);
+            this.drawRoutePoints(routePoints, drawScale);
         }
 
-        this.drawSpots(spots, options, this.scale);
+        this.drawSpots(spots, options, drawScale);
 
         // エリアの描画
         const selectedAreaIndex = options.selectedAreaIndex !== undefined ? options.selectedAreaIndex : -1;
         const isAreaEditMode = options.showAreaEditMode === true;
-        this.drawAllAreas(areas, selectedAreaIndex, this.scale, isAreaEditMode);
+        this.drawAllAreas(areas, selectedAreaIndex, drawScale, isAreaEditMode);
+
+        // 複数選択したオブジェクトの強調表示（すべてのマーカーの上に描く）
+        if (options.selection) {
+            this.drawSelection(options.selection.type, options.selection.items, drawScale);
+        }
 
         this.ctx.restore();
+
+        // 凡例（キャンバス要素の座標で、ズームによらず一定の大きさで描く）
+        if (options.legend) {
+            this.drawLegend(options.legend.entries, options.legend.left, options.legend.bottom, 1 / this.dpr);
+        }
+    }
+
+    /**
+     * 選択中のオブジェクトを囲む破線の円を描画
+     * @param {string} type - オブジェクトの種類（'point' | 'spot' | 'routePoint' | 'vertex'）
+     * @param {Array<{x: number, y: number}>} items - 選択中のオブジェクト
+     * @param {number} canvasScale - 描画倍率
+     */
+    drawSelection(type, items, canvasScale = 1.0) {
+        const markerSizes = {
+            point: this.markerSizes.point,
+            spot: this.markerSizes.spot * ICON_MARKER_SCALE / 2,
+            routePoint: this.markerSizes.selectedWaypoint,
+            vertex: this.markerSizes.areaVertex || 6
+        };
+        const radius = this.applyDevicePixelRatioCorrection((markerSizes[type] || 6) + 5, canvasScale);
+        const lineWidth = this.applyDevicePixelRatioCorrection(2, canvasScale);
+        const dash = this.applyDevicePixelRatioCorrection(4, canvasScale);
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = '#007aff';
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash([dash, dash]);
+        items.forEach(item => {
+            ctx.beginPath();
+            ctx.arc(item.x, item.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * カテゴリの凡例を描画（変換を適用していないキャンバス座標で描く）
+     * @param {Array<{label: string, kind: string, style: Object|null}>} entries - 凡例の項目（CategoryStyles.getLegendEntries() の結果）
+     * @param {number} left - 凡例の左端
+     * @param {number} bottom - 凡例の下端
+     * @param {number} unit - 寸法の倍率（文字・マーカーの大きさ）
+     */
+    drawLegend(entries, left, bottom, unit = 1) {
+        if (!entries || entries.length === 0) return;
+
+        const ctx = this.ctx;
+        const padding = LEGEND_LAYOUT.padding * unit;
+        const rowHeight = LEGEND_LAYOUT.rowHeight * unit;
+        const swatchSize = LEGEND_LAYOUT.swatchSize * unit;
+        // drawMarker() はサイズを dpr × canvasScale で割るため、見本の大きさが swatchSize になる値を渡す
+        const markerScale = 1 / (unit * this.dpr);
+
+        ctx.save();
+        ctx.font = `${LEGEND_LAYOUT.fontSize * unit}px sans-serif`;
+        const textWidth = Math.max(...entries.map(entry => ctx.measureText(entry.label).width));
+        const width = padding * 3 + swatchSize + textWidth;
+        const height = padding * 2 + rowHeight * entries.length;
+        const top = bottom - height;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.strokeStyle = '#95a5a6';
+        ctx.lineWidth = unit;
+        ctx.fillRect(left, top, width, height);
+        ctx.strokeRect(left, top, width, height);
+
+        entries.forEach((entry, i) => {
+            const cx = left + padding + swatchSize / 2;
+            const cy = top + padding + rowHeight * (i + 0.5);
+
+            if (entry.kind === 'area') {
+                const swatchHeight = swatchSize * 0.7;
+                ctx.fillStyle = entry.style ? CategoryStyles.toRgba(entry.style.color, 0.25) : 'rgba(255, 182, 193, 0.4)';
+                ctx.strokeStyle = entry.style ? entry.style.color : '#ff69b4';
+                ctx.lineWidth = 2 * unit;
+                ctx.fillRect(cx - swatchSize / 2, cy - swatchHeight / 2, swatchSize, swatchHeight);
+                ctx.strokeRect(cx - swatchSize / 2, cy - swatchHeight / 2, swatchSize, swatchHeight);
+            } else {
+                // アイコン付きのマーカーは拡大して描かれるため、見本の大きさがそろうよう小さく指定する
+                const style = entry.style || DEFAULT_SPOT_STYLE;
+                const size = style.icon ? swatchSize / ICON_MARKER_SCALE : swatchSize;
+                this.drawSpotMarker(cx, cy, size, style, style.color, '#ffffff', 1, markerScale);
+            }
+
+            ctx.fillStyle = '#2c3e50';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(entry.label, left + padding * 2 + swatchSize, cy);
+        });
+        ctx.restore();
     }
 
     /**
@@ -478,6 +676,15 @@ export class CanvasRenderer {
         this._resizeCanvas();
     }
 
+    /**
+     * 倍率を指定してズーム（最小・最大倍率の範囲に収める）
+     * @param {number} scale - 倍率
+     */
+    setScale(scale) {
+        this.scale = Math.min(Math.max(scale, this.minScale), this.maxScale);
+        this._resizeCanvas();
+    }
+
     /**
      * スケールに応じてcanvas要素のサイズを変更
      */
@@ -536,18 +743,43 @@ export class CanvasRenderer {
 
     /**
      * 削除範囲指定用の長方形を描画（薄いピンク色）
-     * @param {number} x1 - 開始点X座標
-     * @param {number} y1 - 開始点Y座標
-     * @param {number} x2 - 終了点X座標
-     * @param {number} y2 - 終了点Y座標
+     * @param {number} x1 - 開始点X座標（画像座標）
+     * @param {number} y1 - 開始点Y座標（画像座標）
+     * @param {number} x2 - 終了点X座標（画像座標）
+     * @param {number} y2 - 終了点Y座標（画像座標）
      */
     drawDeletionRectangle(x1, y1, x2, y2) {
+        // 薄いピンク色の塗りつぶしとピンク色の縁
+        this.drawRangeRectangle(x1, y1, x2, y2, 'rgba(255, 182, 193, 0.3)', 'rgba(255, 105, 180, 0.8)');
+    }
+
+    /**
+     * 範囲選択の矩形を描画
+     * @param {number} x1 - 開始点X座標（画像座標）
+     * @param {number} y1 - 開始点Y座標（画像座標）
+     * @param {number} x2 - 終了点X座標（画像座標）
+     * @param {number} y2 - 終了点Y座標（画像座標）
+     */
+    drawSelectionRectangle(x1, y1, x2, y2) {
+        this.drawRangeRectangle(x1, y1, x2, y2, 'rgba(0, 122, 255, 0.12)', 'rgba(0, 122, 255, 0.8)');
+    }
+
+    /**
+     * 範囲指定の矩形（削除範囲・選択範囲）を描画
+     * @param {number} x1 - 開始点X座標（画像座標）
+     * @param {number} y1 - 開始点Y座標（画像座標）
+     * @param {number} x2 - 終了点X座標（画像座標）
+     * @param {number} y2 - 終了点Y座標（画像座標）
+     * @param {string} fillColor - 塗りつぶしの色
+     * @param {string} strokeColor - 縁の色
+     */
+    drawRangeRectangle(x1, y1, x2, y2, fillColor, strokeColor) {
         const ctx = this.ctx;
-        const canvasScale = this.scale;
+        const canvasScale = this.getDrawScale();
 
         ctx.save();
 
-        // スケール変換を適用（canvas要素はズーム済みサイズ）
+        // 画像座標→キャンバス要素（ズーム済みサイズ）の変換を適用
         ctx.scale(canvasScale, canvasScale);
 
         // 左上座標と幅・高さを計算
@@ -556,12 +788,10 @@ export class CanvasRenderer {
         const width = Math.abs(x2 - x1);
         const height = Math.abs(y2 - y1);
 
-        // 薄いピンク色の塗りつぶし長方形
-        ctx.fillStyle = 'rgba(255, 182, 193, 0.3)'; // lightpink with 30% opacity
+        ctx.fillStyle = fillColor;
         ctx.fillRect(left, top, width, height);
 
-        // ピンク色の縁
-        ctx.strokeStyle = 'rgba(255, 105, 180, 0.8)'; // hotpink with 80% opacity
+        ctx.strokeStyle = strokeColor;
         ctx.lineWidth = 2 / this.dpr / canvasScale;
         ctx.strokeRect(left, top, width, height);
 
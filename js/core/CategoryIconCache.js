@@ -0,0 +1,95 @@
+import { CATEGORY_ICONS } from '../utils/CategoryStyles.js';
+
+/**
+ * カテゴリのアイコン（SVGファイル）を読み込んで保持するクラス
+ * SVGはデータURLに変換して保持し、キャンバス描画（HTMLImageElement）とSVG画像出力への埋め込みの両方に使う
+ */
+export class CategoryIconCache {
+    constructor() {
+        // アイコンID → { image, dataUrl }（読み込み済みのもの）
+        this.icons = new Map();
+        // アイコンID → 読み込み中のPromise
+        this.loading = new Map();
+        // 読み込めなかったアイコンID（描画のたびに読み込み直さない）
+        this.failed = new Set();
+        // 読み込み完了時に呼ぶ関数（再描画用）
+        this.onLoad = null;
+    }
+
+    /**
+     * 読み込み完了時に呼ぶ関数を設定
+     * @param {Function} callback - コールバック関数
+     */
+    setOnLoad(callback) {
+        this.onLoad = callback;
+    }
+
+    /**
+     * 読み込み済みのアイコン画像を取得（未読み込みの場合は読み込みを開始してnullを返す）
+     * @param {string} iconId - アイコンID
+     * @returns {HTMLImageElement|null} アイコン画像
+     */
+    get(iconId) {
+        const icon = this.icons.get(iconId);
+        if (icon) return icon.image;
+        if (this.failed.has(iconId) || this.loading.has(iconId)) return null;
+        this.load(iconId).then(() => {
+            if (this.onLoad) this.onLoad();
+        }, (error) => {
+            this.failed.add(iconId);
+            console.warn(error.message);
+        });
+        return null;
+    }
+
+    /**
+     * 読み込み済みのアイコンのデータURLを取得
+     * @param {string} iconId - アイコンID
+     * @returns {string|null} データURL（未読み込みの場合はnull）
+     */
+    getDataUrl(iconId) {
+        const icon = this.icons.get(iconId);
+        return icon ? icon.dataUrl : null;
+    }
+
+    /**
+     * アイコンを読み込む
+     * @param {string} iconId - アイコンID
+     * @returns {Promise<void>} 読み込み完了（失敗した場合はreject）
+     */
+    load(iconId) {
+        if (this.icons.has(iconId)) return Promise.resolve();
+        if (this.loading.has(iconId)) return this.loading.get(iconId);
+
+        const definition = CATEGORY_ICONS[iconId];
+        if (!definition) return Promise.reject(new Error(`アイコン「${iconId}」は登録されていません`));
+
+        const promise = fetch(definition.file)
+            .then(response => {
+                if (!response.ok) throw new Error(`アイコン「${definition.file}」を読み込めませんでした`);
+                return response.text();
+            })
+            .then(text => new Promise((resolve, reject) => {
+                const dataUrl = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(text);
+                const image = new Image();
+                image.onload = () => {
+                    this.icons.set(iconId, { image, dataUrl });
+                    resolve();
+                };
+                image.onerror = () => reject(new Error(`アイコン「${definition.file}」を表示できませんでした`));
+                image.src = dataUrl;
+            }))
+            .finally(() => this.loading.delete(iconId));
+        this.loading.set(iconId, promise);
+        return promise;
+    }
+
+    /**
+     * 複数のアイコンをまとめて読み込む（画像出力の前に使う。読み込めなかったアイコンは描画しない）
+     * @param {Array<string>} iconIds - アイコンID
+     * @returns {Promise<void>} すべての読み込みの完了
+     */
+    async preload(iconIds) {
+        await Promise.allSettled([...new Set(iconIds)].filter(Boolean).map(iconId => this.load(iconId)));
+    }
+}
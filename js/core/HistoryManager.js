@@ -0,0 +1,376 @@
+import { BaseManager } from './BaseManager.js';
+
+/**
+ * 追跡対象のマネージャーメソッド定義
+ * label: 元に戻す/やり直し時に表示する操作名
+ * merge: 連続入力を1件にまとめるためのキー（open=trueの間は同じキーの操作を結合する）
+ */
+const TRACKED_METHODS = {
+    point: {
+        addPoint: { label: 'ポイント追加' },
+        removePoint: { label: 'ポイント削除' },
+        removePoints: { label: 'ポイント削除' },
+        movePoints: {
+            label: 'ポイント移動',
+            merge: (args) => ({ key: `point-move:${args[0].join(',')}`, open: true })
+        },
+        updatePointId: {
+            label: 'ポイントID変更',
+            merge: (args) => ({ key: `point-id:${args[0]}`, open: !!args[2] })
+        },
+        updatePointElevation: { label: 'ポイントの標高変更' },
+        updatePointAttributes: { label: 'ポイントの属性変更' },
+        clearPoints: { label: 'ポイント全削除' },
+        removeTrailingEmptyUserPoints: { label: '未入力ポイント削除' }
+    },
+    spot: {
+        addSpot: { label: 'スポット追加' },
+        removeSpot: { label: 'スポット削除' },
+        removeSpots: { label: 'スポット削除' },
+        updateSpotPosition: { label: 'スポット移動' },
+        moveSpots: {
+            label: 'スポット移動',
+            merge: (args) => ({ key: `spot-move:${args[0].join(',')}`, open: true })
+        },
+        updateSpotName: {
+            label: 'スポット名変更',
+            merge: (args) => ({ key: `spot-name:${args[0]}`, open: !!args[2] })
+        },
+        updateSpotElevation: { label: 'スポットの標高変更' },
+        updateSpotAttributes: { label: 'スポットの属性変更' },
+        clearSpots: { label: 'スポット全削除' },
+        removeTrailingEmptySpots: { label: '未入力スポット削除' }
+    },
+    route: {
+        addRoute: { label: 'ルート追加' },
+        deleteRoute: { label: 'ルート削除' },
+        deleteRoutes: { label: 'ルート削除' },
+        replaceEndpointId: { label: 'ルートの開始・終了ポイント付け替え' },
+        addRoutePoint: { label: '中間点追加' },
+        updateRoutePoint: { label: '中間点移動' },
+        moveRoutePoints: {
+            label: '中間点移動',
+            merge: (args) => ({ key: `route-point-move:${args[0].join(',')}`, open: true })
+        },
+        removeRoutePoint: { label: '中間点削除' },
+        removeRoutePoints: { label: '中間点の範囲削除' },
+        optimizeRouteAt: { label: 'ルート最適化' },
+        setRoutePointsAt: { label: '線に沿った中間点の追跡' },
+        updateRouteAttributes: { label: 'ルートの属性変更' },
+        clearRoutePoints: { label: '中間点クリア' },
+        clearRoute: { label: 'ルートクリア' },
+        clearAllRoutes: { label: 'ルート全削除' },
+        setStartPoint: { label: '開始ポイント変更' },
+        setEndPoint: { label: '終了ポイント変更' }
+    },
+    area: {
+        addArea: { label: 'エリア追加' },
+        deleteArea: { label: 'エリア削除' },
+        addVertex: { label: '頂点追加' },
+        updateVertex: { label: '頂点移動' },
+        moveVertices: {
+            label: '頂点移動',
+            merge: (args) => ({ key: `vertex-move:${args[0].join(',')}`, open: true })
+        },
+        removeVertex: { label: '頂点削除' },
+        removeVertices: { label: '頂点の範囲削除' },
+        reinsertNearestEdge: { label: '頂点の並べ替え' },
+        setAreaName: { label: 'エリア名変更' },
+        updateAreaAttributes: { label: 'エリアの属性変更' },
+        clearAreas: { label: 'エリア全削除' }
+    }
+};
+
+/**
+ * 編集操作の履歴（元に戻す/やり直し）を管理するクラス
+ * 登録したマネージャーの変更系メソッドの前後でスナップショットを取り、
+ * 差分のあった操作を1件のコマンドとして上限付きのスタックに積む
+ */
+export class HistoryManager extends BaseManager {
+    /**
+     * @param {number} maxSize - 保持する履歴の上限件数
+     */
+    constructor(maxSize = 100) {
+        super();
+        this.maxSize = maxSize;
+        this.managers = {};
+        this.undoStack = [];
+        this.redoStack = [];
+        // 追跡中メソッドのネスト深さ（内部で呼ばれる別メソッドは記録しない）
+        this.trackingDepth = 0;
+        // グループ記録中の情報（ドラッグ等の連続操作を1件にまとめる）
+        this.group = null;
+        this.groupDepth = 0;
+        // 元に戻す/やり直しの適用中フラグ
+        this.isApplying = false;
+    }
+
+    /**
+     * マネージャーを履歴の対象として登録
+     * マネージャーは getSnapshot() / restoreSnapshot(snapshot) を実装している必要がある
+     * @param {string} key - マネージャー種別（'point' | 'spot' | 'route' | 'area'）
+     * @param {Object} manager - 対象マネージャー
+     */
+    register(key, manager) {
+        this.managers[key] = manager;
+
+        const methods = TRACKED_METHODS[key] || {};
+        Object.entries(methods).forEach(([methodName, definition]) => {
+            const original = manager[methodName];
+            if (typeof original !== 'function') return;
+
+            manager[methodName] = (...args) => {
+                return this._track(key, definition, args, () => original.apply(manager, args));
+            };
+        });
+    }
+
+    /**
+     * 追跡対象メソッドを実行し、変更があれば履歴に記録
+     * @param {string} key - マネージャー種別
+     * @param {Object} definition - メソッド定義（label, merge）
+     * @param {Array} args - メソッド引数
+     * @param {Function} invoke - 元のメソッド呼び出し
+     * @returns {*} 元のメソッドの戻り値
+     */
+    _track(key, definition, args, invoke) {
+        if (this.isApplying || this.group || this.trackingDepth > 0) {
+            return invoke();
+        }
+
+        const before = this._serialize(key);
+        this.trackingDepth++;
+        let result;
+        try {
+            result = invoke();
+        } finally {
+            this.trackingDepth--;
+        }
+        const after = this._serialize(key);
+        const merge = definition.merge ? definition.merge(args) : null;
+
+        if (before === after) {
+            // 値が変わらない確定操作（blur等）でも入力中エントリは閉じる
+            const last = this.undoStack[this.undoStack.length - 1];
+            if (merge && !merge.open && last && last.mergeKey === merge.key) {
+                last.open = false;
+            }
+        } else {
+            this._push({
+                label: definition.label,
+                changes: [{ key, before, after }],
+                mergeKey: merge ? merge.key : null,
+                open: merge ? merge.open : false
+            });
+        }
+        return result;
+    }
+
+    /**
+     * 複数の操作を1件の履歴としてまとめる記録を開始
+     * endGroup() と対で呼び出す（ネスト可能、最も外側のラベル・結合キーを使用）
+     * @param {string} label - 操作名
+     * @param {string|null} mergeKey - 入力中のエントリ（同じ結合キー）に結合して閉じる場合のキー（ID・名前の確定と連動する変更用）
+     */
+    beginGroup(label, mergeKey = null) {
+        if (this.isApplying) return;
+        if (this.groupDepth === 0) {
+            const before = {};
+            Object.keys(this.managers).forEach(key => {
+                before[key] = this._serialize(key);
+            });
+            this.group = { label, before, mergeKey };
+        }
+        this.groupDepth++;
+    }
+
+    /**
+     * グループ記録を終了し、変更があれば履歴に積む
+     */
+    endGroup() {
+        if (this.groupDepth === 0) return;
+        this.groupDepth--;
+        if (this.groupDepth > 0) return;
+
+        const { label, before, mergeKey } = this.group;
+        this.group = null;
+
+        const changes = [];
+        Object.keys(before).forEach(key => {
+            const after = this._serialize(key);
+            if (before[key] !== after) {
+                changes.push({ key, before: before[key], after });
+            }
+        });
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (changes.length > 0) {
+            this._push({ label, changes, mergeKey, open: false });
+        } else if (mergeKey && last && last.mergeKey === mergeKey) {
+            // 値が変わらない確定操作でも入力中エントリは閉じる
+            last.open = false;
+        }
+    }
+
+    /**
+     * 直前の操作を元に戻す
+     * @returns {string|null} 元に戻した操作名、対象がない場合はnull
+     */
+    undo() {
+        if (this.group || this.undoStack.length === 0) return null;
+
+        const entry = this.undoStack.pop();
+        this._apply(entry, 'before');
+        this.redoStack.push(entry);
+        this.notify('onHistoryChange', this.getState());
+        return entry.label;
+    }
+
+    /**
+     * 元に戻した操作をやり直す
+     * @returns {string|null} やり直した操作名、対象がない場合はnull
+     */
+    redo() {
+        if (this.group || this.redoStack.length === 0) return null;
+
+        const entry = this.redoStack.pop();
+        this._apply(entry, 'after');
+        this.undoStack.push(entry);
+        this.notify('onHistoryChange', this.getState());
+        return entry.label;
+    }
+
+    /**
+     * 履歴に記録しない変更（共同編集者の変更）を反映したあと、履歴をその変更の上に付け替える
+     * 元に戻す・やり直しで戻る各状態にも同じ変更を当てるため、自分の操作を元に戻しても共同編集者の変更は残る。
+     * 付け替えで変更前と変更後が同じになった操作（共同編集者の変更で上書きされた操作）は履歴から除く
+     * @param {Object<string, Function>} transforms - マネージャー種別 → スナップショット（直接書き換える）に同じ変更を当てる関数
+     */
+    rebase(transforms) {
+        const rebaseState = (key, serialized) => {
+            const snapshot = JSON.parse(serialized);
+            transforms[key](snapshot);
+            return JSON.stringify(snapshot);
+        };
+        const rebaseEntries = (entries) => entries.filter(entry => {
+            entry.changes = entry.changes.filter(change => {
+                if (!transforms[change.key]) return true;
+                change.before = rebaseState(change.key, change.before);
+                change.after = rebaseState(change.key, change.after);
+                return change.before !== change.after;
+            });
+            return entry.changes.length > 0;
+        });
+
+        this.undoStack = rebaseEntries(this.undoStack);
+        this.redoStack = rebaseEntries(this.redoStack);
+        // グループ記録中の場合は、終了時の差分に共同編集者の変更が含まれないようにする
+        if (this.group) {
+            Object.keys(this.group.before).forEach(key => {
+                if (transforms[key]) {
+                    this.group.before[key] = rebaseState(key, this.group.before[key]);
+                }
+            });
+        }
+        this.notify('onHistoryChange', this.getState());
+    }
+
+    /**
+     * 履歴をすべて破棄
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify('onHistoryChange', this.getState());
+    }
+
+    /**
+     * 履歴の状態を取得
+     * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}}
+     */
+    getState() {
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+        return {
+            canUndo: this.undoStack.length > 0,
+            canRedo: this.redoStack.length > 0,
+            undoLabel: lastUndo ? lastUndo.label : null,
+            redoLabel: lastRedo ? lastRedo.label : null
+        };
+    }
+
+    /**
+     * 追跡対象メソッドの連続入力の結合キーを取得（beginGroup() で入力中のエントリに結合する場合に使う）
+     * @param {string} key - マネージャー種別
+     * @param {string} methodName - メソッド名
+     * @param {Array} args - メソッド引数
+     * @returns {string|null} 結合キー（結合しないメソッドはnull）
+     */
+    getMergeKey(key, methodName, args) {
+        const definition = (TRACKED_METHODS[key] || {})[methodName];
+        return definition && definition.merge ? definition.merge(args).key : null;
+    }
+
+    /**
+     * グループ記録中（ドラッグ・読み込み等の連続操作の途中）かどうかを取得
+     * @returns {boolean} グループ記録中ならtrue
+     */
+    isGrouping() {
+        return this.groupDepth > 0;
+    }
+
+    /**
+     * 履歴エントリを積む（入力中の連続変更は直前のエントリに結合）
+     * @param {Object} entry - 履歴エントリ
+     */
+    _push(entry) {
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (entry.mergeKey && last && last.open && last.mergeKey === entry.mergeKey) {
+            // 結合先にないマネージャーの変更（確定と連動したルートの付け替え等）は変更前の状態ごと加える
+            entry.changes.forEach(change => {
+                const existing = last.changes.find(c => c.key === change.key);
+                if (existing) {
+                    existing.after = change.after;
+                } else {
+                    last.changes.push(change);
+                }
+            });
+            last.open = entry.open;
+        } else {
+            this.undoStack.push(entry);
+            if (this.undoStack.length > this.maxSize) {
+                this.undoStack.shift();
+            }
+        }
+        this.redoStack = [];
+        this.notify('onHistoryChange', this.getState());
+    }
+
+    /**
+     * 履歴エントリの状態をマネージャーに反映
+     * @param {Object} entry - 履歴エントリ
+     * @param {string} side - 'before'（元に戻す） | 'after'（やり直し）
+     */
+    _apply(entry, side) {
+        this.isApplying = true;
+        try {
+            entry.changes.forEach(change => {
+                const manager = this.managers[change.key];
+                if (manager) {
+                    manager.restoreSnapshot(JSON.parse(change[side]));
+                }
+            });
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * マネージャーの状態を比較・保存用の文字列に変換
+     * @param {string} key - マネージャー種別
+     * @returns {string} JSON文字列
+     */
+    _serialize(key) {
+        return JSON.stringify(this.managers[key].getSnapshot());
+    }
+}
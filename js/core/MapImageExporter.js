@@ -0,0 +1,346 @@
+import { CanvasRenderer, ICON_MARKER_SCALE, LEGEND_LAYOUT } from './Canvas.js';
+import { CategoryStyles, DEFAULT_SPOT_STYLE } from '../utils/CategoryStyles.js';
+import { XmlUtils } from '../utils/XmlUtils.js';
+
+// マーカー・線・文字の大きさの基準とする画像サイズ（長辺のピクセル数）
+// これより大きい画像では、画面に全体表示した時と同程度の見た目になるよう拡大して描画する
+const REFERENCE_IMAGE_SIZE = 1200;
+
+// ラベルの文字サイズ（基準サイズでのピクセル数）
+const LABEL_FONT_SIZE = 12;
+
+// 凡例と画像の左下の角との間隔（基準サイズでのピクセル数）
+const LEGEND_MARGIN = 12;
+
+/**
+ * マーカーを描き込んだ地図画像（PNG・SVG）を作成するクラス
+ * 画面上のキャンバスとは別に元画像の実サイズで描画するため、表示サイズ・ズーム・devicePixelRatioに依存しない
+ *
+ * 描画データ: { points, spots, routes: [{ routeName, path, routePoints }], areas, legend }
+ * - path: 開始ポイント→中間点→終了ポイントの経路（画像座標）
+ * - legend: 凡例の項目（CategoryStyles.getLegendEntries() の結果）
+ * レイヤー: { image, areas, routes, points, spots, labels, legend }（trueのものだけを描画）
+ */
+export class MapImageExporter {
+    /**
+     * @param {Object} markerSizes - マーカーサイズ設定（CanvasRenderer.markerSizes と同じ形式）
+     * @param {Object} categoryStyles - カテゴリごとの表示設定
+     * @param {CategoryIconCache|null} iconCache - カテゴリのアイコン（読み込み済みのものだけを描画）
+     */
+    constructor(markerSizes, categoryStyles = {}, iconCache = null) {
+        this.markerSizes = { ...markerSizes };
+        this.categoryStyles = categoryStyles;
+        this.iconCache = iconCache;
+    }
+
+    /**
+     * PNG画像を作成
+     * 描画はCanvasRendererの描画メソッドを使い、画面表示と同じ見た目にする
+     * @param {HTMLImageElement} image - 元画像
+     * @param {Object} data - 描画データ
+     * @param {Object} layers - 描画するレイヤー
+     * @returns {Promise<Blob>} PNG画像
+     */
+    async renderPng(image, data, layers) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+
+        // 画像座標＝キャンバス座標となるよう、ズーム・devicePixelRatioのない描画クラスを用意
+        const renderer = new CanvasRenderer(canvas);
+        renderer.dpr = 1.0;
+        renderer.baseWidth = image.width;
+        renderer.baseHeight = image.height;
+        renderer.setImage(image);
+        renderer.setMarkerSizes(this.markerSizes);
+        renderer.setCategoryStyles(this.categoryStyles);
+        renderer.setIconCache(this.iconCache);
+
+        const markerScale = this._getMarkerScale(image);
+        // 描画メソッドはサイズをcanvasScaleで割るため、逆数を渡して拡大する
+        const canvasScale = 1 / markerScale;
+        const ctx = renderer.ctx;
+
+        if (layers.image) {
+            ctx.drawImage(image, 0, 0, image.width, image.height);
+        }
+
+        // 画面表示（CanvasRenderer.redraw）と同じ重なり順で描画
+        if (layers.routes) {
+            data.routes.forEach(route => renderer.drawRoutePath(route.path, canvasScale));
+        }
+        if (layers.points) {
+            renderer.drawPoints(data.points, {}, canvasScale);
+        }
+        if (layers.routes) {
+            renderer.drawAllRoutesWaypoints(data.routes, -1, canvasScale);
+        }
+        if (layers.spots) {
+            renderer.drawSpots(data.spots, {}, canvasScale);
+        }
+        if (layers.areas) {
+            // エリア名はラベルレイヤーとして扱う
+            const areas = layers.labels ? data.areas : data.areas.map(area => ({ ...area, areaName: null }));
+            renderer.drawAllAreas(areas, -1, canvasScale, false);
+        }
+
+        if (layers.labels) {
+            const fontSize = LABEL_FONT_SIZE * markerScale;
+            ctx.save();
+            ctx.font = `bold ${fontSize}px sans-serif`;
+            ctx.lineJoin = 'round';
+            ctx.lineWidth = fontSize / 4;
+            ctx.strokeStyle = '#ffffff';
+            ctx.fillStyle = '#000000';
+            // エリア名はdrawAllAreas()で描画済み
+            this._getLabels(data, layers, markerScale, false).forEach(label => {
+                ctx.textAlign = label.align;
+                ctx.textBaseline = 'middle';
+                ctx.strokeText(label.text, label.x, label.y);
+                ctx.fillText(label.text, label.x, label.y);
+            });
+            ctx.restore();
+        }
+
+        if (layers.legend) {
+            const margin = LEGEND_MARGIN * markerScale;
+            renderer.drawLegend(data.legend, margin, image.height - margin, markerScale);
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('画像が大きすぎるため、PNG画像を作成できませんでした'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * SVG画像を作成（マーカー・線・ラベルはベクター形式）
+     * 背景画像レイヤーを選んだ場合は元画像をPNGとして埋め込む
+     * @param {HTMLImageElement} image - 元画像
+     * @param {Object} data - 描画データ
+     * @param {Object} layers - 描画するレイヤー
+     * @returns {string} SVG文書
+     */
+    renderSvg(image, data, layers) {
+        const { width, height } = image;
+        const markerScale = this._getMarkerScale(image);
+        const sizes = this.markerSizes;
+        const n = (value) => Math.round(value * 100) / 100;
+        const esc = (text) => XmlUtils.escape(text);
+        const polyline = (coords) => coords.map(c => `${n(c.x)},${n(c.y)}`).join(' ');
+
+        // 配色・線の太さはキャンバス描画（CanvasRenderer）と同じ
+        const marker = (type, x, y, size, fill, stroke, strokeWidth) => {
+            const s = size * markerScale;
+            const style = `fill="${fill}" stroke="${stroke}" stroke-width="${n(strokeWidth * markerScale)}"`;
+            if (type === 'circle') {
+                return `<circle cx="${n(x)}" cy="${n(y)}" r="${n(s)}" ${style}/>`;
+            }
+            if (type === 'square') {
+                return `<rect x="${n(x - s / 2)}" y="${n(y - s / 2)}" width="${n(s)}" height="${n(s)}" ${style}/>`;
+            }
+            if (type === 'triangle') {
+                const halfWidth = s * Math.sqrt(3) / 2;
+                return `<polygon points="${polyline([{ x, y: y - s }, { x: x + halfWidth, y: y + s / 2 }, { x: x - halfWidth, y: y + s / 2 }])}" ${style}/>`;
+            }
+            return `<polygon points="${polyline([{ x, y: y - s }, { x: x + s, y }, { x, y: y + s }, { x: x - s, y }])}" ${style}/>`;
+        };
+
+        // スポットはカテゴリの表示設定の形状・色で描き、アイコンを重ねる（CanvasRenderer.drawSpotMarker と同じ大きさ）
+        const spotMarker = (x, y, size, style) => {
+            const iconUrl = style.icon && this.iconCache ? this.iconCache.getDataUrl(style.icon) : null;
+            const markerSize = iconUrl ? size * ICON_MARKER_SCALE : size;
+            let svg = marker(style.shape, x, y, CategoryStyles.getMarkerSize(style.shape, markerSize), style.color, '#ffffff', 1);
+            if (iconUrl) {
+                const s = size * markerScale;
+                svg += `<image href="${iconUrl}" x="${n(x - s / 2)}" y="${n(y - s / 2)}" width="${n(s)}" height="${n(s)}"/>`;
+            }
+            return svg;
+        };
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        ];
+
+        if (layers.image) {
+            lines.push(`  <image href="${this._getImageDataUrl(image)}" x="0" y="0" width="${width}" height="${height}"/>`);
+        }
+
+        if (layers.routes) {
+            lines.push('  <g id="routes" fill="none" stroke="rgba(255, 149, 0, 0.8)" ' +
+                `stroke-width="${n(2.5 * markerScale)}" stroke-linejoin="round" stroke-linecap="round">`);
+            data.routes.filter(route => route.path.length >= 2).forEach(route => {
+                lines.push(`    <polyline points="${polyline(route.path)}"/>`);
+            });
+            lines.push('  </g>');
+        }
+
+        if (layers.points) {
+            lines.push('  <g id="points">');
+            data.points.forEach(p => lines.push('    ' + marker('circle', p.x, p.y, sizes.point, '#ff0000', '#ffffff', 1.5)));
+            lines.push('  </g>');
+        }
+
+        if (layers.routes) {
+            lines.push('  <g id="waypoints">');
+            data.routes.forEach(route => {
+                (route.routePoints || []).forEach(p => {
+                    lines.push('    ' + marker('diamond', p.x, p.y, sizes.unselectedWaypoint, '#ff9500', '#ffffff', 1));
+                });
+            });
+            lines.push('  </g>');
+        }
+
+        if (layers.spots) {
+            lines.push('  <g id="spots">');
+            data.spots.forEach(s => {
+                const style = CategoryStyles.getStyle(this.categoryStyles, s.category) || DEFAULT_SPOT_STYLE;
+                lines.push('    ' + spotMarker(s.x, s.y, sizes.spot, style));
+            });
+            lines.push('  </g>');
+        }
+
+        if (layers.areas) {
+            lines.push('  <g id="areas">');
+            data.areas.filter(area => area.vertices && area.vertices.length >= 3).forEach(area => {
+                const style = CategoryStyles.getStyle(this.categoryStyles, area.category);
+                const fill = style ? CategoryStyles.toRgba(style.color, 0.25) : 'rgba(255, 182, 193, 0.4)';
+                const stroke = style ? style.color : '#ff69b4';
+                lines.push(`    <polygon points="${polyline(area.vertices)}" fill="${fill}" ` +
+                    `stroke="${stroke}" stroke-width="${n(2 * markerScale)}"/>`);
+                area.vertices.forEach(v => {
+                    lines.push('    ' + marker('diamond', v.x, v.y, sizes.areaVertex || 6, style ? style.color : '#ff1493', '#ffffff', 1));
+                });
+            });
+            lines.push('  </g>');
+        }
+
+        if (layers.labels) {
+            const fontSize = LABEL_FONT_SIZE * markerScale;
+            lines.push(`  <g id="labels" font-family="sans-serif" font-weight="bold" font-size="${n(fontSize)}" ` +
+                `fill="#000000" stroke="#ffffff" stroke-width="${n(fontSize / 4)}" stroke-linejoin="round" ` +
+                'paint-order="stroke" dominant-baseline="middle">');
+            this._getLabels(data, layers, markerScale, true).forEach(label => {
+                const anchor = label.align === 'center' ? 'middle' : 'start';
+                lines.push(`    <text x="${n(label.x)}" y="${n(label.y)}" text-anchor="${anchor}">${esc(label.text)}</text>`);
+            });
+            lines.push('  </g>');
+        }
+
+        if (layers.legend && data.legend && data.legend.length > 0) {
+            // CanvasRenderer.drawLegend と同じ配置（寸法はすべて拡大率倍）
+            const fontSize = LEGEND_LAYOUT.fontSize * markerScale;
+            const padding = LEGEND_LAYOUT.padding * markerScale;
+            const rowHeight = LEGEND_LAYOUT.rowHeight * markerScale;
+            const swatchSize = LEGEND_LAYOUT.swatchSize * markerScale;
+            const textWidth = Math.max(...data.legend.map(entry => this._measureText(entry.label, fontSize)));
+            const legendWidth = padding * 3 + swatchSize + textWidth;
+            const legendHeight = padding * 2 + rowHeight * data.legend.length;
+            const left = LEGEND_MARGIN * markerScale;
+            const top = height - LEGEND_MARGIN * markerScale - legendHeight;
+
+            lines.push(`  <g id="legend" font-family="sans-serif" font-size="${n(fontSize)}" dominant-baseline="middle">`);
+            lines.push(`    <rect x="${n(left)}" y="${n(top)}" width="${n(legendWidth)}" height="${n(legendHeight)}" ` +
+                `fill="rgba(255, 255, 255, 0.85)" stroke="#95a5a6" stroke-width="${n(markerScale)}"/>`);
+            data.legend.forEach((entry, i) => {
+                const cx = left + padding + swatchSize / 2;
+                const cy = top + padding + rowHeight * (i + 0.5);
+                if (entry.kind === 'area') {
+                    const swatchHeight = swatchSize * 0.7;
+                    const fill = entry.style ? CategoryStyles.toRgba(entry.style.color, 0.25) : 'rgba(255, 182, 193, 0.4)';
+                    const stroke = entry.style ? entry.style.color : '#ff69b4';
+                    lines.push(`    <rect x="${n(cx - swatchSize / 2)}" y="${n(cy - swatchHeight / 2)}" width="${n(swatchSize)}" ` +
+                        `height="${n(swatchHeight)}" fill="${fill}" stroke="${stroke}" stroke-width="${n(2 * markerScale)}"/>`);
+                } else {
+                    const style = entry.style || DEFAULT_SPOT_STYLE;
+                    const size = LEGEND_LAYOUT.swatchSize / (style.icon ? ICON_MARKER_SCALE : 1);
+                    lines.push('    ' + spotMarker(cx, cy, size, style));
+                }
+                lines.push(`    <text x="${n(left + padding * 2 + swatchSize)}" y="${n(cy)}" fill="#2c3e50">${esc(entry.label)}</text>`);
+            });
+            lines.push('  </g>');
+        }
+
+        lines.push('</svg>', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * 画像サイズに応じたマーカー・線・文字の拡大率を取得
+     * @param {HTMLImageElement} image - 元画像
+     * @returns {number} 拡大率（1以上）
+     */
+    _getMarkerScale(image) {
+        return Math.max(1, Math.max(image.width, image.height) / REFERENCE_IMAGE_SIZE);
+    }
+
+    /**
+     * 描画するラベル（ポイントID・スポット名・ルート名・エリア名）の位置を計算
+     * ポイント・スポットはマーカーの右、ルートは経路の中央の点、エリアは頂点の重心に置く
+     * @param {Object} data - 描画データ
+     * @param {Object} layers - 描画するレイヤー
+     * @param {number} markerScale - 拡大率
+     * @param {boolean} includeAreaNames - エリア名を含めるか
+     * @returns {Array<{text: string, x: number, y: number, align: string}>} ラベル
+     */
+    _getLabels(data, layers, markerScale, includeAreaNames) {
+        const labels = [];
+        const offset = (size) => (size + 4) * markerScale;
+
+        if (layers.points) {
+            data.points.filter(p => p.id).forEach(p => {
+                labels.push({ text: p.id, x: p.x + offset(this.markerSizes.point), y: p.y, align: 'left' });
+            });
+        }
+        if (layers.spots) {
+            data.spots.filter(s => s.name).forEach(s => {
+                labels.push({ text: s.name, x: s.x + offset(this.markerSizes.spot / 2), y: s.y, align: 'left' });
+            });
+        }
+        if (layers.routes) {
+            data.routes.filter(route => route.routeName && route.path.length >= 2).forEach(route => {
+                const middle = route.path[Math.floor(route.path.length / 2)];
+                labels.push({ text: route.routeName, x: middle.x, y: middle.y, align: 'center' });
+            });
+        }
+        if (layers.areas && includeAreaNames) {
+            data.areas.filter(area => area.areaName && area.vertices && area.vertices.length >= 3).forEach(area => {
+                const cx = area.vertices.reduce((sum, v) => sum + v.x, 0) / area.vertices.length;
+                const cy = area.vertices.reduce((sum, v) => sum + v.y, 0) / area.vertices.length;
+                labels.push({ text: area.areaName, x: cx, y: cy, align: 'center' });
+            });
+        }
+        return labels;
+    }
+
+    /**
+     * 文字列の表示幅を計測（SVGの凡例の枠の大きさを決めるため）
+     * @param {string} text - 対象文字列
+     * @param {number} fontSize - 文字サイズ
+     * @returns {number} 表示幅
+     */
+    _measureText(text, fontSize) {
+        const ctx = document.createElement('canvas').getContext('2d');
+        ctx.font = `${fontSize}px sans-serif`;
+        return ctx.measureText(text).width;
+    }
+
+    /**
+     * 元画像をPNGのデータURLに変換（SVGへの埋め込み用）
+     * @param {HTMLImageElement} image - 元画像
+     * @returns {string} データURL
+     */
+    _getImageDataUrl(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+}
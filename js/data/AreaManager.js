@@ -1,4 +1,6 @@
 import { BaseManager } from '../core/BaseManager.js';
+import { ObjectAttributes } from '../utils/ObjectAttributes.js';
+import { ObjectIds } from '../utils/ObjectIds.js';
 
 /**
  * エリアデータの管理を行うクラス（複数エリア対応）
@@ -56,13 +58,15 @@ export class AreaManager extends BaseManager {
 
     /**
      * エリアを追加
-     * @param {Object} area - エリアデータ {areaName, vertices}
+     * @param {Object} area - エリアデータ {areaName, vertices, objectId}
      */
     addArea(area) {
         // isModifiedフラグを初期化（デフォルト: false）
         if (area.isModified === undefined) {
             area.isModified = false;
         }
+        // 識別ID（読み込んだエリアは保存されていたIDを引き継ぐ）
+        ObjectIds.ensure(area);
         if (!area.vertices) {
             area.vertices = [];
         }
@@ -157,8 +161,8 @@ export class AreaManager extends BaseManager {
 
     /**
      * 指定位置に最も近い頂点を検索（選択中のエリアのみ）
-     * @param {number} x - X座標（キャンバス座標）
-     * @param {number} y - Y座標（キャンバス座標）
+     * @param {number} x - X座標（画像座標）
+     * @param {number} y - Y座標（画像座標）
      * @param {number} threshold - 判定閾値（デフォルト: 10px）
      * @returns {{index: number, point: Object} | null} 見つかった頂点と配列インデックス、見つからない場合はnull
      */
@@ -216,6 +220,32 @@ export class AreaManager extends BaseManager {
         }
     }
 
+    /**
+     * 複数の頂点をまとめて移動（選択中のエリアのみ）
+     * @param {Array<number>} indices - 移動する頂点のインデックス配列
+     * @param {number} dx - X方向の移動量
+     * @param {number} dy - Y方向の移動量
+     */
+    moveVertices(indices, dx, dy) {
+        const selectedArea = this.getSelectedArea();
+        if (!selectedArea || !selectedArea.vertices) {
+            return;
+        }
+
+        const vertices = selectedArea.vertices;
+        const targets = indices.filter(index => index >= 0 && index < vertices.length);
+        if (targets.length === 0) return;
+
+        targets.forEach(index => {
+            vertices[index].x = Math.round(vertices[index].x + dx);
+            vertices[index].y = Math.round(vertices[index].y + dy);
+        });
+        this.notify('onChange');
+
+        // 更新状態をチェック
+        this.checkAndUpdateModifiedState();
+    }
+
     /**
      * 頂点を削除（選択中のエリアのみ）
      * @param {number} index - 削除する頂点の配列インデックス
@@ -350,6 +380,27 @@ export class AreaManager extends BaseManager {
         this.checkAndUpdateModifiedState();
     }
 
+    /**
+     * 指定エリアの属性（説明・カテゴリ・任意項目・危険種別）を更新
+     * @param {number} index - 対象エリアのインデックス
+     * @param {Object} changes - 変更する属性（空の値で削除）
+     */
+    updateAreaAttributes(index, changes) {
+        if (index < 0 || index >= this.areas.length) {
+            return;
+        }
+
+        const area = this.areas[index];
+        ObjectAttributes.assign(area, changes);
+
+        if (!area.isModified) {
+            area.isModified = true;
+            this.notify('onModifiedStateChange', { isModified: true, areaIndex: index });
+            this.notify('onAreaListChange', this.areas);
+        }
+        this.notify('onChange');
+    }
+
     /**
      * 更新状態をチェックして必要に応じてフラグを設定
      */
@@ -384,21 +435,88 @@ export class AreaManager extends BaseManager {
 
     /**
      * エリア情報を検証
+     * @param {Object|null} area - 検証するエリア（省略時は選択中のエリア）
+     * @returns {{isValid: boolean, message?: string}} 検証結果
      */
-    validateArea() {
-        const selectedArea = this.getSelectedArea();
-        if (!selectedArea) {
+    validateArea(area = this.getSelectedArea()) {
+        if (!area) {
             return { isValid: false, message: 'エリアが選択されていません。' };
         }
 
-        if (!selectedArea.areaName || selectedArea.areaName.trim() === '') {
+        if (!area.areaName || area.areaName.trim() === '') {
             return { isValid: false, message: 'エリア名を入力してください。' };
         }
 
-        if (!selectedArea.vertices || selectedArea.vertices.length < 3) {
+        if (!area.vertices || area.vertices.length < 3) {
             return { isValid: false, message: 'エリアを作成するには少なくとも3つの頂点が必要です。' };
         }
 
+        if (this._hasSelfIntersection(area.vertices)) {
+            return { isValid: false, message: 'エリアの辺が交差しています。頂点の順序を見直してください。' };
+        }
+
         return { isValid: true };
     }
+
+    /**
+     * 多角形の辺どうしが交差しているかを判定（隣り合う辺の共有頂点は除く）
+     * @param {Array<{x: number, y: number}>} vertices - 頂点
+     * @returns {boolean} 交差している場合true
+     */
+    _hasSelfIntersection(vertices) {
+        const count = vertices.length;
+        if (count < 4) return false;
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const onSegment = (p, a, b) =>
+            Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x) &&
+            Math.min(a.y, b.y) <= p.y && p.y <= Math.max(a.y, b.y);
+        const intersects = (a, b, c, d) => {
+            const d1 = cross(c, d, a);
+            const d2 = cross(c, d, b);
+            const d3 = cross(a, b, c);
+            const d4 = cross(a, b, d);
+            if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+                return true;
+            }
+            // 一直線上で重なる場合
+            return (d1 === 0 && onSegment(a, c, d)) || (d2 === 0 && onSegment(b, c, d)) ||
+                (d3 === 0 && onSegment(c, a, b)) || (d4 === 0 && onSegment(d, a, b));
+        };
+
+        for (let i = 0; i < count; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % count];
+            for (let j = i + 2; j < count; j++) {
+                // 最初の辺と最後の辺は頂点を共有するため除く
+                if (i === 0 && j === count - 1) continue;
+                if (intersects(a, b, vertices[j], vertices[(j + 1) % count])) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 履歴管理用に現在の状態を取得
+     * @returns {{areas: Array, selectedAreaIndex: number}} エリア配列の複製と選択状態
+     */
+    getSnapshot() {
+        return {
+            areas: JSON.parse(JSON.stringify(this.areas)),
+            selectedAreaIndex: this.selectedAreaIndex
+        };
+    }
+
+    /**
+     * 履歴管理用のスナップショットから状態を復元
+     * @param {{areas: Array, selectedAreaIndex: number}} snapshot - getSnapshot()で取得した状態
+     */
+    restoreSnapshot(snapshot) {
+        // 識別IDのない以前の自動保存データにはIDを発行する
+        this.areas = snapshot.areas.map(area => ObjectIds.ensure(area));
+        this.notify('onAreaListChange', this.areas);
+        this.selectArea(snapshot.selectedAreaIndex < this.areas.length ? snapshot.selectedAreaIndex : -1);
+    }
 }
@@ -0,0 +1,109 @@
+/**
+ * 標高グリッド（DEM）を扱うクラス
+ * グリッドは画像全体に対応するものとし、左上のセルが画像の左上、右下のセルが画像の右下に当たるように引き伸ばして参照する。
+ * 読み込める形式:
+ * - ESRI ASCII Grid（.asc）: ncols / nrows / cellsize / NODATA_value 等のヘッダーと、北（上）の行から並んだ標高値
+ * - ヘッダーなしの数値の表（.csv / .txt）: 1行が画像の1行分、値はカンマまたは空白区切り
+ */
+export class ElevationGrid {
+    /**
+     * @param {number} columns - 列数
+     * @param {number} rows - 行数
+     * @param {Float64Array} values - 標高値（メートル、行優先。欠測値はNaN）
+     */
+    constructor(columns, rows, values) {
+        this.columns = columns;
+        this.rows = rows;
+        this.values = values;
+    }
+
+    /**
+     * テキストから標高グリッドを作成
+     * @param {string} text - ファイルの内容
+     * @returns {ElevationGrid} 標高グリッド
+     * @throws {Error} 形式が正しくない場合
+     */
+    static parse(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+        const header = {};
+        while (lines.length > 0 && /^[a-z_]+\s/i.test(lines[0])) {
+            const [key, value] = lines.shift().split(/\s+/);
+            header[key.toLowerCase()] = Number(value);
+        }
+
+        const noData = header.nodata_value;
+        const rowValues = lines.map(line => line.split(/[\s,]+/).map(Number));
+        const columns = header.ncols || (rowValues[0] ? rowValues[0].length : 0);
+        const rows = header.nrows || rowValues.length;
+        const flat = rowValues.flat();
+
+        if (!(columns >= 2 && rows >= 2)) {
+            throw new Error('標高データは2行2列以上必要です');
+        }
+        if (flat.length !== columns * rows) {
+            throw new Error(`標高データの値の数が正しくありません（${columns}列×${rows}行 = ${columns * rows}個に対して${flat.length}個）`);
+        }
+
+        const values = new Float64Array(flat.length);
+        flat.forEach((value, i) => {
+            values[i] = (isNaN(value) || value === noData) ? NaN : value;
+        });
+        return new ElevationGrid(columns, rows, values);
+    }
+
+    /**
+     * 画像上の位置の標高を双線形補間で取得
+     * @param {number} x - 画像X座標
+     * @param {number} y - 画像Y座標
+     * @param {number} imageWidth - 画像の幅
+     * @param {number} imageHeight - 画像の高さ
+     * @returns {number|null} 標高（メートル、範囲外または欠測の場合はnull）
+     */
+    sample(x, y, imageWidth, imageHeight) {
+        // セルの中心が画像上のどこに当たるかで補間する
+        const gx = (x / imageWidth) * this.columns - 0.5;
+        const gy = (y / imageHeight) * this.rows - 0.5;
+        if (gx < -0.5 || gy < -0.5 || gx > this.columns - 0.5 || gy > this.rows - 0.5) {
+            return null;
+        }
+
+        const cx = Math.min(Math.max(gx, 0), this.columns - 1);
+        const cy = Math.min(Math.max(gy, 0), this.rows - 1);
+        const x0 = Math.min(Math.floor(cx), this.columns - 2);
+        const y0 = Math.min(Math.floor(cy), this.rows - 2);
+        const tx = cx - x0;
+        const ty = cy - y0;
+
+        const v00 = this.getValue(x0, y0);
+        const v10 = this.getValue(x0 + 1, y0);
+        const v01 = this.getValue(x0, y0 + 1);
+        const v11 = this.getValue(x0 + 1, y0 + 1);
+        const value = (v00 * (1 - tx) + v10 * tx) * (1 - ty) + (v01 * (1 - tx) + v11 * tx) * ty;
+        return isNaN(value) ? null : value;
+    }
+
+    /**
+     * セルの標高を取得
+     * @param {number} column - 列
+     * @param {number} row - 行
+     * @returns {number} 標高（欠測の場合はNaN）
+     */
+    getValue(column, row) {
+        return this.values[row * this.columns + column];
+    }
+
+    /**
+     * 標高の範囲を取得
+     * @returns {{min: number, max: number}|null} 最低・最高標高（すべて欠測の場合はnull）
+     */
+    getRange() {
+        let min = Infinity;
+        let max = -Infinity;
+        this.values.forEach(value => {
+            if (isNaN(value)) return;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        });
+        return min === Infinity ? null : { min, max };
+    }
+}
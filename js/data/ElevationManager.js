@@ -0,0 +1,151 @@
+import { BaseManager } from '../core/BaseManager.js';
+import { ElevationProfile } from '../utils/ElevationProfile.js';
+
+// 標高グリッドからルートの断面を作る際の最大サンプル数
+const MAX_PROFILE_SAMPLES = 2000;
+
+/**
+ * 標高を管理するクラス
+ * ポイント・スポットに手入力した標高（elevation）と、読み込んだ標高グリッド（DEM）から位置の標高を求め、
+ * ルートの標高断面・累積標高・所要時間を計算する。
+ * 標高グリッドはローカルのファイルを参照するだけで保存しない（画像を切り替えると破棄する）
+ */
+export class ElevationManager extends BaseManager {
+    /**
+     * @param {PointManager} pointManager - ポイントマネージャー
+     * @param {SpotManager} spotManager - スポットマネージャー
+     */
+    constructor(pointManager, spotManager) {
+        super();
+        this.pointManager = pointManager;
+        this.spotManager = spotManager;
+        this.grid = null;
+        this.gridFileName = '';
+        this.imageWidth = 0;
+        this.imageHeight = 0;
+    }
+
+    /**
+     * 標高グリッドを設定
+     * @param {ElevationGrid} grid - 標高グリッド
+     * @param {string} fileName - ファイル名（表示用）
+     * @param {number} imageWidth - 画像の幅
+     * @param {number} imageHeight - 画像の高さ
+     */
+    setGrid(grid, fileName, imageWidth, imageHeight) {
+        this.grid = grid;
+        this.gridFileName = fileName;
+        this.imageWidth = imageWidth;
+        this.imageHeight = imageHeight;
+        this.notify('onChange');
+    }
+
+    /**
+     * 標高グリッドを破棄
+     */
+    clearGrid() {
+        if (!this.grid) return;
+        this.grid = null;
+        this.gridFileName = '';
+        this.notify('onChange');
+    }
+
+    /**
+     * 標高グリッドが読み込まれているか
+     * @returns {boolean} 読み込まれている場合true
+     */
+    hasGrid() {
+        return this.grid !== null;
+    }
+
+    /**
+     * 標高グリッドから画像上の位置の標高を取得
+     * @param {number} x - 画像X座標
+     * @param {number} y - 画像Y座標
+     * @returns {number|null} 標高（メートル、グリッドがない・範囲外の場合はnull）
+     */
+    getGridElevation(x, y) {
+        return this.grid ? this.grid.sample(x, y, this.imageWidth, this.imageHeight) : null;
+    }
+
+    /**
+     * ポイント・スポットの標高を取得（手入力の値を優先し、なければ標高グリッドから求める）
+     * @param {{x: number, y: number, elevation: number|null}} item - ポイントまたはスポット
+     * @returns {number|null} 標高（メートル、不明な場合はnull）
+     */
+    getItemElevation(item) {
+        return Number.isFinite(item.elevation) ? item.elevation : this.getGridElevation(item.x, item.y);
+    }
+
+    /**
+     * 開始・終了ポイント（ポイントIDまたはスポット名）の座標と標高を取得
+     * @param {string} id - ポイントIDまたはスポット名
+     * @returns {{x: number, y: number, elevation: number|null}|null} 座標と標高（見つからない場合はnull）
+     */
+    resolveEndpoint(id) {
+        if (!id || !id.trim()) return null;
+        const item = this.pointManager.findPointById(id) || this.spotManager.findSpotByName(id);
+        return item ? { x: item.x, y: item.y, elevation: this.getItemElevation(item) } : null;
+    }
+
+    /**
+     * ルートの標高断面を作成
+     * 開始・終了ポイントはその標高、中間点は標高グリッドの値を使う。
+     * 標高グリッドがある場合は区間をグリッドのセル程度の間隔で分割して標高を取る
+     * @param {Object} route - ルート
+     * @returns {Object|null} 標高断面（ElevationProfile.build() の戻り値。開始・終了ポイントが未解決、または標高が不明な場合はnull）
+     */
+    getRouteProfile(route) {
+        const start = this.resolveEndpoint(route.startPointId);
+        const end = this.resolveEndpoint(route.endPointId);
+        if (!start || !end) return null;
+
+        const vertices = [start, ...(route.routePoints || []).map(wp => ({ x: wp.x, y: wp.y, elevation: null })), end];
+        return ElevationProfile.build(this._densify(vertices));
+    }
+
+    /**
+     * ルートの累積標高・所要時間を取得（保存データに含める用）
+     * @param {Object} route - ルート
+     * @param {number|null} metersPerPixel - 1画素あたりのメートル数（縮尺が未設定の場合はnull）
+     * @returns {{ascentMeters: number, descentMeters: number, hikingTimeMinutes: number|null}|null}
+     *   累積標高（メートル）と所要時間（分、縮尺が未設定の場合はnull）。標高断面が作れない場合はnull
+     */
+    getRouteSummary(route, metersPerPixel) {
+        const profile = this.getRouteProfile(route);
+        if (!profile) return null;
+        return {
+            ascentMeters: Math.round(profile.ascent),
+            descentMeters: Math.round(profile.descent),
+            hikingTimeMinutes: metersPerPixel ? Math.round(ElevationProfile.estimateHikingMinutes(profile, metersPerPixel)) : null
+        };
+    }
+
+    /**
+     * 標高グリッドがある場合、各区間を分割して標高グリッドの値を付ける
+     * @param {Array<{x: number, y: number, elevation: number|null}>} vertices - 開始ポイント・中間点・終了ポイント
+     * @returns {Array<{x: number, y: number, elevation: number|null}>} 分割した点列
+     */
+    _densify(vertices) {
+        if (!this.grid) return vertices;
+
+        const lengths = vertices.slice(1).map((v, i) => Math.hypot(v.x - vertices[i].x, v.y - vertices[i].y));
+        const total = lengths.reduce((sum, length) => sum + length, 0);
+        const cellSize = Math.max(this.imageWidth / this.grid.columns, this.imageHeight / this.grid.rows);
+        const step = Math.max(cellSize, total / MAX_PROFILE_SAMPLES);
+
+        const samples = [vertices[0]];
+        lengths.forEach((length, i) => {
+            const a = vertices[i];
+            const b = vertices[i + 1];
+            const pieces = Math.max(1, Math.ceil(length / step));
+            for (let k = 1; k < pieces; k++) {
+                const x = a.x + (b.x - a.x) * k / pieces;
+                const y = a.y + (b.y - a.y) * k / pieces;
+                samples.push({ x, y, elevation: this.getGridElevation(x, y) });
+            }
+            samples.push(Number.isFinite(b.elevation) ? b : { ...b, elevation: this.getGridElevation(b.x, b.y) });
+        });
+        return samples;
+    }
+}
@@ -1,5 +1,40 @@
 import { Validators } from '../utils/Validators.js';
-import { CoordinateUtils } from '../utils/Coordinates.js';
+import { GeoTransform } from '../utils/GeoTransform.js';
+import { Measurements } from '../utils/Measurements.js';
+import { ObjectAttributes } from '../utils/ObjectAttributes.js';
+import { ElevationGrid } from './ElevationGrid.js';
+import { RouteManager } from './RouteManager.js';
+import { ImageFingerprint } from '../utils/ImageFingerprint.js';
+import { XmlUtils } from '../utils/XmlUtils.js';
+
+// ファイル選択・保存ダイアログのファイル種別
+const JSON_FILE_TYPE = {
+    description: 'JSON Files',
+    accept: { 'application/json': ['.json'] }
+};
+const GEOJSON_FILE_TYPE = {
+    description: 'GeoJSON Files',
+    accept: { 'application/geo+json': ['.geojson', '.json'] }
+};
+
+const GPX_FILE_TYPE = {
+    description: 'GPX Files',
+    accept: { 'application/gpx+xml': ['.gpx'] }
+};
+const ELEVATION_GRID_FILE_TYPE = {
+    description: 'Elevation Grid Files',
+    accept: { 'text/plain': ['.asc', '.txt', '.csv'] }
+};
+const IMAGE_EXPORT_FILE_TYPES = {
+    png: { description: 'PNG Images', accept: { 'image/png': ['.png'] } },
+    svg: { description: 'SVG Images', accept: { 'image/svg+xml': ['.svg'] } }
+};
+
+// GeoJSON・GPX出力時の緯度・経度の小数点以下桁数（約1cm）
+const GEOJSON_PRECISION = 7;
+
+// 読み込んだ線の端点を既存のポイント・スポットとみなす距離（ピクセル）
+const ENDPOINT_TOLERANCE = 2;
 
 /**
  * ファイル操作を管理するクラス
@@ -8,11 +43,14 @@ export class FileHandler {
     constructor() {
         this.currentImageFileHandle = null;
         this.currentImageFileName = '';
+        // 画像の内容のハッシュ（SHA-256）と、データベースのプロジェクトID（未決定の場合は空文字）
+        this.currentImageHash = '';
+        this.currentProjectId = '';
     }
 
     /**
      * 画像ファイルを選択・読み込み
-     * @returns {Promise<{file: File, image: HTMLImageElement, fileName: string}>} 読み込み結果
+     * @returns {Promise<{file: File, image: HTMLImageElement, fileName: string, fullFileName: string, imageHash: string}>} 読み込み結果
      */
     async selectImage() {
         try {
@@ -34,10 +72,7 @@ export class FileHandler {
                     throw new Error('PNG画像ファイルを選択してください');
                 }
 
-                this.currentImageFileName = file.name.replace(/\.png$/i, '');
-                const image = await this.loadImageFromFile(file);
-
-                return { file, image, fileName: this.currentImageFileName, fullFileName: file.name };
+                return await this._loadImage(file);
             } else {
                 throw new Error('File System Access API not supported');
             }
@@ -54,15 +89,19 @@ export class FileHandler {
      * @returns {Promise<File>} 選択されたファイル
      */
     async selectJsonFile() {
+        return this.selectFile(JSON_FILE_TYPE);
+    }
+
+    /**
+     * 指定した種別のファイルを選択
+     * @param {Object} fileType - ファイル種別（showOpenFilePickerのtypes要素）
+     * @returns {Promise<File>} 選択されたファイル
+     */
+    async selectFile(fileType) {
         try {
             if ('showOpenFilePicker' in window) {
                 const [fileHandle] = await window.showOpenFilePicker({
-                    types: [{
-                        description: 'JSON Files',
-                        accept: {
-                            'application/json': ['.json']
-                        }
-                    }],
+                    types: [fileType],
                     multiple: false
                 });
                 return await fileHandle.getFile();
@@ -80,17 +119,29 @@ export class FileHandler {
     /**
      * 従来のinput要素からファイルを読み込み
      * @param {File} file - ファイルオブジェクト
-     * @returns {Promise<{file: File, image: HTMLImageElement, fileName: string}>} 読み込み結果
+     * @returns {Promise<{file: File, image: HTMLImageElement, fileName: string, fullFileName: string, imageHash: string}>} 読み込み結果
      */
     async loadFromInputFile(file) {
         if (!Validators.isPngFile(file)) {
             throw new Error('PNG画像ファイルを選択してください');
         }
 
+        return this._loadImage(file);
+    }
+
+    /**
+     * 画像ファイルを読み込み、ファイル名と内容のハッシュを現在の画像として記録
+     * プロジェクトIDはデータベースに接続したときに決めるため、ここでは未決定に戻す
+     * @param {File} file - PNG画像ファイル
+     * @returns {Promise<{file: File, image: HTMLImageElement, fileName: string, fullFileName: string, imageHash: string}>} 読み込み結果
+     */
+    async _loadImage(file) {
         this.currentImageFileName = file.name.replace(/\.png$/i, '');
+        this.currentImageHash = await ImageFingerprint.compute(file);
+        this.currentProjectId = '';
         const image = await this.loadImageFromFile(file);
 
-        return { file, image, fileName: this.currentImageFileName, fullFileName: file.name };
+        return { file, image, fileName: this.currentImageFileName, fullFileName: file.name, imageHash: this.currentImageHash };
     }
 
     /**
@@ -122,16 +173,23 @@ export class FileHandler {
             throw new Error('JSONファイルを選択してください');
         }
 
+        const text = await this.loadTextFile(file);
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error('JSONファイルの形式が正しくありません');
+        }
+    }
+
+    /**
+     * ファイルをテキストとして読み込み
+     * @param {File} file - ファイル
+     * @returns {Promise<string>} ファイルの内容
+     */
+    async loadTextFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const jsonData = JSON.parse(e.target.result);
-                    resolve(jsonData);
-                } catch (error) {
-                    reject(new Error('JSONファイルの形式が正しくありません'));
-                }
-            };
+            reader.onload = (e) => resolve(e.target.result);
             reader.onerror = () => reject(new Error('ファイルの読み込みに失敗しました'));
             reader.readAsText(file);
         });
@@ -144,7 +202,15 @@ export class FileHandler {
      */
     downloadJSON(data, filename) {
         const jsonString = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
+        this.downloadBlob(new Blob([jsonString], { type: 'application/json' }), filename);
+    }
+
+    /**
+     * Blobをファイルとしてダウンロード
+     * @param {Blob} blob - ファイルの内容
+     * @param {string} filename - ファイル名
+     */
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
 
         const a = document.createElement('a');
@@ -161,22 +227,29 @@ export class FileHandler {
      * ユーザーが場所を指定してJSONファイルを保存
      * @param {Object} data - JSON data
      * @param {string} defaultFilename - デフォルトファイル名
-     * @returns {Promise<void>}
+     * @param {Object} fileType - ファイル種別（省略時はJSON）
+     * @returns {Promise<boolean>} 保存したかどうか（キャンセル時はfalse）
      */
-    async saveJSONWithUserChoice(data, defaultFilename) {
+    async saveJSONWithUserChoice(data, defaultFilename, fileType = JSON_FILE_TYPE) {
         const jsonString = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
+        const blob = new Blob([jsonString], { type: Object.keys(fileType.accept)[0] });
+        return this.saveBlobWithUserChoice(blob, defaultFilename, fileType);
+    }
 
+    /**
+     * ユーザーが場所を指定してファイルを保存
+     * File System Access APIが使えない場合はダウンロードする
+     * @param {Blob} blob - ファイルの内容
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @param {Object} fileType - ファイル種別（showSaveFilePickerのtypes要素）
+     * @returns {Promise<boolean>} 保存したかどうか（キャンセル時はfalse）
+     */
+    async saveBlobWithUserChoice(blob, defaultFilename, fileType) {
         try {
             if ('showSaveFilePicker' in window) {
                 let savePickerOptions = {
                     suggestedName: defaultFilename,
-                    types: [{
-                        description: 'JSON Files',
-                        accept: {
-                            'application/json': ['.json']
-                        }
-                    }]
+                    types: [fileType]
                 };
 
                 if (this.currentImageFileHandle) {
@@ -193,10 +266,10 @@ export class FileHandler {
                 await writable.write(blob);
                 await writable.close();
 
-                console.log(`JSONファイルが保存されました: ${fileHandle.name}`);
+                console.log(`ファイルが保存されました: ${fileHandle.name}`);
                 return true;
             } else {
-                this.downloadJSON(data, defaultFilename);
+                this.downloadBlob(blob, defaultFilename);
                 return true;
             }
         } catch (error) {
@@ -206,11 +279,26 @@ export class FileHandler {
             }
 
             console.error('ファイル保存エラー:', error);
-            this.downloadJSON(data, defaultFilename);
+            this.downloadBlob(blob, defaultFilename);
             return true;
         }
     }
 
+    /**
+     * マーカーを描き込んだ地図画像を、ユーザーが場所を指定して保存
+     * @param {Blob|string} content - PNG画像（Blob）またはSVG文書
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @param {string} format - 'png' | 'svg'
+     * @returns {Promise<boolean>} 保存したかどうか（キャンセル時はfalse）
+     */
+    async saveMapImageWithUserChoice(content, defaultFilename, format) {
+        const fileType = IMAGE_EXPORT_FILE_TYPES[format];
+        const blob = content instanceof Blob
+            ? content
+            : new Blob([content], { type: Object.keys(fileType.accept)[0] });
+        return this.saveBlobWithUserChoice(blob, defaultFilename, fileType);
+    }
+
     /**
      * 現在の画像ファイル名を取得
      * @returns {string} ファイル名
@@ -219,18 +307,59 @@ export class FileHandler {
         return this.currentImageFileName;
     }
 
+    /**
+     * 現在の画像の内容のハッシュを取得
+     * @returns {string} SHA-256（16進数。計算できなかった場合は空文字）
+     */
+    getCurrentImageHash() {
+        return this.currentImageHash;
+    }
+
+    /**
+     * 現在の画像のデータベースのプロジェクトIDを取得
+     * @returns {string} プロジェクトID（まだ決まっていない場合は空文字）
+     */
+    getProjectId() {
+        return this.currentProjectId;
+    }
+
+    /**
+     * 現在の画像のデータベースのプロジェクトIDを設定
+     * @param {string} projectId - プロジェクトID
+     */
+    setProjectId(projectId) {
+        this.currentProjectId = projectId;
+    }
+
+    /**
+     * 現在の画像の情報（ファイル名・ハッシュ・プロジェクトID）を取得
+     * 別の画像を選んだあとに元の画像の状態へ戻す場合に使う
+     * @returns {{fileName: string, imageHash: string, projectId: string}} 画像の情報
+     */
+    getImageIdentity() {
+        return { fileName: this.currentImageFileName, imageHash: this.currentImageHash, projectId: this.currentProjectId };
+    }
+
+    /**
+     * getImageIdentity() で取得した画像の情報に戻す
+     * @param {{fileName: string, imageHash: string, projectId: string}} identity - 画像の情報
+     */
+    restoreImageIdentity(identity) {
+        this.currentImageFileName = identity.fileName;
+        this.currentImageHash = identity.imageHash;
+        this.currentProjectId = identity.projectId;
+    }
+
     /**
      * ポイントデータをJSONエクスポート
      * @param {Object} pointManager - PointManagerインスタンス
      * @param {string} imageFileName - 画像ファイル名
-     * @param {number} canvasWidth - キャンバス幅
-     * @param {number} canvasHeight - キャンバス高さ
      * @param {number} imageWidth - 元画像幅
      * @param {number} imageHeight - 元画像高さ
      * @param {string} filename - 出力ファイル名
      * @returns {Promise<void>}
      */
-    async exportPointData(pointManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename) {
+    async exportPointData(pointManager, imageFileName, imageWidth, imageHeight, filename) {
         const points = pointManager.getPoints();
         // ポイントIDが空白でないポイントのみをフィルタリング
         const validPoints = points.filter(point => point.id && point.id.trim() !== '');
@@ -243,17 +372,11 @@ export class FileHandler {
                 height: imageHeight
             },
             points: validPoints.map((point, index) => {
-                const imageCoords = CoordinateUtils.canvasToImage(
-                    point.x, point.y,
-                    canvasWidth, canvasHeight,
-                    imageWidth, imageHeight
-                );
-
                 return {
                     index: index + 1,
                     id: point.id,
-                    imageX: Math.round(imageCoords.x),
-                    imageY: Math.round(imageCoords.y),
+                    imageX: Math.round(point.x),
+                    imageY: Math.round(point.y),
                     isMarker: false
                 };
             }),
@@ -266,14 +389,12 @@ export class FileHandler {
      * ルートデータをJSONエクスポート
      * @param {Object} routeManager - RouteManagerインスタンス
      * @param {string} imageFileName - 画像ファイル名
-     * @param {number} canvasWidth - キャンバス幅
-     * @param {number} canvasHeight - キャンバス高さ
      * @param {number} imageWidth - 元画像幅
      * @param {number} imageHeight - 元画像高さ
      * @param {string} filename - 出力ファイル名
      * @returns {Promise<void>}
      */
-    async exportRouteData(routeManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename) {
+    async exportRouteData(routeManager, imageFileName, imageWidth, imageHeight, filename) {
         const routePoints = routeManager.getRoutePoints();
         const startEndPoints = routeManager.getStartEndPoints();
 
@@ -289,17 +410,11 @@ export class FileHandler {
                 height: imageHeight
             },
             points: routePoints.map((point, index) => {
-                const imageCoords = CoordinateUtils.canvasToImage(
-                    point.x, point.y,
-                    canvasWidth, canvasHeight,
-                    imageWidth, imageHeight
-                );
-
                 return {
                     type: 'waypoint',
                     index: index + 1,
-                    imageX: Math.round(imageCoords.x),
-                    imageY: Math.round(imageCoords.y)
+                    imageX: Math.round(point.x),
+                    imageY: Math.round(point.y)
                 };
             }),
             exportedAt: new Date().toISOString()
@@ -311,14 +426,12 @@ export class FileHandler {
      * スポットデータをJSONエクスポート
      * @param {Object} spotManager - SpotManagerインスタンス
      * @param {string} imageFileName - 画像ファイル名
-     * @param {number} canvasWidth - キャンバス幅
-     * @param {number} canvasHeight - キャンバス高さ
      * @param {number} imageWidth - 元画像幅
      * @param {number} imageHeight - 元画像高さ
      * @param {string} filename - 出力ファイル名
      * @returns {Promise<void>}
      */
-    async exportSpotData(spotManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename) {
+    async exportSpotData(spotManager, imageFileName, imageWidth, imageHeight, filename) {
         const spots = spotManager.getSpots();
         const validSpots = spots.filter(spot => spot.name && spot.name.trim() !== '');
 
@@ -330,17 +443,11 @@ export class FileHandler {
                 height: imageHeight
             },
             spots: validSpots.map((spot, index) => {
-                const imageCoords = CoordinateUtils.canvasToImage(
-                    spot.x, spot.y,
-                    canvasWidth, canvasHeight,
-                    imageWidth, imageHeight
-                );
-
                 return {
                     index: index + 1,
                     name: spot.name.trim(),
-                    imageX: Math.round(imageCoords.x),
-                    imageY: Math.round(imageCoords.y)
+                    imageX: Math.round(spot.x),
+                    imageY: Math.round(spot.y)
                 };
             }),
             exportedAt: new Date().toISOString()
@@ -352,13 +459,9 @@ export class FileHandler {
      * ポイントデータをJSONインポート
      * @param {Object} pointManager - PointManagerインスタンス
      * @param {File} file - JSONファイル
-     * @param {number} canvasWidth - キャンバス幅
-     * @param {number} canvasHeight - キャンバス高さ
-     * @param {number} imageWidth - 元画像幅
-     * @param {number} imageHeight - 元画像高さ
      * @returns {Promise<void>}
      */
-    async importPointData(pointManager, file, canvasWidth, canvasHeight, imageWidth, imageHeight) {
+    async importPointData(pointManager, file) {
         const jsonData = await this.loadJsonFile(file);
 
         if (!Validators.isValidPointData(jsonData)) {
@@ -373,13 +476,7 @@ export class FileHandler {
                 return;
             }
 
-            const canvasCoords = CoordinateUtils.imageToCanvas(
-                pointData.imageX, pointData.imageY,
-                canvasWidth, canvasHeight,
-                imageWidth, imageHeight
-            );
-
-            pointManager.addPoint(canvasCoords.x, canvasCoords.y, pointData.id);
+            pointManager.addPoint(pointData.imageX, pointData.imageY, pointData.id);
         });
     }
 
@@ -387,13 +484,9 @@ export class FileHandler {
      * ルートデータをJSONインポート
      * @param {Object} routeManager - RouteManagerインスタンス
      * @param {File} file - JSONファイル
-     * @param {number} canvasWidth - キャンバス幅
-     * @param {number} canvasHeight - キャンバス高さ
-     * @param {number} imageWidth - 元画像幅
-     * @param {number} imageHeight - 元画像高さ
      * @returns {Promise<void>}
      */
-    async importRouteData(routeManager, file, canvasWidth, canvasHeight, imageWidth, imageHeight) {
+    async importRouteData(routeManager, file) {
         const jsonData = await this.loadJsonFile(file);
 
         if (!Validators.isValidRouteData(jsonData)) {
@@ -409,13 +502,7 @@ export class FileHandler {
                 typeof pointData.imageX === 'number' &&
                 typeof pointData.imageY === 'number') {
 
-                const canvasCoords = CoordinateUtils.imageToCanvas(
-                    pointData.imageX, pointData.imageY,
-                    canvasWidth, canvasHeight,
-                    imageWidth, imageHeight
-                );
-
-                routeManager.addRoutePoint(canvasCoords.x, canvasCoords.y);
+                routeManager.addRoutePoint(pointData.imageX, pointData.imageY);
             }
         });
     }
@@ -424,13 +511,9 @@ export class FileHandler {
      * スポットデータをJSONインポート
      * @param {Object} spotManager - SpotManagerインスタンス
      * @param {File} file - JSONファイル
-     * @param {number} canvasWidth - キャンバス幅
-     * @param {number} canvasHeight - キャンバス高さ
-     * @param {number} imageWidth - 元画像幅
-     * @param {number} imageHeight - 元画像高さ
      * @returns {Promise<void>}
      */
-    async importSpotData(spotManager, file, canvasWidth, canvasHeight, imageWidth, imageHeight) {
+    async importSpotData(spotManager, file) {
         const jsonData = await this.loadJsonFile(file);
 
         if (!Validators.isValidSpotData(jsonData)) {
@@ -442,34 +525,34 @@ export class FileHandler {
         // spots または points プロパティどちらでも対応
         const spotsData = jsonData.spots || jsonData.points || [];
         spotsData.forEach(spotData => {
-            const canvasCoords = CoordinateUtils.imageToCanvas(
-                spotData.imageX, spotData.imageY,
-                canvasWidth, canvasHeight,
-                imageWidth, imageHeight
-            );
-
-            spotManager.addSpot(canvasCoords.x, canvasCoords.y, spotData.name);
+            spotManager.addSpot(spotData.imageX, spotData.imageY, spotData.name);
         });
     }
 
     /**
      * プロジェクト全データをJSONエクスポート
-     * @param {Object} managers - { pointManager, routeManager, spotManager, areaManager }
+     * @param {Object} managers - { pointManager, routeManager, spotManager, areaManager, georeferenceManager, projectSettingsManager, elevationManager, layerManager }
      * @param {string} imageFileName - 画像ファイル名
-     * @param {number} canvasWidth - キャンバス幅
-     * @param {number} canvasHeight - キャンバス高さ
      * @param {number} imageWidth - 元画像幅
      * @param {number} imageHeight - 元画像高さ
      * @param {string} filename - 出力ファイル名
+     * @param {Object} saveOptions - 出力するデータの種類
+     * @param {Function|null} resolveEndpoint - 開始・終了ポイントから座標を求める関数（ルート長の計算用）
      */
-    async exportProjectData(managers, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename, saveOptions = { points: true, routes: true, spots: true, areas: true }) {
-        const { pointManager, routeManager, spotManager, areaManager } = managers;
+    async exportProjectData(managers, imageFileName, imageWidth, imageHeight, filename, saveOptions = { points: true, routes: true, spots: true, areas: true }, resolveEndpoint = null) {
+        const { pointManager, routeManager, spotManager, areaManager, projectSettingsManager, elevationManager } = managers;
+        // 縮尺が設定されている場合、ルート長・エリア面積を実距離で出力する
+        const isCalibrated = !!(projectSettingsManager && projectSettingsManager.getScaleCalibration());
+        // 標高（手入力の値のみ出力。標高グリッドは保存しない）
+        const withElevation = (data, item) => Number.isFinite(item.elevation) ? { ...data, elevation: item.elevation } : data;
 
         // ポイントデータ（選択時のみ）
         const pointsData = saveOptions.points
             ? pointManager.getPoints().filter(p => p.id && p.id.trim() !== '').map((point) => {
-                const coords = CoordinateUtils.canvasToImage(point.x, point.y, canvasWidth, canvasHeight, imageWidth, imageHeight);
-                return { id: point.id, x: Math.round(coords.x), y: Math.round(coords.y), index: point.index };
+                return withElevation({
+                    id: point.id, x: Math.round(point.x), y: Math.round(point.y), index: point.index,
+                    ...ObjectAttributes.toData('point', point)
+                }, point);
             })
             : [];
 
@@ -477,18 +560,40 @@ export class FileHandler {
         const routesData = saveOptions.routes
             ? routeManager.getAllRoutes().map(route => {
                 const waypoints = (route.routePoints || []).map(wp => {
-                    const coords = CoordinateUtils.canvasToImage(wp.x, wp.y, canvasWidth, canvasHeight, imageWidth, imageHeight);
-                    return { x: Math.round(coords.x), y: Math.round(coords.y) };
+                    return { x: Math.round(wp.x), y: Math.round(wp.y) };
                 });
-                return { routeName: route.routeName, startPoint: route.startPointId, endPoint: route.endPointId, waypoints, description: route.description };
+                const routeData = {
+                    objectId: route.objectId, routeName: route.routeName, startPoint: route.startPointId, endPoint: route.endPointId, waypoints,
+                    ...ObjectAttributes.toData('route', route)
+                };
+                const startCoord = isCalibrated && resolveEndpoint ? resolveEndpoint(route.startPointId) : null;
+                const endCoord = isCalibrated && resolveEndpoint ? resolveEndpoint(route.endPointId) : null;
+                if (startCoord && endCoord) {
+                    const length = RouteManager.calculatePathLength(startCoord, route.routePoints || [], endCoord);
+                    routeData.lengthMeters = Math.round(projectSettingsManager.toMeters(length) * 10) / 10;
+                }
+                // 累積標高・所要時間（標高が分かる場合のみ。所要時間は縮尺も必要）
+                const summary = elevationManager
+                    ? elevationManager.getRouteSummary(route, isCalibrated ? projectSettingsManager.getMetersPerPixel() : null)
+                    : null;
+                if (summary) {
+                    routeData.ascentMeters = summary.ascentMeters;
+                    routeData.descentMeters = summary.descentMeters;
+                    if (summary.hikingTimeMinutes !== null) {
+                        routeData.hikingTimeMinutes = summary.hikingTimeMinutes;
+                    }
+                }
+                return routeData;
             })
             : [];
 
         // スポットデータ（選択時のみ）
         const spotsData = saveOptions.spots
             ? spotManager.getSpots().filter(s => s.name && s.name.trim() !== '').map((spot) => {
-                const coords = CoordinateUtils.canvasToImage(spot.x, spot.y, canvasWidth, canvasHeight, imageWidth, imageHeight);
-                return { name: spot.name, x: Math.round(coords.x), y: Math.round(coords.y), description: spot.description, category: spot.category };
+                return withElevation({
+                    name: spot.name, x: Math.round(spot.x), y: Math.round(spot.y),
+                    ...ObjectAttributes.toData('spot', spot)
+                }, spot);
             })
             : [];
 
@@ -496,10 +601,13 @@ export class FileHandler {
         const areasData = saveOptions.areas
             ? areaManager.getAllAreas().filter(a => a.areaName && a.areaName.trim() !== '').map(area => {
                 const vertices = (area.vertices || []).map(v => {
-                    const coords = CoordinateUtils.canvasToImage(v.x, v.y, canvasWidth, canvasHeight, imageWidth, imageHeight);
-                    return { x: Math.round(coords.x), y: Math.round(coords.y) };
+                    return { x: Math.round(v.x), y: Math.round(v.y) };
                 });
-                return { areaName: area.areaName, vertices };
+                const areaData = { objectId: area.objectId, areaName: area.areaName, vertices, ...ObjectAttributes.toData('area', area) };
+                if (isCalibrated) {
+                    areaData.areaSquareMeters = Math.round(projectSettingsManager.toSquareMeters(Measurements.polygonArea(area.vertices || [])));
+                }
+                return areaData;
             })
             : [];
 
@@ -508,6 +616,9 @@ export class FileHandler {
             imageReference: imageFileName,
             imageInfo: { width: imageWidth, height: imageHeight },
             exportedAt: new Date().toISOString(),
+            pointIdScheme: managers.projectSettingsManager
+                ? managers.projectSettingsManager.getPointIdScheme().toJSON()
+                : Validators.getPointIdScheme().toJSON(),
             data: {
                 points: pointsData,
                 routes: routesData,
@@ -516,21 +627,51 @@ export class FileHandler {
             }
         };
 
+        // カテゴリの選択肢とカテゴリごとの表示設定
+        if (projectSettingsManager) {
+            projectData.categories = [...projectSettingsManager.getCategories()];
+            projectData.categoryStyles = JSON.parse(JSON.stringify(projectSettingsManager.getCategoryStyles()));
+        }
+
+        // 距離の縮尺（設定済みの場合のみ）
+        if (isCalibrated) {
+            projectData.scaleCalibration = projectSettingsManager.getScaleCalibration();
+        }
+
+        // 基準点・縮尺（設定済みの場合のみ）
+        const { georeferenceManager } = managers;
+        if (georeferenceManager && (georeferenceManager.getControlPoints().length > 0 || georeferenceManager.getScale())) {
+            projectData.georeference = georeferenceManager.getSnapshot();
+        }
+
+        // レイヤーの表示・ロック（初期状態でないレイヤーがある場合のみ）
+        const { layerManager } = managers;
+        if (layerManager && Object.keys(layerManager.getSnapshot()).length > 0) {
+            projectData.layers = layerManager.getSnapshot();
+        }
+
         await this.saveJSONWithUserChoice(projectData, filename);
     }
 
     /**
      * プロジェクト全データをJSONインポート
-     * @param {Object} managers - { pointManager, routeManager, spotManager, areaManager }
+     * @param {Object} managers - { pointManager, routeManager, spotManager, areaManager, georeferenceManager, projectSettingsManager, layerManager }
      * @param {File} file - JSONファイル
-     * @param {number} canvasWidth - キャンバス幅
-     * @param {number} canvasHeight - キャンバス高さ
-     * @param {number} imageWidth - 元画像幅
-     * @param {number} imageHeight - 元画像高さ
+     * @returns {Promise<{pointsCount: number, routesCount: number, spotsCount: number, areasCount: number}>} 読み込み件数
      */
-    async importProjectData(managers, file, canvasWidth, canvasHeight, imageWidth, imageHeight) {
+    async importProjectData(managers, file) {
+        return this.applyProjectData(managers, await this.loadJsonFile(file));
+    }
+
+    /**
+     * 読み込んだプロジェクトJSONをマネージャーに反映（待ち時間を挟まないため、1件の履歴としてまとめられる）
+     * ポイントID体系はポイントより先に復元し、読み込んだIDの判定に使う
+     * @param {Object} managers - { pointManager, routeManager, spotManager, areaManager, georeferenceManager, projectSettingsManager, layerManager }
+     * @param {Object} jsonData - loadJsonFile() で読み込んだJSONデータ
+     * @returns {{pointsCount: number, routesCount: number, spotsCount: number, areasCount: number}} 読み込み件数
+     */
+    applyProjectData(managers, jsonData) {
         const { pointManager, routeManager, spotManager, areaManager } = managers;
-        const jsonData = await this.loadJsonFile(file);
 
         if (!jsonData.data) {
             throw new Error('有効なプロジェクトデータではありません');
@@ -542,32 +683,64 @@ export class FileHandler {
         spotManager.clearSpots();
         areaManager.clearAreas();
 
+        // ポイントID体系読み込み（含まれている場合のみ）
+        if (jsonData.pointIdScheme && managers.projectSettingsManager) {
+            managers.projectSettingsManager.setPointIdScheme(jsonData.pointIdScheme);
+        }
+
+        // カテゴリの選択肢読み込み（含まれている場合のみ）
+        if (Array.isArray(jsonData.categories) && managers.projectSettingsManager) {
+            managers.projectSettingsManager.setCategories(jsonData.categories);
+        }
+
+        // カテゴリごとの表示設定読み込み（含まれている場合のみ。ないカテゴリは初期値）
+        if (jsonData.categoryStyles && typeof jsonData.categoryStyles === 'object' && managers.projectSettingsManager) {
+            managers.projectSettingsManager.setCategoryStyles(jsonData.categoryStyles);
+        }
+
+        // 距離の縮尺読み込み（含まれている場合のみ）
+        if (jsonData.scaleCalibration && managers.projectSettingsManager) {
+            managers.projectSettingsManager.setScaleCalibration(jsonData.scaleCalibration);
+        }
+
+        // 基準点・縮尺読み込み（含まれている場合のみ）
+        if (jsonData.georeference && managers.georeferenceManager) {
+            managers.georeferenceManager.restoreSnapshot(jsonData.georeference);
+        }
+
+        // レイヤーの表示・ロック読み込み（含まれていない場合はすべて表示・ロックなし）
+        if (managers.layerManager) {
+            managers.layerManager.restoreSnapshot(jsonData.layers || {});
+        }
+
         // ポイント読み込み
         if (jsonData.data.points) {
             jsonData.data.points.forEach(p => {
-                const coords = CoordinateUtils.imageToCanvas(p.x, p.y, canvasWidth, canvasHeight, imageWidth, imageHeight);
-                pointManager.addPoint(coords.x, coords.y, p.id);
+                const point = pointManager.addPoint(p.x, p.y, p.id);
+                if (Number.isFinite(p.elevation)) point.elevation = p.elevation;
+                Object.assign(point, ObjectAttributes.fromData('point', p));
             });
         }
 
         // スポット読み込み
         if (jsonData.data.spots) {
             jsonData.data.spots.forEach(s => {
-                const coords = CoordinateUtils.imageToCanvas(s.x, s.y, canvasWidth, canvasHeight, imageWidth, imageHeight);
-                spotManager.addSpot(coords.x, coords.y, s.name);
+                const spot = spotManager.addSpot(s.x, s.y, s.name);
+                if (Number.isFinite(s.elevation)) spot.elevation = s.elevation;
+                Object.assign(spot, ObjectAttributes.fromData('spot', s));
             });
         }
 
         // エリア読み込み
         if (jsonData.data.areas) {
             jsonData.data.areas.forEach(a => {
-                const vertices = (a.vertices || []).map(v => {
-                    const coords = CoordinateUtils.imageToCanvas(v.x, v.y, canvasWidth, canvasHeight, imageWidth, imageHeight);
-                    return { x: coords.x, y: coords.y };
-                });
+                const vertices = (a.vertices || []).map(v => ({ x: v.x, y: v.y }));
                 areaManager.addArea({
+                    // 識別ID（レイヤーの状態の対応付け用。ない場合は新しく発行する）
+                    objectId: a.objectId || undefined,
                     areaName: a.areaName,
-                    vertices: vertices
+                    vertices: vertices,
+                    ...ObjectAttributes.fromData('area', a)
                 });
             });
         }
@@ -575,16 +748,14 @@ export class FileHandler {
         // ルート読み込み
         if (jsonData.data.routes) {
             jsonData.data.routes.forEach(r => {
-                const waypoints = (r.waypoints || []).map(wp => {
-                    const coords = CoordinateUtils.imageToCanvas(wp.x, wp.y, canvasWidth, canvasHeight, imageWidth, imageHeight);
-                    return { x: coords.x, y: coords.y };
-                });
+                const waypoints = (r.waypoints || []).map(wp => ({ x: wp.x, y: wp.y }));
                 routeManager.addRoute({
+                    objectId: r.objectId || undefined,
                     routeName: r.routeName,
                     startPointId: r.startPoint,
                     endPointId: r.endPoint,
                     routePoints: waypoints,
-                    description: r.description
+                    ...ObjectAttributes.fromData('route', r)
                 });
             });
         }
@@ -596,4 +767,445 @@ export class FileHandler {
             areasCount: (jsonData.data.areas || []).length
         };
     }
-}
\ No newline at end of file
+
+    /**
+     * プロジェクトデータを地理座標のGeoJSON（FeatureCollection）として出力
+     * ポイント・スポットはPoint、ルートは開始→中間点→終了のLineString、エリアはPolygonとする
+     * @param {Object} managers - { pointManager, routeManager, spotManager, areaManager, georeferenceManager }
+     * @param {Function} resolveEndpoint - ポイントIDまたはスポット名から画像座標を返す関数
+     * @param {string} filename - 出力ファイル名
+     * @param {Object} saveOptions - 出力対象 { points, routes, spots, areas }
+     * @returns {Promise<boolean>} 保存したかどうか
+     */
+    async exportGeoJSON(managers, resolveEndpoint, filename, saveOptions = { points: true, routes: true, spots: true, areas: true }) {
+        const { pointManager, routeManager, spotManager, areaManager, georeferenceManager } = managers;
+        if (!georeferenceManager || !georeferenceManager.isReady()) {
+            throw new Error('基準点による地理座標への変換が設定されていません');
+        }
+
+        // 画像座標 → GeoJSONの位置（[経度, 緯度]）
+        const factor = Math.pow(10, GEOJSON_PRECISION);
+        const toPosition = (coord) => {
+            const { lat, lon } = georeferenceManager.imageToGeo(coord.x, coord.y);
+            return [Math.round(lon * factor) / factor, Math.round(lat * factor) / factor];
+        };
+        const feature = (geometry, properties) => ({ type: 'Feature', geometry, properties });
+        const features = [];
+
+        if (saveOptions.points) {
+            pointManager.getPoints().filter(p => p.id && p.id.trim() !== '').forEach(point => {
+                features.push(feature(
+                    { type: 'Point', coordinates: toPosition(point) },
+                    { type: 'point', id: point.id, ...ObjectAttributes.toData('point', point) }
+                ));
+            });
+        }
+
+        if (saveOptions.spots) {
+            spotManager.getSpots().filter(s => s.name && s.name.trim() !== '').forEach(spot => {
+                features.push(feature(
+                    { type: 'Point', coordinates: toPosition(spot) },
+                    { type: 'spot', name: spot.name, ...ObjectAttributes.toData('spot', spot) }
+                ));
+            });
+        }
+
+        if (saveOptions.routes) {
+            routeManager.getAllRoutes().forEach(route => {
+                const startCoord = resolveEndpoint(route.startPointId);
+                const endCoord = resolveEndpoint(route.endPointId);
+                const path = [];
+                if (startCoord) path.push(startCoord);
+                path.push(...(route.routePoints || []));
+                if (endCoord) path.push(endCoord);
+                if (path.length < 2) return;
+
+                features.push(feature(
+                    { type: 'LineString', coordinates: path.map(toPosition) },
+                    {
+                        type: 'route',
+                        routeName: route.routeName,
+                        startPoint: route.startPointId,
+                        endPoint: route.endPointId,
+                        ...ObjectAttributes.toData('route', route)
+                    }
+                ));
+            });
+        }
+
+        if (saveOptions.areas) {
+            areaManager.getAllAreas().filter(a => a.areaName && a.areaName.trim() !== '').forEach(area => {
+                const vertices = area.vertices || [];
+                if (vertices.length < 3) return;
+
+                // 外周は反時計回り（RFC 7946）とし、始点で閉じる
+                const ring = vertices.map(toPosition);
+                const signedArea = ring.reduce((sum, p, i) => {
+                    const q = ring[(i + 1) % ring.length];
+                    return sum + (p[0] * q[1] - q[0] * p[1]);
+                }, 0);
+                if (signedArea < 0) ring.reverse();
+                ring.push([...ring[0]]);
+
+                features.push(feature(
+                    { type: 'Polygon', coordinates: [ring] },
+                    { type: 'area', areaName: area.areaName, ...ObjectAttributes.toData('area', area) }
+                ));
+            });
+        }
+
+        return this.saveJSONWithUserChoice({ type: 'FeatureCollection', features }, filename, GEOJSON_FILE_TYPE);
+    }
+
+    /**
+     * GeoJSONファイルを選択
+     * @returns {Promise<File>} 選択されたファイル
+     */
+    async selectGeoJsonFile() {
+        return this.selectFile(GEOJSON_FILE_TYPE);
+    }
+
+    /**
+     * GeoJSONファイルを読み込み
+     * @param {Object} managers - { pointManager, routeManager, spotManager, areaManager, georeferenceManager }
+     * @param {File} file - GeoJSONファイル
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @returns {Promise<{pointsCount: number, routesCount: number, spotsCount: number, areasCount: number, skippedCount: number}>} 読み込み件数
+     */
+    async importGeoJSON(managers, file, imageWidth, imageHeight) {
+        if (!managers.georeferenceManager || !managers.georeferenceManager.isReady()) {
+            throw new Error('基準点による地理座標への変換が設定されていません');
+        }
+        return this.applyGeoJSON(managers, await this.loadJsonFile(file), imageWidth, imageHeight);
+    }
+
+    /**
+     * GeoJSONの地物を基準点で画像座標に変換してマネージャーに反映（待ち時間を挟まないため、1件の履歴としてまとめられる）
+     * Point/MultiPointはポイント（properties.type が 'point' またはIDがポイントID体系の形式）かスポット、
+     * LineString/MultiLineStringはルート、Polygon/MultiPolygonの外周はエリアとして追加する。
+     * 画像の範囲外にある地物は読み込まない
+     * @param {Object} managers - { pointManager, routeManager, spotManager, areaManager, georeferenceManager }
+     * @param {Object} geojson - loadJsonFile() で読み込んだGeoJSONデータ
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @returns {{pointsCount: number, routesCount: number, spotsCount: number, areasCount: number, skippedCount: number}} 読み込み件数
+     */
+    applyGeoJSON(managers, geojson, imageWidth, imageHeight) {
+        const { pointManager, routeManager, spotManager, areaManager, georeferenceManager } = managers;
+        if (!georeferenceManager || !georeferenceManager.isReady()) {
+            throw new Error('基準点による地理座標への変換が設定されていません');
+        }
+
+        const features = geojson.type === 'FeatureCollection' ? geojson.features
+            : geojson.type === 'Feature' ? [geojson]
+            : null;
+        if (!Array.isArray(features)) {
+            throw new Error('有効なGeoJSONデータではありません');
+        }
+
+        // GeoJSONの位置（[経度, 緯度]） → 画像座標
+        const toImage = (position) => {
+            const { x, y } = georeferenceManager.geoToImage(position[1], position[0]);
+            return { x: Math.round(x), y: Math.round(y) };
+        };
+        const isInside = (coord) => coord.x >= 0 && coord.y >= 0 && coord.x <= imageWidth && coord.y <= imageHeight;
+
+        // 既存データをクリア
+        pointManager.clearPoints();
+        routeManager.clearAllRoutes();
+        spotManager.clearSpots();
+        areaManager.clearAreas();
+
+        const result = { pointsCount: 0, routesCount: 0, spotsCount: 0, areasCount: 0, skippedCount: 0 };
+        const lines = [];
+
+        const addPointFeature = (position, properties) => {
+            const coord = toImage(position);
+            if (!isInside(coord)) {
+                result.skippedCount++;
+                return;
+            }
+            const id = properties.id ? String(properties.id) : '';
+            const isPoint = properties.type === 'point' ||
+                (properties.type !== 'spot' && id !== '' && Validators.isValidPointIdFormat(id));
+            if (isPoint) {
+                const point = pointManager.addPoint(coord.x, coord.y, id);
+                Object.assign(point, ObjectAttributes.fromData('point', properties));
+                result.pointsCount++;
+            } else {
+                const name = properties.name || properties.title || id || `スポット${result.spotsCount + 1}`;
+                const spot = spotManager.addSpot(coord.x, coord.y, String(name));
+                Object.assign(spot, ObjectAttributes.fromData('spot', properties));
+                result.spotsCount++;
+            }
+        };
+
+        const addAreaFeature = (ring, properties) => {
+            const vertices = (ring || []).map(toImage);
+            // 閉じた外周の終点（始点と同じ位置）は頂点に含めない
+            const first = vertices[0];
+            const last = vertices[vertices.length - 1];
+            if (vertices.length > 1 && first.x === last.x && first.y === last.y) vertices.pop();
+            if (vertices.length < 3 || !vertices.some(isInside)) {
+                result.skippedCount++;
+                return;
+            }
+            areaManager.addArea({
+                areaName: properties.areaName || properties.name || '',
+                vertices,
+                ...ObjectAttributes.fromData('area', properties)
+            });
+            result.areasCount++;
+        };
+
+        features.forEach(item => {
+            if (!item || !item.geometry) {
+                result.skippedCount++;
+                return;
+            }
+            const properties = item.properties || {};
+            const { type, coordinates } = item.geometry;
+            switch (type) {
+                case 'Point':
+                    addPointFeature(coordinates, properties);
+                    break;
+                case 'MultiPoint':
+                    coordinates.forEach(position => addPointFeature(position, properties));
+                    break;
+                case 'LineString':
+                    lines.push({ coordinates, properties });
+                    break;
+                case 'MultiLineString':
+                    coordinates.forEach(line => lines.push({ coordinates: line, properties }));
+                    break;
+                case 'Polygon':
+                    addAreaFeature(coordinates[0], properties);
+                    break;
+                case 'MultiPolygon':
+                    coordinates.forEach(polygon => addAreaFeature(polygon[0], properties));
+                    break;
+                default:
+                    result.skippedCount++;
+            }
+        });
+
+        // ルートは開始・終了ポイントを解決するため、ポイント・スポットの後に読み込む
+        const resolveEndpoint = (id) => {
+            if (!id) return null;
+            return pointManager.getPoints().find(p => p.id === id) || spotManager.findSpotByName(id);
+        };
+        const isNear = (a, b) => Math.abs(a.x - b.x) <= ENDPOINT_TOLERANCE && Math.abs(a.y - b.y) <= ENDPOINT_TOLERANCE;
+
+        lines.forEach(({ coordinates, properties }) => {
+            let path = (coordinates || []).map(toImage);
+            if (path.length === 0 || !path.some(isInside)) {
+                result.skippedCount++;
+                return;
+            }
+
+            // 出力時に加えた開始・終了ポイントの位置は中間点に含めない
+            const startPoint = properties.startPoint ? String(properties.startPoint) : '';
+            const endPoint = properties.endPoint ? String(properties.endPoint) : '';
+            const startCoord = resolveEndpoint(startPoint);
+            const endCoord = resolveEndpoint(endPoint);
+            if (startCoord && path.length > 0 && isNear(path[0], startCoord)) path = path.slice(1);
+            if (endCoord && path.length > 0 && isNear(path[path.length - 1], endCoord)) path = path.slice(0, -1);
+
+            routeManager.addRoute({
+                routeName: properties.routeName || properties.name ||
+                    (startPoint && endPoint ? `${startPoint} ～ ${endPoint}` : `ルート ${result.routesCount + 1}`),
+                startPointId: startPoint,
+                endPointId: endPoint,
+                routePoints: path,
+                ...ObjectAttributes.fromData('route', properties)
+            });
+            result.routesCount++;
+        });
+
+        return result;
+    }
+
+    /**
+     * ルートをトラック、ポイント・スポットをウェイポイントとしてGPX 1.1形式で出力
+     * トラックは開始ポイント→中間点→終了ポイントの順とする
+     * @param {Object} managers - { pointManager, routeManager, spotManager }
+     * @param {Function} resolveEndpoint - ポイントIDまたはスポット名から画像座標を返す関数
+     * @param {Object} model - 画像座標→緯度・経度の変換モデル（GeoTransform.fit() / fromScale() の結果）
+     * @param {string} filename - 出力ファイル名
+     * @param {Object} saveOptions - 出力対象 { points, routes, spots }
+     * @returns {Promise<boolean>} 保存したかどうか
+     */
+    async exportGPX(managers, resolveEndpoint, model, filename, saveOptions = { points: true, routes: true, spots: true }) {
+        const { pointManager, routeManager, spotManager } = managers;
+        const factor = Math.pow(10, GEOJSON_PRECISION);
+        const round = (value) => Math.round(value * factor) / factor;
+        const position = (coord) => {
+            const { lat, lon } = GeoTransform.imageToGeo(model, coord.x, coord.y);
+            return `lat="${round(lat)}" lon="${round(lon)}"`;
+        };
+        const esc = (text) => XmlUtils.escape(text);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="PointMarker" xmlns="http://www.topografix.com/GPX/1/1">',
+            '  <metadata>',
+            `    <name>${esc(this.currentImageFileName || 'PointMarker')}</name>`,
+            `    <time>${new Date().toISOString()}</time>`,
+            '  </metadata>'
+        ];
+
+        // ウェイポイント（GPX 1.1の要素順: name → desc → type）
+        if (saveOptions.points) {
+            pointManager.getPoints().filter(p => p.id && p.id.trim() !== '').forEach(point => {
+                lines.push(`  <wpt ${position(point)}>`, `    <name>${esc(point.id)}</name>`, '    <type>point</type>', '  </wpt>');
+            });
+        }
+        if (saveOptions.spots) {
+            spotManager.getSpots().filter(s => s.name && s.name.trim() !== '').forEach(spot => {
+                lines.push(`  <wpt ${position(spot)}>`, `    <name>${esc(spot.name)}</name>`);
+                if (spot.description) lines.push(`    <desc>${esc(spot.description)}</desc>`);
+                lines.push('    <type>spot</type>', '  </wpt>');
+            });
+        }
+
+        // トラック
+        if (saveOptions.routes) {
+            routeManager.getAllRoutes().forEach(route => {
+                const startCoord = resolveEndpoint(route.startPointId);
+                const endCoord = resolveEndpoint(route.endPointId);
+                const path = [];
+                if (startCoord) path.push(startCoord);
+                path.push(...(route.routePoints || []));
+                if (endCoord) path.push(endCoord);
+                if (path.length < 2) return;
+
+                lines.push('  <trk>', `    <name>${esc(route.routeName || '')}</name>`);
+                if (route.description) lines.push(`    <desc>${esc(route.description)}</desc>`);
+                lines.push('    <trkseg>');
+                path.forEach(coord => lines.push(`      <trkpt ${position(coord)}></trkpt>`));
+                lines.push('    </trkseg>', '  </trk>');
+            });
+        }
+
+        lines.push('</gpx>', '');
+        const blob = new Blob([lines.join('\n')], { type: 'application/gpx+xml' });
+        return this.saveBlobWithUserChoice(blob, filename, GPX_FILE_TYPE);
+    }
+
+    /**
+     * GPXファイルを選択
+     * @returns {Promise<File>} 選択されたファイル
+     */
+    async selectGpxFile() {
+        return this.selectFile(GPX_FILE_TYPE);
+    }
+
+    /**
+     * 標高グリッド（DEM）ファイルを選択して読み込み
+     * @returns {Promise<{grid: ElevationGrid, fileName: string}>} 標高グリッドとファイル名
+     * @throws {Error} キャンセルされた場合、または形式が正しくない場合
+     */
+    async selectElevationGrid() {
+        const file = await this.selectFile(ELEVATION_GRID_FILE_TYPE);
+        const grid = ElevationGrid.parse(await this.loadTextFile(file));
+        return { grid, fileName: file.name };
+    }
+
+    /**
+     * GPXファイルをテキストとして読み込み
+     * @param {File} file - GPXファイル
+     * @returns {Promise<string>} ファイルの内容
+     */
+    async loadGpxFile(file) {
+        if (!/\.gpx$/i.test(file.name || '') && !(file.type || '').includes('xml')) {
+            throw new Error('GPXファイルを選択してください');
+        }
+        return this.loadTextFile(file);
+    }
+
+    /**
+     * GPXファイルを読み込み、トラック・ルートをルートとして追加
+     * @param {Object} managers - { pointManager, routeManager, spotManager }
+     * @param {File} file - GPXファイル
+     * @param {Object} model - 変換モデル（GeoTransform.fit() / fromScale() の結果）
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @returns {Promise<{routesCount: number, skippedCount: number}>} 読み込み件数
+     */
+    async importGPX(managers, file, model, imageWidth, imageHeight) {
+        return this.applyGPX(managers, await this.loadGpxFile(file), model, imageWidth, imageHeight);
+    }
+
+    /**
+     * GPXのトラック（trk）・ルート（rte）を緯度・経度から画像座標に変換し、ルートとして追加（待ち時間を挟まないため、1件の履歴としてまとめられる）
+     * 既存データは残したまま追加する。線の始点・終点が既存のポイント・スポットと重なる場合は
+     * それを開始・終了ポイントとし、残りの位置を中間点とする
+     * @param {Object} managers - { pointManager, routeManager, spotManager }
+     * @param {string} text - loadGpxFile() で読み込んだGPXの内容
+     * @param {Object} model - 変換モデル（GeoTransform.fit() / fromScale() の結果）
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @returns {{routesCount: number, skippedCount: number}} 読み込み件数
+     */
+    applyGPX(managers, text, model, imageWidth, imageHeight) {
+        const { pointManager, routeManager, spotManager } = managers;
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'gpx') {
+            throw new Error('GPXファイルの形式が正しくありません');
+        }
+
+        const childText = (element, name) => {
+            const child = Array.from(element.children).find(c => c.localName === name);
+            return child ? child.textContent.trim() : '';
+        };
+        const toImage = (element) => {
+            const lat = parseFloat(element.getAttribute('lat'));
+            const lon = parseFloat(element.getAttribute('lon'));
+            if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+            const { x, y } = GeoTransform.geoToImage(model, lat, lon);
+            return { x: Math.round(x), y: Math.round(y) };
+        };
+        const isInside = (coord) => coord.x >= 0 && coord.y >= 0 && coord.x <= imageWidth && coord.y <= imageHeight;
+        const isNear = (a, b) => Math.abs(a.x - b.x) <= ENDPOINT_TOLERANCE && Math.abs(a.y - b.y) <= ENDPOINT_TOLERANCE;
+
+        // 線の端点と重なるポイントID・スポット名を検索
+        const findEndpointAt = (coord) => {
+            const point = pointManager.getPoints().find(p => p.id && isNear(p, coord));
+            if (point) return point.id;
+            const spot = spotManager.getSpots().find(s => s.name && isNear(s, coord));
+            return spot ? spot.name : '';
+        };
+
+        const lines = [
+            ...Array.from(doc.getElementsByTagNameNS('*', 'trk')).map(el => ({ el, pointTag: 'trkpt' })),
+            ...Array.from(doc.getElementsByTagNameNS('*', 'rte')).map(el => ({ el, pointTag: 'rtept' }))
+        ];
+        const result = { routesCount: 0, skippedCount: 0 };
+
+        lines.forEach(({ el, pointTag }) => {
+            // 複数のトラックセグメントは順につなげて1本のルートとする
+            let path = Array.from(el.getElementsByTagNameNS('*', pointTag)).map(toImage).filter(Boolean);
+            if (path.length === 0 || !path.some(isInside)) {
+                result.skippedCount++;
+                return;
+            }
+
+            const startPointId = findEndpointAt(path[0]);
+            if (startPointId) path = path.slice(1);
+            const endPointId = path.length > 0 ? findEndpointAt(path[path.length - 1]) : '';
+            if (endPointId) path = path.slice(0, -1);
+
+            routeManager.addRoute({
+                routeName: childText(el, 'name') || `ルート ${routeManager.getAllRoutes().length + 1}`,
+                startPointId,
+                endPointId,
+                routePoints: path,
+                description: childText(el, 'desc')
+            });
+            result.routesCount++;
+        });
+
+        return result;
+    }
+}
@@ -0,0 +1,169 @@
+import { BaseManager } from '../core/BaseManager.js';
+import { GeoTransform } from '../utils/GeoTransform.js';
+
+/**
+ * 基準点（画像座標と緯度・経度の組）を管理し、画像座標と地理座標を変換するクラス
+ * 基準点または変換方式が変わるたびに変換モデルを計算し直す。
+ * 基準点がない場合に使う簡易変換用の縮尺（GPX入出力で指定）もあわせて保持する
+ */
+export class GeoreferenceManager extends BaseManager {
+    constructor() {
+        super();
+        this.controlPoints = [];
+        this.method = 'affine';
+        this.model = null;
+        this.error = null;
+        // 縮尺による簡易変換の設定 { metersPerPixel, originLat, originLon }（未設定の場合はnull）
+        this.scale = null;
+    }
+
+    /**
+     * 基準点一覧を取得
+     * @returns {Array<{x: number, y: number, lat: number, lon: number}>} 基準点
+     */
+    getControlPoints() {
+        return this.controlPoints;
+    }
+
+    /**
+     * 変換方式を取得
+     * @returns {string} 'affine' | 'polynomial'
+     */
+    getMethod() {
+        return this.method;
+    }
+
+    /**
+     * 基準点と変換方式を設定し、変換モデルを計算
+     * @param {Array<{x: number, y: number, lat: number, lon: number}>} controlPoints - 基準点
+     * @param {string} method - 変換方式（'affine' | 'polynomial'）
+     */
+    setGeoreference(controlPoints, method = this.method) {
+        this.controlPoints = controlPoints.map(cp => ({
+            x: Number(cp.x),
+            y: Number(cp.y),
+            lat: Number(cp.lat),
+            lon: Number(cp.lon)
+        }));
+        this.method = method;
+        this._updateModel();
+    }
+
+    /**
+     * 縮尺による簡易変換の設定を取得
+     * @returns {{metersPerPixel: number, originLat: number, originLon: number}|null} 設定（未設定の場合はnull）
+     */
+    getScale() {
+        return this.scale;
+    }
+
+    /**
+     * 縮尺による簡易変換を設定
+     * @param {{metersPerPixel: number, originLat: number, originLon: number}|null} scale - 設定（nullで解除）
+     */
+    setScale(scale) {
+        this.scale = scale ? {
+            metersPerPixel: Number(scale.metersPerPixel),
+            originLat: Number(scale.originLat),
+            originLon: Number(scale.originLon)
+        } : null;
+        this.notify('onChange', this.isReady());
+    }
+
+    /**
+     * 基準点と縮尺の設定をすべて削除
+     */
+    clear() {
+        this.scale = null;
+        this.setGeoreference([], 'affine');
+    }
+
+    /**
+     * 地理座標への変換が可能かどうかを取得
+     * @returns {boolean} 変換モデルが計算済みならtrue
+     */
+    isReady() {
+        return this.model !== null;
+    }
+
+    /**
+     * 変換モデルを計算できなかった理由を取得
+     * @returns {string|null} エラーメッセージ（計算済み・基準点なしの場合はnull）
+     */
+    getError() {
+        return this.error;
+    }
+
+    /**
+     * 基準点から計算した変換モデルを取得
+     * @returns {Object|null} 変換モデル（GeoTransform.fit() の結果）、変換できない場合はnull
+     */
+    getModel() {
+        return this.model;
+    }
+
+    /**
+     * 画像座標を緯度・経度に変換
+     * @param {number} x - 画像X座標
+     * @param {number} y - 画像Y座標
+     * @returns {{lat: number, lon: number}|null} 緯度・経度（変換できない場合はnull）
+     */
+    imageToGeo(x, y) {
+        return this.model ? GeoTransform.imageToGeo(this.model, x, y) : null;
+    }
+
+    /**
+     * 緯度・経度を画像座標に変換
+     * @param {number} lat - 緯度
+     * @param {number} lon - 経度
+     * @returns {{x: number, y: number}|null} 画像座標（変換できない場合はnull）
+     */
+    geoToImage(lat, lon) {
+        return this.model ? GeoTransform.geoToImage(this.model, lat, lon) : null;
+    }
+
+    /**
+     * 基準点ごとの変換誤差を取得
+     * @returns {{residuals: Array<number>, rms: number}|null} 誤差（メートル）、変換できない場合はnull
+     */
+    getResiduals() {
+        return this.model ? GeoTransform.getResiduals(this.model, this.controlPoints) : null;
+    }
+
+    /**
+     * 自動保存・プロジェクトJSON用に現在の状態を取得
+     * @returns {{controlPoints: Array, method: string, scale: Object|null}} 状態のコピー
+     */
+    getSnapshot() {
+        return {
+            controlPoints: this.controlPoints.map(cp => ({ ...cp })),
+            method: this.method,
+            scale: this.scale ? { ...this.scale } : null
+        };
+    }
+
+    /**
+     * getSnapshot() で取得した状態を復元
+     * @param {{controlPoints: Array, method: string, scale: Object|null}} snapshot - 状態
+     */
+    restoreSnapshot(snapshot) {
+        this.scale = snapshot.scale ? { ...snapshot.scale } : null;
+        this.setGeoreference(snapshot.controlPoints || [], snapshot.method || 'affine');
+    }
+
+    /**
+     * 変換モデルを計算し直して変更を通知
+     */
+    _updateModel() {
+        this.model = null;
+        this.error = null;
+        if (this.controlPoints.length > 0) {
+            try {
+                this.model = GeoTransform.fit(this.controlPoints, this.method);
+            } catch (error) {
+                this.error = error.message;
+            }
+        }
+        this.notify('onChange', this.isReady());
+    }
+}
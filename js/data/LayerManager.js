@@ -0,0 +1,165 @@
+import { BaseManager } from '../core/BaseManager.js';
+
+// 種別ごとのレイヤー（レイヤーID → 表示名）。ルート・エリアはルートごと・エリアごとのレイヤーになる
+export const LAYER_LABELS = {
+    points: 'ポイント',
+    spots: 'スポット',
+    labels: 'ラベル'
+};
+
+/**
+ * レイヤー（ポイント・スポット・ルートごと・エリアごと・ラベル）の表示とロックの状態を管理するクラス
+ * - 非表示: キャンバスに描画せず、クリック・ドラッグの対象にもしない
+ * - ロック: 描画はするが、クリック・ドラッグの対象にせず、追加・移動・削除もできない
+ * ルート・エリアのレイヤーは作成時に発行する識別ID（objectId）で識別する（名前を変えても状態を引き継ぎ、同じ名前でも別のレイヤーになる）。
+ * 初期状態（表示・ロックなし）のレイヤーは保持しない
+ */
+export class LayerManager extends BaseManager {
+    constructor() {
+        super();
+        // レイヤーID → { visible, locked }
+        this.layers = {};
+    }
+
+    /**
+     * ルートのレイヤーIDを取得
+     * @param {Object} route - ルート
+     * @returns {string} レイヤーID
+     */
+    static getRouteLayerId(route) {
+        return `route:${route.objectId || ''}`;
+    }
+
+    /**
+     * エリアのレイヤーIDを取得
+     * @param {Object} area - エリア
+     * @returns {string} レイヤーID
+     */
+    static getAreaLayerId(area) {
+        return `area:${area.objectId || ''}`;
+    }
+
+    /**
+     * レイヤーの状態を取得
+     * @param {string} layerId - レイヤーID
+     * @returns {{visible: boolean, locked: boolean}} 状態
+     */
+    getLayerState(layerId) {
+        const state = this.layers[layerId];
+        return {
+            visible: state ? state.visible !== false : true,
+            locked: !!(state && state.locked)
+        };
+    }
+
+    /**
+     * レイヤーが表示されているか
+     * @param {string} layerId - レイヤーID
+     * @returns {boolean} 表示されている場合true
+     */
+    isVisible(layerId) {
+        return this.getLayerState(layerId).visible;
+    }
+
+    /**
+     * レイヤーがロックされているか
+     * @param {string} layerId - レイヤーID
+     * @returns {boolean} ロックされている場合true
+     */
+    isLocked(layerId) {
+        return this.getLayerState(layerId).locked;
+    }
+
+    /**
+     * レイヤーのオブジェクトをクリック・ドラッグ・編集できるか（表示されていてロックされていない）
+     * @param {string} layerId - レイヤーID
+     * @returns {boolean} 編集できる場合true
+     */
+    isEditable(layerId) {
+        const state = this.getLayerState(layerId);
+        return state.visible && !state.locked;
+    }
+
+    /**
+     * ルートの中間点をクリック・ドラッグ・編集できるか
+     * @param {Object|null} route - ルート
+     * @returns {boolean} 編集できる場合true（ルートがない場合はfalse）
+     */
+    isRouteEditable(route) {
+        return !!route && this.isEditable(LayerManager.getRouteLayerId(route));
+    }
+
+    /**
+     * エリアの頂点をクリック・ドラッグ・編集できるか
+     * @param {Object|null} area - エリア
+     * @returns {boolean} 編集できる場合true（エリアがない場合はfalse）
+     */
+    isAreaEditable(area) {
+        return !!area && this.isEditable(LayerManager.getAreaLayerId(area));
+    }
+
+    /**
+     * レイヤーの表示を切り替え
+     * @param {string} layerId - レイヤーID
+     * @param {boolean} visible - 表示する場合true
+     */
+    setVisible(layerId, visible) {
+        this._update(layerId, { visible: !!visible });
+    }
+
+    /**
+     * レイヤーのロックを切り替え
+     * @param {string} layerId - レイヤーID
+     * @param {boolean} locked - ロックする場合true
+     */
+    setLocked(layerId, locked) {
+        this._update(layerId, { locked: !!locked });
+    }
+
+    /**
+     * すべてのレイヤーを表示・ロック解除の状態に戻す
+     */
+    reset() {
+        this.layers = {};
+        this.notify('onChange');
+    }
+
+    /**
+     * 自動保存・プロジェクトJSON用に現在の状態を取得
+     * @returns {Object<string, {visible: boolean, locked: boolean}>} 初期状態でないレイヤーの状態
+     */
+    getSnapshot() {
+        return JSON.parse(JSON.stringify(this.layers));
+    }
+
+    /**
+     * getSnapshot() で取得した状態を復元
+     * @param {Object<string, {visible: boolean, locked: boolean}>} snapshot - 状態
+     */
+    restoreSnapshot(snapshot) {
+        this.layers = {};
+        Object.entries(snapshot || {}).forEach(([layerId, state]) => {
+            if (!state || typeof state !== 'object') return;
+            const normalized = { visible: state.visible !== false, locked: state.locked === true };
+            if (!normalized.visible || normalized.locked) {
+                this.layers[layerId] = normalized;
+            }
+        });
+        this.notify('onChange');
+    }
+
+    /**
+     * レイヤーの状態を更新して変更を通知
+     * @param {string} layerId - レイヤーID
+     * @param {Object} changes - 変更する項目
+     */
+    _update(layerId, changes) {
+        const state = { ...this.getLayerState(layerId), ...changes };
+        if (state.visible && !state.locked) {
+            delete this.layers[layerId];
+        } else {
+            this.layers[layerId] = state;
+        }
+        this.notify('onChange', layerId);
+    }
+}
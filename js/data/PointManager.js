@@ -1,5 +1,6 @@
 import { Validators } from '../utils/Validators.js';
 import { BaseManager } from '../core/BaseManager.js';
+import { ObjectAttributes } from '../utils/ObjectAttributes.js';
 
 /**
  * ポイントデータの管理を行うクラス
@@ -43,6 +44,46 @@ export class PointManager extends BaseManager {
         }
     }
 
+    /**
+     * 複数のポイントを一括削除
+     * @param {Array<number>} indices - 削除するポイントのインデックス配列
+     * @returns {number} 削除したポイントの数
+     */
+    removePoints(indices) {
+        let deletedCount = 0;
+        // インデックスを降順でソート（配列崩れ防止）
+        [...new Set(indices)].sort((a, b) => b - a).forEach(index => {
+            if (index >= 0 && index < this.points.length) {
+                this.points.splice(index, 1);
+                deletedCount++;
+            }
+        });
+
+        if (deletedCount > 0) {
+            this.notify('onChange', this.points);
+            this.notify('onCountChange', this.getUserPointCount());
+        }
+        return deletedCount;
+    }
+
+    /**
+     * 複数のポイントをまとめて移動
+     * @param {Array<number>} indices - 移動するポイントのインデックス配列
+     * @param {number} dx - X方向の移動量
+     * @param {number} dy - Y方向の移動量
+     * @param {boolean} skipRedrawInput - 入力ボックスの再描画をスキップするかどうか（ドラッグ中に使用）
+     */
+    movePoints(indices, dx, dy, skipRedrawInput = false) {
+        const targets = indices.filter(index => index >= 0 && index < this.points.length);
+        if (targets.length === 0) return;
+
+        targets.forEach(index => {
+            this.points[index].x = Math.round(this.points[index].x + dx);
+            this.points[index].y = Math.round(this.points[index].y + dy);
+        });
+        this.notify('onChange', this.points, skipRedrawInput);
+    }
+
     /**
      * ポイントIDを更新
      * @param {number} index - 更新するポイントのインデックス
@@ -66,6 +107,31 @@ export class PointManager extends BaseManager {
         }
     }
 
+    /**
+     * ポイントの標高を更新
+     * @param {number} index - 更新するポイントのインデックス
+     * @param {number|null} elevation - 標高（メートル、nullで未設定）
+     */
+    updatePointElevation(index, elevation) {
+        if (index >= 0 && index < this.points.length) {
+            this.points[index].elevation = Number.isFinite(elevation) ? elevation : null;
+            this.notify('onChange', this.points);
+        }
+    }
+
+    /**
+     * ポイントの属性（説明・カテゴリ・任意項目）を更新
+     * @param {number} index - 更新するポイントのインデックス
+     * @param {Object} changes - 変更する属性（空の値で削除）
+     */
+    updatePointAttributes(index, changes) {
+        if (index >= 0 && index < this.points.length) {
+            ObjectAttributes.assign(this.points[index], changes);
+            // 属性は入力ボックスに表示しないため、入力ボックスは作り直さない
+            this.notify('onChange', this.points, true);
+        }
+    }
+
     /**
      * すべてのポイントをクリア
      */
@@ -134,4 +200,21 @@ export class PointManager extends BaseManager {
         }
     }
 
-}
\ No newline at end of file
+    /**
+     * 履歴管理用に現在の状態を取得
+     * @returns {{points: Array}} ポイント配列の複製
+     */
+    getSnapshot() {
+        return { points: this.points.map(point => ({ ...point })) };
+    }
+
+    /**
+     * 履歴管理用のスナップショットから状態を復元
+     * @param {{points: Array}} snapshot - getSnapshot()で取得した状態
+     */
+    restoreSnapshot(snapshot) {
+        this.points = snapshot.points;
+        this.notify('onChange', this.points);
+        this.notify('onCountChange', this.getUserPointCount());
+    }
+}
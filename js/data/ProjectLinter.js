@@ -0,0 +1,177 @@
+import { Validators } from '../utils/Validators.js';
+
+/**
+ * プロジェクト全体のデータの問題点（整合性チェック）を一覧にするクラス
+ *
+ * 問題: { severity, category, message, location }
+ * - severity: 'error'（データの矛盾） | 'warning'（未入力・形式違いなど）
+ * - category: 'point' | 'spot' | 'route' | 'area'
+ * - location: 該当箇所の画像座標 {x, y}（特定できない場合はnull）
+ */
+export class ProjectLinter {
+    /**
+     * @param {Object} managers - { pointManager, spotManager, routeManager, areaManager }
+     * @param {Function} resolveEndpoint - 開始・終了ポイント（ポイントIDまたはスポット名）から座標を求める関数
+     */
+    constructor(managers, resolveEndpoint) {
+        this.pointManager = managers.pointManager;
+        this.spotManager = managers.spotManager;
+        this.routeManager = managers.routeManager;
+        this.areaManager = managers.areaManager;
+        this.resolveEndpoint = resolveEndpoint;
+    }
+
+    /**
+     * すべてのチェックを実行
+     * @param {number} imageWidth - 画像の幅（範囲外チェック用）
+     * @param {number} imageHeight - 画像の高さ（範囲外チェック用）
+     * @returns {Array<Object>} 問題の一覧（エラー、警告の順）
+     */
+    run(imageWidth, imageHeight) {
+        const issues = [
+            ...this._checkPoints(),
+            ...this._checkSpots(),
+            ...this._checkRoutes(),
+            ...this._checkAreas(),
+            ...this._checkBounds(imageWidth, imageHeight)
+        ];
+        const order = { error: 0, warning: 1 };
+        return issues.sort((a, b) => order[a.severity] - order[b.severity]);
+    }
+
+    /**
+     * ポイントID（重複・未入力・ID体系の形式）をチェック
+     * @returns {Array<Object>} 問題
+     */
+    _checkPoints() {
+        const issues = [];
+        const points = this.pointManager.getPoints();
+        const counts = {};
+        points.forEach(point => {
+            if (point.id) counts[point.id] = (counts[point.id] || 0) + 1;
+        });
+
+        points.forEach((point, index) => {
+            const location = { x: point.x, y: point.y };
+            if (!point.id || point.id.trim() === '') {
+                issues.push(this._issue('warning', 'point', `ポイント${index + 1}のIDが未入力です`, location));
+            } else if (counts[point.id] > 1) {
+                issues.push(this._issue('error', 'point', `ポイントID「${point.id}」が重複しています`, location));
+            } else if (!Validators.isValidPointIdFormat(point.id)) {
+                issues.push(this._issue('warning', 'point',
+                    `ポイントID「${point.id}」がID体系（${Validators.getPointIdScheme().describe()}）に合っていません`, location));
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * スポット名の未入力をチェック
+     * @returns {Array<Object>} 問題
+     */
+    _checkSpots() {
+        return this.spotManager.getSpots()
+            .map((spot, index) => ({ spot, index }))
+            .filter(({ spot }) => !spot.name || spot.name.trim() === '')
+            .map(({ spot, index }) => this._issue('warning', 'spot', `スポット${index + 1}の名前が未入力です`, { x: spot.x, y: spot.y }));
+    }
+
+    /**
+     * ルート（開始・終了ポイントの参照先・中間点の有無）をチェック
+     * @returns {Array<Object>} 問題
+     */
+    _checkRoutes() {
+        const issues = [];
+        this.routeManager.getAllRoutes().forEach((route, index) => {
+            const name = route.routeName || `ルート${index + 1}`;
+            const waypoints = route.routePoints || [];
+            const start = route.startPointId ? this.resolveEndpoint(route.startPointId) : null;
+            const end = route.endPointId ? this.resolveEndpoint(route.endPointId) : null;
+            // ルートの位置は開始ポイント → 最初の中間点 → 終了ポイントの順に求める
+            const location = start || (waypoints[0] ? { x: waypoints[0].x, y: waypoints[0].y } : end);
+
+            [['開始', route.startPointId, start], ['終了', route.endPointId, end]].forEach(([label, id, coord]) => {
+                if (!id) {
+                    issues.push(this._issue('error', 'route', `ルート「${name}」の${label}ポイントが未設定です`, location));
+                } else if (!coord) {
+                    issues.push(this._issue('error', 'route',
+                        `ルート「${name}」の${label}ポイント「${id}」がポイント・スポットとして見つかりません`, location));
+                }
+            });
+
+            if (waypoints.length === 0) {
+                issues.push(this._issue('warning', 'route', `ルート「${name}」に中間点がありません`, location));
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * エリア（名前・頂点数・辺の交差）をチェック
+     * @returns {Array<Object>} 問題
+     */
+    _checkAreas() {
+        const issues = [];
+        this.areaManager.getAllAreas().forEach((area, index) => {
+            const vertices = area.vertices || [];
+            const location = vertices.length > 0
+                ? {
+                    x: vertices.reduce((sum, v) => sum + v.x, 0) / vertices.length,
+                    y: vertices.reduce((sum, v) => sum + v.y, 0) / vertices.length
+                }
+                : null;
+            const hasName = area.areaName && area.areaName.trim() !== '';
+            const name = hasName ? area.areaName : `エリア${index + 1}`;
+
+            if (!hasName) {
+                issues.push(this._issue('warning', 'area', `${name}の名前が未入力です`, location));
+            }
+            // 名前の未入力は上で報告済みのため、仮の名前で頂点数・辺の交差を検証する
+            const result = this.areaManager.validateArea({ ...area, areaName: name });
+            if (!result.isValid) {
+                issues.push(this._issue('error', 'area', `エリア「${name}」: ${result.message}`, location));
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * 画像の範囲外にあるポイント・スポット・中間点・頂点をチェック
+     * @param {number} width - 画像の幅
+     * @param {number} height - 画像の高さ
+     * @returns {Array<Object>} 問題
+     */
+    _checkBounds(width, height) {
+        if (!width || !height) return [];
+
+        const issues = [];
+        const isOutside = (p) => p.x < 0 || p.y < 0 || p.x > width || p.y > height;
+        const check = (category, p, label) => {
+            if (isOutside(p)) {
+                issues.push(this._issue('error', category, `${label}が画像の範囲外にあります（${Math.round(p.x)}, ${Math.round(p.y)}）`, { x: p.x, y: p.y }));
+            }
+        };
+
+        this.pointManager.getPoints().forEach((p, i) => check('point', p, `ポイント「${p.id || i + 1}」`));
+        this.spotManager.getSpots().forEach((s, i) => check('spot', s, `スポット「${s.name || i + 1}」`));
+        this.routeManager.getAllRoutes().forEach((route, i) => {
+            (route.routePoints || []).forEach((p, j) => check('route', p, `ルート「${route.routeName || i + 1}」の中間点${j + 1}`));
+        });
+        this.areaManager.getAllAreas().forEach((area, i) => {
+            (area.vertices || []).forEach((v, j) => check('area', v, `エリア「${area.areaName || i + 1}」の頂点${j + 1}`));
+        });
+        return issues;
+    }
+
+    /**
+     * 問題オブジェクトを作成
+     * @param {string} severity - 'error' | 'warning'
+     * @param {string} category - 'point' | 'spot' | 'route' | 'area'
+     * @param {string} message - メッセージ
+     * @param {{x: number, y: number}|null} location - 該当箇所の画像座標
+     * @returns {Object} 問題
+     */
+    _issue(severity, category, message, location) {
+        return { severity, category, message, location: location || null };
+    }
+}
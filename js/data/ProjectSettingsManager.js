@@ -0,0 +1,208 @@
+import { BaseManager } from '../core/BaseManager.js';
+import { PointIdScheme } from '../utils/PointIdScheme.js';
+import { Validators } from '../utils/Validators.js';
+import { CategoryStyles } from '../utils/CategoryStyles.js';
+
+// カテゴリの初期設定
+const DEFAULT_CATEGORIES = ['展望', 'トイレ', '水場', '駐車場', '休憩所', '危険箇所'];
+
+/**
+ * プロジェクト（画像）ごとの設定を管理するクラス
+ * - ポイントID体系: 変更時にValidatorsの判定・自動修正へ反映する
+ * - 縮尺（距離の較正）: 画像上の線の長さと実距離から1画素あたりのメートル数を求め、長さ・面積の換算に使う
+ * - カテゴリ: 属性パネルでポイント・スポット・ルート・エリアに設定するカテゴリの選択肢と、
+ *   カテゴリごとの表示設定（スポットのマーカー形状・色・アイコン、エリアの色）
+ */
+export class ProjectSettingsManager extends BaseManager {
+    constructor() {
+        super();
+        this.pointIdScheme = new PointIdScheme();
+        // 縮尺 { x1, y1, x2, y2, distanceMeters, metersPerPixel }（未設定の場合はnull）
+        this.scaleCalibration = null;
+        this.categories = [...DEFAULT_CATEGORIES];
+        // カテゴリ名 → 表示設定 { shape, color, icon }（選択肢のカテゴリごとに1つ）
+        this.categoryStyles = this._buildCategoryStyles(this.categories, {});
+    }
+
+    /**
+     * ポイントID体系を取得
+     * @returns {PointIdScheme} ID体系
+     */
+    getPointIdScheme() {
+        return this.pointIdScheme;
+    }
+
+    /**
+     * ポイントID体系を設定
+     * @param {Object} config - ID体系の設定（PointIdScheme のコンストラクタと同じ形式）
+     * @throws {Error} 正規表現が正しくない場合
+     */
+    setPointIdScheme(config) {
+        this.pointIdScheme = new PointIdScheme(config);
+        Validators.setPointIdScheme(this.pointIdScheme);
+        this.notify('onChange', this.pointIdScheme);
+    }
+
+    /**
+     * 縮尺を取得
+     * @returns {{x1: number, y1: number, x2: number, y2: number, distanceMeters: number, metersPerPixel: number}|null} 縮尺（未設定の場合はnull）
+     */
+    getScaleCalibration() {
+        return this.scaleCalibration;
+    }
+
+    /**
+     * 画像上の線（地図の縮尺バーなど）とその実距離から縮尺を設定
+     * @param {{x1: number, y1: number, x2: number, y2: number, distanceMeters: number}|null} calibration - 線の両端（画像座標）と実距離（nullで解除）
+     * @throws {Error} 線の長さが0、または実距離が正の数でない場合
+     */
+    setScaleCalibration(calibration) {
+        if (calibration) {
+            const x1 = Number(calibration.x1);
+            const y1 = Number(calibration.y1);
+            const x2 = Number(calibration.x2);
+            const y2 = Number(calibration.y2);
+            const distanceMeters = Number(calibration.distanceMeters);
+            const pixels = Math.hypot(x2 - x1, y2 - y1);
+            if (!(pixels > 0)) {
+                throw new Error('縮尺の線の長さが0です。線の両端を別の位置に指定してください');
+            }
+            if (!(distanceMeters > 0)) {
+                throw new Error('実距離には正の数値（メートル）を入力してください');
+            }
+            this.scaleCalibration = { x1, y1, x2, y2, distanceMeters, metersPerPixel: distanceMeters / pixels };
+        } else {
+            this.scaleCalibration = null;
+        }
+        this.notify('onChange', this.scaleCalibration);
+    }
+
+    /**
+     * カテゴリの選択肢を取得
+     * @returns {Array<string>} カテゴリ名
+     */
+    getCategories() {
+        return this.categories;
+    }
+
+    /**
+     * カテゴリの選択肢を設定（前後の空白を除き、空・重複を取り除く）
+     * @param {Array<string>} categories - カテゴリ名
+     */
+    setCategories(categories) {
+        const names = (categories || []).map(name => String(name).trim()).filter(name => name !== '');
+        this.categories = [...new Set(names)];
+        // 追加したカテゴリには初期の表示設定を付け、選択肢から外したカテゴリの表示設定は破棄する
+        this.categoryStyles = this._buildCategoryStyles(this.categories, this.categoryStyles);
+        this.notify('onChange', this.categories);
+    }
+
+    /**
+     * カテゴリごとの表示設定を取得
+     * @returns {Object<string, {shape: string, color: string, icon: string}>} カテゴリ名 → 表示設定
+     */
+    getCategoryStyles() {
+        return this.categoryStyles;
+    }
+
+    /**
+     * カテゴリごとの表示設定をまとめて設定（選択肢にないカテゴリの設定は無視する）
+     * @param {Object<string, Object>} styles - カテゴリ名 → 表示設定
+     */
+    setCategoryStyles(styles) {
+        this.categoryStyles = this._buildCategoryStyles(this.categories, styles || {});
+        this.notify('onChange', this.categoryStyles);
+    }
+
+    /**
+     * 1つのカテゴリの表示設定を変更
+     * @param {string} category - カテゴリ名
+     * @param {Object} changes - 変更する項目（shape / color / icon）
+     */
+    updateCategoryStyle(category, changes) {
+        if (!this.categoryStyles[category]) return;
+        this.categoryStyles = {
+            ...this.categoryStyles,
+            [category]: CategoryStyles.normalize({ ...this.categoryStyles[category], ...changes })
+        };
+        this.notify('onChange', this.categoryStyles);
+    }
+
+    /**
+     * 1画素あたりのメートル数を取得
+     * @returns {number|null} メートル数（縮尺が未設定の場合はnull）
+     */
+    getMetersPerPixel() {
+        return this.scaleCalibration ? this.scaleCalibration.metersPerPixel : null;
+    }
+
+    /**
+     * 画像上の長さをメートルに換算
+     * @param {number} pixels - 長さ（画素）
+     * @returns {number|null} 長さ（メートル、縮尺が未設定の場合はnull）
+     */
+    toMeters(pixels) {
+        const metersPerPixel = this.getMetersPerPixel();
+        return metersPerPixel === null ? null : pixels * metersPerPixel;
+    }
+
+    /**
+     * 画像上の面積を平方メートルに換算
+     * @param {number} squarePixels - 面積（平方画素）
+     * @returns {number|null} 面積（平方メートル、縮尺が未設定の場合はnull）
+     */
+    toSquareMeters(squarePixels) {
+        const metersPerPixel = this.getMetersPerPixel();
+        return metersPerPixel === null ? null : squarePixels * metersPerPixel * metersPerPixel;
+    }
+
+    /**
+     * 設定を初期状態に戻す
+     */
+    reset() {
+        this.scaleCalibration = null;
+        this.categories = [...DEFAULT_CATEGORIES];
+        this.categoryStyles = this._buildCategoryStyles(this.categories, {});
+        this.setPointIdScheme(PointIdScheme.getDefaultConfig());
+    }
+
+    /**
+     * 自動保存用に現在の状態を取得
+     * @returns {{pointIdScheme: Object, scaleCalibration: Object|null, categories: Array<string>, categoryStyles: Object}} 状態のコピー
+     */
+    getSnapshot() {
+        return {
+            pointIdScheme: this.pointIdScheme.toJSON(),
+            scaleCalibration: this.scaleCalibration ? { ...this.scaleCalibration } : null,
+            categories: [...this.categories],
+            categoryStyles: JSON.parse(JSON.stringify(this.categoryStyles))
+        };
+    }
+
+    /**
+     * getSnapshot() で取得した状態を復元
+     * @param {{pointIdScheme: Object, scaleCalibration: Object|null, categories: Array<string>, categoryStyles: Object}} snapshot - 状態
+     */
+    restoreSnapshot(snapshot) {
+        this.scaleCalibration = snapshot.scaleCalibration ? { ...snapshot.scaleCalibration } : null;
+        this.categories = Array.isArray(snapshot.categories) ? [...snapshot.categories] : [...DEFAULT_CATEGORIES];
+        this.categoryStyles = this._buildCategoryStyles(this.categories, snapshot.categoryStyles || {});
+        this.setPointIdScheme(snapshot.pointIdScheme || PointIdScheme.getDefaultConfig());
+    }
+
+    /**
+     * カテゴリの選択肢ごとの表示設定を作成（設定がないカテゴリは初期の表示設定）
+     * @param {Array<string>} categories - カテゴリの選択肢
+     * @param {Object<string, Object>} styles - 元にする表示設定
+     * @returns {Object<string, {shape: string, color: string, icon: string}>} カテゴリ名 → 表示設定
+     */
+    _buildCategoryStyles(categories, styles) {
+        const result = {};
+        categories.forEach(category => {
+            result[category] = styles[category]
+                ? CategoryStyles.normalize(styles[category])
+                : CategoryStyles.getDefaultStyle(category);
+        });
+        return result;
+    }
+}
@@ -1,5 +1,7 @@
 import { Validators } from '../utils/Validators.js';
 import { BaseManager } from '../core/BaseManager.js';
+import { ObjectAttributes } from '../utils/ObjectAttributes.js';
+import { ObjectIds } from '../utils/ObjectIds.js';
 
 /**
  * ルートデータの管理を行うクラス（複数ルート対応）
@@ -58,13 +60,15 @@ export class RouteManager extends BaseManager {
 
     /**
      * ルートを追加
-     * @param {Object} route - ルートデータ {startPointId, endPointId, routePoints, routeName}
+     * @param {Object} route - ルートデータ {startPointId, endPointId, routePoints, routeName, objectId}
      */
     addRoute(route) {
         // isModifiedフラグを初期化（デフォルト: false）
         if (route.isModified === undefined) {
             route.isModified = false;
         }
+        // 識別ID（読み込んだルートは保存されていたIDを引き継ぐ）
+        ObjectIds.ensure(route);
         this.routes.push(route);
         this.notify('onRouteListChange', this.routes);
     }
@@ -97,6 +101,52 @@ export class RouteManager extends BaseManager {
         this.notify('onChange');
     }
 
+    /**
+     * 複数のルートをまとめて削除
+     * @param {Array<number>} indices - 削除するルートのインデックス
+     */
+    deleteRoutes(indices) {
+        // 後ろから削除してインデックスのずれを防ぐ
+        [...new Set(indices)].sort((a, b) => b - a).forEach(index => this.deleteRoute(index));
+    }
+
+    /**
+     * 開始・終了ポイントとして参照されているIDを全ルートで付け替える
+     * ルート名が「開始 ～ 終了」の自動生成名のままの場合は、ルート名も新しいIDで更新する
+     * @param {string} oldId - 元のポイントIDまたはスポット名
+     * @param {string} newId - 新しいポイントIDまたはスポット名
+     * @param {Array<number>|null} routeIndices - 対象とするルートのインデックス（nullの場合は全ルート）
+     * @returns {number} 付け替えたルート数
+     */
+    replaceEndpointId(oldId, newId, routeIndices = null) {
+        let count = 0;
+        this.routes.forEach((route, index) => {
+            if (routeIndices && !routeIndices.includes(index)) return;
+            if (route.startPointId !== oldId && route.endPointId !== oldId) return;
+
+            const isAutoName = route.routeName === `${route.startPointId} ～ ${route.endPointId}`;
+            if (route.startPointId === oldId) route.startPointId = newId;
+            if (route.endPointId === oldId) route.endPointId = newId;
+            if (isAutoName) {
+                route.routeName = `${route.startPointId} ～ ${route.endPointId}`;
+            }
+            count++;
+        });
+
+        if (count > 0) {
+            this.notify('onRouteListChange', this.routes);
+            const selectedRoute = this.getSelectedRoute();
+            if (selectedRoute) {
+                this.notify('onStartEndChange', {
+                    start: selectedRoute.startPointId,
+                    end: selectedRoute.endPointId
+                });
+            }
+            this.notify('onChange');
+        }
+        return count;
+    }
+
     /**
      * ルート中間点を追加（選択中のルートにのみ追加）
      * @param {number} x - X座標
@@ -131,8 +181,8 @@ export class RouteManager extends BaseManager {
 
     /**
      * 指定位置に最も近いルート中間点を検索（選択中のルートのみ）
-     * @param {number} x - X座標（キャンバス座標）
-     * @param {number} y - Y座標（キャンバス座標）
+     * @param {number} x - X座標（画像座標）
+     * @param {number} y - Y座標（画像座標）
      * @param {number} threshold - 判定閾値（デフォルト: 10px）
      * @returns {{index: number, point: Object} | null} 見つかった中間点と配列インデックス、見つからない場合はnull
      */
@@ -251,6 +301,32 @@ export class RouteManager extends BaseManager {
         }
     }
 
+    /**
+     * 複数のルート中間点をまとめて移動（選択中のルートのみ）
+     * @param {Array<number>} indices - 移動する中間点のインデックス配列
+     * @param {number} dx - X方向の移動量
+     * @param {number} dy - Y方向の移動量
+     */
+    moveRoutePoints(indices, dx, dy) {
+        const selectedRoute = this.getSelectedRoute();
+        if (!selectedRoute || !selectedRoute.routePoints) {
+            return;
+        }
+
+        const routePoints = selectedRoute.routePoints;
+        const targets = indices.filter(index => index >= 0 && index < routePoints.length);
+        if (targets.length === 0) return;
+
+        targets.forEach(index => {
+            routePoints[index].x = Math.round(routePoints[index].x + dx);
+            routePoints[index].y = Math.round(routePoints[index].y + dy);
+        });
+        this.notify('onChange');
+
+        // 更新状態をチェック
+        this.checkAndUpdateModifiedState();
+    }
+
     /**
      * ルート中間点を削除（選択中のルートのみ）
      * @param {number} index - 削除する中間点の配列インデックス
@@ -336,8 +412,8 @@ export class RouteManager extends BaseManager {
 
     /**
      * 中間点の経路を最適化（選択中のルートのみ）
-     * @param {{x:number, y:number}} startCoord - 開始ポイントのキャンバス座標
-     * @param {{x:number, y:number}} endCoord - 終了ポイントのキャンバス座標
+     * @param {{x:number, y:number}} startCoord - 開始ポイントの画像座標
+     * @param {{x:number, y:number}} endCoord - 終了ポイントの画像座標
      * @returns {{beforeLength:number, afterLength:number, changed:boolean}|null} 最適化結果
      */
     optimizeRoutePoints(startCoord, endCoord) {
@@ -348,8 +424,8 @@ export class RouteManager extends BaseManager {
      * 指定インデックスのルートの中間点経路を最適化
      * 開始→中間点→終了の経路の合計距離が最小になるように中間点の訪問順を並べ替える
      * @param {number} index - 対象ルートのインデックス
-     * @param {{x:number, y:number}} startCoord - 開始ポイントのキャンバス座標
-     * @param {{x:number, y:number}} endCoord - 終了ポイントのキャンバス座標
+     * @param {{x:number, y:number}} startCoord - 開始ポイントの画像座標
+     * @param {{x:number, y:number}} endCoord - 終了ポイントの画像座標
      * @returns {{beforeLength:number, afterLength:number, changed:boolean}|null} 最適化結果
      */
     optimizeRouteAt(index, startCoord, endCoord) {
@@ -527,6 +603,51 @@ export class RouteManager extends BaseManager {
         return order;
     }
 
+    /**
+     * 指定ルートの中間点をまとめて置き換える（線に沿った追跡の結果の反映用）
+     * @param {number} index - 対象ルートのインデックス
+     * @param {Array<{x: number, y: number}>} points - 新しい中間点（画像座標）
+     */
+    setRoutePointsAt(index, points) {
+        if (index < 0 || index >= this.routes.length) {
+            return;
+        }
+
+        const route = this.routes[index];
+        route.routePoints = points.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) }));
+
+        if (!route.isModified) {
+            route.isModified = true;
+            this.notify('onModifiedStateChange', { isModified: true, routeIndex: index });
+            this.notify('onRouteListChange', this.routes);
+        }
+        this.notify('onChange');
+        if (index === this.selectedRouteIndex) {
+            this.notify('onCountChange', route.routePoints.length);
+        }
+    }
+
+    /**
+     * 指定ルートの属性（説明・カテゴリ・任意項目・難易度・路面）を更新
+     * @param {number} index - 対象ルートのインデックス
+     * @param {Object} changes - 変更する属性（空の値で削除）
+     */
+    updateRouteAttributes(index, changes) {
+        if (index < 0 || index >= this.routes.length) {
+            return;
+        }
+
+        const route = this.routes[index];
+        ObjectAttributes.assign(route, changes);
+
+        if (!route.isModified) {
+            route.isModified = true;
+            this.notify('onModifiedStateChange', { isModified: true, routeIndex: index });
+            this.notify('onRouteListChange', this.routes);
+        }
+        this.notify('onChange');
+    }
+
     /**
      * ルート中間点のみをクリア（開始・終了ポイントは保持）
      */
@@ -719,7 +840,7 @@ export class RouteManager extends BaseManager {
             if (!isRegisteredAsPoint && !isRegisteredAsSpot) {
                 return {
                     isValid: false,
-                    message: `開始ポイント "${startPointId}" がポイントまたはスポットとして登録されていません。先にポイント編集モードまたはスポット編集モードで登録してください。`
+                    message: this._getUnregisteredEndpointMessage('開始', startPointId)
                 };
             }
         }
@@ -738,7 +859,7 @@ export class RouteManager extends BaseManager {
             if (!isRegisteredAsPoint && !isRegisteredAsSpot) {
                 return {
                     isValid: false,
-                    message: `終了ポイント "${endPointId}" がポイントまたはスポットとして登録されていません。先にポイント編集モードまたはスポット編集モードで登録してください。`
+                    message: this._getUnregisteredEndpointMessage('終了', endPointId)
                 };
             }
         }
@@ -762,6 +883,21 @@ export class RouteManager extends BaseManager {
         return { isValid: true };
     }
 
+    /**
+     * 未登録の開始・終了ポイントに対するエラーメッセージを作成
+     * ポイントID体系の形式に合わない場合は、その形式もあわせて示す
+     * @param {string} label - '開始' | '終了'
+     * @param {string} id - 開始・終了ポイントの値
+     * @returns {string} エラーメッセージ
+     */
+    _getUnregisteredEndpointMessage(label, id) {
+        const message = `${label}ポイント "${id}" がポイントまたはスポットとして登録されていません。先にポイント編集モードまたはスポット編集モードで登録してください。`;
+        if (Validators.isValidPointIdFormat(id)) {
+            return message;
+        }
+        return `${message}\n（ポイントIDの形式: ${Validators.getPointIdScheme().describe()}）`;
+    }
+
     /**
      * ルート用のデフォルトファイル名を生成
      * @param {string} imageFileName - 画像ファイル名
@@ -775,4 +911,25 @@ export class RouteManager extends BaseManager {
         return `${baseFileName}_route_${startPoint}_to_${endPoint}.json`;
     }
 
+    /**
+     * 履歴管理用に現在の状態を取得
+     * @returns {{routes: Array, selectedRouteIndex: number}} ルート配列の複製と選択状態
+     */
+    getSnapshot() {
+        return {
+            routes: JSON.parse(JSON.stringify(this.routes)),
+            selectedRouteIndex: this.selectedRouteIndex
+        };
+    }
+
+    /**
+     * 履歴管理用のスナップショットから状態を復元
+     * @param {{routes: Array, selectedRouteIndex: number}} snapshot - getSnapshot()で取得した状態
+     */
+    restoreSnapshot(snapshot) {
+        // 識別IDのない以前の自動保存データにはIDを発行する
+        this.routes = snapshot.routes.map(route => ObjectIds.ensure(route));
+        this.notify('onRouteListChange', this.routes);
+        this.selectRoute(snapshot.selectedRouteIndex < this.routes.length ? snapshot.selectedRouteIndex : -1);
+    }
 }
@@ -0,0 +1,177 @@
+import { RouteManager } from './RouteManager.js';
+
+/**
+ * ルートをつないだ経路網（グラフ）を扱うクラス
+ * ノードはルートの開始・終了ポイント（ポイントIDまたはスポット名）、
+ * エッジは各ルートで、重みは開始ポイント→中間点→終了ポイントの折れ線の長さ（画像座標の画素数）とする。
+ * ルートは双方向に通行できるものとして扱う
+ */
+export class RouteNetwork {
+    /**
+     * @param {RouteManager} routeManager - ルートマネージャー
+     * @param {Function} resolveEndpoint - 開始・終了ポイント（ポイントIDまたはスポット名）から座標を求める関数
+     */
+    constructor(routeManager, resolveEndpoint) {
+        this.routeManager = routeManager;
+        this.resolveEndpoint = resolveEndpoint;
+    }
+
+    /**
+     * 現在のルートから経路網を作成
+     * 開始・終了ポイントが未設定・未登録のルートはエッジに含めず skippedRoutes に入れる
+     * @returns {{nodes: Map<string, {x: number, y: number}>, edges: Array<Object>, adjacency: Map<string, Array<Object>>, skippedRoutes: Array<number>}} 経路網
+     */
+    build() {
+        const nodes = new Map();
+        const edges = [];
+        const adjacency = new Map();
+        const skippedRoutes = [];
+
+        this.routeManager.getAllRoutes().forEach((route, index) => {
+            const start = route.startPointId ? this.resolveEndpoint(route.startPointId) : null;
+            const end = route.endPointId ? this.resolveEndpoint(route.endPointId) : null;
+            if (!start || !end) {
+                skippedRoutes.push(index);
+                return;
+            }
+
+            nodes.set(route.startPointId, start);
+            nodes.set(route.endPointId, end);
+
+            const waypoints = route.routePoints || [];
+            const edge = {
+                routeIndex: index,
+                routeName: route.routeName || `${route.startPointId} ～ ${route.endPointId}`,
+                from: route.startPointId,
+                to: route.endPointId,
+                length: RouteManager.calculatePathLength(start, waypoints, end),
+                path: [start, ...waypoints, end]
+            };
+            edges.push(edge);
+
+            [edge.from, edge.to].forEach(name => {
+                if (!adjacency.has(name)) adjacency.set(name, []);
+            });
+            adjacency.get(edge.from).push(edge);
+            if (edge.to !== edge.from) {
+                adjacency.get(edge.to).push(edge);
+            }
+        });
+
+        return { nodes, edges, adjacency, skippedRoutes };
+    }
+
+    /**
+     * 2地点間の最短経路をダイクストラ法で求める
+     * @param {string} from - 出発地点（ポイントIDまたはスポット名）
+     * @param {string} to - 目的地点（ポイントIDまたはスポット名）
+     * @returns {{length: number, nodes: Array<string>, routes: Array<{routeIndex: number, routeName: string, reversed: boolean}>, path: Array<{x: number, y: number}>}|null}
+     *   最短経路（到達できない場合はnull）
+     */
+    findShortestPath(from, to) {
+        const { adjacency } = this.build();
+        if (!adjacency.has(from) || !adjacency.has(to)) return null;
+
+        if (from === to) {
+            const coord = this.resolveEndpoint(from);
+            return { length: 0, nodes: [from], routes: [], path: [coord] };
+        }
+
+        const distances = new Map([[from, 0]]);
+        const previous = new Map();
+        const visited = new Set();
+
+        // ノード数はルート数程度のため、未確定ノードから最小を線形に選ぶ
+        while (true) {
+            let current = null;
+            let currentDistance = Infinity;
+            distances.forEach((distance, name) => {
+                if (!visited.has(name) && distance < currentDistance) {
+                    current = name;
+                    currentDistance = distance;
+                }
+            });
+            if (current === null || current === to) break;
+            visited.add(current);
+
+            adjacency.get(current).forEach(edge => {
+                const next = edge.from === current ? edge.to : edge.from;
+                const distance = currentDistance + edge.length;
+                if (distance < (distances.has(next) ? distances.get(next) : Infinity)) {
+                    distances.set(next, distance);
+                    previous.set(next, { node: current, edge });
+                }
+            });
+        }
+
+        if (!distances.has(to)) return null;
+
+        // 目的地点からたどって経路を組み立てる
+        const steps = [];
+        for (let name = to; name !== from; name = previous.get(name).node) {
+            steps.unshift({ name, ...previous.get(name) });
+        }
+
+        const nodes = [from];
+        const routes = [];
+        const path = [];
+        steps.forEach(step => {
+            const reversed = step.edge.from !== step.node;
+            const edgePath = reversed ? step.edge.path.slice().reverse() : step.edge.path;
+            path.push(...(path.length === 0 ? edgePath : edgePath.slice(1)));
+            nodes.push(step.name);
+            routes.push({ routeIndex: step.edge.routeIndex, routeName: step.edge.routeName, reversed });
+        });
+
+        return { length: distances.get(to), nodes, routes, path };
+    }
+
+    /**
+     * 指定地点から経路網をたどって到達できない地点を取得
+     * @param {string} from - 出発地点（ポイントIDまたはスポット名）
+     * @param {Array<string>} candidates - 判定する地点（ポイントID・スポット名）
+     * @returns {Array<string>} 到達できない地点
+     */
+    findUnreachable(from, candidates) {
+        const { adjacency } = this.build();
+        const reached = new Set([from]);
+        const queue = [from];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            (adjacency.get(current) || []).forEach(edge => {
+                const next = edge.from === current ? edge.to : edge.from;
+                if (!reached.has(next)) {
+                    reached.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+        return [...new Set(candidates)].filter(name => name && !reached.has(name));
+    }
+
+    /**
+     * 開始・終了ポイントの組が同じルート（逆向きを含む）をまとめて取得
+     * @returns {Array<Array<{routeIndex: number, routeName: string, reversed: boolean}>>} 重複しているルートの組
+     *   reversed は組の最初のルートと逆向きかどうか
+     */
+    findDuplicateRoutes() {
+        const groups = new Map();
+        this.routeManager.getAllRoutes().forEach((route, index) => {
+            if (!route.startPointId || !route.endPointId) return;
+            const key = [route.startPointId, route.endPointId].sort().join('\u0000');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ index, route });
+        });
+
+        return [...groups.values()]
+            .filter(group => group.length > 1)
+            .map(group => {
+                const first = group[0].route;
+                return group.map(({ index, route }) => ({
+                    routeIndex: index,
+                    routeName: route.routeName || `${route.startPointId} ～ ${route.endPointId}`,
+                    reversed: route.startPointId !== first.startPointId
+                }));
+            });
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * ポイント・スポットとルートの開始・終了ポイントの参照関係を調べるクラス
+ * ルートは開始・終了ポイントをポイントIDまたはスポット名の文字列で参照するため、
+ * 名前の変更・削除の前後でどのルートが影響を受けるかをここで判定する
+ */
+export class RouteReferenceIndex {
+    /**
+     * @param {PointManager} pointManager - ポイントマネージャー
+     * @param {SpotManager} spotManager - スポットマネージャー
+     * @param {RouteManager} routeManager - ルートマネージャー
+     */
+    constructor(pointManager, spotManager, routeManager) {
+        this.pointManager = pointManager;
+        this.spotManager = spotManager;
+        this.routeManager = routeManager;
+    }
+
+    /**
+     * 開始・終了ポイントの名前ごとに参照しているルートをまとめた索引を作成
+     * @returns {Map<string, Array<{index: number, routeName: string, ends: Array<string>}>>} 名前 → 参照しているルート
+     */
+    build() {
+        const index = new Map();
+        this.routeManager.getAllRoutes().forEach((route, routeIndex) => {
+            [['start', route.startPointId], ['end', route.endPointId]].forEach(([end, name]) => {
+                if (!name) return;
+                if (!index.has(name)) index.set(name, []);
+                const references = index.get(name);
+                const existing = references.find(ref => ref.index === routeIndex);
+                if (existing) {
+                    existing.ends.push(end);
+                } else {
+                    references.push({ index: routeIndex, routeName: route.routeName || `ルート${routeIndex + 1}`, ends: [end] });
+                }
+            });
+        });
+        return index;
+    }
+
+    /**
+     * 指定した名前を開始・終了ポイントとして参照しているルートを取得
+     * @param {string} name - ポイントIDまたはスポット名
+     * @returns {Array<{index: number, routeName: string, ends: Array<string>}>} 参照しているルート
+     */
+    getReferencingRoutes(name) {
+        if (!name) return [];
+        return this.build().get(name) || [];
+    }
+
+    /**
+     * 指定した名前を持つポイント・スポットの数を取得
+     * 同じ名前が他にもある場合、1つを変更・削除してもルートの参照は切れない
+     * @param {string} name - ポイントIDまたはスポット名
+     * @param {Object|null} exclude - 数えないポイント・スポット（変更・削除の対象）
+     * @returns {number} 該当するポイント・スポットの数
+     */
+    countNamedObjects(name, exclude = null) {
+        if (!name) return 0;
+        const points = this.pointManager.getPoints().filter(point => point !== exclude && point.id === name).length;
+        const spots = this.spotManager.getSpots().filter(spot => spot !== exclude && spot.name === name).length;
+        return points + spots;
+    }
+
+    /**
+     * 開始・終了ポイントの付け替え先の候補（登録済みのポイントIDとスポット名）を取得
+     * @param {string} excludeName - 候補から除く名前（削除対象）
+     * @returns {{pointIds: Array<string>, spotNames: Array<string>}} 候補
+     */
+    getReplacementCandidates(excludeName) {
+        const unique = (names) => [...new Set(names)].filter(name => name && name.trim() !== '' && name !== excludeName);
+        return {
+            pointIds: unique(this.pointManager.getRegisteredIds()),
+            spotNames: unique(this.spotManager.getSpots().map(spot => spot.name))
+        };
+    }
+}
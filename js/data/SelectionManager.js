@@ -0,0 +1,125 @@
+import { BaseManager } from '../core/BaseManager.js';
+
+// 編集モードごとに選択できるオブジェクトの種類（ルートは選択中のルートの中間点、エリアは選択中のエリアの頂点）
+export const SELECTION_TYPES = {
+    point: 'point',
+    spot: 'spot',
+    route: 'routePoint',
+    area: 'vertex'
+};
+
+/**
+ * キャンバス上で複数選択したオブジェクト（ポイント・スポット・中間点・頂点）を管理するクラス
+ * 選択は1種類のオブジェクトに限り、インデックスではなくオブジェクト自体を保持する
+ * （削除・並べ替えでインデックスがずれても選択が入れ替わらないようにするため）。
+ * 選択は保存・履歴の対象にしない
+ */
+export class SelectionManager extends BaseManager {
+    constructor() {
+        super();
+        this.type = null;
+        this.items = [];
+    }
+
+    /**
+     * 選択中のオブジェクトの種類を取得
+     * @returns {string|null} 'point' | 'spot' | 'routePoint' | 'vertex'（未選択の場合はnull）
+     */
+    getType() {
+        return this.type;
+    }
+
+    /**
+     * 選択中のオブジェクトを取得
+     * @returns {Array<Object>} オブジェクト配列
+     */
+    getItems() {
+        return this.items;
+    }
+
+    /**
+     * 選択中のオブジェクトの数を取得
+     * @returns {number} 選択数
+     */
+    getCount() {
+        return this.items.length;
+    }
+
+    /**
+     * オブジェクトが選択されているか
+     * @param {Object} item - オブジェクト
+     * @returns {boolean} 選択されている場合true
+     */
+    has(item) {
+        return this.items.includes(item);
+    }
+
+    /**
+     * 選択中のオブジェクトの配列内でのインデックスを取得（配列にないものは除く）
+     * @param {Array<Object>} collection - 選択対象の配列（ポイント配列など）
+     * @returns {Array<number>} インデックス配列（昇順）
+     */
+    getIndices(collection) {
+        return this.items
+            .map(item => collection.indexOf(item))
+            .filter(index => index >= 0)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * 選択に追加（種類が異なる場合は選択し直す）
+     * @param {string} type - オブジェクトの種類
+     * @param {Array<Object>} items - 追加するオブジェクト
+     */
+    add(type, items) {
+        const base = this.type === type ? this.items : [];
+        const added = items.filter(item => !base.includes(item));
+        if (this.type === type && added.length === 0) return;
+
+        this.type = type;
+        this.items = [...base, ...added];
+        this.notify('onChange');
+    }
+
+    /**
+     * オブジェクトの選択を切り替え（種類が異なる場合はそのオブジェクトだけを選択する）
+     * @param {string} type - オブジェクトの種類
+     * @param {Object} item - オブジェクト
+     */
+    toggle(type, item) {
+        if (this.type === type && this.items.includes(item)) {
+            this.items = this.items.filter(selected => selected !== item);
+            if (this.items.length === 0) this.type = null;
+            this.notify('onChange');
+        } else {
+            this.add(type, [item]);
+        }
+    }
+
+    /**
+     * 選択を解除
+     */
+    clear() {
+        if (this.items.length === 0 && this.type === null) return;
+        this.type = null;
+        this.items = [];
+        this.notify('onChange');
+    }
+
+    /**
+     * 選択対象でなくなったオブジェクト（削除・元に戻す等で配列からなくなったもの）を選択から外す
+     * 描画の途中で呼ぶため変更は通知しない
+     * @param {string|null} type - 現在選択できるオブジェクトの種類（nullの場合はすべて外す）
+     * @param {Array<Object>} collection - 選択対象の配列
+     * @returns {boolean} 選択が変わった場合true
+     */
+    prune(type, collection) {
+        if (this.items.length === 0) return false;
+        const items = type === this.type ? this.items.filter(item => collection.includes(item)) : [];
+        if (items.length === this.items.length) return false;
+
+        this.items = items;
+        if (items.length === 0) this.type = null;
+        return true;
+    }
+}
@@ -1,5 +1,6 @@
 import { Validators } from '../utils/Validators.js';
 import { BaseManager } from '../core/BaseManager.js';
+import { ObjectAttributes } from '../utils/ObjectAttributes.js';
 
 /**
  * スポット管理クラス
@@ -51,6 +52,32 @@ export class SpotManager extends BaseManager {
         }
     }
 
+    /**
+     * 複数のスポットを一括削除
+     * @param {Array<number>} indices - 削除するスポットのインデックス配列
+     * @returns {number} 削除したスポットの数
+     */
+    removeSpots(indices) {
+        let deletedCount = 0;
+        // インデックスを降順でソート（配列崩れ防止）
+        [...new Set(indices)].sort((a, b) => b - a).forEach(index => {
+            if (index >= 0 && index < this.spots.length) {
+                this.spots.splice(index, 1);
+                deletedCount++;
+            }
+        });
+
+        if (deletedCount > 0) {
+            // インデックスを再割り当て
+            this.spots.forEach((spot, i) => {
+                spot.index = i;
+            });
+            this.notify('onChange');
+            this.notify('onCountChange', this.spots.length);
+        }
+        return deletedCount;
+    }
+
     /**
      * 全スポットをクリア
      */
@@ -111,6 +138,48 @@ export class SpotManager extends BaseManager {
         }
     }
 
+    /**
+     * 複数のスポットをまとめて移動
+     * @param {Array<number>} indices - 移動するスポットのインデックス配列
+     * @param {number} dx - X方向の移動量
+     * @param {number} dy - Y方向の移動量
+     */
+    moveSpots(indices, dx, dy) {
+        const targets = indices.filter(index => index >= 0 && index < this.spots.length);
+        if (targets.length === 0) return;
+
+        targets.forEach(index => {
+            this.spots[index].x = Math.round(this.spots[index].x + dx);
+            this.spots[index].y = Math.round(this.spots[index].y + dy);
+        });
+        this.notify('onChange');
+    }
+
+    /**
+     * スポットの標高を更新
+     * @param {number} index - スポットのインデックス
+     * @param {number|null} elevation - 標高（メートル、nullで未設定）
+     */
+    updateSpotElevation(index, elevation) {
+        if (index >= 0 && index < this.spots.length) {
+            this.spots[index].elevation = Number.isFinite(elevation) ? elevation : null;
+            this.notify('onChange');
+        }
+    }
+
+    /**
+     * スポットの属性（説明・カテゴリ・任意項目）を更新
+     * @param {number} index - スポットのインデックス
+     * @param {Object} changes - 変更する属性（空の値で削除）
+     */
+    updateSpotAttributes(index, changes) {
+        if (index >= 0 && index < this.spots.length) {
+            ObjectAttributes.assign(this.spots[index], changes);
+            // 属性は入力ボックスに表示しないため、入力ボックスは作り直さない
+            this.notify('onChange', this.spots, true);
+        }
+    }
+
     /**
      * スポット名を更新
      * @param {number} index - スポットのインデックス
@@ -225,4 +294,22 @@ export class SpotManager extends BaseManager {
             return spotName.includes(searchLower);
         });
     }
-}
\ No newline at end of file
+
+    /**
+     * 履歴管理用に現在の状態を取得
+     * @returns {{spots: Array}} スポット配列の複製
+     */
+    getSnapshot() {
+        return { spots: this.spots.map(spot => ({ ...spot })) };
+    }
+
+    /**
+     * 履歴管理用のスナップショットから状態を復元
+     * @param {{spots: Array}} snapshot - getSnapshot()で取得した状態
+     */
+    restoreSnapshot(snapshot) {
+        this.spots = snapshot.spots;
+        this.notify('onChange');
+        this.notify('onCountChange', this.spots.length);
+    }
+}
@@ -3,6 +3,18 @@
  * Firebase Authentication を管理するクラス
  */
 
+// 認証エラーのコード → 表示するメッセージ
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'メールアドレスの形式が正しくありません',
+    'auth/user-not-found': 'メールアドレスまたはパスワードが正しくありません',
+    'auth/wrong-password': 'メールアドレスまたはパスワードが正しくありません',
+    'auth/invalid-login-credentials': 'メールアドレスまたはパスワードが正しくありません',
+    'auth/email-already-in-use': 'このメールアドレスは登録済みです',
+    'auth/weak-password': 'パスワードは6文字以上にしてください',
+    'auth/too-many-requests': '試行回数が多すぎます。しばらくしてから再度お試しください',
+    'auth/network-request-failed': 'ネットワークに接続できません'
+};
+
 export class AuthManager {
     constructor(firebaseApp) {
         this.app = firebaseApp;
@@ -27,7 +39,7 @@ export class AuthManager {
     }
 
     /**
-     * メール/パスワードでログイン（将来の拡張用）
+     * メール/パスワードでログイン
      * @param {string} email - メールアドレス
      * @param {string} password - パスワード
      * @returns {Promise<firebase.User>}
@@ -40,12 +52,12 @@ export class AuthManager {
             return this.currentUser;
         } catch (error) {
             console.error('メールログイン失敗:', error);
-            throw new Error('ログインに失敗しました: ' + error.message);
+            throw new Error('ログインに失敗しました: ' + this._describeError(error));
         }
     }
 
     /**
-     * メール/パスワードで新規登録（将来の拡張用）
+     * メール/パスワードで新規登録
      * @param {string} email - メールアドレス
      * @param {string} password - パスワード
      * @returns {Promise<firebase.User>}
@@ -58,10 +70,56 @@ export class AuthManager {
             return this.currentUser;
         } catch (error) {
             console.error('新規登録失敗:', error);
-            throw new Error('新規登録に失敗しました: ' + error.message);
+            throw new Error('新規登録に失敗しました: ' + this._describeError(error));
         }
     }
 
+    /**
+     * ログイン中のユーザーにメールアドレスの確認メールを送信
+     * @returns {Promise<void>}
+     */
+    async sendEmailVerification() {
+        const user = this.getCurrentUser();
+        if (!user) {
+            throw new Error('ログインしていません');
+        }
+        try {
+            await user.sendEmailVerification();
+        } catch (error) {
+            console.error('確認メール送信失敗:', error);
+            throw new Error('確認メールの送信に失敗しました: ' + this._describeError(error));
+        }
+    }
+
+    /**
+     * ユーザー情報とIDトークンを更新（メールアドレスの確認をセキュリティルールに反映する）
+     * @returns {Promise<firebase.User|null>}
+     */
+    async refreshUser() {
+        const user = this.getCurrentUser();
+        if (!user) {
+            return null;
+        }
+        await user.reload();
+        await user.getIdToken(true);
+        this.currentUser = this.auth.currentUser;
+        return this.currentUser;
+    }
+
+    /**
+     * 保存されているログイン状態の復元を待つ（ページを開き直した場合も前回のログインを引き継ぐ）
+     * @returns {Promise<firebase.User|null>} ログイン中のユーザー（ログインしていない場合はnull）
+     */
+    waitForAuthState() {
+        return new Promise((resolve) => {
+            const unsubscribe = this.auth.onAuthStateChanged((user) => {
+                unsubscribe();
+                this.currentUser = user;
+                resolve(user);
+            });
+        });
+    }
+
     /**
      * ログアウト
      * @returns {Promise<void>}
@@ -143,11 +201,21 @@ export class AuthManager {
             email: user.email,
             displayName: user.displayName,
             isAnonymous: user.isAnonymous,
+            emailVerified: user.emailVerified,
             creationTime: user.metadata.creationTime,
             lastSignInTime: user.metadata.lastSignInTime
         };
     }
 
+    /**
+     * 認証エラーを表示用のメッセージに変換
+     * @param {Error} error - Firebase Authentication のエラー
+     * @returns {string} メッセージ
+     */
+    _describeError(error) {
+        return AUTH_ERROR_MESSAGES[error.code] || error.message;
+    }
+
     /**
      * 認証状態のコールバックを登録
      * @param {Function} callback - コールバック関数
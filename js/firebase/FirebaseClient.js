@@ -4,8 +4,13 @@
  */
 
 export class FirebaseClient {
-    constructor(config) {
+    /**
+     * @param {Object} config - Firebase設定
+     * @param {Object|null} emulatorConfig - エミュレーターの接続先（指定した場合は本番の代わりにエミュレーターに接続）
+     */
+    constructor(config, emulatorConfig = null) {
         this.config = config;
+        this.emulatorConfig = emulatorConfig;
         this.app = null;
         this.db = null;
         this.initialized = false;
@@ -34,6 +39,10 @@ export class FirebaseClient {
             // 必要に応じて、ブラウザのIndexedDBをクリアして永続化を有効にできます。
             console.log('Firestore: メモリキャッシュモードで動作（永続化は無効）');
 
+            if (this.emulatorConfig) {
+                this.connectEmulators();
+            }
+
             this.initialized = true;
         } catch (error) {
             console.error('Firebase initialization failed:', error);
@@ -41,6 +50,17 @@ export class FirebaseClient {
         }
     }
 
+    /**
+     * Firestore・Authenticationをローカルのエミュレーターに接続
+     * Firestoreの最初の操作より前に呼ぶこと
+     */
+    connectEmulators() {
+        const { firestoreHost, firestorePort, authUrl } = this.emulatorConfig;
+        this.db.useEmulator(firestoreHost, firestorePort);
+        firebase.auth().useEmulator(authUrl);
+        console.log(`Firebaseエミュレーターに接続: Firestore ${firestoreHost}:${firestorePort}, Auth ${authUrl}`);
+    }
+
     /**
      * Firestoreインスタンスを取得
      * @returns {firebase.firestore.Firestore}
@@ -1,11 +1,29 @@
-import { CoordinateUtils } from '../utils/Coordinates.js';
+import { BaseManager } from '../core/BaseManager.js';
 import { UIHelper } from '../ui/UIHelper.js';
+import { DuplicateDialog } from '../ui/DuplicateDialog.js';
+import { RouteManager } from '../data/RouteManager.js';
+import { Measurements } from '../utils/Measurements.js';
+import { ObjectAttributes } from '../utils/ObjectAttributes.js';
+import { RemoteChangeMerger, SYNC_COLLECTIONS } from './RemoteChangeMerger.js';
+import { ProjectIdResolver } from './ProjectIdResolver.js';
+
+// ローカル編集中にリモート変更の反映を保留したときの再試行間隔（ミリ秒）
+const LIVE_SYNC_RETRY_DELAY = 500;
+
+// 保存履歴（版）に保存するデータの上限（バイト）。Firestoreの1ドキュメントの上限（1MiB）に収まるようにする
+const VERSION_SNAPSHOT_MAX_BYTES = 900 * 1024;
+
+// 履歴ダイアログに表示する版の数
+export const VERSION_LIST_LIMIT = 30;
+
+// セキュリティルールで読み書きを拒否された場合のメッセージ（プロジェクトのメンバーでない・閲覧者の場合）
+const PERMISSION_DENIED_MESSAGE = 'このプロジェクトへのアクセス権がありません。\n所有者にメンバーへの追加を依頼してください';
 
 /**
  * Firebase同期処理を管理するクラス
  * ポイント、スポット、ルートのFirestore連携を担当
  */
-export class FirebaseSyncManager {
+export class FirebaseSyncManager extends BaseManager {
     /**
      * コンストラクタ
      * @param {Object} pointManager - PointManagerインスタンス
@@ -14,15 +32,32 @@ export class FirebaseSyncManager {
 
      * @param {Object} areaManager - AreaManagerインスタンス
      * @param {Object} fileHandler - FileHandlerインスタンス
+     * @param {Object} projectSettingsManager - ProjectSettingsManagerインスタンス（ポイントID体系・縮尺の保存・読み込み用）
+     * @param {Object} elevationManager - ElevationManagerインスタンス（ルートの累積標高・所要時間の保存用）
+     * @param {Object} layerManager - LayerManagerインスタンス（レイヤーの表示・ロックの保存・読み込み用）
      */
-    constructor(pointManager, spotManager, routeManager, areaManager, fileHandler) {
+    constructor(pointManager, spotManager, routeManager, areaManager, fileHandler, projectSettingsManager = null, elevationManager = null, layerManager = null) {
+        super();
         this.pointManager = pointManager;
         this.spotManager = spotManager;
         this.routeManager = routeManager;
         this.areaManager = areaManager;
         this.fileHandler = fileHandler;
+        this.projectSettingsManager = projectSettingsManager;
+        this.elevationManager = elevationManager;
+        this.layerManager = layerManager;
         this.currentImage = null;
         this.canvas = null;
+        // ライブ同期（リアルタイム共同編集）の状態。停止中はnull
+        this.liveSync = null;
+        // 保存時の競合検出（最後に読み込み・保存した時点のリモート状態との比較）
+        this.changeMerger = new RemoteChangeMerger();
+        // 画像の内容・ファイル名からのプロジェクトIDの決定と、旧形式のプロジェクトの移行
+        this.projectIdResolver = new ProjectIdResolver(fileHandler);
+        // 現在のプロジェクトでの自分のロール（'owner' | 'editor' | 'viewer'）。データベースで未確認の場合はnull
+        this.projectRole = null;
+        // 競合ダイアログ（初回の競合検出時に生成）
+        this.conflictDialog = null;
     }
 
     /**
@@ -33,6 +68,26 @@ export class FirebaseSyncManager {
     setImageAndCanvas(image, canvas) {
         this.currentImage = image;
         this.canvas = canvas;
+        // 画像が変わるとプロジェクトも変わるため、ロールはデータベースで確認し直す
+        this.setProjectRole(null);
+    }
+
+    /**
+     * 現在のプロジェクトでの自分のロールを取得
+     * @returns {string|null} 'owner' | 'editor' | 'viewer'（未確認の場合はnull）
+     */
+    getProjectRole() {
+        return this.projectRole;
+    }
+
+    /**
+     * 現在のプロジェクトでの自分のロールを設定し、変わった場合は通知する
+     * @param {string|null} role - 'owner' | 'editor' | 'viewer'（未確認の場合はnull）
+     */
+    setProjectRole(role) {
+        if (this.projectRole === role) return;
+        this.projectRole = role;
+        this.notify('onRoleChange', role);
     }
 
     /**
@@ -50,8 +105,8 @@ export class FirebaseSyncManager {
             return;
         }
 
-        // プロジェクトIDを画像ファイル名から取得
-        const projectId = this.fileHandler.getCurrentImageFileName();
+        // 決定済みのプロジェクトIDを取得（データベースの読み込み・保存時に決まる）
+        const projectId = this.fileHandler.getProjectId();
         if (!projectId) {
             return;
         }
@@ -69,21 +124,12 @@ export class FirebaseSyncManager {
         }
 
         try {
-            // キャンバス座標から画像座標に変換
-            const imageCoords = CoordinateUtils.canvasToImage(
-                point.x, point.y,
-                this.canvas.width, this.canvas.height,
-                this.currentImage.width, this.currentImage.height
-            );
-
             // プロジェクトメタデータの存在確認・作成
             const existingProject = await window.firestoreManager.getProjectMetadata(projectId);
             if (!existingProject) {
                 const metadata = {
-                    projectName: projectId,
-                    imageName: projectId + '.png',
-                    imageWidth: this.currentImage.width,
-                    imageHeight: this.currentImage.height
+                    projectName: this.fileHandler.getCurrentImageFileName(),
+                    ...this._buildImageMetadata()
                 };
                 await window.firestoreManager.createProjectMetadata(projectId, metadata);
             }
@@ -91,23 +137,13 @@ export class FirebaseSyncManager {
             // 既存ポイントを検索
             const existingPoint = await window.firestoreManager.findPointById(projectId, point.id);
 
+            const pointData = this._buildPointRecord(point);
             if (existingPoint) {
                 // 既存ポイントを更新
-                await window.firestoreManager.updatePoint(projectId, existingPoint.firestoreId, {
-                    x: imageCoords.x,
-                    y: imageCoords.y,
-                    index: point.index || 0,
-                    isMarker: false
-                });
+                await window.firestoreManager.updatePoint(projectId, existingPoint.firestoreId, pointData);
             } else {
                 // 新規ポイントを追加
-                await window.firestoreManager.addPoint(projectId, {
-                    id: point.id,
-                    x: imageCoords.x,
-                    y: imageCoords.y,
-                    index: point.index || 0,
-                    isMarker: false
-                });
+                await window.firestoreManager.addPoint(projectId, pointData);
             }
 
         } catch (error) {
@@ -117,8 +153,8 @@ export class FirebaseSyncManager {
 
     /**
      * 座標でポイントをFirebaseから削除
-     * @param {number} x - キャンバスX座標
-     * @param {number} y - キャンバスY座標
+     * @param {number} x - 画像X座標
+     * @param {number} y - 画像Y座標
      */
     async deletePointFromFirebase(x, y) {
         // Firebaseマネージャーの存在確認
@@ -131,27 +167,20 @@ export class FirebaseSyncManager {
             return;
         }
 
-        // プロジェクトIDを画像ファイル名から取得
-        const projectId = this.fileHandler.getCurrentImageFileName();
+        // 決定済みのプロジェクトIDを取得（データベースの読み込み・保存時に決まる）
+        const projectId = this.fileHandler.getProjectId();
         if (!projectId) {
             return;
         }
 
         try {
-            // キャンバス座標から画像座標に変換
-            const imageCoords = CoordinateUtils.canvasToImage(
-                x, y,
-                this.canvas.width, this.canvas.height,
-                this.currentImage.width, this.currentImage.height
-            );
-
             // 同じ座標のポイントをFirestoreから検索・削除
             const points = await window.firestoreManager.getPoints(projectId);
             const tolerance = 1.0; // 誤差許容範囲（1px）
 
             for (const point of points) {
-                const dx = Math.abs(point.x - imageCoords.x);
-                const dy = Math.abs(point.y - imageCoords.y);
+                const dx = Math.abs(point.x - x);
+                const dy = Math.abs(point.y - y);
 
                 if (dx <= tolerance && dy <= tolerance) {
                     await window.firestoreManager.deletePoint(projectId, point.firestoreId);
@@ -178,8 +207,8 @@ export class FirebaseSyncManager {
             return;
         }
 
-        // プロジェクトIDを画像ファイル名から取得
-        const projectId = this.fileHandler.getCurrentImageFileName();
+        // 決定済みのプロジェクトIDを取得（データベースの読み込み・保存時に決まる）
+        const projectId = this.fileHandler.getProjectId();
         if (!projectId) {
             return;
         }
@@ -197,21 +226,12 @@ export class FirebaseSyncManager {
         }
 
         try {
-            // キャンバス座標から画像座標に変換
-            const imageCoords = CoordinateUtils.canvasToImage(
-                spot.x, spot.y,
-                this.canvas.width, this.canvas.height,
-                this.currentImage.width, this.currentImage.height
-            );
-
             // プロジェクトメタデータの存在確認・作成
             const existingProject = await window.firestoreManager.getProjectMetadata(projectId);
             if (!existingProject) {
                 const metadata = {
-                    projectName: projectId,
-                    imageName: projectId + '.png',
-                    imageWidth: this.currentImage.width,
-                    imageHeight: this.currentImage.height
+                    projectName: this.fileHandler.getCurrentImageFileName(),
+                    ...this._buildImageMetadata()
                 };
                 await window.firestoreManager.createProjectMetadata(projectId, metadata);
             }
@@ -219,19 +239,13 @@ export class FirebaseSyncManager {
             // 既存スポットを検索
             const existingSpot = await window.firestoreManager.findSpotByName(projectId, spot.name);
 
+            const spotData = this._buildSpotRecord(spot);
             if (existingSpot) {
                 // 既存スポットを更新
-                await window.firestoreManager.updateSpot(projectId, existingSpot.firestoreId, {
-                    x: imageCoords.x,
-                    y: imageCoords.y
-                });
+                await window.firestoreManager.updateSpot(projectId, existingSpot.firestoreId, spotData);
             } else {
                 // 新規スポットを追加
-                await window.firestoreManager.addSpot(projectId, {
-                    name: spot.name,
-                    x: imageCoords.x,
-                    y: imageCoords.y
-                });
+                await window.firestoreManager.addSpot(projectId, spotData);
             }
 
         } catch (error) {
@@ -241,8 +255,8 @@ export class FirebaseSyncManager {
 
     /**
      * 座標でスポットをFirebaseから削除
-     * @param {number} x - キャンバスX座標
-     * @param {number} y - キャンバスY座標
+     * @param {number} x - 画像X座標
+     * @param {number} y - 画像Y座標
      */
     async deleteSpotFromFirebase(x, y) {
         // Firebaseマネージャーの存在確認
@@ -255,27 +269,20 @@ export class FirebaseSyncManager {
             return;
         }
 
-        // プロジェクトIDを画像ファイル名から取得
-        const projectId = this.fileHandler.getCurrentImageFileName();
+        // 決定済みのプロジェクトIDを取得（データベースの読み込み・保存時に決まる）
+        const projectId = this.fileHandler.getProjectId();
         if (!projectId) {
             return;
         }
 
         try {
-            // キャンバス座標から画像座標に変換
-            const imageCoords = CoordinateUtils.canvasToImage(
-                x, y,
-                this.canvas.width, this.canvas.height,
-                this.currentImage.width, this.currentImage.height
-            );
-
             // 同じ座標のスポットをFirestoreから検索・削除
             const spots = await window.firestoreManager.getSpots(projectId);
             const tolerance = 1.0; // 誤差許容範囲（1px）
 
             for (const spot of spots) {
-                const dx = Math.abs(spot.x - imageCoords.x);
-                const dy = Math.abs(spot.y - imageCoords.y);
+                const dx = Math.abs(spot.x - x);
+                const dy = Math.abs(spot.y - y);
 
                 if (dx <= tolerance && dy <= tolerance) {
                     await window.firestoreManager.deleteSpot(projectId, spot.firestoreId);
@@ -302,8 +309,8 @@ export class FirebaseSyncManager {
             return;
         }
 
-        // プロジェクトIDを画像ファイル名から取得
-        const projectId = this.fileHandler.getCurrentImageFileName();
+        // 決定済みのプロジェクトIDを取得（データベースの読み込み・保存時に決まる）
+        const projectId = this.fileHandler.getProjectId();
         if (!projectId) {
             return;
         }
@@ -316,39 +323,17 @@ export class FirebaseSyncManager {
         const route = routes[routeIndex];
 
         try {
-            // 中間点の座標変換
-            const convertedWaypoints = [];
-            if (route.routePoints) {
-                for (const waypoint of route.routePoints) {
-                    const imageCoords = CoordinateUtils.canvasToImage(
-                        waypoint.x, waypoint.y,
-                        this.canvas.width, this.canvas.height,
-                        this.currentImage.width, this.currentImage.height
-                    );
-                    convertedWaypoints.push({ x: imageCoords.x, y: imageCoords.y });
-                }
-            }
-
             // プロジェクトメタデータの存在確認・作成
             const existingProject = await window.firestoreManager.getProjectMetadata(projectId);
             if (!existingProject) {
                 const metadata = {
-                    projectName: projectId,
-                    imageName: projectId + '.png',
-                    imageWidth: this.currentImage.width,
-                    imageHeight: this.currentImage.height
+                    projectName: this.fileHandler.getCurrentImageFileName(),
+                    ...this._buildImageMetadata()
                 };
                 await window.firestoreManager.createProjectMetadata(projectId, metadata);
             }
 
-            const routeData = {
-                routeName: route.routeName,
-                startPoint: route.startPointId,
-                endPoint: route.endPointId,
-                waypoints: convertedWaypoints,
-                waypointCount: convertedWaypoints.length,
-                description: route.description || ''
-            };
+            const routeData = this._buildRouteRecord(route);
 
             if (route.firestoreId) {
                 // 既存ルートを更新
@@ -371,13 +356,144 @@ export class FirebaseSyncManager {
         }
     }
 
+    /**
+     * 現在の画像のプロジェクトIDを決める（決定済みの場合はそのまま返す）
+     * 画像の内容のハッシュが一致するプロジェクトを優先し、旧形式（ファイル名がID）のプロジェクトの移行も確認する
+     * @returns {Promise<string>} プロジェクトID（画像がない場合は空文字）
+     */
+    async resolveProjectId() {
+        if (!window.firestoreManager) return '';
+        return this.projectIdResolver.resolve(this.currentImage);
+    }
+
+    /**
+     * プロジェクトメタデータに記録する現在の画像の情報を作成
+     * @returns {{imageName: string, imageWidth: number, imageHeight: number, imageHash?: string}} 画像の情報
+     */
+    _buildImageMetadata() {
+        const metadata = {
+            imageName: this.fileHandler.getCurrentImageFileName() + '.png',
+            imageWidth: this.currentImage.width,
+            imageHeight: this.currentImage.height
+        };
+        // 画像の内容のハッシュ（計算できた場合のみ。プロジェクトを画像の内容で検索するため）
+        const imageHash = this.fileHandler.getCurrentImageHash();
+        if (imageHash) {
+            metadata.imageHash = imageHash;
+        }
+        return metadata;
+    }
+
+    /**
+     * ポイントの保存データを作成
+     * @param {Object} point - ポイント
+     * @returns {Object} Firestoreに保存するデータ
+     */
+    _buildPointRecord(point) {
+        return {
+            id: point.id,
+            x: point.x,
+            y: point.y,
+            elevation: point.elevation ?? null,
+            ...ObjectAttributes.toRecord('point', point),
+            index: point.index || 0,
+            isMarker: false
+        };
+    }
+
+    /**
+     * スポットの保存データを作成
+     * @param {Object} spot - スポット
+     * @returns {Object} Firestoreに保存するデータ
+     */
+    _buildSpotRecord(spot) {
+        return {
+            name: spot.name,
+            x: spot.x,
+            y: spot.y,
+            elevation: spot.elevation ?? null,
+            ...ObjectAttributes.toRecord('spot', spot),
+            index: spot.index || 0
+        };
+    }
+
+    /**
+     * ルートの保存データを作成（ルート長・累積標高・所要時間は計算できない場合null）
+     * 差分保存は既存ドキュメントを更新するため、計算できなくなった値もnullで上書きする
+     * @param {Object} route - ルート
+     * @returns {Object} Firestoreに保存するデータ
+     */
+    _buildRouteRecord(route) {
+        // 中間点の座標（画像座標）を保存用にコピー
+        const convertedWaypoints = (route.routePoints || []).map(waypoint => ({ x: waypoint.x, y: waypoint.y }));
+
+        // 累積標高・所要時間（標高が分かる場合のみ。所要時間は縮尺も必要）
+        const elevationSummary = this.elevationManager
+            ? this.elevationManager.getRouteSummary(route, this.projectSettingsManager ? this.projectSettingsManager.getMetersPerPixel() : null)
+            : null;
+
+        return {
+            objectId: route.objectId || '',
+            routeName: route.routeName || '',
+            startPoint: route.startPointId || '',
+            endPoint: route.endPointId || '',
+            waypoints: convertedWaypoints,
+            waypointCount: convertedWaypoints.length,
+            ...ObjectAttributes.toRecord('route', route),
+            // ルート長（縮尺が設定され、開始・終了ポイントが解決できる場合のみ）
+            lengthMeters: this._getRouteLengthMeters(route),
+            ascentMeters: elevationSummary ? elevationSummary.ascentMeters : null,
+            descentMeters: elevationSummary ? elevationSummary.descentMeters : null,
+            hikingTimeMinutes: elevationSummary ? elevationSummary.hikingTimeMinutes : null
+        };
+    }
+
+    /**
+     * エリアの保存データを作成（面積は縮尺が未設定の場合null）
+     * @param {Object} area - エリア
+     * @returns {Object} Firestoreに保存するデータ
+     */
+    _buildAreaRecord(area) {
+        // 頂点座標（画像座標）を保存用にコピー
+        const convertedVertices = (area.vertices || []).map(vertex => ({ x: vertex.x, y: vertex.y }));
+        const isCalibrated = !!(this.projectSettingsManager && this.projectSettingsManager.getScaleCalibration());
+
+        return {
+            objectId: area.objectId || '',
+            areaName: area.areaName,
+            vertices: convertedVertices,
+            vertexCount: convertedVertices.length,
+            ...ObjectAttributes.toRecord('area', area),
+            // エリア面積（縮尺が設定されている場合のみ）
+            areaSquareMeters: isCalibrated
+                ? Math.round(this.projectSettingsManager.toSquareMeters(Measurements.polygonArea(convertedVertices)))
+                : null
+        };
+    }
+
+    /**
+     * ルート長をメートルで取得（保存データに含める用）
+     * @param {Object} route - ルート
+     * @returns {number|null} ルート長（縮尺が未設定、または開始・終了ポイントが解決できない場合はnull）
+     */
+    _getRouteLengthMeters(route) {
+        if (!this.elevationManager || !this.projectSettingsManager || !this.projectSettingsManager.getScaleCalibration()) {
+            return null;
+        }
+        const start = this.elevationManager.resolveEndpoint(route.startPointId);
+        const end = this.elevationManager.resolveEndpoint(route.endPointId);
+        if (!start || !end) return null;
+        const length = RouteManager.calculatePathLength(start, route.routePoints || [], end);
+        return Math.round(this.projectSettingsManager.toMeters(length) * 10) / 10;
+    }
+
     /**
      * ルートをFirebaseから削除
      * @param {string} firestoreId - Firestore ID
      */
     async deleteRouteFromFirebase(firestoreId) {
         if (!window.firestoreManager || !this.currentImage || !firestoreId) return;
-        const projectId = this.fileHandler.getCurrentImageFileName();
+        const projectId = this.fileHandler.getProjectId();
         if (!projectId) return;
 
         try {
@@ -394,7 +510,7 @@ export class FirebaseSyncManager {
     async updateAreaToFirebase(areaIndex) {
         if (!window.firestoreManager || !this.currentImage) return;
 
-        const projectId = this.fileHandler.getCurrentImageFileName();
+        const projectId = this.fileHandler.getProjectId();
         if (!projectId) return;
 
         const areas = this.areaManager.getAllAreas();
@@ -404,23 +520,7 @@ export class FirebaseSyncManager {
         if (!area.areaName || area.areaName.trim() === '') return;
 
         try {
-            // 頂点座標の変換
-            const convertedVertices = [];
-            if (area.vertices) {
-                for (const vertex of area.vertices) {
-                    const imageCoords = CoordinateUtils.canvasToImage(
-                        vertex.x, vertex.y,
-                        this.canvas.width, this.canvas.height,
-                        this.currentImage.width, this.currentImage.height
-                    );
-                    convertedVertices.push({ x: imageCoords.x, y: imageCoords.y });
-                }
-            }
-
-            const areaData = {
-                areaName: area.areaName,
-                vertices: convertedVertices
-            };
+            const areaData = this._buildAreaRecord(area);
 
             if (area.firestoreId) {
                 // 更新
@@ -446,7 +546,7 @@ export class FirebaseSyncManager {
      */
     async deleteAreaFromFirebase(firestoreId) {
         if (!window.firestoreManager || !this.currentImage || !firestoreId) return;
-        const projectId = this.fileHandler.getCurrentImageFileName();
+        const projectId = this.fileHandler.getProjectId();
         if (!projectId) return;
 
         try {
@@ -458,163 +558,164 @@ export class FirebaseSyncManager {
 
     /**
      * Firebaseからデータを読み込み
+     * すべてのデータを取得し終えてから、待ち時間を挟まずにまとめてマネージャーに反映する
      * @param {Function} onLoadComplete - 読み込み完了時のコールバック
+     * @param {Function} applyLoadedData - 反映処理を受け取って実行する関数（呼び出し側で1件の履歴としてまとめる）
+     * @returns {Promise<boolean>} 読み込みが完了したかどうか（データがない・キャンセル・失敗の場合はfalse）
      */
-    async loadFromFirebase(onLoadComplete) {
+    async loadFromFirebase(onLoadComplete, applyLoadedData = (apply) => apply()) {
         // Firebaseマネージャーの存在確認
         if (!window.firestoreManager) {
             UIHelper.showError('Firebase接続が利用できません');
-            return;
+            return false;
         }
 
         // 画像が読み込まれているか確認
         if (!this.currentImage) {
             UIHelper.showError('先に画像を読み込んでください');
-            return;
+            return false;
         }
 
         try {
-            // プロジェクトIDを画像ファイル名から取得
-            const projectId = this.fileHandler.getCurrentImageFileName();
+            // 画像の内容・ファイル名からプロジェクトIDを決める
+            const projectId = await this.resolveProjectId();
             if (!projectId) {
                 UIHelper.showError('画像ファイル名を取得できません');
-                return;
+                return false;
             }
 
-            // プロジェクトの存在確認
+            // プロジェクトの存在確認と、自分のロール（閲覧者の場合は閲覧のみ）の確認
             const projectMetadata = await window.firestoreManager.getProjectMetadata(projectId);
+            this.setProjectRole(window.firestoreManager.getProjectRole(projectMetadata));
             if (!projectMetadata) {
-                UIHelper.showWarning(`画像 ${projectId} に対するデータがありません`);
+                UIHelper.showWarning(`画像 ${this.fileHandler.getCurrentImageFileName()} に対するデータがありません`);
                 // データがない場合でも処理を続行（新規プロジェクトとして扱う）
                 if (onLoadComplete) {
                     onLoadComplete(0, 0, 0);
                 }
-                return;
+                // 現在のデータはデータベースにないため、未保存の状態は解除しない
+                return false;
             }
 
+            // 各コレクションを先にすべて取得（反映の途中で通信を待たないようにする）
+            UIHelper.showPersistentMessage('データベースからデータを取得中...', 'info');
+            const points = await window.firestoreManager.getPoints(projectId);
+            const routes = await window.firestoreManager.getRoutes(projectId);
+            const spots = await window.firestoreManager.getSpots(projectId);
+            const areas = (window.firestoreManager.getAreas)
+                ? await window.firestoreManager.getAreas(projectId)
+                : [];
+            UIHelper.hidePersistentMessage();
+
             // 既存データをクリア
             if (this.pointManager.getPoints().length > 0 ||
                 this.routeManager.getRoutePoints().length > 0 ||
                 this.spotManager.getSpots().length > 0) {
                 const confirmed = confirm('現在のデータを削除して読み込みますか？');
                 if (!confirmed) {
-                    return;
+                    return false;
                 }
             }
 
-            this.pointManager.clearPoints();
-            this.routeManager.clearAllRoutes();
-            this.spotManager.clearSpots();
-            this.areaManager.clearAreas();
-
-            // 件数取得用に各コレクションを先読み（0件項目は処理をスキップしてメッセージも出さない）
-            const points = await window.firestoreManager.getPoints(projectId);
-            const routes = await window.firestoreManager.getRoutes(projectId);
-            const spots = await window.firestoreManager.getSpots(projectId);
-            const areas = (window.firestoreManager.getAreas)
-                ? await window.firestoreManager.getAreas(projectId)
-                : [];
-
-            // ポイントを読み込み（画像座標→キャンバス座標に変換）
             let loadedPoints = 0;
-            if (points.length > 0) {
-                UIHelper.showPersistentMessage('ポイントのデータを読み込み中...', 'info');
-            }
-            for (const point of points) {
-                // 空白IDはスキップ
-                if (!point.id || point.id.trim() === '') {
-                    continue;
+            let loadedRoutes = 0;
+            let loadedSpots = 0;
+            let loadedAreas = 0;
+            applyLoadedData(() => {
+                this.pointManager.clearPoints();
+                this.routeManager.clearAllRoutes();
+                this.spotManager.clearSpots();
+                this.areaManager.clearAreas();
+
+                // ポイントID体系を復元（ポイントより先に反映し、読み込んだIDの判定に使う）
+                if (projectMetadata.pointIdScheme && this.projectSettingsManager) {
+                    this.projectSettingsManager.setPointIdScheme(projectMetadata.pointIdScheme);
                 }
 
-                // 画像座標からキャンバス座標に変換
-                const canvasCoords = CoordinateUtils.imageToCanvas(
-                    point.x, point.y,
-                    this.canvas.width, this.canvas.height,
-                    this.currentImage.width, this.currentImage.height
-                );
+                // カテゴリの選択肢を復元（保存されている場合のみ）
+                if (Array.isArray(projectMetadata.categories) && this.projectSettingsManager) {
+                    this.projectSettingsManager.setCategories(projectMetadata.categories);
+                }
+                if (projectMetadata.categoryStyles && this.projectSettingsManager) {
+                    this.projectSettingsManager.setCategoryStyles(projectMetadata.categoryStyles);
+                }
 
-                this.pointManager.addPoint(canvasCoords.x, canvasCoords.y, point.id);
-                loadedPoints++;
-            }
+                // 距離の縮尺を復元
+                if (this.projectSettingsManager) {
+                    this.projectSettingsManager.setScaleCalibration(projectMetadata.scaleCalibration || null);
+                }
 
-            // ルートを読み込み（画像座標→キャンバス座標に変換）
-            let loadedRoutes = 0;
-            if (routes.length > 0) {
-                UIHelper.showPersistentMessage('ルートのデータを読み込み中...', 'info');
-            }
-            for (const route of routes) {
-                // 中間点の座標変換
-                const convertedWaypoints = [];
-                for (const waypoint of route.waypoints) {
-                    // 画像座標からキャンバス座標に変換
-                    const canvasCoords = CoordinateUtils.imageToCanvas(
-                        waypoint.x, waypoint.y,
-                        this.canvas.width, this.canvas.height,
-                        this.currentImage.width, this.currentImage.height
-                    );
-                    convertedWaypoints.push({ x: canvasCoords.x, y: canvasCoords.y });
+                // レイヤーの表示・ロックを復元（保存されていない場合はすべて表示・ロックなし）
+                if (this.layerManager) {
+                    this.layerManager.restoreSnapshot(projectMetadata.layers || {});
                 }
 
-                // ルートオブジェクトを作成してRouteManagerに追加
-                // FirestoreIDを保持して、更新時に使用できるようにする
-                this.routeManager.addRoute({
-                    firestoreId: route.firestoreId,  // FirestoreドキュメントIDを保持
-                    routeName: route.routeName || `${route.startPoint} ～ ${route.endPoint}`,
-                    startPointId: route.startPoint,
-                    endPointId: route.endPoint,
-                    routePoints: convertedWaypoints
-                });
-                loadedRoutes++;
-            }
+                // ポイントを読み込み（画像座標のまま保持）
+                for (const point of points) {
+                    // 空白IDはスキップ
+                    if (!point.id || point.id.trim() === '') {
+                        continue;
+                    }
 
-            // スポットを読み込み（画像座標→キャンバス座標に変換）
-            let loadedSpots = 0;
-            if (spots.length > 0) {
-                UIHelper.showPersistentMessage('スポットのデータを読み込み中...', 'info');
-            }
-            for (const spot of spots) {
-                // 空白名はスキップ
-                if (!spot.name || spot.name.trim() === '') {
-                    continue;
+                    const addedPoint = this.pointManager.addPoint(point.x, point.y, point.id);
+                    if (Number.isFinite(point.elevation)) {
+                        addedPoint.elevation = point.elevation;
+                    }
+                    Object.assign(addedPoint, ObjectAttributes.fromData('point', point));
+                    loadedPoints++;
                 }
 
-                // 画像座標からキャンバス座標に変換
-                const canvasCoords = CoordinateUtils.imageToCanvas(
-                    spot.x, spot.y,
-                    this.canvas.width, this.canvas.height,
-                    this.currentImage.width, this.currentImage.height
-                );
-
-                this.spotManager.addSpot(canvasCoords.x, canvasCoords.y, spot.name);
-                loadedSpots++;
+                // ルートを読み込み（画像座標のまま保持）
+                for (const route of routes) {
+                    const convertedWaypoints = (route.waypoints || []).map(waypoint => ({ x: waypoint.x, y: waypoint.y }));
+
+                    // ルートオブジェクトを作成してRouteManagerに追加
+                    // FirestoreIDを保持して、更新時に使用できるようにする
+                    this.routeManager.addRoute({
+                        firestoreId: route.firestoreId,  // FirestoreドキュメントIDを保持
+                        // 識別ID（レイヤーの状態の対応付け用）。IDを保存する前のドキュメントはFirestoreIDを使う
+                        objectId: route.objectId || route.firestoreId,
+                        routeName: route.routeName || `${route.startPoint} ～ ${route.endPoint}`,
+                        startPointId: route.startPoint,
+                        endPointId: route.endPoint,
+                        routePoints: convertedWaypoints,
+                        ...ObjectAttributes.fromData('route', route)
+                    });
+                    loadedRoutes++;
+                }
 
-            }
+                // スポットを読み込み（画像座標のまま保持）
+                for (const spot of spots) {
+                    // 空白名はスキップ
+                    if (!spot.name || spot.name.trim() === '') {
+                        continue;
+                    }
 
-            // エリアを読み込み
-            let loadedAreas = 0;
-            if (areas.length > 0) {
-                UIHelper.showPersistentMessage('エリアのデータを読み込み中...', 'info');
-            }
-            for (const area of areas) {
-                const convertedVertices = [];
-                if (area.vertices) {
-                    for (const vertex of area.vertices) {
-                        const canvasCoords = CoordinateUtils.imageToCanvas(
-                            vertex.x, vertex.y,
-                            this.canvas.width, this.canvas.height,
-                            this.currentImage.width, this.currentImage.height
-                        );
-                        convertedVertices.push({ x: canvasCoords.x, y: canvasCoords.y });
+                    const addedSpot = this.spotManager.addSpot(spot.x, spot.y, spot.name);
+                    if (Number.isFinite(spot.elevation)) {
+                        addedSpot.elevation = spot.elevation;
                     }
+                    Object.assign(addedSpot, ObjectAttributes.fromData('spot', spot));
+                    loadedSpots++;
                 }
 
-                this.areaManager.addArea({
-                    firestoreId: area.firestoreId,
-                    areaName: area.areaName,
-                    vertices: convertedVertices
-                });
-                loadedAreas++;
-            }
+                // エリアを読み込み
+                for (const area of areas) {
+                    const convertedVertices = (area.vertices || []).map(vertex => ({ x: vertex.x, y: vertex.y }));
+
+                    this.areaManager.addArea({
+                        firestoreId: area.firestoreId,
+                        objectId: area.objectId || area.firestoreId,
+                        areaName: area.areaName,
+                        vertices: convertedVertices,
+                        ...ObjectAttributes.fromData('area', area)
+                    });
+                    loadedAreas++;
+                }
+            });
+
+            // 読み込んだリモート状態を保存時の競合検出の基準とする
+            this.changeMerger.recordBase(projectId, { points, routes, spots, areas });
 
             // 読み込み完了コールバックを実行
             if (onLoadComplete) {
@@ -631,183 +732,654 @@ export class FirebaseSyncManager {
             if (loadedAreas > 0)  completionLines.push(`エリア: ${loadedAreas}件`);
             if (completionLines.length === 1) completionLines.push('データなし');
             UIHelper.showMessage(completionLines.join('\n'), 'success');
+            return true;
 
         } catch (error) {
             UIHelper.hidePersistentMessage();
-            UIHelper.showError('読み込み中にエラーが発生しました: ' + error.message);
+            if (error.code === 'permission-denied') {
+                UIHelper.showError(PERMISSION_DENIED_MESSAGE);
+            } else {
+                UIHelper.showError('読み込み中にエラーが発生しました: ' + error.message);
+            }
+            return false;
         }
     }
 
     /**
      * すべてのデータをFirebaseに保存
+     * @returns {Promise<boolean>} 保存が完了したかどうか
      */
     async saveAllToFirebase() {
         if (!window.firestoreManager || !this.currentImage) {
             UIHelper.showError('Firebase接続または画像がありません');
-            return;
-        }
-
-        const projectId = this.fileHandler.getCurrentImageFileName();
-        if (!projectId) {
-            UIHelper.showError('プロジェクトIDが不明です');
-            return;
+            return false;
         }
 
+        // 書き込みの進捗（%）。途中で失敗した場合のメッセージに使う
+        let progress = 0;
         try {
-            // プロジェクトメタデータ更新
-            const metadata = {
-                projectName: projectId,
-                imageName: projectId + '.png',
-                imageWidth: this.currentImage.width,
-                imageHeight: this.currentImage.height,
-                lastAccessedAt: firebase.firestore.FieldValue.serverTimestamp()
-            };
+            // 画像の内容・ファイル名からプロジェクトIDを決める
+            const projectId = await this.resolveProjectId();
+            if (!projectId) {
+                UIHelper.showError('プロジェクトIDが不明です');
+                return false;
+            }
 
+            // 保存できるのは所有者・編集者のみ（未作成のプロジェクトは保存したユーザーが所有者になる）
             const existingProject = await window.firestoreManager.getProjectMetadata(projectId);
-            if (!existingProject) {
-                await window.firestoreManager.createProjectMetadata(projectId, metadata);
-            } else {
-                await window.firestoreManager.updateProjectMetadata(projectId, metadata);
+            const role = window.firestoreManager.getProjectRole(existingProject);
+            this.setProjectRole(role);
+            if (role !== 'owner' && role !== 'editor') {
+                UIHelper.showError('閲覧のみの権限のため、このプロジェクトには保存できません');
+                return false;
             }
 
-            // ポイント保存
-            const points = this.pointManager.getPoints();
-            let savedPoints = 0;
-            if (points.length > 0) {
-                UIHelper.showPersistentMessage('ポイントのデータを保存中...', 'info');
-                for (let i = 0; i < points.length; i++) {
-                    await this.updatePointToFirebase(i);
-                    // 空白IDは updatePointToFirebase 内でスキップされるため、ここでカウントから除外
-                    const p = points[i];
-                    if (p && p.id && p.id.trim() !== '') savedPoints++;
-                }
+            // 前回の読み込み・保存以降の他のユーザーの変更を取り込み、競合があれば解決方法を選択させる
+            // 未作成のプロジェクトはデータを読み取れない（セキュリティルールでメタデータのメンバーを参照する）ため、空の状態から保存する
+            UIHelper.showPersistentMessage('他のユーザーの変更を確認中...', 'info');
+            const merged = existingProject
+                ? await this._mergeRemoteChangesBeforeSave(projectId)
+                : { mergedCount: 0, remote: this._emptyRemoteState() };
+            if (merged === null) {
+                UIHelper.hidePersistentMessage();
+                UIHelper.showWarning('保存を中止しました');
+                return false;
             }
+            const { mergedCount, remote } = merged;
 
-            // ルート保存
-            const routes = this.routeManager.getAllRoutes();
-            let savedRoutes = 0;
-            if (routes.length > 0) {
-                UIHelper.showPersistentMessage('ルートのデータを保存中...', 'info');
-                for (let i = 0; i < routes.length; i++) {
-                    await this.updateRouteToFirebase(i);
-                    savedRoutes++;
-                }
-            }
+            // 最後に確認したリモート状態とローカルを比較し、追加・更新・削除する項目だけを書き込む
+            const plan = this._buildSavePlan(projectId, remote);
 
-            // スポット保存
-            const spots = this.spotManager.getSpots();
-            let savedSpots = 0;
-            if (spots.length > 0) {
-                UIHelper.showPersistentMessage('スポットのデータを保存中...', 'info');
-                for (let i = 0; i < spots.length; i++) {
-                    await this.updateSpotToFirebase(i);
-                    const s = spots[i];
-                    if (s && s.name && s.name.trim() !== '') savedSpots++;
-                }
+            // プロジェクトメタデータ更新（件数は保存後の状態を書き込む）
+            const metadata = {
+                ...this._buildImageMetadata(),
+                lastAccessedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                pointCount: plan.counts.points,
+                routeCount: plan.counts.routes,
+                spotCount: plan.counts.spots,
+                areaCount: plan.counts.areas
+            };
+            if (this.projectSettingsManager) {
+                metadata.pointIdScheme = this.projectSettingsManager.getPointIdScheme().toJSON();
+                metadata.categories = [...this.projectSettingsManager.getCategories()];
+                metadata.categoryStyles = JSON.parse(JSON.stringify(this.projectSettingsManager.getCategoryStyles()));
+                // 縮尺の解除も反映するため、未設定の場合はnullで上書きする
+                metadata.scaleCalibration = this.projectSettingsManager.getScaleCalibration();
+            }
+            if (this.layerManager) {
+                metadata.layers = this.layerManager.getSnapshot();
             }
 
-            // エリア保存
-            const areas = this.areaManager.getAllAreas();
-            let savedAreas = 0;
-            if (areas.length > 0) {
-                UIHelper.showPersistentMessage('エリアのデータを保存中...', 'info');
-                for (let i = 0; i < areas.length; i++) {
-                    await this.updateAreaToFirebase(i);
-                    const a = areas[i];
-                    if (a && a.areaName && a.areaName.trim() !== '') savedAreas++;
-                }
+            if (!existingProject) {
+                // プロジェクト名は作成時の画像ファイル名とし、以後は変えない
+                metadata.projectName = this.fileHandler.getCurrentImageFileName();
+            } else if (!existingProject.members) {
+                // メンバー未設定の旧プロジェクトは、作成したユーザーが保存すると所有者として引き継ぐ（ロールの確認で作成したユーザー以外は除外済み）
+                Object.assign(metadata, window.firestoreManager.getOwnerMembership());
             }
 
-            // ローカルで削除された項目をFirestoreからも削除して同期
-            UIHelper.showPersistentMessage('削除データを同期中...', 'info');
-            const deletedCount = await this.reconcileDeletions(projectId);
+            // データに変更がある場合は、保存後の状態を保存履歴の版として残す
+            const version = plan.writes.length > 0 ? this._buildVersion(plan) : null;
+
+            UIHelper.showPersistentMessage('データを保存中... 0%', 'info');
+            await window.firestoreManager.commitBatchedWrites(projectId, plan.writes, metadata, !existingProject, version, (done, total) => {
+                progress = Math.floor(done / total * 100);
+                UIHelper.showPersistentMessage(`データを保存中... ${progress}%`, 'info');
+            });
+
+            // 保存後のリモート状態を次回保存時の競合検出の基準とする（更新日時はサーバーで決まるため、書き込んだドキュメントだけ取得し直す）
+            this.changeMerger.recordBase(projectId, plan.writes.length > 0 ? await this._fetchSavedRemoteState(projectId, remote, plan.writes) : remote);
+            if (!existingProject || !existingProject.members) {
+                this.setProjectRole('owner');
+            }
 
             // 進捗用の永続メッセージを消去してから、完了メッセージを規定秒数表示
             UIHelper.hidePersistentMessage();
 
             const completionLines = ['保存が完了しました。'];
-            if (savedPoints > 0) completionLines.push(`ポイント: ${savedPoints}件`);
-            if (savedRoutes > 0) completionLines.push(`ルート: ${savedRoutes}件`);
-            if (savedSpots > 0)  completionLines.push(`スポット: ${savedSpots}件`);
-            if (savedAreas > 0)  completionLines.push(`エリア: ${savedAreas}件`);
-            if (deletedCount > 0) completionLines.push(`削除: ${deletedCount}件`);
+            if (plan.counts.points > 0) completionLines.push(`ポイント: ${plan.counts.points}件`);
+            if (plan.counts.routes > 0) completionLines.push(`ルート: ${plan.counts.routes}件`);
+            if (plan.counts.spots > 0)  completionLines.push(`スポット: ${plan.counts.spots}件`);
+            if (plan.counts.areas > 0)  completionLines.push(`エリア: ${plan.counts.areas}件`);
             if (completionLines.length === 1) completionLines.push('データなし');
+            if (plan.added > 0)   completionLines.push(`追加: ${plan.added}件`);
+            if (plan.updated > 0) completionLines.push(`更新: ${plan.updated}件`);
+            if (plan.deleted > 0) completionLines.push(`削除: ${plan.deleted}件`);
+            if (mergedCount > 0) completionLines.push(`他のユーザーの変更を反映: ${mergedCount}件`);
             UIHelper.showMessage(completionLines.join('\n'), 'success');
+            return true;
 
         } catch (error) {
             console.error('全データ保存エラー:', error);
             UIHelper.hidePersistentMessage();
-            UIHelper.showError('保存中にエラーが発生しました');
+            if (error.code === 'permission-denied') {
+                UIHelper.showError(PERMISSION_DENIED_MESSAGE);
+            } else if (progress > 0) {
+                // 完了したバッチの分は保存済み。再度保存すると残りの差分だけを書き込む
+                UIHelper.showError(`保存が途中で中断されました（${progress}%）。もう一度保存してください`);
+            } else {
+                UIHelper.showError('保存中にエラーが発生しました');
+            }
+            return false;
         }
     }
 
     /**
-     * ローカルに存在しない項目をFirestoreから削除して同期する
-     * （削除はリアルタイムでは行わず、保存ボタン実行時にまとめて同期する）
+     * ローカルの状態とリモート状態を比較し、保存に必要な書き込みの一覧を作成
+     * ポイントはID、スポットは名称、ルート・エリアはFirestoreIDで対応付け、内容が変わった項目だけを更新する。
+     * ローカルにない項目（同じキーの重複ドキュメントを含む）は削除する。
+     * FirestoreIDのないルート・エリアは、開始・終了ポイントが同じルート・同じ名前のエリアがあればそのIDを使い、
+     * なければ新しいIDを発行してローカルの項目に設定する
      * @param {string} projectId - プロジェクトID
-     * @returns {Promise<number>} 削除した件数
-     */
-    async reconcileDeletions(projectId) {
-        let deletedCount = 0;
-
-        // ポイント: ローカルのID集合に無いものを削除（ID一致で判定）
-        const localPointIds = new Set(
-            this.pointManager.getPoints()
-                .map(p => (p.id || '').trim())
-                .filter(id => id !== '')
-        );
-        const remotePoints = await window.firestoreManager.getPoints(projectId);
-        for (const rp of remotePoints) {
-            if (!localPointIds.has((rp.id || '').trim())) {
-                await window.firestoreManager.deletePoint(projectId, rp.firestoreId);
-                deletedCount++;
+     * @param {Object} remote - コレクションごとのリモートドキュメント配列
+     * @returns {{writes: Array<Object>, counts: Object<string, number>, added: number, updated: number, deleted: number}}
+     *          書き込みの一覧と、保存後のコレクションごとの件数・追加・更新・削除の件数
+     */
+    _buildSavePlan(projectId, remote) {
+        const sources = {
+            points: {
+                items: this.pointManager.getPoints().filter(p => p.id && p.id.trim() !== ''),
+                getKey: p => p.id.trim(),
+                build: p => this._buildPointRecord(p)
+            },
+            spots: {
+                items: this.spotManager.getSpots().filter(s => s.name && s.name.trim() !== ''),
+                getKey: s => s.name.trim(),
+                build: s => this._buildSpotRecord(s)
+            },
+            routes: {
+                items: this.routeManager.getAllRoutes(),
+                getKey: r => r.firestoreId || '',
+                build: r => this._buildRouteRecord(r),
+                isSame: (record, doc) => doc.startPoint === record.startPoint && doc.endPoint === record.endPoint
+            },
+            areas: {
+                items: this.areaManager.getAllAreas().filter(a => a.areaName && a.areaName.trim() !== ''),
+                getKey: a => a.firestoreId || '',
+                build: a => this._buildAreaRecord(a),
+                isSame: (record, doc) => doc.areaName === record.areaName
             }
+        };
+
+        const plan = { writes: [], counts: {}, added: 0, updated: 0, deleted: 0 };
+        const deletes = [];
+        Object.entries(sources).forEach(([collection, source]) => {
+            const remoteMap = new Map();
+            const unmatched = new Set();
+            (remote[collection] || []).forEach(doc => {
+                const key = this.changeMerger.getItemKey(collection, doc);
+                if (key && !remoteMap.has(key)) remoteMap.set(key, doc);
+                unmatched.add(doc);
+            });
+            // FirestoreIDのないルート・エリアに既存のドキュメントを割り当てる際、他の項目のドキュメントは使わない
+            const localKeys = new Set(source.items.map(source.getKey).filter(key => key !== ''));
+            const savedKeys = new Set();
+
+            source.items.forEach(item => {
+                let key = source.getKey(item);
+                if (key && savedKeys.has(key)) return;
+
+                const record = source.build(item);
+                let doc = key ? remoteMap.get(key) : null;
+                if (!key) {
+                    doc = [...unmatched].find(candidate => !localKeys.has(candidate.firestoreId) && source.isSame(record, candidate)) || null;
+                    key = doc ? doc.firestoreId : window.firestoreManager.createDocumentId(projectId, collection);
+                    item.firestoreId = key;
+                }
+                savedKeys.add(key);
+
+                if (!doc) {
+                    // ルート・エリアはローカルのFirestoreID（リモートで削除済みの場合も同じID）で作成する
+                    const firestoreId = source.isSame ? key : window.firestoreManager.createDocumentId(projectId, collection);
+                    plan.writes.push({ type: 'add', collection, firestoreId, data: record });
+                    plan.added++;
+                    return;
+                }
+                unmatched.delete(doc);
+                if (this._isRecordChanged(record, doc)) {
+                    plan.writes.push({ type: 'update', collection, firestoreId: doc.firestoreId, data: record });
+                    plan.updated++;
+                }
+            });
+
+            unmatched.forEach(doc => {
+                deletes.push({ type: 'delete', collection, firestoreId: doc.firestoreId });
+            });
+            plan.counts[collection] = savedKeys.size;
+        });
+
+        // 削除は追加・更新の後に書き込む
+        plan.writes.push(...deletes);
+        plan.deleted = deletes.length;
+        return plan;
+    }
+
+    /**
+     * 保存履歴の版を作成（保存後のポイント・スポット・ルート・エリアをJSON文字列で持つ）
+     * データが大きすぎる場合は件数と変更件数だけを残し、その版からは復元できない
+     * @param {Object} plan - _buildSavePlan() の結果
+     * @returns {{counts: Object<string, number>, changes: {added: number, updated: number, deleted: number}, snapshot: string|null}} 版
+     */
+    _buildVersion(plan) {
+        const snapshot = JSON.stringify({
+            points: this.pointManager.getSnapshot().points,
+            spots: this.spotManager.getSnapshot().spots,
+            routes: this.routeManager.getSnapshot().routes,
+            areas: this.areaManager.getSnapshot().areas
+        });
+        const size = new TextEncoder().encode(snapshot).length;
+        if (size > VERSION_SNAPSHOT_MAX_BYTES) {
+            console.warn(`保存履歴のデータが大きすぎるため、復元用のデータを保存しません（${size}バイト）`);
         }
+        return {
+            counts: { ...plan.counts },
+            changes: { added: plan.added, updated: plan.updated, deleted: plan.deleted },
+            snapshot: size <= VERSION_SNAPSHOT_MAX_BYTES ? snapshot : null
+        };
+    }
 
-        // スポット: ローカルの名称集合に無いものを削除（名称一致で判定）
-        const localSpotNames = new Set(
-            this.spotManager.getSpots()
-                .map(s => (s.name || '').trim())
-                .filter(name => name !== '')
-        );
-        const remoteSpots = await window.firestoreManager.getSpots(projectId);
-        for (const rs of remoteSpots) {
-            if (!localSpotNames.has((rs.name || '').trim())) {
-                await window.firestoreManager.deleteSpot(projectId, rs.firestoreId);
-                deletedCount++;
+    /**
+     * 現在のプロジェクトの保存履歴（版）を新しい順に取得
+     * @returns {Promise<Array<Object>>} 版の配列（data は復元用のデータ。復元できない版はnull）
+     */
+    async getVersions() {
+        if (!window.firestoreManager) return [];
+        const projectId = await this.resolveProjectId();
+        if (!projectId) return [];
+
+        const versions = await window.firestoreManager.getVersions(projectId, VERSION_LIST_LIMIT);
+        return versions.map(version => {
+            let data = null;
+            try {
+                data = version.snapshot ? JSON.parse(version.snapshot) : null;
+            } catch (error) {
+                console.error('保存履歴のデータが壊れています:', version.firestoreId, error);
             }
-        }
+            return {
+                versionId: version.firestoreId,
+                // 書き込み直後でサーバーの日時が確定していない場合は0
+                createdAt: version.createdAt && typeof version.createdAt.toMillis === 'function' ? version.createdAt.toMillis() : 0,
+                createdBy: version.createdBy || '',
+                counts: version.counts || {},
+                changes: version.changes || {},
+                data
+            };
+        });
+    }
 
-        // ルート: ローカルのFirestoreID集合に無いものを削除
-        const localRouteIds = new Set(
-            this.routeManager.getAllRoutes()
-                .map(r => r.firestoreId)
-                .filter(id => !!id)
-        );
-        const remoteRoutes = await window.firestoreManager.getRoutes(projectId);
-        for (const rr of remoteRoutes) {
-            if (!localRouteIds.has(rr.firestoreId)) {
-                await window.firestoreManager.deleteRoute(projectId, rr.firestoreId);
-                deletedCount++;
+    /**
+     * 保存データがリモートのドキュメントと異なるか（保存データに含まれる項目だけを比較する）
+     * @param {Object} record - 保存データ
+     * @param {Object} doc - リモートのドキュメント
+     * @returns {boolean} 異なる場合true
+     */
+    _isRecordChanged(record, doc) {
+        const normalize = (field, value) => {
+            if (field === 'attributes') return ObjectAttributes.normalizeCustomFields(value);
+            if (field === 'waypoints' || field === 'vertices') {
+                return (value || []).map(p => ({ x: p.x, y: p.y }));
             }
+            return value ?? null;
+        };
+        return Object.entries(record).some(([field, value]) => {
+            return JSON.stringify(normalize(field, value)) !== JSON.stringify(normalize(field, doc[field]));
+        });
+    }
+
+    // ========================================
+    // 保存時の競合検出
+    // ========================================
+
+    /**
+     * プロジェクトの全コレクションをFirestoreから取得
+     * @param {string} projectId - プロジェクトID
+     * @returns {Promise<Object>} コレクションごとのドキュメント配列
+     */
+    async _fetchRemoteState(projectId) {
+        const remote = {};
+        for (const [collection, definition] of Object.entries(SYNC_COLLECTIONS)) {
+            const fetch = window.firestoreManager[definition.fetch];
+            remote[collection] = typeof fetch === 'function'
+                ? await fetch.call(window.firestoreManager, projectId)
+                : [];
         }
+        return remote;
+    }
+
+    /**
+     * 保存後のリモート状態を作成
+     * 保存の基にしたリモート状態に書き込みの一覧を当て、書き込んだ内容と取得し直した更新日時を持つドキュメントにする。
+     * 全コレクションを取得し直さず、追加・更新したドキュメントだけを取得する
+     * @param {string} projectId - プロジェクトID
+     * @param {Object} remote - 保存の基にしたコレクションごとのリモートドキュメント配列
+     * @param {Array<Object>} writes - 書き込んだ一覧（_buildSavePlan() の writes）
+     * @returns {Promise<Object>} コレクションごとの保存後のドキュメント配列
+     */
+    async _fetchSavedRemoteState(projectId, remote, writes) {
+        const saved = {};
+        for (const collection of Object.keys(SYNC_COLLECTIONS)) {
+            const collectionWrites = writes.filter(write => write.collection === collection);
+            const written = collectionWrites.filter(write => write.type !== 'delete');
+            const fetched = written.length > 0
+                ? await window.firestoreManager.getDocumentsByIds(projectId, collection, written.map(write => write.firestoreId))
+                : [];
+            const updatedTimes = new Map(fetched.map(doc => [doc.firestoreId, doc.updatedAt]));
 
-        // エリア: ローカルのFirestoreID集合に無いものを削除
-        if (window.firestoreManager.getAreas) {
-            const localAreaIds = new Set(
-                this.areaManager.getAllAreas()
-                    .map(a => a.firestoreId)
-                    .filter(id => !!id)
-            );
-            const remoteAreas = await window.firestoreManager.getAreas(projectId);
-            for (const ra of remoteAreas) {
-                if (!localAreaIds.has(ra.firestoreId)) {
-                    await window.firestoreManager.deleteArea(projectId, ra.firestoreId);
-                    deletedCount++;
+            // 書き込み後に他のユーザーが削除したドキュメントは含めない
+            const writtenDocs = new Map();
+            written.forEach(write => {
+                if (updatedTimes.has(write.firestoreId)) {
+                    writtenDocs.set(write.firestoreId, { firestoreId: write.firestoreId, ...write.data, updatedAt: updatedTimes.get(write.firestoreId) });
                 }
+            });
+            const changedIds = new Set(collectionWrites.map(write => write.firestoreId));
+
+            // 更新したドキュメントは元の位置に置き換え、削除したドキュメントは除き、追加したドキュメントは末尾に加える
+            saved[collection] = (remote[collection] || [])
+                .map(doc => (changedIds.has(doc.firestoreId) ? writtenDocs.get(doc.firestoreId) : doc))
+                .filter(doc => !!doc);
+            const existingIds = new Set((remote[collection] || []).map(doc => doc.firestoreId));
+            writtenDocs.forEach((doc, firestoreId) => {
+                if (!existingIds.has(firestoreId)) saved[collection].push(doc);
+            });
+        }
+        return saved;
+    }
+
+    /**
+     * ドキュメントのない（未作成のプロジェクトの）リモート状態を作成
+     * @returns {Object} コレクションごとの空のドキュメント配列
+     */
+    _emptyRemoteState() {
+        const remote = {};
+        Object.keys(SYNC_COLLECTIONS).forEach(collection => {
+            remote[collection] = [];
+        });
+        return remote;
+    }
+
+    /**
+     * 保存前に他のユーザーの変更をローカルへ取り込む
+     * 相手だけが変更・追加・削除した項目はそのまま取り込み（保存で上書き・削除しない）、
+     * 双方が変更した項目は競合ダイアログで「自分の変更 / 相手の変更 / 両方残す」を選択させる。
+     * 競合ダイアログで選択を待つ間に他のユーザーが保存した場合は、取得し直した状態で取り込みをやり直す
+     * （取得し直した状態が選択前と同じになるまで繰り返す）
+     * @param {string} projectId - プロジェクトID
+     * @returns {Promise<{mergedCount: number, remote: Object}|null>} 取り込んだ件数と保存の基にするリモート状態（キャンセル時はnull）
+     */
+    async _mergeRemoteChangesBeforeSave(projectId) {
+        let remote = await this._fetchRemoteState(projectId);
+        let mergedCount = 0;
+        for (;;) {
+            const merged = await this._mergeRemoteState(projectId, remote);
+            if (merged === null) return null;
+            mergedCount += merged.mergedCount;
+            if (!merged.waited) return { mergedCount, remote };
+
+            const latest = await this._fetchRemoteState(projectId);
+            if (!this.changeMerger.hasRemoteChanged(remote, latest)) {
+                return { mergedCount, remote: latest };
             }
+            // 取り込み済みの状態を基準にして、選択中に保存された変更だけを改めて判定する
+            this.changeMerger.recordBase(projectId, remote);
+            remote = latest;
+            UIHelper.showPersistentMessage('他のユーザーの変更を再確認中...', 'info');
         }
+    }
 
-        return deletedCount;
+    /**
+     * 取得したリモート状態から他のユーザーの変更を検出し、ローカルへ取り込む
+     * @param {string} projectId - プロジェクトID
+     * @param {Object} remote - コレクションごとのリモートドキュメント配列
+     * @returns {Promise<{mergedCount: number, waited: boolean}|null>}
+     *          取り込んだ件数と競合ダイアログで選択を待ったかどうか（キャンセル時はnull）
+     */
+    async _mergeRemoteState(projectId, remote) {
+        const managers = {
+            point: this.pointManager,
+            spot: this.spotManager,
+            route: this.routeManager,
+            area: this.areaManager
+        };
+        const takeSnapshots = () => {
+            const snapshots = {};
+            Object.entries(managers).forEach(([key, manager]) => {
+                snapshots[key] = manager.getSnapshot();
+            });
+            return snapshots;
+        };
+
+        const { changes, conflicts } = this.changeMerger.detectChanges(projectId, takeSnapshots(), remote);
+
+        let choices = [];
+        if (conflicts.length > 0) {
+            UIHelper.hidePersistentMessage();
+            if (!this.conflictDialog) {
+                this.conflictDialog = new DuplicateDialog();
+            }
+            choices = await this.conflictDialog.showConflictDialog(conflicts.map(conflict => ({
+                label: this.changeMerger.getItemLabel(conflict.collection, conflict.local || conflict.remote),
+                mine: this.changeMerger.summarize(conflict.collection, conflict.local),
+                theirs: this.changeMerger.summarize(conflict.collection, conflict.remote),
+                author: this.changeMerger.getAuthorLabel(conflict.remote),
+                canKeepBoth: conflict.canKeepBoth
+            })));
+            if (!choices) return null;
+            UIHelper.showPersistentMessage('他のユーザーの変更を反映中...', 'info');
+        }
+        const waited = conflicts.length > 0;
+
+        // ダイアログ表示中のライブ同期の反映を失わないよう、スナップショットは選択後に取り直す
+        const snapshots = takeSnapshots();
+        const appliedChanges = changes.filter(change => {
+            const key = SYNC_COLLECTIONS[change.collection].manager;
+            return this.changeMerger.applyChange(key, snapshots[key], change);
+        });
+        const resolvedConflicts = conflicts
+            .map((conflict, index) => ({ conflict, choice: choices[index] }))
+            .filter(({ conflict, choice }) => this.changeMerger.resolveConflict(snapshots, conflict, choice));
+        if (appliedChanges.length === 0 && resolvedConflicts.length === 0) return { mergedCount: 0, waited };
+
+        Object.entries(snapshots).forEach(([key, snapshot]) => {
+            managers[key].restoreSnapshot(snapshot);
+        });
+        // 履歴の付け替えでは、競合の解決も相手の変更と同じく各状態に当てる
+        const transforms = this._buildHistoryTransforms(appliedChanges);
+        resolvedConflicts.forEach(({ conflict, choice }) => {
+            const key = SYNC_COLLECTIONS[conflict.collection].manager;
+            const applyChanges = transforms[key] || (() => {});
+            transforms[key] = (snapshot) => {
+                applyChanges(snapshot);
+                this.changeMerger.resolveConflict({ [key]: snapshot }, conflict, choice);
+            };
+        });
+        this.notify('onRemoteChange', appliedChanges.map(change => this.changeMerger.describeChange(change)), transforms);
+        return { mergedCount: appliedChanges.length + resolvedConflicts.length, waited };
+    }
+
+    // ========================================
+    // ライブ同期（リアルタイム共同編集）
+    // ========================================
+
+    /**
+     * ライブ同期を開始
+     * 現在のプロジェクトの各コレクションを監視し、他のユーザーによる変更をマネージャーに反映する。
+     * 開始時点のリモート状態を基準とし、それ以降の追加・更新・削除のみを反映する
+     * @param {Function} isLocalEditing - ローカルで入力・ドラッグ中かを返す関数（trueの間は反映を保留）
+     * @returns {boolean} 開始できたかどうか
+     */
+    startLiveSync(isLocalEditing = () => false) {
+        if (!window.firestoreManager || !this.currentImage) {
+            return false;
+        }
+
+        // プロジェクトIDは開始前に resolveProjectId() で決めておく
+        const projectId = this.fileHandler.getProjectId();
+        if (!projectId) {
+            return false;
+        }
+
+        this.stopLiveSync();
+        this.liveSync = {
+            projectId,
+            isLocalEditing,
+            remoteDocs: {},     // コレクションごとの直近のリモート状態（firestoreId → ドキュメント）
+            pendingChanges: [], // 反映待ちの変更
+            retryTimer: null
+        };
+
+        Object.entries(SYNC_COLLECTIONS).forEach(([collection, definition]) => {
+            const subscribe = window.firestoreManager[definition.subscribe];
+            if (typeof subscribe !== 'function') return;
+
+            subscribe.call(window.firestoreManager, projectId, (docs) => {
+                this._handleRemoteSnapshot(collection, docs);
+            });
+        });
+
+        return true;
+    }
+
+    /**
+     * ライブ同期を停止
+     */
+    stopLiveSync() {
+        if (!this.liveSync) return;
+
+        if (this.liveSync.retryTimer) {
+            clearTimeout(this.liveSync.retryTimer);
+        }
+        if (window.firestoreManager) {
+            Object.keys(SYNC_COLLECTIONS).forEach(collection => {
+                window.firestoreManager.unsubscribe(collection);
+            });
+        }
+        this.liveSync = null;
+    }
+
+    /**
+     * ライブ同期中かどうかを取得
+     * @returns {boolean} ライブ同期中ならtrue
+     */
+    isLiveSyncActive() {
+        return this.liveSync !== null;
+    }
+
+    /**
+     * リモートのスナップショットを受信した時の処理
+     * @param {string} collection - コレクション名（'points' | 'spots' | 'routes' | 'areas'）
+     * @param {Array} docs - コレクションの全ドキュメント
+     */
+    _handleRemoteSnapshot(collection, docs) {
+        const state = this.liveSync;
+        if (!state) return;
+
+        const current = new Map(docs.map(doc => [doc.firestoreId, doc]));
+        const previous = state.remoteDocs[collection];
+        state.remoteDocs[collection] = current;
+
+        // 初回のスナップショットは基準として記録するのみ
+        if (!previous) return;
+
+        const changes = this._diffRemoteDocs(collection, previous, current);
+        if (changes.length === 0) return;
+
+        state.pendingChanges.push(...changes);
+        this._flushLiveSyncChanges();
+    }
+
+    /**
+     * 前回と今回のリモート状態を比較して変更一覧を作成
+     * @param {string} collection - コレクション名
+     * @param {Map} previous - 前回の状態（firestoreId → ドキュメント）
+     * @param {Map} current - 今回の状態（firestoreId → ドキュメント）
+     * @returns {Array<{collection: string, type: string, doc: Object|null, previous: Object|null}>} 変更一覧
+     */
+    _diffRemoteDocs(collection, previous, current) {
+        const ownUserId = window.firestoreManager ? window.firestoreManager.userId : null;
+        const signature = (doc) => this.changeMerger.signature(collection, doc);
+        const changes = [];
+
+        current.forEach((doc, firestoreId) => {
+            const before = previous.get(firestoreId);
+            // タイムスタンプのみの更新（serverTimestampの確定等）は無視
+            if (before && signature(before) === signature(doc)) return;
+            // 自分の書き込みはローカルが最新のため反映しない
+            if (ownUserId && doc.updatedBy === ownUserId) return;
+
+            changes.push({ collection, type: before ? 'modified' : 'added', doc, previous: before || null });
+        });
+
+        previous.forEach((doc, firestoreId) => {
+            if (!current.has(firestoreId)) {
+                changes.push({ collection, type: 'removed', doc: null, previous: doc });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * 保留中のリモート変更をマネージャーに反映
+     * ローカルで入力・ドラッグ中の場合は入力内容を上書きしないよう、終わるまで反映を遅らせる
+     */
+    _flushLiveSyncChanges() {
+        const state = this.liveSync;
+        if (!state || state.pendingChanges.length === 0) return;
+
+        if (state.isLocalEditing()) {
+            if (!state.retryTimer) {
+                state.retryTimer = setTimeout(() => {
+                    state.retryTimer = null;
+                    if (this.liveSync === state) {
+                        this._flushLiveSyncChanges();
+                    }
+                }, LIVE_SYNC_RETRY_DELAY);
+            }
+            return;
+        }
+
+        const changes = state.pendingChanges;
+        state.pendingChanges = [];
+
+        const managers = {
+            point: this.pointManager,
+            spot: this.spotManager,
+            route: this.routeManager,
+            area: this.areaManager
+        };
+        const snapshots = {};
+        const appliedChanges = changes.filter(change => {
+            const key = SYNC_COLLECTIONS[change.collection].manager;
+            if (!snapshots[key]) {
+                snapshots[key] = managers[key].getSnapshot();
+            }
+            return this.changeMerger.applyChange(key, snapshots[key], change);
+        });
+        if (appliedChanges.length === 0) return;
+
+        Object.entries(snapshots).forEach(([key, snapshot]) => {
+            managers[key].restoreSnapshot(snapshot);
+        });
+        this.notify('onRemoteChange', appliedChanges.map(change => this.changeMerger.describeChange(change)),
+            this._buildHistoryTransforms(appliedChanges));
+    }
+
+    /**
+     * 反映したリモートの変更を、元に戻す・やり直しの各状態にも当てる関数を作成（HistoryManager.rebase() に渡す）
+     * @param {Array<Object>} changes - 反映した変更
+     * @returns {Object<string, Function>} マネージャー種別 → スナップショット（直接書き換える）に変更を当てる関数
+     */
+    _buildHistoryTransforms(changes) {
+        const transforms = {};
+        changes.forEach(change => {
+            const key = SYNC_COLLECTIONS[change.collection].manager;
+            const applyChanges = transforms[key] || (() => {});
+            transforms[key] = (snapshot) => {
+                applyChanges(snapshot);
+                this.changeMerger.applyChange(key, snapshot, change);
+            };
+        });
+        return transforms;
     }
 }
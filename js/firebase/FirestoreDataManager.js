@@ -4,14 +4,32 @@
  *
  * 【共有設定】
  * - ユーザーID階層なし: projects/{projectId}/ に直接保存
- * - 認証済みユーザーなら誰でも全プロジェクトを読み書き可能
- * - PNG画像ファイル名がプロジェクトキー
+ * - プロジェクトのメンバー（members）のロール（所有者・編集者・閲覧者）で読み書きを制限
+ *   （メンバー未設定の旧プロジェクトは、ログインしたユーザーなら誰でも読み書き可能）
+ * - PNG画像の内容のハッシュ（imageHash）でプロジェクトを検索（旧データはPNG画像ファイル名がプロジェクトキー）
  */
 
+import { ObjectAttributes } from '../utils/ObjectAttributes.js';
+
+// 1回のバッチ書き込みに含められる書き込み数の上限（Firestoreの制限）
+export const BATCH_WRITE_LIMIT = 500;
+
+// ドキュメントIDの 'in' 検索1回に含められるIDの上限（Firestoreの制限）
+const DOCUMENT_ID_QUERY_LIMIT = 30;
+
+// プロジェクトのメンバーのロール（所有者・編集者・閲覧者）
+export const PROJECT_ROLES = ['owner', 'editor', 'viewer'];
+
 export class FirestoreDataManager {
-    constructor(firestore, userId) {
+    /**
+     * @param {firebase.firestore.Firestore} firestore - Firestoreインスタンス
+     * @param {string} userId - ログイン中のユーザーID
+     * @param {string} userEmail - ログイン中のユーザーのメールアドレス（メンバー一覧の表示用）
+     */
+    constructor(firestore, userId, userEmail = '') {
         this.db = firestore;
-        this.userId = userId; // 認証確認用のみ（パス構築には使用しない）
+        this.userId = userId; // 認証確認・メンバーの判定用（パス構築には使用しない）
+        this.userEmail = userEmail;
         this.currentProjectId = null;
         this.listeners = new Map(); // リアルタイムリスナーの管理
     }
@@ -52,6 +70,10 @@ export class FirestoreDataManager {
                     imageName: metadata.imageName || '',
                     imageWidth: metadata.imageWidth || 0,
                     imageHeight: metadata.imageHeight || 0,
+                    // 画像の内容のハッシュ（計算できた場合のみ）
+                    ...(metadata.imageHash ? { imageHash: metadata.imageHash } : {}),
+                    // 作成したユーザーが所有者になる
+                    ...this.getOwnerMembership(),
                     createdBy: this.userId, // 最初に作成したユーザーID
                     createdAt: firebase.firestore.FieldValue.serverTimestamp(),
                     updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
@@ -59,7 +81,16 @@ export class FirestoreDataManager {
                     lastUpdatedBy: this.userId, // 最後に更新したユーザーID
                     pointCount: 0,
                     routeCount: 0,
-                    spotCount: 0
+                    spotCount: 0,
+                    // ポイントID体系（指定された場合のみ）
+                    ...(metadata.pointIdScheme ? { pointIdScheme: metadata.pointIdScheme } : {}),
+                    // カテゴリの選択肢・表示設定（指定された場合のみ）
+                    ...(metadata.categories ? { categories: metadata.categories } : {}),
+                    ...(metadata.categoryStyles ? { categoryStyles: metadata.categoryStyles } : {}),
+                    // レイヤーの表示・ロック（指定された場合のみ）
+                    ...(metadata.layers ? { layers: metadata.layers } : {}),
+                    // 距離の縮尺（設定済みの場合のみ）
+                    ...(metadata.scaleCalibration ? { scaleCalibration: metadata.scaleCalibration } : {})
                 });
 
             console.log('プロジェクトメタデータ作成成功:', projectId);
@@ -111,14 +142,41 @@ export class FirestoreDataManager {
     }
 
     /**
-     * すべてのプロジェクト一覧を取得
+     * 自分がメンバーのプロジェクト一覧を取得（最終アクセス日時の新しい順）
+     * メンバー未設定の旧プロジェクトは含まれない
      * @returns {Promise<Array>}
      */
     async getAllProjects() {
         try {
             const snapshot = await this.db
                 .collection('projects')
-                .orderBy('lastAccessedAt', 'desc')
+                .where('memberIds', 'array-contains', this.userId)
+                .get();
+
+            const toMillis = (timestamp) => (timestamp && typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : 0);
+            return snapshot.docs
+                .map(doc => ({
+                    id: doc.id,
+                    ...doc.data()
+                }))
+                .sort((a, b) => toMillis(b.lastAccessedAt) - toMillis(a.lastAccessedAt));
+        } catch (error) {
+            console.error('プロジェクト一覧取得失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 画像の内容のハッシュが一致する、自分がメンバーのプロジェクトを検索
+     * @param {string} imageHash - 画像のハッシュ（SHA-256）
+     * @returns {Promise<Array>}
+     */
+    async findProjectsByImageHash(imageHash) {
+        try {
+            const snapshot = await this.db
+                .collection('projects')
+                .where('imageHash', '==', imageHash)
+                .where('memberIds', 'array-contains', this.userId)
                 .get();
 
             return snapshot.docs.map(doc => ({
@@ -126,7 +184,144 @@ export class FirestoreDataManager {
                 ...doc.data()
             }));
         } catch (error) {
-            console.error('プロジェクト一覧取得失敗:', error);
+            console.error('プロジェクト検索失敗:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // メンバー管理
+    // ========================================
+
+    /**
+     * 自分だけを所有者とするメンバー情報（プロジェクトの作成時・旧プロジェクトの引き継ぎ時にメタデータへ含める）
+     * @returns {{members: Object, memberIds: Array<string>, memberEmails: Object}}
+     */
+    getOwnerMembership() {
+        return {
+            members: { [this.userId]: 'owner' },
+            memberIds: [this.userId],
+            memberEmails: { [this.userId]: this.userEmail }
+        };
+    }
+
+    /**
+     * プロジェクトでの自分のロールを取得
+     * 未作成のプロジェクトは保存すると所有者になるため 'owner'。
+     * メンバー未設定の旧プロジェクトは、作成したユーザーのみ 'owner'（セキュリティルールと同じ）
+     * @param {Object|null} metadata - プロジェクトメタデータ（未作成の場合はnull）
+     * @returns {string|null} 'owner' | 'editor' | 'viewer'（メンバーでない場合はnull）
+     */
+    getProjectRole(metadata) {
+        if (!metadata) return 'owner';
+        if (!metadata.members) return metadata.createdBy && metadata.createdBy === this.userId ? 'owner' : null;
+        return metadata.members[this.userId] || null;
+    }
+
+    /**
+     * プロジェクトのメンバーを更新（所有者のみ）
+     * @param {string} projectId - プロジェクトID
+     * @param {Object} members - ユーザーID → ロール
+     * @param {Object} memberEmails - ユーザーID → メールアドレス
+     * @returns {Promise<void>}
+     */
+    async updateProjectMembers(projectId, members, memberEmails) {
+        await this.updateProjectMetadata(projectId, {
+            members,
+            memberIds: Object.keys(members),
+            memberEmails
+        });
+    }
+
+    /**
+     * ユーザー名簿からメールアドレスでユーザーを検索（メンバーの追加用）
+     * @param {string} email - メールアドレス
+     * @returns {Promise<{uid: string, email: string}|null>} 見つからない場合はnull
+     */
+    async findUserByEmail(email) {
+        try {
+            const doc = await this.db
+                .collection('userDirectory')
+                .doc(email.trim().toLowerCase())
+                .get();
+
+            return doc.exists ? { uid: doc.data().uid, email: doc.data().email } : null;
+        } catch (error) {
+            console.error('ユーザー検索失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 自分のメールアドレスをユーザー名簿に登録（メールアドレスを確認済みの場合のみ可能）
+     * 登録すると、ほかのプロジェクトの所有者がメールアドレスで自分をメンバーに追加できる
+     * @returns {Promise<void>}
+     */
+    async registerUserDirectory() {
+        if (!this.userEmail) return;
+        try {
+            await this.db
+                .collection('userDirectory')
+                .doc(this.userEmail.toLowerCase())
+                .set({
+                    uid: this.userId,
+                    email: this.userEmail,
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+        } catch (error) {
+            console.error('ユーザー名簿の登録失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * プロジェクトのサブコレクションのドキュメントを、書き込み日時などを含めてそのまま取得（プロジェクトの移行用）
+     * @param {string} projectId - プロジェクトID
+     * @param {string} collection - コレクション名（'points' | 'spots' | 'routes' | 'areas' | 'versions'）
+     * @returns {Promise<Array<{firestoreId: string, data: Object}>>}
+     */
+    async getCollectionDocs(projectId, collection) {
+        try {
+            const snapshot = await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection(collection)
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                firestoreId: doc.id,
+                data: doc.data()
+            }));
+        } catch (error) {
+            console.error('コレクション取得失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * プロジェクトのサブコレクションから、指定したIDのドキュメントだけを取得（保存直後に書き込んだドキュメントの読み直し用）
+     * @param {string} projectId - プロジェクトID
+     * @param {string} collection - コレクション名（'points' | 'spots' | 'routes' | 'areas'）
+     * @param {Array<string>} firestoreIds - FirestoreドキュメントID
+     * @returns {Promise<Array<Object>>} ドキュメント（存在しないIDは含まない）
+     */
+    async getDocumentsByIds(projectId, collection, firestoreIds) {
+        try {
+            const collectionRef = this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection(collection);
+
+            const docs = [];
+            for (let start = 0; start < firestoreIds.length; start += DOCUMENT_ID_QUERY_LIMIT) {
+                const snapshot = await collectionRef
+                    .where(firebase.firestore.FieldPath.documentId(), 'in', firestoreIds.slice(start, start + DOCUMENT_ID_QUERY_LIMIT))
+                    .get();
+                snapshot.docs.forEach(doc => docs.push({ firestoreId: doc.id, ...doc.data() }));
+            }
+            return docs;
+        } catch (error) {
+            console.error('ドキュメント取得失敗:', error);
             throw error;
         }
     }
@@ -165,10 +360,13 @@ export class FirestoreDataManager {
                     id: point.id || '',
                     x: point.x,
                     y: point.y,
+                    elevation: Number.isFinite(point.elevation) ? point.elevation : null,
+                    ...ObjectAttributes.toRecord('point', point),
                     index: point.index || 0,
                     isMarker: point.isMarker || false,
                     createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedBy: this.userId // 最後に更新したユーザーID
                 });
 
             // プロジェクトのポイント数を更新
@@ -264,7 +462,8 @@ export class FirestoreDataManager {
                 .doc(firestoreId)
                 .update({
                     ...updates,
-                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedBy: this.userId // 最後に更新したユーザーID
                 });
         } catch (error) {
             console.error('ポイント更新失敗:', error);
@@ -379,14 +578,21 @@ export class FirestoreDataManager {
                 .doc(projectId)
                 .collection('routes')
                 .add({
+                    objectId: route.objectId || '',
                     routeName: route.routeName || 'Unnamed Route',
                     startPoint: route.startPoint || '',
                     endPoint: route.endPoint || '',
                     waypoints: route.waypoints || [],
                     waypointCount: (route.waypoints || []).length,
-                    description: route.description || '',
+                    ...ObjectAttributes.toRecord('route', route),
+                    // ルート長・累積標高・所要時間（計算できない場合はnull）
+                    lengthMeters: route.lengthMeters ?? null,
+                    ascentMeters: route.ascentMeters ?? null,
+                    descentMeters: route.descentMeters ?? null,
+                    hikingTimeMinutes: route.hikingTimeMinutes ?? null,
                     createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedBy: this.userId // 最後に更新したユーザーID
                 });
 
             // プロジェクトのルート数を更新
@@ -456,7 +662,8 @@ export class FirestoreDataManager {
                 .doc(firestoreId)
                 .update({
                     ...updates,
-                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedBy: this.userId // 最後に更新したユーザーID
                 });
         } catch (error) {
             console.error('ルート更新失敗:', error);
@@ -572,11 +779,12 @@ export class FirestoreDataManager {
                     name: spot.name || '',
                     x: spot.x,
                     y: spot.y,
+                    elevation: Number.isFinite(spot.elevation) ? spot.elevation : null,
                     index: spot.index || 0,
-                    description: spot.description || '',
-                    category: spot.category || '',
+                    ...ObjectAttributes.toRecord('spot', spot),
                     createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedBy: this.userId // 最後に更新したユーザーID
                 });
 
             // プロジェクトのスポット数を更新
@@ -707,7 +915,8 @@ export class FirestoreDataManager {
                 .doc(firestoreId)
                 .update({
                     ...updates,
-                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedBy: this.userId // 最後に更新したユーザーID
                 });
         } catch (error) {
             console.error('スポット更新失敗:', error);
@@ -818,11 +1027,16 @@ export class FirestoreDataManager {
                 .doc(projectId)
                 .collection('areas')
                 .add({
+                    objectId: area.objectId || '',
                     areaName: area.areaName || '',
                     vertices: area.vertices || [],
                     vertexCount: (area.vertices || []).length,
+                    ...ObjectAttributes.toRecord('area', area),
+                    // エリア面積（縮尺が未設定の場合はnull）
+                    areaSquareMeters: area.areaSquareMeters ?? null,
                     createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedBy: this.userId // 最後に更新したユーザーID
                 });
 
             // プロジェクトのエリア数を更新
@@ -890,7 +1104,8 @@ export class FirestoreDataManager {
                 .doc(firestoreId)
                 .update({
                     ...updates,
-                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedBy: this.userId // 最後に更新したユーザーID
                 });
         } catch (error) {
             console.error('エリア更新失敗:', error);
@@ -945,6 +1160,178 @@ export class FirestoreDataManager {
         }
     }
 
+    /**
+     * エリアの変更を監視
+     * @param {string} projectId - プロジェクトID
+     * @param {Function} callback - コールバック関数
+     * @returns {Function} unsubscribe関数
+     */
+    onAreasSnapshot(projectId, callback) {
+        const unsubscribe = this.db
+            .collection('projects')
+            .doc(projectId)
+            .collection('areas')
+            .orderBy('createdAt', 'asc')
+            .onSnapshot(snapshot => {
+                const areas = snapshot.docs.map(doc => ({
+                    firestoreId: doc.id,
+                    ...doc.data()
+                }));
+                callback(areas);
+            }, error => {
+                console.error('エリア監視エラー:', error);
+            });
+
+        this.listeners.set('areas', unsubscribe);
+        return unsubscribe;
+    }
+
+    // ========================================
+    // 一括保存
+    // ========================================
+
+    /**
+     * 新しいドキュメントのIDを発行（書き込みはしない）
+     * @param {string} projectId - プロジェクトID
+     * @param {string} collection - コレクション名（'points' | 'spots' | 'routes' | 'areas'）
+     * @returns {string} FirestoreドキュメントID
+     */
+    createDocumentId(projectId, collection) {
+        return this.db
+            .collection('projects')
+            .doc(projectId)
+            .collection(collection)
+            .doc()
+            .id;
+    }
+
+    /**
+     * 追加・更新・削除とプロジェクトメタデータをバッチ書き込みでまとめて反映
+     * 書き込みは BATCH_WRITE_LIMIT 件ごとのバッチに分けて順にコミットし、メタデータ（件数など）は最後のバッチで書き込む。
+     * 各バッチはすべて反映されるか全く反映されないかのどちらかになる。途中のバッチで失敗した場合は
+     * それ以降を書き込まずにエラーを投げる（メタデータは更新されない）。
+     * ただし新規プロジェクトのメタデータ（作成したユーザーを所有者とするメンバー情報を含む）は最初のバッチで作成する
+     * （セキュリティルールがサブコレクションへの書き込みをプロジェクトのメンバーで判定するため）
+     * @param {string} projectId - プロジェクトID
+     * @param {Array<{type: string, collection: string, firestoreId: string, data?: Object}>} writes - 書き込み
+     *        （type は 'add' | 'update' | 'delete' | 'copy'。add はIDを指定して作成し、copy は data を日時も含めてそのまま書き込む）
+     * @param {Object} metadata - プロジェクトメタデータ
+     * @param {boolean} isNewProject - プロジェクトを新規作成する場合true
+     * @param {Object|null} version - 保存履歴（versions）に追加する版。メタデータと同じバッチで書き込む（nullの場合は追加しない）
+     * @param {Function|null} onProgress - バッチをコミットするたびに呼ぶ関数 (完了件数, 全件数)
+     * @returns {Promise<void>}
+     */
+    async commitBatchedWrites(projectId, writes, metadata, isNewProject, version = null, onProgress = null) {
+        const projectRef = this.db.collection('projects').doc(projectId);
+        const timestamp = firebase.firestore.FieldValue.serverTimestamp();
+
+        const operations = writes.map(write => (batch) => {
+            const docRef = projectRef.collection(write.collection).doc(write.firestoreId);
+            if (write.type === 'delete') {
+                batch.delete(docRef);
+            } else if (write.type === 'copy') {
+                batch.set(docRef, write.data);
+            } else if (write.type === 'add') {
+                batch.set(docRef, {
+                    ...write.data,
+                    createdAt: timestamp,
+                    updatedAt: timestamp,
+                    updatedBy: this.userId // 最後に更新したユーザーID
+                });
+            } else {
+                batch.update(docRef, {
+                    ...write.data,
+                    updatedAt: timestamp,
+                    updatedBy: this.userId // 最後に更新したユーザーID
+                });
+            }
+        });
+        if (isNewProject) {
+            operations.unshift((batch) => {
+                batch.set(projectRef, {
+                    createdBy: this.userId, // 最初に作成したユーザーID
+                    createdAt: timestamp,
+                    ...metadata,
+                    ...this.getOwnerMembership(),
+                    updatedAt: timestamp,
+                    lastUpdatedBy: this.userId // 最後に更新したユーザーID
+                });
+            });
+        }
+        // 既存のプロジェクトのメタデータと版は必ず最後の同じバッチで書き込む
+        const finalOperations = [];
+        if (!isNewProject) {
+            finalOperations.push((batch) => {
+                batch.update(projectRef, {
+                    ...metadata,
+                    updatedAt: timestamp,
+                    lastUpdatedBy: this.userId // 最後に更新したユーザーID
+                });
+            });
+        }
+        if (version) {
+            finalOperations.push((batch) => {
+                batch.set(projectRef.collection('versions').doc(), {
+                    ...version,
+                    createdBy: this.userId, // 保存したユーザーID
+                    createdAt: timestamp
+                });
+            });
+        }
+
+        const chunks = [];
+        for (let start = 0; start < operations.length; start += BATCH_WRITE_LIMIT) {
+            chunks.push(operations.slice(start, start + BATCH_WRITE_LIMIT));
+        }
+        const lastChunk = chunks[chunks.length - 1];
+        if (lastChunk && lastChunk.length + finalOperations.length <= BATCH_WRITE_LIMIT) {
+            lastChunk.push(...finalOperations);
+        } else if (finalOperations.length > 0) {
+            chunks.push(finalOperations);
+        }
+
+        try {
+            const total = operations.length + finalOperations.length;
+            let done = 0;
+            for (const chunk of chunks) {
+                const batch = this.db.batch();
+                chunk.forEach(operation => operation(batch));
+                await batch.commit();
+                done += chunk.length;
+                if (onProgress) onProgress(done, total);
+            }
+        } catch (error) {
+            console.error('一括保存失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 保存履歴（版）を新しい順に取得
+     * @param {string} projectId - プロジェクトID
+     * @param {number} limit - 取得する件数
+     * @returns {Promise<Array>}
+     */
+    async getVersions(projectId, limit) {
+        try {
+            const snapshot = await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('versions')
+                .orderBy('createdAt', 'desc')
+                .limit(limit)
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('保存履歴取得失敗:', error);
+            throw error;
+        }
+    }
+
     // ========================================
     // ユーティリティ
     // ========================================
@@ -984,7 +1371,7 @@ export class FirestoreDataManager {
 
     /**
      * 特定のリスナーを解除
-     * @param {string} key - リスナーのキー ('points', 'routes', 'spots')
+     * @param {string} key - リスナーのキー ('points', 'routes', 'spots', 'areas')
      */
     unsubscribe(key) {
         const unsubscribe = this.listeners.get(key);
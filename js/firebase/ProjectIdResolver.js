@@ -0,0 +1,145 @@
+import { UIHelper } from '../ui/UIHelper.js';
+import { ImageFingerprint } from '../utils/ImageFingerprint.js';
+import { SYNC_COLLECTIONS } from './RemoteChangeMerger.js';
+
+// 移行時にコピーするサブコレクション（データと保存履歴）
+const MIGRATED_COLLECTIONS = [...Object.keys(SYNC_COLLECTIONS), 'versions'];
+
+/**
+ * 現在の画像のデータベースのプロジェクトIDを決めるクラス
+ * 画像の内容のハッシュ（imageHash）が一致するプロジェクトを優先し、なければ画像ファイル名をIDとする旧形式のプロジェクトを調べる。
+ * 同じ名前で内容の異なる画像のプロジェクトは使わず、ハッシュから作った新しいプロジェクトIDとする。
+ * 旧形式のプロジェクトが同じ画像のものと考えられる場合は、ハッシュのプロジェクトIDへデータを移行するか確認する
+ */
+export class ProjectIdResolver {
+    /**
+     * @param {Object} fileHandler - FileHandlerインスタンス（現在の画像のファイル名・ハッシュ・プロジェクトID）
+     */
+    constructor(fileHandler) {
+        this.fileHandler = fileHandler;
+    }
+
+    /**
+     * 現在の画像のプロジェクトIDを決める（決定済みの場合はそのまま返す）
+     * Firestoreに接続済みであること
+     * @param {HTMLImageElement} image - 現在の画像（旧形式のプロジェクトとのサイズの比較に使う）
+     * @returns {Promise<string>} プロジェクトID（画像がない場合は空文字）
+     */
+    async resolve(image) {
+        const projectId = this.fileHandler.getProjectId();
+        if (projectId) return projectId;
+
+        const fileName = this.fileHandler.getCurrentImageFileName();
+        if (!fileName || !image) return '';
+
+        const resolved = await this._findProjectId(fileName, this.fileHandler.getCurrentImageHash(), image);
+        this.fileHandler.setProjectId(resolved);
+        return resolved;
+    }
+
+    /**
+     * 画像のファイル名・ハッシュ・サイズからプロジェクトIDを探す
+     * @param {string} fileName - 画像ファイル名（拡張子なし）
+     * @param {string} imageHash - 画像のハッシュ（計算できなかった場合は空文字）
+     * @param {HTMLImageElement} image - 画像
+     * @returns {Promise<string>} プロジェクトID
+     */
+    async _findProjectId(fileName, imageHash, image) {
+        // ハッシュを計算できない環境では、従来どおりファイル名をプロジェクトIDとする
+        if (!imageHash) return fileName;
+
+        const manager = window.firestoreManager;
+        const hashProjectId = ImageFingerprint.toProjectId(imageHash);
+
+        // 同じ内容の画像の、自分がメンバーのプロジェクト（ファイル名を変えた画像でも見つかる）
+        const matches = await manager.findProjectsByImageHash(imageHash);
+        if (matches.length > 0) {
+            const preferred = matches.find(project => project.id === hashProjectId) ||
+                matches.find(project => project.id === fileName) ||
+                matches[0];
+            return preferred.id;
+        }
+
+        // 同じファイル名の旧形式のプロジェクト
+        let named;
+        try {
+            named = await manager.getProjectMetadata(fileName);
+        } catch (error) {
+            // メンバーでない（読み取れない）プロジェクトは、同じ名前の別の画像のものとみなす
+            if (error.code !== 'permission-denied') throw error;
+            this._alertNameConflict(fileName);
+            return hashProjectId;
+        }
+        if (!named) return hashProjectId;
+
+        // 同じ画像が記録されたメンバー未設定のプロジェクトは、そのまま使う
+        if (named.imageHash === imageHash && !named.migratedTo) return fileName;
+
+        // 別の画像が記録されている・移行済み・サイズが異なる場合は、同じ名前の別の画像とみなす
+        if (named.imageHash || named.migratedTo || !this._isSameSize(named, image)) {
+            this._alertNameConflict(fileName);
+            return hashProjectId;
+        }
+
+        const migrate = confirm(
+            `画像「${fileName}」のデータはファイル名で登録されています（旧形式）。\n` +
+            '画像の内容で登録するプロジェクトにデータを移行しますか？\n' +
+            '移行すると、同じ名前の別の画像のデータと混ざらなくなります。元のデータは残ります。\n' +
+            '（キャンセルした場合は、ファイル名のプロジェクトをそのまま使います）'
+        );
+        if (!migrate) return fileName;
+
+        await this.migrate(fileName, hashProjectId, { ...named, imageName: `${fileName}.png`, imageHash });
+        return hashProjectId;
+    }
+
+    /**
+     * プロジェクトのデータ・保存履歴を別のプロジェクトIDにコピーし、元のプロジェクトに移行先を記録
+     * ドキュメントIDと作成・更新日時はそのまま引き継ぐ。元のプロジェクトのデータは削除しない
+     * @param {string} fromProjectId - 移行元のプロジェクトID
+     * @param {string} toProjectId - 移行先のプロジェクトID
+     * @param {Object} metadata - 移行先のプロジェクトメタデータ
+     * @returns {Promise<void>}
+     */
+    async migrate(fromProjectId, toProjectId, metadata) {
+        const manager = window.firestoreManager;
+        UIHelper.showPersistentMessage('データを移行中... 0%', 'info');
+        try {
+            const writes = [];
+            for (const collection of MIGRATED_COLLECTIONS) {
+                const docs = await manager.getCollectionDocs(fromProjectId, collection);
+                docs.forEach(doc => writes.push({ type: 'copy', collection, firestoreId: doc.firestoreId, data: doc.data }));
+            }
+
+            await manager.commitBatchedWrites(toProjectId, writes, { ...metadata, migratedFrom: fromProjectId }, true, null, (done, total) => {
+                UIHelper.showPersistentMessage(`データを移行中... ${Math.floor(done / total * 100)}%`, 'info');
+            });
+            await manager.updateProjectMetadata(fromProjectId, { migratedTo: toProjectId });
+        } finally {
+            UIHelper.hidePersistentMessage();
+        }
+        UIHelper.showMessage('データを移行しました', 'success');
+    }
+
+    /**
+     * 同じ名前の別の画像のプロジェクトがあるため、別のプロジェクトとして扱うことを知らせる
+     * @param {string} fileName - 画像ファイル名（拡張子なし）
+     */
+    _alertNameConflict(fileName) {
+        alert(
+            `同じ名前の画像「${fileName}」のデータがありますが、画像の内容が異なるため別のプロジェクトとして扱います。\n` +
+            '同じ地図の画像の場合は「プロジェクト一覧」から開いてください'
+        );
+    }
+
+    /**
+     * プロジェクトに記録された画像のサイズが画像と一致するか（記録がない場合は一致とみなす）
+     * @param {Object} project - プロジェクトメタデータ
+     * @param {HTMLImageElement} image - 画像
+     * @returns {boolean} 一致する場合true
+     */
+    _isSameSize(project, image) {
+        if (!(project.imageWidth > 0) || !(project.imageHeight > 0)) return true;
+        return project.imageWidth === image.width && project.imageHeight === image.height;
+    }
+}
@@ -0,0 +1,514 @@
+import { Validators } from '../utils/Validators.js';
+import { ObjectAttributes } from '../utils/ObjectAttributes.js';
+
+/**
+ * Firestoreと同期するコレクションの定義
+ * subscribe: FirestoreDataManagerの監視メソッド名
+ * fetch: FirestoreDataManagerの取得メソッド名
+ * manager: 反映先のマネージャー種別（'point' | 'spot' | 'route' | 'area'）
+ * fields: 変更判定に使うフィールド（タイムスタンプ等は除外）
+ */
+export const SYNC_COLLECTIONS = {
+    points: {
+        subscribe: 'onPointsSnapshot', fetch: 'getPoints', manager: 'point',
+        fields: ['id', 'x', 'y', 'elevation', ...ObjectAttributes.getTextFields('point'), 'attributes']
+    },
+    spots: {
+        subscribe: 'onSpotsSnapshot', fetch: 'getSpots', manager: 'spot',
+        fields: ['name', 'x', 'y', 'elevation', ...ObjectAttributes.getTextFields('spot'), 'attributes']
+    },
+    routes: {
+        subscribe: 'onRoutesSnapshot', fetch: 'getRoutes', manager: 'route',
+        fields: ['routeName', 'startPoint', 'endPoint', 'waypoints', ...ObjectAttributes.getTextFields('route'), 'attributes']
+    },
+    areas: {
+        subscribe: 'onAreasSnapshot', fetch: 'getAreas', manager: 'area',
+        fields: ['areaName', 'vertices', ...ObjectAttributes.getTextFields('area'), 'attributes']
+    }
+};
+
+/**
+ * リモート（Firestore）の変更とローカルの編集内容を突き合わせるクラス
+ * 最後に読み込み・保存した時点のリモート状態を基準として記録し、
+ * 保存前に「相手だけが変更した項目」と「双方が変更した項目（競合）」を判定する
+ */
+export class RemoteChangeMerger {
+    constructor() {
+        // プロジェクトごとの基準状態（コレクション → 項目キー → {signature, updatedAt}）
+        this.bases = new Map();
+    }
+
+    /**
+     * 読み込み・保存直後のリモート状態を基準として記録
+     * @param {string} projectId - プロジェクトID
+     * @param {Object} remote - コレクションごとのリモートドキュメント配列
+     */
+    recordBase(projectId, remote) {
+        const base = {};
+        Object.keys(SYNC_COLLECTIONS).forEach(collection => {
+            const entries = new Map();
+            (remote[collection] || []).forEach(doc => {
+                const key = this.getItemKey(collection, doc);
+                if (key && !entries.has(key)) {
+                    entries.set(key, {
+                        signature: this.signature(collection, doc),
+                        updatedAt: this._toMillis(doc.updatedAt)
+                    });
+                }
+            });
+            base[collection] = entries;
+        });
+        this.bases.set(projectId, base);
+    }
+
+    /**
+     * 基準状態を破棄
+     * @param {string} projectId - プロジェクトID
+     */
+    clearBase(projectId) {
+        this.bases.delete(projectId);
+    }
+
+    /**
+     * 基準状態以降のリモート変更を検出
+     * 相手だけが変更した項目は取り込む変更として、双方が異なる内容に変更した項目は競合として返す。
+     * 基準状態がない場合（未読み込みのまま保存する場合）は、リモートの全項目を相手の追加として扱う
+     * @param {string} projectId - プロジェクトID
+     * @param {Object} snapshots - マネージャー種別ごとのスナップショット
+     * @param {Object} remote - コレクションごとのリモートドキュメント配列
+     * @returns {{changes: Array<Object>, conflicts: Array<Object>}} 取り込む変更と競合の一覧
+     */
+    detectChanges(projectId, snapshots, remote) {
+        const base = this.bases.get(projectId) || null;
+        const changes = [];
+        const conflicts = [];
+
+        Object.entries(SYNC_COLLECTIONS).forEach(([collection, definition]) => {
+            const localMap = new Map();
+            this._getItems(definition.manager, snapshots[definition.manager]).forEach(item => {
+                const shaped = this.toRemoteShape(collection, item);
+                const key = this.getItemKey(collection, shaped);
+                if (key && !localMap.has(key)) localMap.set(key, shaped);
+            });
+            const remoteMap = new Map();
+            (remote[collection] || []).forEach(doc => {
+                const key = this.getItemKey(collection, doc);
+                if (key && !remoteMap.has(key)) remoteMap.set(key, doc);
+            });
+            const baseMap = base ? base[collection] : new Map();
+
+            const keys = new Set([...localMap.keys(), ...remoteMap.keys(), ...baseMap.keys()]);
+            keys.forEach(key => {
+                const local = localMap.get(key) || null;
+                const theirs = remoteMap.get(key) || null;
+                const baseEntry = baseMap.get(key) || null;
+                const localSignature = local ? this.signature(collection, local) : null;
+                const remoteSignature = theirs ? this.signature(collection, theirs) : null;
+
+                // リモートが基準から変わっていない、または双方が同じ内容なら保存で上書きしてよい
+                const remoteChanged = baseEntry
+                    ? (!theirs || this._toMillis(theirs.updatedAt) !== baseEntry.updatedAt)
+                    : !!theirs;
+                if (!remoteChanged || localSignature === remoteSignature) return;
+
+                const localChanged = baseEntry ? localSignature !== baseEntry.signature : !!local;
+                if (!localChanged) {
+                    const type = !theirs ? 'removed' : (local ? 'modified' : 'added');
+                    changes.push({ collection, type, doc: theirs, previous: local });
+                } else {
+                    conflicts.push({
+                        collection,
+                        key,
+                        local,
+                        remote: theirs,
+                        // ルートは開始・終了ポイントで重複判定されるため両方は残せない
+                        canKeepBoth: !!local && !!theirs && collection !== 'routes'
+                    });
+                }
+            });
+        });
+
+        return { changes, conflicts };
+    }
+
+    /**
+     * 2回取得したリモート状態の間に、追加・更新・削除されたドキュメントがあるか
+     * ドキュメントIDと更新日時（updatedAt）で比較する
+     * @param {Object} previous - 先に取得したコレクションごとのリモートドキュメント配列
+     * @param {Object} current - 後に取得したコレクションごとのリモートドキュメント配列
+     * @returns {boolean} 変わっていればtrue
+     */
+    hasRemoteChanged(previous, current) {
+        const stamps = (docs) => (docs || [])
+            .map(doc => `${doc.firestoreId}:${this._toMillis(doc.updatedAt)}`)
+            .sort()
+            .join('\n');
+        return Object.keys(SYNC_COLLECTIONS).some(collection => {
+            return stamps(previous[collection]) !== stamps(current[collection]);
+        });
+    }
+
+    /**
+     * 競合1件の解決方法をスナップショットに反映
+     * @param {Object} snapshots - マネージャー種別ごとのスナップショット（直接書き換える）
+     * @param {Object} conflict - detectChanges() が返した競合
+     * @param {string} choice - 'mine'（自分の変更） | 'theirs'（相手の変更） | 'both'（両方残す）
+     * @returns {boolean} ローカルの状態が変わったかどうか
+     */
+    resolveConflict(snapshots, conflict, choice) {
+        const { collection, local, remote: theirs } = conflict;
+        const key = SYNC_COLLECTIONS[collection].manager;
+        const snapshot = snapshots[key];
+
+        if (choice === 'theirs') {
+            const type = !theirs ? 'removed' : (local ? 'modified' : 'added');
+            return this.applyChange(key, snapshot, { collection, type, doc: theirs, previous: local });
+        }
+
+        if (choice === 'both' && conflict.canKeepBoth) {
+            const copy = this._makeCopy(key, snapshot, theirs);
+            return this.applyChange(key, snapshot, { collection, type: 'added', doc: copy, previous: null });
+        }
+
+        // 自分の変更を残す: 相手が削除したルート・エリアは新規ドキュメントとして保存し直す
+        if (choice === 'mine' && !theirs && local && local.firestoreId) {
+            const items = key === 'route' ? snapshot.routes : snapshot.areas;
+            const item = items.find(candidate => candidate.firestoreId === local.firestoreId);
+            if (item) {
+                delete item.firestoreId;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * リモートの変更1件をマネージャーのスナップショットに取り込む
+     * ポイントはID、スポットは名称、ルート・エリアはFirestoreIDで対応付ける
+     * @param {string} key - マネージャー種別
+     * @param {Object} snapshot - マネージャーのスナップショット（直接書き換える）
+     * @param {Object} change - 変更情報
+     * @returns {boolean} ローカルの状態が変わったかどうか
+     */
+    applyChange(key, snapshot, change) {
+        const { type, doc, previous } = change;
+
+        if (key === 'point' || key === 'spot') {
+            const items = key === 'point' ? snapshot.points : snapshot.spots;
+            const nameField = key === 'point' ? 'id' : 'name';
+            const matchName = (previous || doc)[nameField] || '';
+            if (matchName.trim() === '') return false;
+
+            let index = items.findIndex(item => item[nameField] === matchName);
+            if (type === 'removed') {
+                if (index < 0) return false;
+                items.splice(index, 1);
+                return true;
+            }
+
+            if (index < 0) {
+                index = items.findIndex(item => item[nameField] === doc[nameField]);
+            }
+            const merged = {
+                x: Math.round(doc.x),
+                y: Math.round(doc.y),
+                [nameField]: doc[nameField],
+                elevation: Number.isFinite(doc.elevation) ? doc.elevation : null
+            };
+            let item;
+            if (index >= 0) {
+                item = items[index] = { ...items[index], ...merged };
+            } else {
+                item = key === 'spot' ? { ...merged, index: items.length } : merged;
+                items.push(item);
+            }
+            // 相手が空にした属性は取り除く
+            ObjectAttributes.assign(item, ObjectAttributes.toRecord(key, doc));
+            return true;
+        }
+
+        const isRoute = key === 'route';
+        const items = isRoute ? snapshot.routes : snapshot.areas;
+        const selectedKey = isRoute ? 'selectedRouteIndex' : 'selectedAreaIndex';
+        const selected = items[snapshot[selectedKey]] || null;
+        const firestoreId = (doc || previous).firestoreId;
+        const index = firestoreId ? items.findIndex(item => item.firestoreId === firestoreId) : -1;
+
+        if (type === 'removed') {
+            if (index < 0) return false;
+            items.splice(index, 1);
+        } else {
+            const merged = isRoute
+                ? {
+                    routeName: doc.routeName || `${doc.startPoint} ～ ${doc.endPoint}`,
+                    startPointId: doc.startPoint,
+                    endPointId: doc.endPoint,
+                    routePoints: (doc.waypoints || []).map(wp => ({ x: wp.x, y: wp.y })),
+                    isModified: false
+                }
+                : {
+                    areaName: doc.areaName,
+                    vertices: (doc.vertices || []).map(v => ({ x: v.x, y: v.y })),
+                    isModified: false
+                };
+            // FirestoreIDのない項目（両方残す場合の複製）は次回保存時に新規追加される
+            if (firestoreId) merged.firestoreId = firestoreId;
+            // 識別ID（レイヤーの状態の対応付け用）。IDを保存する前のドキュメントはローカルのID、なければFirestoreIDを使う
+            merged.objectId = doc.objectId || (index >= 0 && items[index].objectId) || firestoreId;
+
+            const item = index >= 0 ? (items[index] = { ...items[index], ...merged }) : merged;
+            if (index < 0) items.push(item);
+            ObjectAttributes.assign(item, ObjectAttributes.toRecord(key, doc));
+        }
+
+        // 並びが変わっても同じルート・エリアを選択し続ける
+        snapshot[selectedKey] = selected
+            ? items.findIndex(item => item === selected || (selected.firestoreId && item.firestoreId === selected.firestoreId))
+            : -1;
+        return true;
+    }
+
+    /**
+     * リモートの変更内容を表示用の文に変換
+     * @param {Object} change - 変更情報
+     * @returns {string} 「誰が何をどうしたか」を表す文
+     */
+    describeChange(change) {
+        const doc = change.doc || change.previous;
+        const label = this.getItemLabel(change.collection, doc);
+
+        // 削除されたドキュメントには削除者の情報が残らない
+        if (change.type === 'removed') {
+            return `${label}が削除されました`;
+        }
+
+        const action = change.type === 'added' ? '追加' : '更新';
+        return `${this.getAuthorLabel(doc)}が${label}を${action}しました`;
+    }
+
+    /**
+     * 項目の表示名を取得
+     * @param {string} collection - コレクション名
+     * @param {Object} doc - リモート形式の項目
+     * @returns {string} 「ポイント「A-01」」形式の表示名
+     */
+    getItemLabel(collection, doc) {
+        const labels = {
+            points: () => `ポイント「${doc.id}」`,
+            spots: () => `スポット「${doc.name}」`,
+            routes: () => `ルート「${doc.routeName || `${doc.startPoint} ～ ${doc.endPoint}`}」`,
+            areas: () => `エリア「${doc.areaName}」`
+        };
+        return labels[collection]();
+    }
+
+    /**
+     * 最後に更新したユーザーの表示名を取得
+     * @param {Object} doc - リモートドキュメント
+     * @returns {string} 表示名
+     */
+    getAuthorLabel(doc) {
+        return doc && doc.updatedBy ? `ユーザー${doc.updatedBy.slice(0, 6)}` : '他のユーザー';
+    }
+
+    /**
+     * 項目の内容を1行の要約に変換（競合ダイアログの比較表示用）
+     * @param {string} collection - コレクション名
+     * @param {Object|null} doc - リモート形式の項目（削除済みの場合はnull）
+     * @returns {string} 要約
+     */
+    summarize(collection, doc) {
+        if (!doc) return '削除済み';
+
+        const category = doc.category ? `、カテゴリ ${doc.category}` : '';
+        switch (collection) {
+            case 'points':
+            case 'spots':
+                return `座標 (${Math.round(doc.x)}, ${Math.round(doc.y)})` +
+                    (Number.isFinite(doc.elevation) ? `、標高 ${doc.elevation} m` : '') + category;
+            case 'routes':
+                return `${doc.startPoint} → ${doc.endPoint}、中間点 ${(doc.waypoints || []).length}個` + category;
+            default:
+                return `頂点 ${(doc.vertices || []).length}個` + category;
+        }
+    }
+
+    /**
+     * 2つの状態のポイント・スポット・ルート・エリアを比較し、追加・削除・変更の件数を数える（保存履歴の差分表示用）
+     * ポイントはID、スポットは名称、ルート・エリアはFirestore ID（未保存のものは内容）で対応付ける
+     * @param {Object} from - 比較元（コレクション名 → マネージャーのスナップショット内の項目配列）
+     * @param {Object} to - 比較先（同上）
+     * @returns {Object<string, {added: number, removed: number, modified: number}>} コレクションごとの件数
+     */
+    diffItems(from, to) {
+        const result = {};
+        Object.keys(SYNC_COLLECTIONS).forEach(collection => {
+            const toMap = (items) => {
+                const map = new Map();
+                (items || []).forEach(item => {
+                    const shaped = this.toRemoteShape(collection, item);
+                    const signature = this.signature(collection, shaped);
+                    const key = this.getItemKey(collection, shaped) || `#${signature}`;
+                    if (!map.has(key)) map.set(key, signature);
+                });
+                return map;
+            };
+            const fromMap = toMap(from[collection]);
+            const toMapped = toMap(to[collection]);
+
+            const counts = { added: 0, removed: 0, modified: 0 };
+            toMapped.forEach((signature, key) => {
+                if (!fromMap.has(key)) {
+                    counts.added++;
+                } else if (fromMap.get(key) !== signature) {
+                    counts.modified++;
+                }
+            });
+            fromMap.forEach((signature, key) => {
+                if (!toMapped.has(key)) counts.removed++;
+            });
+            result[collection] = counts;
+        });
+        return result;
+    }
+
+    /**
+     * ローカルの項目をリモートドキュメントと同じ形に変換
+     * @param {string} collection - コレクション名
+     * @param {Object} item - マネージャーのスナップショット内の項目
+     * @returns {Object} リモート形式の項目
+     */
+    toRemoteShape(collection, item) {
+        switch (collection) {
+            case 'points':
+                return {
+                    id: (item.id || '').trim(), x: item.x, y: item.y, elevation: item.elevation ?? null,
+                    ...ObjectAttributes.toRecord('point', item)
+                };
+            case 'spots':
+                return {
+                    name: (item.name || '').trim(), x: item.x, y: item.y, elevation: item.elevation ?? null,
+                    ...ObjectAttributes.toRecord('spot', item)
+                };
+            case 'routes':
+                return {
+                    firestoreId: item.firestoreId,
+                    routeName: item.routeName,
+                    startPoint: item.startPointId,
+                    endPoint: item.endPointId,
+                    waypoints: (item.routePoints || []).map(wp => ({ x: wp.x, y: wp.y })),
+                    ...ObjectAttributes.toRecord('route', item)
+                };
+            default:
+                return {
+                    firestoreId: item.firestoreId,
+                    areaName: item.areaName,
+                    vertices: (item.vertices || []).map(v => ({ x: v.x, y: v.y })),
+                    ...ObjectAttributes.toRecord('area', item)
+                };
+        }
+    }
+
+    /**
+     * 項目の対応付けに使うキーを取得
+     * @param {string} collection - コレクション名
+     * @param {Object} doc - リモート形式の項目
+     * @returns {string} キー（対応付けできない場合は空文字）
+     */
+    getItemKey(collection, doc) {
+        if (collection === 'points') return (doc.id || '').trim();
+        if (collection === 'spots') return (doc.name || '').trim();
+        return doc.firestoreId || '';
+    }
+
+    /**
+     * 項目の内容を比較用の文字列に変換（タイムスタンプ等は含めない）
+     * @param {string} collection - コレクション名
+     * @param {Object} doc - リモート形式の項目
+     * @returns {string} 比較用の文字列
+     */
+    signature(collection, doc) {
+        const normalizePoints = (list) => (list || []).map(p => ({ x: Math.round(p.x), y: Math.round(p.y) }));
+        return JSON.stringify(SYNC_COLLECTIONS[collection].fields.map(field => {
+            const value = doc[field] ?? null;
+            if (field === 'x' || field === 'y') return value === null ? null : Math.round(value);
+            if (field === 'waypoints' || field === 'vertices') return normalizePoints(value);
+            // 属性は未設定と空を同じ扱いにする（保存前のドキュメントには属性の項目がない）
+            if (field === 'attributes') {
+                const attributes = ObjectAttributes.normalizeCustomFields(value);
+                return Object.keys(attributes).length > 0 ? attributes : null;
+            }
+            return value === '' ? null : value;
+        }));
+    }
+
+    /**
+     * スナップショットから項目配列を取得
+     * @param {string} key - マネージャー種別
+     * @param {Object} snapshot - スナップショット
+     * @returns {Array<Object>} 項目配列
+     */
+    _getItems(key, snapshot) {
+        if (!snapshot) return [];
+        const field = { point: 'points', spot: 'spots', route: 'routes', area: 'areas' }[key];
+        return snapshot[field] || [];
+    }
+
+    /**
+     * 両方残す場合に、相手の項目を重複しない名前で複製
+     * @param {string} key - マネージャー種別
+     * @param {Object} snapshot - スナップショット
+     * @param {Object} doc - 相手の項目
+     * @returns {Object} 複製した項目（FirestoreIDなし）
+     */
+    _makeCopy(key, snapshot, doc) {
+        const { firestoreId, ...copy } = doc;
+        if (key === 'point') {
+            const usedIds = new Set(snapshot.points.map(p => p.id));
+            copy.id = this._nextFreePointId(doc.id, usedIds);
+        } else if (key === 'spot') {
+            const usedNames = new Set(snapshot.spots.map(s => s.name));
+            copy.name = this._makeUniqueName(doc.name, usedNames);
+        } else {
+            const usedNames = new Set(snapshot.areas.map(a => a.areaName));
+            copy.areaName = this._makeUniqueName(doc.areaName, usedNames);
+            // 複製は別のレイヤーになるよう、元の項目から決まる別の識別IDにする（履歴の付け替えでも同じIDになる）
+            copy.objectId = `${doc.objectId || firestoreId}-copy`;
+        }
+        return copy;
+    }
+
+    /**
+     * 同じ接頭辞の未使用ポイントIDを取得（ID体系の接頭辞-番号の形式でない場合は連番を付与）
+     * @param {string} id - 元のポイントID
+     * @param {Set<string>} usedIds - 使用中のID
+     * @returns {string} 未使用のポイントID
+     */
+    _nextFreePointId(id, usedIds) {
+        return Validators.getPointIdScheme().nextFreeId(id, usedIds) || this._makeUniqueName(id, usedIds);
+    }
+
+    /**
+     * 「名前（2）」形式で重複しない名前を作成
+     * @param {string} name - 元の名前
+     * @param {Set<string>} usedNames - 使用中の名前
+     * @returns {string} 重複しない名前
+     */
+    _makeUniqueName(name, usedNames) {
+        let number = 2;
+        while (usedNames.has(`${name}（${number}）`)) number++;
+        return `${name}（${number}）`;
+    }
+
+    /**
+     * Firestoreのタイムスタンプをミリ秒に変換
+     * @param {Object|Date|null} timestamp - タイムスタンプ
+     * @returns {number} ミリ秒（未確定・未設定の場合は0）
+     */
+    _toMillis(timestamp) {
+        if (!timestamp) return 0;
+        if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+        if (timestamp instanceof Date) return timestamp.getTime();
+        return 0;
+    }
+}
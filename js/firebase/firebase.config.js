@@ -17,3 +17,11 @@ export const firebaseConfig = {
   messagingSenderId: "506735557098",
   appId: "1:506735557098:web:f00d29462dbc5abaab5a93"
 };
+
+// ローカルのFirebaseエミュレーターの接続先（firebase.json の emulators と同じポート）
+// index.html?emulator で開いた場合に、本番のFirebaseの代わりに使用する
+export const emulatorConfig = {
+  firestoreHost: "localhost",
+  firestorePort: 8080,
+  authUrl: "http://localhost:9099"
+};
@@ -44,6 +44,8 @@ export class AreaUIManager {
      * 新しいエリアを追加
      */
     handleAddArea() {
+        if (!this.app.ensureWritable()) return;
+
         const defaultName = `エリア ${this.app.areaManager.getAllAreas().length + 1}`;
         const areaName = window.prompt('エリア名を入力してください', defaultName);
 
@@ -75,6 +77,7 @@ export class AreaUIManager {
             if (area) {
                 input.value = area.areaName || '';
                 input.disabled = false;
+                input.readOnly = this.app.isReadOnly();
             }
         } else {
             input.value = '';
@@ -89,6 +92,10 @@ export class AreaUIManager {
     handleAreaNameChange(newName) {
         const index = this.app.areaManager.selectedAreaIndex;
         if (index < 0) return;
+        if (!this.app.ensureWritable()) {
+            this.updateAreaNameInput();
+            return;
+        }
 
         if (newName !== null) {
             this.app.areaManager.setAreaName(newName);
@@ -100,6 +107,7 @@ export class AreaUIManager {
      * エリアを削除
      */
     handleDeleteArea() {
+        if (!this.app.ensureWritable()) return;
         const index = this.app.areaManager.selectedAreaIndex;
         if (index < 0) {
             UIHelper.showError('エリアが選択されていません');
@@ -0,0 +1,318 @@
+import { UIHelper } from './UIHelper.js';
+import { PanelDragHandler } from './PanelDragHandler.js';
+import { ATTRIBUTE_OPTIONS, ObjectAttributes } from '../utils/ObjectAttributes.js';
+
+// 種別ごとの表示名
+const TYPE_LABELS = { point: 'ポイント', spot: 'スポット', route: 'ルート', area: 'エリア' };
+
+/**
+ * 属性の表示・編集を管理するクラス
+ * - 属性パネル: 編集中のオブジェクトの説明・カテゴリ・任意項目（キーと値）、ルートの難易度・路面、エリアの危険種別を編集する
+ *   対象はポイント・スポット編集モードでは最後に入力ボックスを選択したもの、ルート・エリア編集モードでは選択中のもの
+ * - 設定ダイアログ「カテゴリ」タブ: カテゴリの選択肢を編集する
+ */
+export class AttributeInspectorUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.panel = document.getElementById('attributePanel');
+        this.targetElement = document.getElementById('attributeTarget');
+        this.formElement = document.getElementById('attributeForm');
+        this.descriptionInput = document.getElementById('attributeDescriptionInput');
+        this.categorySelect = document.getElementById('attributeCategorySelect');
+        this.customList = document.getElementById('attributeCustomList');
+        this.categoryListInput = document.getElementById('categoryListInput');
+        // 種別ごとの項目の選択欄（項目名 → select）
+        this.typeFieldSelects = {
+            difficulty: document.getElementById('attributeDifficultySelect'),
+            surface: document.getElementById('attributeSurfaceSelect'),
+            hazardType: document.getElementById('attributeHazardTypeSelect')
+        };
+        // 最後に入力ボックスを選択したポイント・スポット {type, item}
+        this.focusedItem = null;
+        // パネルを作り直すかどうかの判定用（対象と属性・カテゴリの選択肢）
+        this.renderSignature = '';
+
+        if (!this.panel) {
+            console.error('AttributeInspectorUIManager: 属性パネルの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('attributeCloseBtn').addEventListener('click', () => this.hide());
+
+        // 入力は確定時（change）に反映する
+        this.descriptionInput.addEventListener('change', () => {
+            this.applyChanges({ description: this.descriptionInput.value });
+        });
+        this.categorySelect.addEventListener('change', () => {
+            this.applyChanges({ category: this.categorySelect.value });
+        });
+        Object.entries(this.typeFieldSelects).forEach(([field, select]) => {
+            select.addEventListener('change', () => this.applyChanges({ [field]: select.value }));
+        });
+
+        // 任意項目
+        this.customList.addEventListener('change', () => {
+            this.applyChanges({ attributes: this._readCustomFields() });
+        });
+        this.customList.addEventListener('click', (e) => {
+            if (e.target.classList.contains('attribute-custom-remove')) {
+                e.target.closest('li').remove();
+                this.applyChanges({ attributes: this._readCustomFields() });
+            }
+        });
+        document.getElementById('attributeAddFieldBtn').addEventListener('click', () => {
+            const row = this._createCustomRow('', '');
+            this.customList.appendChild(row);
+            row.querySelector('input').focus();
+        });
+
+        // 設定ダイアログ「カテゴリ」タブ: タブを開いた時点の選択肢を表示
+        const tabButton = document.querySelector('.settings-tab-btn[data-tab="category-settings"]');
+        if (tabButton) {
+            tabButton.addEventListener('click', () => this.updateCategoryForm());
+        }
+        document.getElementById('categoryApplyBtn').addEventListener('click', () => {
+            if (!this.app.ensureWritable()) return;
+            this.app.projectSettingsManager.setCategories(this.categoryListInput.value.split(/\r?\n/));
+            this.updateCategoryForm();
+            UIHelper.showMessage('カテゴリを更新しました');
+        });
+
+        // ヘッダーをドラッグしてパネルを移動できるようにする
+        this.dragHandler = new PanelDragHandler(this.panel, document.getElementById('attributePanelHeader'));
+    }
+
+    /**
+     * パネルを表示
+     */
+    show() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('画像を読み込んでください');
+            return;
+        }
+        this.panel.style.display = 'flex';
+        this.render();
+    }
+
+    /**
+     * パネルを閉じる
+     */
+    hide() {
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * パネルが表示されているか
+     * @returns {boolean} 表示されている場合true
+     */
+    isVisible() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * 入力ボックスを選択したポイント・スポットを属性の編集対象にする
+     * @param {string} type - 'point' | 'spot'
+     * @param {Object} item - ポイントまたはスポット
+     */
+    setFocusedItem(type, item) {
+        this.focusedItem = { type, item };
+        this.update();
+    }
+
+    /**
+     * 編集対象・属性が変わっていればパネルを更新（パネル内の入力中は更新しない）
+     */
+    update() {
+        if (!this.isVisible() || this.panel.contains(document.activeElement)) return;
+        if (this._getSignature(this.getTarget()) !== this.renderSignature) {
+            this.render();
+        }
+    }
+
+    /**
+     * 現在の編集モードでの属性の編集対象を取得
+     * @returns {{type: string, index: number, item: Object, label: string}|null} 編集対象（対象がない場合はnull）
+     */
+    getTarget() {
+        const mode = this.app.layoutManager.getCurrentEditingMode();
+
+        if (mode === 'point' || mode === 'spot') {
+            if (!this.focusedItem || this.focusedItem.type !== mode) return null;
+            const items = mode === 'point' ? this.app.pointManager.getPoints() : this.app.spotManager.getSpots();
+            const index = items.indexOf(this.focusedItem.item);
+            if (index < 0) return null;
+            const item = items[index];
+            const name = mode === 'point' ? item.id : item.name;
+            return { type: mode, index, item, label: name && name.trim() ? name : '（名称未入力）' };
+        }
+
+        if (mode === 'route') {
+            const index = this.app.routeManager.selectedRouteIndex;
+            const item = this.app.routeManager.getSelectedRoute();
+            return item ? { type: 'route', index, item, label: item.routeName || '' } : null;
+        }
+
+        if (mode === 'area') {
+            const index = this.app.areaManager.selectedAreaIndex;
+            const item = this.app.areaManager.getSelectedArea();
+            return item ? { type: 'area', index, item, label: item.areaName || '' } : null;
+        }
+        return null;
+    }
+
+    /**
+     * 編集対象の属性をパネルに表示
+     */
+    render() {
+        const target = this.getTarget();
+        this.renderSignature = this._getSignature(target);
+
+        if (!target) {
+            this.targetElement.textContent = '編集対象がありません。ポイント・スポットは入力ボックスを選択し、ルート・エリアは一覧から選択してください';
+            this.formElement.style.display = 'none';
+            return;
+        }
+
+        this.targetElement.textContent = `${TYPE_LABELS[target.type]}「${target.label}」`;
+        this.formElement.style.display = '';
+
+        const { item } = target;
+        this.descriptionInput.value = item.description || '';
+        this._fillSelect(this.categorySelect, this.app.projectSettingsManager.getCategories(), item.category);
+
+        const typeFields = ObjectAttributes.getTypeFields(target.type);
+        Object.entries(this.typeFieldSelects).forEach(([field, select]) => {
+            const isUsed = typeFields.includes(field);
+            select.closest('label').style.display = isUsed ? '' : 'none';
+            if (isUsed) this._fillSelect(select, ATTRIBUTE_OPTIONS[field], item[field]);
+        });
+
+        this.customList.innerHTML = '';
+        Object.entries(ObjectAttributes.normalizeCustomFields(item.attributes)).forEach(([key, value]) => {
+            this.customList.appendChild(this._createCustomRow(key, value));
+        });
+    }
+
+    /**
+     * 編集対象に属性の変更を反映
+     * @param {Object} changes - 変更する属性
+     */
+    applyChanges(changes) {
+        const target = this.getTarget();
+        if (!target) return;
+        // 閲覧のみの場合は反映せず、入力をもとの属性に戻す
+        if (!this.app.ensureWritable()) {
+            this.render();
+            return;
+        }
+
+        const updaters = {
+            point: () => this.app.pointManager.updatePointAttributes(target.index, changes),
+            spot: () => this.app.spotManager.updateSpotAttributes(target.index, changes),
+            route: () => this.app.routeManager.updateRouteAttributes(target.index, changes),
+            area: () => this.app.areaManager.updateAreaAttributes(target.index, changes)
+        };
+        updaters[target.type]();
+        this.renderSignature = this._getSignature(target);
+    }
+
+    /**
+     * 現在のカテゴリの選択肢を「カテゴリ」タブに表示
+     */
+    updateCategoryForm() {
+        if (!this.categoryListInput) return;
+        this.categoryListInput.value = this.app.projectSettingsManager.getCategories().join('\n');
+    }
+
+    /**
+     * 選択欄の選択肢を作り直す（選択肢にない現在値も残す）
+     * @param {HTMLSelectElement} select - 選択欄
+     * @param {Array<string>} options - 選択肢
+     * @param {string|undefined} value - 現在値
+     */
+    _fillSelect(select, options, value) {
+        const values = ['', ...options];
+        if (value && !values.includes(value)) values.push(value);
+
+        select.innerHTML = '';
+        values.forEach(optionValue => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = optionValue === '' ? '（未設定）' : optionValue;
+            select.appendChild(option);
+        });
+        select.value = value || '';
+    }
+
+    /**
+     * 任意項目の行を作成
+     * @param {string} key - 項目名
+     * @param {string} value - 値
+     * @returns {HTMLLIElement} 行
+     */
+    _createCustomRow(key, value) {
+        const row = document.createElement('li');
+
+        const keyInput = document.createElement('input');
+        keyInput.type = 'text';
+        keyInput.className = 'attribute-custom-key';
+        keyInput.placeholder = '項目名';
+        keyInput.value = key;
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'attribute-custom-value';
+        valueInput.placeholder = '値';
+        valueInput.value = value;
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'attribute-custom-remove';
+        removeButton.title = '項目を削除';
+        removeButton.setAttribute('aria-label', '項目を削除');
+        removeButton.textContent = '×';
+
+        row.appendChild(keyInput);
+        row.appendChild(valueInput);
+        row.appendChild(removeButton);
+        return row;
+    }
+
+    /**
+     * 任意項目の入力内容を取得（項目名が空の行は除く）
+     * @returns {Object<string, string>} 任意項目
+     */
+    _readCustomFields() {
+        const attributes = {};
+        this.customList.querySelectorAll('li').forEach(row => {
+            const key = row.querySelector('.attribute-custom-key').value.trim();
+            if (key !== '') attributes[key] = row.querySelector('.attribute-custom-value').value;
+        });
+        return attributes;
+    }
+
+    /**
+     * 編集対象と属性・カテゴリの選択肢を比較用の文字列に変換
+     * @param {Object|null} target - 編集対象
+     * @returns {string} 比較用の文字列
+     */
+    _getSignature(target) {
+        if (!target) return '';
+        return JSON.stringify([
+            target.type,
+            target.index,
+            target.label,
+            ObjectAttributes.toRecord(target.type, target.item),
+            this.app.projectSettingsManager.getCategories()
+        ]);
+    }
+}
@@ -0,0 +1,211 @@
+import { UIHelper } from './UIHelper.js';
+
+/**
+ * ログインダイアログ（メールアドレス・パスワードでのログイン・新規登録）と、アカウント（ログイン中のユーザーの表示・ログアウト）を管理するクラス
+ * データベースを使うにはログインが必要。window.connectFirebase() がログインしていない場合に requestSignIn() でログインを求める
+ */
+export class AuthUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.dialog = document.getElementById('authDialog');
+        this.messageElement = document.getElementById('authDialogMessage');
+        this.emailInput = document.getElementById('authEmailInput');
+        this.passwordInput = document.getElementById('authPasswordInput');
+        this.accountButton = document.getElementById('accountBtn');
+        // ログイン待ちの requestSignIn() を解決する関数（ダイアログを閉じた場合はnullで解決）
+        this.pendingSignIn = null;
+        this.isBusy = false;
+
+        if (!this.dialog || !this.accountButton) {
+            console.error('AuthUIManager: ログインダイアログの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('authSignInBtn').addEventListener('click', () => this.submit(false));
+        document.getElementById('authSignUpBtn').addEventListener('click', () => this.submit(true));
+        document.getElementById('authCancelBtn').addEventListener('click', () => this.hide());
+        document.getElementById('authVerifyBtn').addEventListener('click', () => this.resendVerification());
+        document.getElementById('authRefreshBtn').addEventListener('click', () => this.refreshVerification());
+        document.getElementById('authSignOutBtn').addEventListener('click', () => this.signOut());
+        document.getElementById('authCloseBtn').addEventListener('click', () => this.hide());
+        this.passwordInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.submit(false);
+            }
+        });
+        this.accountButton.addEventListener('click', () => this.showAccount());
+    }
+
+    /**
+     * ログインダイアログを表示し、ログインを待つ
+     * @returns {Promise<firebase.User|null>} ログインしたユーザー（キャンセルした場合はnull）
+     */
+    requestSignIn() {
+        if (this.pendingSignIn) {
+            this.pendingSignIn(null);
+        }
+        this._showPanel(false);
+        this.passwordInput.value = '';
+        this._setMessage('データベースを使うには、メールアドレスとパスワードでログインしてください。\n初めての場合は「新規登録」を押してください');
+        this.dialog.style.display = 'flex';
+        this.emailInput.focus();
+        return new Promise(resolve => {
+            this.pendingSignIn = resolve;
+        });
+    }
+
+    /**
+     * 入力したメールアドレス・パスワードでログインまたは新規登録
+     * 新規登録の場合は確認メールを送信する（確認すると、ほかの所有者がメールアドレスでメンバーに追加できる）
+     * @param {boolean} isSignUp - 新規登録の場合true
+     */
+    async submit(isSignUp) {
+        if (this.isBusy) return;
+        const email = this.emailInput.value.trim();
+        const password = this.passwordInput.value;
+        if (!email || !password) {
+            this._setMessage('メールアドレスとパスワードを入力してください', true);
+            return;
+        }
+
+        const authManager = window.authManager;
+        this.isBusy = true;
+        try {
+            const user = isSignUp
+                ? await authManager.signUpWithEmail(email, password)
+                : await authManager.signInWithEmail(email, password);
+            if (isSignUp) {
+                await authManager.sendEmailVerification().catch(error => console.warn(error.message));
+            }
+
+            const resolve = this.pendingSignIn;
+            this.pendingSignIn = null;
+            this.dialog.style.display = 'none';
+            if (isSignUp) {
+                UIHelper.showMessage(`確認メールを ${email} に送信しました。\nメールのリンクを開くと、ほかのユーザーがあなたをプロジェクトのメンバーに追加できます`, 'success');
+            }
+            if (resolve) resolve(user);
+        } catch (error) {
+            this._setMessage(error.message, true);
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * ダイアログを閉じる（ログイン待ちの場合はキャンセル）
+     */
+    hide() {
+        this.dialog.style.display = 'none';
+        if (this.pendingSignIn) {
+            const resolve = this.pendingSignIn;
+            this.pendingSignIn = null;
+            resolve(null);
+        }
+    }
+
+    /**
+     * アカウントボタンの処理
+     * ログインしていない場合はデータベースに接続（ログインダイアログを表示）し、ログイン中の場合はアカウント情報を表示
+     */
+    async showAccount() {
+        if (!window.firestoreManager) {
+            try {
+                if (window.connectFirebase) {
+                    await window.connectFirebase();
+                }
+            } catch (error) {
+                // ログインのキャンセル・接続失敗は connectFirebase で表示済み
+            }
+            return;
+        }
+
+        const info = window.authManager.getUserInfo();
+        if (!info) return;
+        document.getElementById('authAccountEmail').textContent = info.email || '';
+        document.getElementById('authAccountStatus').textContent = info.emailVerified
+            ? 'メールアドレス確認済み（ほかのユーザーがメールアドレスであなたをメンバーに追加できます）'
+            : 'メールアドレス未確認（確認メールのリンクを開いてから「確認状態を更新」を押すと、ほかのユーザーがあなたをメンバーに追加できます）';
+        document.getElementById('authVerifyBtn').style.display = info.emailVerified ? 'none' : '';
+        document.getElementById('authRefreshBtn').style.display = info.emailVerified ? 'none' : '';
+        this._setMessage('');
+        this._showPanel(true);
+        this.dialog.style.display = 'flex';
+    }
+
+    /**
+     * 確認メールを再送
+     */
+    async resendVerification() {
+        try {
+            await window.authManager.sendEmailVerification();
+            this._setMessage('確認メールを送信しました');
+        } catch (error) {
+            this._setMessage(error.message, true);
+        }
+    }
+
+    /**
+     * メールアドレスの確認状態を取得し直し、確認済みになっていればユーザー名簿に登録
+     */
+    async refreshVerification() {
+        try {
+            const user = await window.authManager.refreshUser();
+            if (user && user.emailVerified && window.firestoreManager) {
+                await window.firestoreManager.registerUserDirectory();
+            }
+        } catch (error) {
+            this._setMessage(error.message, true);
+            return;
+        }
+        await this.showAccount();
+    }
+
+    /**
+     * ログアウト
+     */
+    async signOut() {
+        this.dialog.style.display = 'none';
+        await this.app.handleSignOut();
+    }
+
+    /**
+     * アカウントボタンの表示を更新（ログイン中はメールアドレス、ログインしていない場合は「ログイン」）
+     */
+    updateAccountDisplay() {
+        const user = window.firestoreManager && window.authManager ? window.authManager.getCurrentUser() : null;
+        this.accountButton.textContent = user ? user.email : 'ログイン';
+        this.accountButton.classList.toggle('signed-in', !!user);
+    }
+
+    /**
+     * ログインの入力欄とアカウント情報のどちらを表示するか切り替える
+     * @param {boolean} isAccount - アカウント情報を表示する場合true
+     */
+    _showPanel(isAccount) {
+        document.getElementById('authSignInPanel').style.display = isAccount ? 'none' : '';
+        document.getElementById('authSignInFooter').style.display = isAccount ? 'none' : '';
+        document.getElementById('authAccountPanel').style.display = isAccount ? '' : 'none';
+        document.getElementById('authAccountFooter').style.display = isAccount ? '' : 'none';
+    }
+
+    /**
+     * ダイアログのメッセージを表示
+     * @param {string} message - メッセージ
+     * @param {boolean} isError - エラーの場合true
+     */
+    _setMessage(message, isError = false) {
+        this.messageElement.textContent = message;
+        this.messageElement.classList.toggle('is-error', isError);
+    }
+}
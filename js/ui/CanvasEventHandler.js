@@ -1,5 +1,7 @@
 import { CoordinateUtils } from '../utils/Coordinates.js';
 import { ObjectDetector } from '../utils/ObjectDetector.js';
+import { LayerManager, LAYER_LABELS } from '../data/LayerManager.js';
+import { SELECTION_TYPES } from '../data/SelectionManager.js';
 import { UIHelper } from './UIHelper.js';
 
 /**
@@ -19,7 +21,25 @@ export class CanvasEventHandler {
         this.rightDragCurrentX = 0;
         this.rightDragCurrentY = 0;
         this.justFinishedDragging = false;
+        // Shift+ドラッグによる範囲選択
+        this.isMarqueeSelecting = false;
+        this.marqueeStartX = 0;
+        this.marqueeStartY = 0;
+        this.marqueeCurrentX = 0;
+        this.marqueeCurrentY = 0;
+        this.skipNextClick = false; // 選択操作のマウスダウン後のクリックを無視する
         this.spotDragStartCoords = null; // スポットドラッグ開始位置
+        this.isDragHistoryOpen = false; // ドラッグの履歴のグループ記録中か
+        this.pickHandler = null; // 画像上の位置指定（基準点の指定等）を待っている場合の受け取り関数
+    }
+
+    /**
+     * 次のキャンバスクリックで画像上の位置を取得する（編集操作は行わない）
+     * ポイント・スポットをクリックした場合はその位置に合わせる
+     * @param {Function|null} handler - クリック位置（画像座標）を受け取る関数。nullで解除
+     */
+    setPickHandler(handler) {
+        this.pickHandler = handler;
     }
 
     /**
@@ -31,23 +51,61 @@ export class CanvasEventHandler {
         this.app.canvas.style.cursor = 'crosshair';
     }
 
+    /**
+     * マウスイベントの位置を画像座標に変換（ズーム・パン対応）
+     * @param {MouseEvent} event - マウスイベント
+     * @returns {{x: number, y: number}} 画像座標（丸めなし）
+     */
+    getMouseImageCoords(event) {
+        const drawScale = this.app.canvasRenderer.getDrawScale();
+        const offset = this.app.canvasRenderer.getOffset();
+        return CoordinateUtils.mouseToCanvas(event, this.app.canvas, drawScale, offset.x, offset.y);
+    }
+
+    /**
+     * ベースキャンバス上の距離（当たり判定の閾値など）を画像座標上の距離に換算
+     * @param {number} distance - ベースキャンバス上の距離（px）
+     * @returns {number} 画像座標上の距離
+     */
+    toImageDistance(distance) {
+        return distance / this.app.canvasRenderer.getImageScale();
+    }
+
     /**
      * キャンバスマウスダウン処理
      * @param {MouseEvent} event 
      */
     handleCanvasMouseDown(event) {
-        if (!this.app.currentImage) return;
-
-        // ズーム・パン情報を取得
-        const scale = this.app.canvasRenderer.getScale();
-        const offset = this.app.canvasRenderer.getOffset();
+        if (!this.app.currentImage || this.pickHandler) return;
+        this.skipNextClick = false;
+        // 閲覧のみの場合は選択・ドラッグを始めない（続くクリックで警告を表示）
+        if (this.app.isReadOnly()) return;
 
-        // マウス座標をキャンバス座標に変換
-        const coords = CoordinateUtils.mouseToCanvas(event, this.app.canvas, scale, offset.x, offset.y);
+        // マウス座標を画像座標に変換
+        const coords = this.getMouseImageCoords(event);
         const mode = this.app.layoutManager.getCurrentEditingMode();
+        const selection = this.app.selectionManager;
 
-        // 右クリック（button === 2）の場合、削除範囲ドラッグ開始
+        // Shift+クリックで選択を切り替え、Shift+ドラッグで範囲選択（すべての編集モード）
+        if (event.button === 0 && event.shiftKey) {
+            const selectable = this.findSelectableAtMouse(coords.x, coords.y, mode);
+            if (selectable) {
+                this.app.selectionUIManager.toggle(selectable.type, selectable.index);
+            } else {
+                this.isMarqueeSelecting = true;
+                this.marqueeStartX = coords.x;
+                this.marqueeStartY = coords.y;
+                this.marqueeCurrentX = coords.x;
+                this.marqueeCurrentY = coords.y;
+            }
+            this.skipNextClick = true;
+            event.preventDefault();
+            return;
+        }
+
+        // 右クリック（button === 2）の場合、削除範囲ドラッグ開始（ロック中のルートは右クリック時に警告する）
         if (event.button === 2 && mode === 'route') {
+            if (!this.app.layerManager.isRouteEditable(this.app.routeManager.getSelectedRoute())) return;
             this.isRightDragging = true;
             this.rightDragStartX = coords.x;
             this.rightDragStartY = coords.y;
@@ -57,9 +115,9 @@ export class CanvasEventHandler {
             return;
         }
 
-        // ルート編集モードの場合、中間点ドラッグを優先チェック
-        if (mode === 'route') {
-            const routePointInfo = this.app.routeManager.findRoutePointAt(coords.x, coords.y);
+        // ルート編集モードの場合、中間点ドラッグを優先チェック（非表示・ロック中のルートは対象外）
+        if (mode === 'route' && this.app.layerManager.isRouteEditable(this.app.routeManager.getSelectedRoute())) {
+            const routePointInfo = this.app.routeManager.findRoutePointAt(coords.x, coords.y, this.toImageDistance(10));
             if (routePointInfo) {
                 const selectedRoute = this.app.routeManager.getSelectedRoute();
                 // ルートが選択されていない場合
@@ -70,12 +128,19 @@ export class CanvasEventHandler {
                 }
                 // 開始・終了ポイントが設定済みの場合のみドラッグ可能
                 if (selectedRoute.startPointId && selectedRoute.endPointId) {
+                    if (this.startSelectionDrag('routePoint', routePointInfo.point, coords)) {
+                        event.preventDefault();
+                        return;
+                    }
+                    if (!selection.has(routePointInfo.point)) selection.clear();
+                    this.beginDragHistory('routePoint');
                     this.app.dragDropHandler.startDrag(
                         'routePoint',
                         routePointInfo.index,
                         coords.x,
                         coords.y,
-                        routePointInfo.point
+                        routePointInfo.point,
+                        this.toImageDistance(this.app.dragDropHandler.DRAG_THRESHOLD)
                     );
                     event.preventDefault();
                 } else {
@@ -88,7 +153,14 @@ export class CanvasEventHandler {
 
         // ポイント・スポットのドラッグ処理
         const objectInfo = this.findObjectAtMouse(coords.x, coords.y);
-        if (!objectInfo) return;
+        if (!objectInfo) {
+            // 選択中に空白部分をクリックした場合は選択解除のみ（新規作成しない）
+            if (event.button === 0 && selection.getCount() > 0) {
+                selection.clear();
+                this.skipNextClick = true;
+            }
+            return;
+        }
 
         // 適切なモードでのドラッグ開始をチェック
         const canDrag = (objectInfo.type === 'point' && mode === 'point') ||
@@ -102,6 +174,13 @@ export class CanvasEventHandler {
                     ? this.app.spotManager.getSpots()[objectInfo.index]
                     : this.app.areaManager.getAreaVertex(objectInfo.index));
 
+            // 選択中のオブジェクトはまとめてドラッグし、選択外のオブジェクトは選択を解除して単独でドラッグ
+            if (this.startSelectionDrag(objectInfo.type, object, coords)) {
+                event.preventDefault();
+                return;
+            }
+            if (!selection.has(object)) selection.clear();
+
             // スポットドラッグ開始時に元の座標を保存（Firebase更新用）
             if (objectInfo.type === 'spot') {
                 this.spotDragStartCoords = {
@@ -110,18 +189,72 @@ export class CanvasEventHandler {
                 };
             }
 
+            this.beginDragHistory(objectInfo.type);
             this.app.dragDropHandler.startDrag(
                 objectInfo.type,
                 objectInfo.index,
                 coords.x,
                 coords.y,
-                object
+                object,
+                this.toImageDistance(this.app.dragDropHandler.DRAG_THRESHOLD)
             );
 
             event.preventDefault();
         }
     }
 
+    /**
+     * 選択中のオブジェクトをつかんだ場合、選択中のオブジェクトをまとめてドラッグ開始
+     * @param {string} objectType - つかんだオブジェクトの種類
+     * @param {Object} object - つかんだオブジェクト
+     * @param {{x: number, y: number}} coords - マウス位置（画像座標）
+     * @returns {boolean} まとめてドラッグを開始した場合true（選択が2つ未満、または選択外の場合はfalse）
+     */
+    startSelectionDrag(objectType, object, coords) {
+        const selection = this.app.selectionManager;
+        if (selection.getType() !== objectType || selection.getCount() < 2 || !selection.has(object)) {
+            return false;
+        }
+
+        this.beginDragHistory('selection');
+        this.app.dragDropHandler.startGroupDrag(
+            objectType,
+            this.app.selectionUIManager.getSelectedIndices(),
+            coords.x,
+            coords.y,
+            this.toImageDistance(this.app.dragDropHandler.DRAG_THRESHOLD)
+        );
+        return true;
+    }
+
+    /**
+     * ドラッグ開始時に履歴のグループ記録を開始
+     * ドラッグ中の連続した位置更新を、終了時にまとめて1件の履歴とする。
+     * 前のドラッグの記録が終わっていない場合は、先に確定してから開始する（記録が閉じないまま重ならないようにする）
+     * @param {string} objectType - ドラッグするオブジェクトの種類
+     */
+    beginDragHistory(objectType) {
+        const labels = {
+            point: 'ポイント移動',
+            spot: 'スポット移動',
+            routePoint: '中間点移動',
+            vertex: '頂点移動',
+            selection: '選択の移動'
+        };
+        this.endDragHistory();
+        this.app.historyManager.beginGroup(labels[objectType] || '移動');
+        this.isDragHistoryOpen = true;
+    }
+
+    /**
+     * ドラッグの履歴のグループ記録を終了し、1件の履歴として確定（記録中でなければ何もしない）
+     */
+    endDragHistory() {
+        if (!this.isDragHistoryOpen) return;
+        this.isDragHistoryOpen = false;
+        this.app.historyManager.endGroup();
+    }
+
     /**
      * キャンバスマウス移動処理
      * @param {MouseEvent} event 
@@ -129,9 +262,7 @@ export class CanvasEventHandler {
     handleCanvasMouseMove(event) {
         if (!this.app.currentImage) return;
 
-        const scale = this.app.canvasRenderer.getScale();
-        const offset = this.app.canvasRenderer.getOffset();
-        const coords = CoordinateUtils.mouseToCanvas(event, this.app.canvas, scale, offset.x, offset.y);
+        const coords = this.getMouseImageCoords(event);
 
         // 右クリックドラッグ中の処理（削除範囲の更新）
         if (this.isRightDragging) {
@@ -148,6 +279,20 @@ export class CanvasEventHandler {
             return;
         }
 
+        // 範囲選択中の処理（選択範囲の更新）
+        if (this.isMarqueeSelecting) {
+            this.marqueeCurrentX = coords.x;
+            this.marqueeCurrentY = coords.y;
+            this.app.redrawCanvas();
+            this.app.canvasRenderer.drawSelectionRectangle(
+                this.marqueeStartX,
+                this.marqueeStartY,
+                this.marqueeCurrentX,
+                this.marqueeCurrentY
+            );
+            return;
+        }
+
         // ドラッグ中の処理
         if (this.app.dragDropHandler.isDraggingObject()) {
             this.app.dragDropHandler.updateDrag(
@@ -168,7 +313,7 @@ export class CanvasEventHandler {
         // エリア編集モードで、エリア名（ラベル）上にいる場合はテキストカーソルにする
         if (this.app.layoutManager.getCurrentEditingMode() === 'area') {
             const areas = this.app.areaManager.getAllAreas();
-            const hitAreaIndex = this.findAreaLabelAt(coords.x, coords.y, areas, scale);
+            const hitAreaIndex = this.findAreaLabelAt(coords.x, coords.y, areas, this.app.canvasRenderer.getDrawScale());
             if (hitAreaIndex !== -1) {
                 this.app.canvas.style.cursor = 'text';
                 return;
@@ -183,6 +328,27 @@ export class CanvasEventHandler {
      * @param {MouseEvent} event 
      */
     async handleCanvasMouseUp(event) {
+        // 範囲選択の終了時の処理（3px以上ドラッグした場合のみ選択）
+        if (this.isMarqueeSelecting) {
+            const dragDistance = Math.sqrt(
+                Math.pow(this.marqueeCurrentX - this.marqueeStartX, 2) +
+                Math.pow(this.marqueeCurrentY - this.marqueeStartY, 2)
+            );
+            this.isMarqueeSelecting = false;
+            this.app.redrawCanvas(); // 矩形を消す
+
+            if (dragDistance >= this.toImageDistance(3)) {
+                this.app.selectionUIManager.selectInRectangle(
+                    this.marqueeStartX,
+                    this.marqueeStartY,
+                    this.marqueeCurrentX,
+                    this.marqueeCurrentY
+                );
+            }
+            event.preventDefault();
+            return;
+        }
+
         // 右クリックドラッグ終了時の処理
         if (this.isRightDragging) {
             // ドラッグ距離を計算（3px以上移動していたらドラッグ扱い）
@@ -195,7 +361,7 @@ export class CanvasEventHandler {
             this.isRightDragging = false;
             this.app.redrawCanvas(); // 矩形を消す
 
-            if (dragDistance >= 3) {
+            if (dragDistance >= this.toImageDistance(3)) {
                 // ドラッグ扱い：矩形内の中間点を検索
                 const pointsInRect = this.app.routeManager.findRoutePointsInRectangle(
                     this.rightDragStartX,
@@ -268,7 +434,8 @@ export class CanvasEventHandler {
         // エリア頂点ドラッグ終了時のコールバック
         const onVertexDragEnd = (vertexIndex) => {
             const areaIndex = this.app.areaManager.selectedAreaIndex;
-            if (areaIndex >= 0) {
+            // まとめてドラッグした頂点（vertexIndex = -1）は並び順を保ったまま動かすため並べ替えない
+            if (areaIndex >= 0 && vertexIndex >= 0) {
                 this.app.areaManager.reinsertNearestEdge(areaIndex, vertexIndex);
                 // Firebase連携: エリア更新
                 // [TEMP_DISABLE_FIREBASE]
@@ -286,6 +453,9 @@ export class CanvasEventHandler {
             onVertexDragEnd
         );
 
+        // ドラッグ中の移動（と頂点の並べ替え）を1件の履歴として確定
+        this.endDragHistory();
+
         // ドラッグ操作だった場合、clickイベントの発火を防止
         if (dragInfo.wasDragging && dragInfo.hasMoved) {
             this.justFinishedDragging = true;
@@ -293,6 +463,20 @@ export class CanvasEventHandler {
         }
     }
 
+    /**
+     * キャンバスの外でのマウスアップ処理
+     * キャンバスの外でボタンを離した場合も、ドラッグ・範囲選択・削除範囲の選択を終了する
+     * @param {MouseEvent} event
+     */
+    async handleDocumentMouseUp(event) {
+        // キャンバス上のマウスアップは handleCanvasMouseUp() で処理済み
+        if (event.target === this.app.canvas) return;
+
+        await this.handleCanvasMouseUp(event);
+        // キャンバスの外ではclickイベントが発火しないため、次のクリックを無視しない
+        this.justFinishedDragging = false;
+    }
+
     /**
      * キャンバスクリック処理
      * @param {MouseEvent} event 
@@ -304,12 +488,31 @@ export class CanvasEventHandler {
             return;
         }
 
+        // 選択操作（Shift+クリック・範囲選択・選択解除）のクリックは編集操作にしない
+        if (this.skipNextClick) {
+            this.skipNextClick = false;
+            return;
+        }
+
         // ドラッグ中の場合はクリック処理をスキップ
         if (!this.app.currentImage || this.app.dragDropHandler.isDraggingObject()) return;
 
-        const scale = this.app.canvasRenderer.getScale();
-        const offset = this.app.canvasRenderer.getOffset();
-        const coords = CoordinateUtils.mouseToCanvas(event, this.app.canvas, scale, offset.x, offset.y);
+        const coords = this.getMouseImageCoords(event);
+
+        // 位置指定中はクリック位置を渡すのみ
+        if (this.pickHandler) {
+            const handler = this.pickHandler;
+            this.pickHandler = null;
+            const hit = ObjectDetector.findObjectAt(coords.x, coords.y, {
+                pointManager: this.app.pointManager,
+                spotManager: this.app.spotManager,
+                layerManager: this.app.layerManager
+            }, null, this.toImageDistance(1));
+            handler(hit ? { x: hit.object.x, y: hit.object.y } : { x: Math.round(coords.x), y: Math.round(coords.y) });
+            return;
+        }
+
+        if (!this.ensureWritable()) return;
 
         const mode = this.app.layoutManager.getCurrentEditingMode();
 
@@ -345,7 +548,7 @@ export class CanvasEventHandler {
             // エリア編集モードの場合、エリア名のクリック判定を行う
             if (mode === 'area') {
                 const areas = this.app.areaManager.getAllAreas();
-                const hitAreaIndex = this.findAreaLabelAt(coords.x, coords.y, areas, scale);
+                const hitAreaIndex = this.findAreaLabelAt(coords.x, coords.y, areas, this.app.canvasRenderer.getDrawScale());
 
                 if (hitAreaIndex !== -1) {
                     // エリアを選択
@@ -380,19 +583,23 @@ export class CanvasEventHandler {
      * @param {number} x - クリックしたX座標（画像座標系）
      * @param {number} y - クリックしたY座標（画像座標系）
      * @param {Array} areas - エリア配列
-     * @param {number} scale - 現在のズームスケール
+     * @param {number} scale - 現在の描画倍率（画像座標→キャンバス要素座標）
      * @returns {number} ヒットしたエリアのインデックス、なければ-1
      */
     findAreaLabelAt(x, y, areas, scale) {
-        // ヒット判定の閾値（画面上のピクセル数 / スケール）
+        // ヒット判定の閾値（画面上のピクセル数 / 描画倍率）
         // テキストの背景paddingなども考慮して少し広めに設定（画面上で約20px程度）
         const threshold = 20 / scale;
 
+        // ラベルが非表示の場合と、非表示・ロック中のエリアの名前は対象外
+        const layers = this.app.layerManager;
+        if (!layers.isVisible('labels')) return -1;
+
         for (let i = 0; i < areas.length; i++) {
             const area = areas[i];
             const vertices = area.vertices;
 
-            if (!vertices || vertices.length === 0) continue;
+            if (!vertices || vertices.length === 0 || !layers.isAreaEditable(area)) continue;
 
             // 重心を計算
             let cx = 0, cy = 0;
@@ -423,21 +630,20 @@ export class CanvasEventHandler {
         // デフォルトのコンテキストメニューを抑制
         event.preventDefault();
 
-        if (!this.app.currentImage) return;
+        if (!this.app.currentImage || !this.ensureWritable()) return;
 
         const mode = this.app.layoutManager.getCurrentEditingMode();
 
-        // ズーム・パン情報を取得
-        const scale = this.app.canvasRenderer.getScale();
-        const offset = this.app.canvasRenderer.getOffset();
+        // マウス座標を画像座標に変換
+        const coords = this.getMouseImageCoords(event);
 
-        // マウス座標をキャンバス座標に変換
-        const coords = CoordinateUtils.mouseToCanvas(event, this.app.canvas, scale, offset.x, offset.y);
+        // 非表示・ロック中のルート・エリアは削除しない
+        if ((mode === 'route' || mode === 'area') && !this.ensureLayerEditable(mode)) return;
 
         // ルート編集モードの場合のみ処理
         if (mode === 'route') {
             // 最も近い中間点を検索（最大50px以内）
-            const nearestInfo = this.app.routeManager.findNearestRoutePoint(coords.x, coords.y, 50);
+            const nearestInfo = this.app.routeManager.findNearestRoutePoint(coords.x, coords.y, this.toImageDistance(50));
 
             if (nearestInfo) {
                 // 中間点を削除
@@ -454,7 +660,7 @@ export class CanvasEventHandler {
                 UIHelper.showWarning('近くに中間点が見つかりませんでした');
             }
         } else if (mode === 'area') {
-            const vertexInfo = this.app.areaManager.findVertexAt(coords.x, coords.y, 10);
+            const vertexInfo = this.app.areaManager.findVertexAt(coords.x, coords.y, this.toImageDistance(10));
             if (vertexInfo) {
                 const areaIndex = this.app.areaManager.selectedAreaIndex;
                 if (this.app.areaManager.removeVertex(vertexInfo.index)) {
@@ -469,8 +675,8 @@ export class CanvasEventHandler {
 
     /**
      * 指定座標上のオブジェクト（ポイント/スポット）を検出
-     * @param {number} mouseX - マウスX座標
-     * @param {number} mouseY - マウスY座標
+     * @param {number} mouseX - マウスX座標（画像座標）
+     * @param {number} mouseY - マウスY座標（画像座標）
      * @returns {{type: string, index: number} | null} 検出されたオブジェクト情報
      */
     findObjectAtMouse(mouseX, mouseY) {
@@ -479,12 +685,30 @@ export class CanvasEventHandler {
             pointManager: this.app.pointManager,
             spotManager: this.app.spotManager,
             routeManager: null, // ルート中間点は別途チェック
-            areaManager: this.app.areaManager
+            areaManager: this.app.areaManager,
+            layerManager: this.app.layerManager // 非表示・ロック中のレイヤーは検出しない
         };
-        const result = ObjectDetector.findObjectAt(mouseX, mouseY, managers, mode);
+        const result = ObjectDetector.findObjectAt(mouseX, mouseY, managers, mode, this.toImageDistance(1));
         return result ? { type: result.type, index: result.index } : null;
     }
 
+    /**
+     * 指定座標上の、現在の編集モードで選択できるオブジェクトを検出
+     * @param {number} mouseX - マウスX座標（画像座標）
+     * @param {number} mouseY - マウスY座標（画像座標）
+     * @param {string} mode - 編集モード
+     * @returns {{type: string, index: number} | null} 検出されたオブジェクト情報（非表示・ロック中のレイヤーは対象外）
+     */
+    findSelectableAtMouse(mouseX, mouseY, mode) {
+        if (mode === 'route') {
+            if (!this.app.layerManager.isRouteEditable(this.app.routeManager.getSelectedRoute())) return null;
+            const routePointInfo = this.app.routeManager.findRoutePointAt(mouseX, mouseY, this.toImageDistance(10));
+            return routePointInfo ? { type: 'routePoint', index: routePointInfo.index } : null;
+        }
+        const objectInfo = this.findObjectAtMouse(mouseX, mouseY);
+        return objectInfo && objectInfo.type === SELECTION_TYPES[mode] ? objectInfo : null;
+    }
+
     /**
      * 既存オブジェクトクリック時の処理
      * @param {Object} objectInfo - オブジェクト情報
@@ -505,6 +729,8 @@ export class CanvasEventHandler {
      * @param {string} mode - 編集モード
      */
     handleNewObjectCreation(x, y, mode) {
+        if (!this.ensureLayerEditable(mode)) return;
+
         if (mode === 'point') {
             this.createNewPoint(x, y);
         } else if (mode === 'spot') {
@@ -535,6 +761,46 @@ export class CanvasEventHandler {
         }
     }
 
+    /**
+     * プロジェクトを編集できるか確認し、閲覧のみの場合は警告を表示
+     * @returns {boolean} 編集できる場合true
+     */
+    ensureWritable() {
+        return this.app.ensureWritable();
+    }
+
+    /**
+     * 編集モードの対象レイヤー（ルート・エリアは選択中のもの）を編集できるか確認し、できない場合は警告を表示
+     * 閲覧のみの場合はレイヤーによらず編集できない
+     * @param {string} mode - 編集モード
+     * @returns {boolean} 編集できる場合true（ルート・エリアが未選択の場合もtrue。未選択の警告は各処理で行う）
+     */
+    ensureLayerEditable(mode) {
+        if (!this.ensureWritable()) return false;
+        let layerId = null;
+        let name = '';
+        if (mode === 'point' || mode === 'spot') {
+            layerId = mode === 'point' ? 'points' : 'spots';
+            name = LAYER_LABELS[layerId];
+        } else if (mode === 'route') {
+            const route = this.app.routeManager.getSelectedRoute();
+            if (!route) return true;
+            layerId = LayerManager.getRouteLayerId(route);
+            name = `ルート「${route.routeName || ''}」`;
+        } else if (mode === 'area') {
+            const area = this.app.areaManager.getSelectedArea();
+            if (!area) return true;
+            layerId = LayerManager.getAreaLayerId(area);
+            name = `エリア「${area.areaName || ''}」`;
+        }
+
+        const layers = this.app.layerManager;
+        if (!layerId || layers.isEditable(layerId)) return true;
+        const reason = layers.isVisible(layerId) ? 'ロックされている' : '非表示の';
+        UIHelper.showWarning(`${name}のレイヤーが${reason}ため編集できません（レイヤーパネルで変更できます）`);
+        return false;
+    }
+
     /**
      * 新規ポイント作成
      */
@@ -581,6 +847,7 @@ export class CanvasEventHandler {
             UIHelper.showWarning('先にルートを選択または追加してください');
             return;
         }
+        if (!this.ensureLayerEditable('route')) return;
 
         let selectedName = '';
 
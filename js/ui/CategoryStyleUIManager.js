@@ -0,0 +1,116 @@
+import { MARKER_SHAPES, CATEGORY_ICONS } from '../utils/CategoryStyles.js';
+
+/**
+ * 設定ダイアログ「カテゴリ」タブのカテゴリごとの表示設定（スポットのマーカー形状・色・アイコン、エリアの色）を管理するクラス
+ * 入力内容は変更時にすぐProjectSettingsManagerに反映する
+ */
+export class CategoryStyleUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.listElement = document.getElementById('categoryStyleList');
+
+        if (!this.listElement) {
+            console.error('CategoryStyleUIManager: 設定タブの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+        this.updateForm();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        const tabButton = document.querySelector('.settings-tab-btn[data-tab="category-settings"]');
+        if (tabButton) {
+            tabButton.addEventListener('click', () => this.updateForm());
+        }
+
+        // 形状・アイコンは選択時、色は確定時（change）に反映する
+        this.listElement.addEventListener('change', (e) => {
+            const row = e.target.closest('tr');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+            // 閲覧のみの場合は反映せず、入力をもとの設定に戻す
+            if (!this.app.ensureWritable()) {
+                const style = this.app.projectSettingsManager.getCategoryStyles()[row.dataset.category];
+                e.target.value = style ? style[field] || '' : '';
+                return;
+            }
+            this.app.projectSettingsManager.updateCategoryStyle(row.dataset.category, { [field]: e.target.value });
+        });
+    }
+
+    /**
+     * 現在のカテゴリごとの表示設定を表に表示（表の入力中は更新しない）
+     */
+    updateForm() {
+        if (!this.listElement || this.listElement.contains(document.activeElement)) return;
+
+        const styles = this.app.projectSettingsManager.getCategoryStyles();
+        this.listElement.innerHTML = '';
+        this.app.projectSettingsManager.getCategories().forEach(category => {
+            const style = styles[category];
+            if (!style) return;
+
+            const row = document.createElement('tr');
+            row.dataset.category = category;
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = category;
+
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.dataset.field = 'color';
+            colorInput.value = style.color;
+            colorInput.setAttribute('aria-label', `${category}の色`);
+
+            const iconOptions = { '': 'なし' };
+            Object.entries(CATEGORY_ICONS).forEach(([id, icon]) => {
+                iconOptions[id] = icon.label;
+            });
+
+            row.appendChild(nameCell);
+            row.appendChild(this._createCell(this._createSelect('shape', MARKER_SHAPES, style.shape, `${category}の形状`)));
+            row.appendChild(this._createCell(colorInput));
+            row.appendChild(this._createCell(this._createSelect('icon', iconOptions, style.icon, `${category}のアイコン`)));
+            this.listElement.appendChild(row);
+        });
+    }
+
+    /**
+     * 選択欄を作成
+     * @param {string} field - 表示設定の項目名
+     * @param {Object<string, string>} options - 値 → 表示名
+     * @param {string} value - 現在値
+     * @param {string} label - 読み上げ用のラベル
+     * @returns {HTMLSelectElement} 選択欄
+     */
+    _createSelect(field, options, value, label) {
+        const select = document.createElement('select');
+        select.dataset.field = field;
+        select.setAttribute('aria-label', label);
+        Object.entries(options).forEach(([optionValue, optionLabel]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = optionLabel;
+            select.appendChild(option);
+        });
+        select.value = value;
+        return select;
+    }
+
+    /**
+     * 要素を入れた表のセルを作成
+     * @param {HTMLElement} element - セルに入れる要素
+     * @returns {HTMLTableCellElement} セル
+     */
+    _createCell(element) {
+        const cell = document.createElement('td');
+        cell.appendChild(element);
+        return cell;
+    }
+}
@@ -1,8 +1,10 @@
 /**
  * DuplicateDialog.js
- * 重複検出時のユーザー選択ダイアログを管理するクラス
+ * 重複検出・保存時の競合検出でのユーザー選択ダイアログを管理するクラス
  */
 
+import { Validators } from '../utils/Validators.js';
+
 export class DuplicateDialog {
     constructor() {
         this.dialog = null;
@@ -234,6 +236,8 @@ export class DuplicateDialog {
      * @returns {Promise<string|null>} 新しいID（キャンセル時はnull）
      */
     async promptNewId(oldId) {
+        const scheme = Validators.getPointIdScheme();
+        const example = scheme.mode === 'standard' ? ` (例: ${scheme.getExample()})` : '';
         const html = `
             <div class="duplicate-dialog-header">
                 <span class="duplicate-dialog-icon">✏️</span>
@@ -250,10 +254,10 @@ export class DuplicateDialog {
                         type="text"
                         id="newPointId"
                         class="duplicate-dialog-input"
-                        placeholder="例: A-14"
+                        placeholder="新しいポイントID"
                         value="${oldId}"
                     />
-                    <p class="duplicate-dialog-hint">※ 形式: X-nn (例: A-01, B-12)</p>
+                    <p class="duplicate-dialog-hint">※ 形式: ${scheme.describe()}${example}</p>
                 </div>
             </div>
             <div class="duplicate-dialog-footer">
@@ -311,4 +315,109 @@ export class DuplicateDialog {
         });
     }
 
+    /**
+     * 保存時の競合を項目ごとに解決させるダイアログ
+     * @param {Array<{label: string, mine: string, theirs: string, author: string, canKeepBoth: boolean}>} rows - 競合項目の表示内容
+     * @returns {Promise<Array<string>|null>} 項目ごとの選択 ('mine'|'theirs'|'both')、キャンセル時はnull
+     */
+    async showConflictDialog(rows) {
+        const items = rows.map((row, index) => `
+                    <div class="duplicate-dialog-comparison conflict-dialog-row">
+                        <div class="duplicate-dialog-item">
+                            <h4>${this._escapeHtml(row.label)}</h4>
+                            <p>自分: <span class="highlight">${this._escapeHtml(row.mine)}</span></p>
+                            <p>${this._escapeHtml(row.author)}: <span class="highlight">${this._escapeHtml(row.theirs)}</span></p>
+                        </div>
+                        <div class="conflict-dialog-choices">
+                            <label><input type="radio" name="conflict-${index}" value="mine" checked> 自分の変更</label>
+                            <label><input type="radio" name="conflict-${index}" value="theirs"> 相手の変更</label>
+                            ${row.canKeepBoth ? `<label><input type="radio" name="conflict-${index}" value="both"> 両方残す</label>` : ''}
+                        </div>
+                    </div>`).join('');
+
+        const html = `
+            <div class="duplicate-dialog-header">
+                <span class="duplicate-dialog-icon">⚠️</span>
+                <h3>保存時の競合検出</h3>
+            </div>
+            <div class="duplicate-dialog-body">
+                <p class="duplicate-dialog-message">
+                    前回の読み込み以降に、他のユーザーが同じ項目を変更しています（${rows.length}件）。<br>
+                    項目ごとに残す内容を選択してください。
+                </p>
+                <div class="conflict-dialog-bulk">
+                    <button type="button" data-bulk="mine">すべて自分の変更</button>
+                    <button type="button" data-bulk="theirs">すべて相手の変更</button>
+                </div>
+                <div class="conflict-dialog-list">${items}
+                </div>
+                <p class="duplicate-dialog-hint">※「両方残す」を選ぶと、相手の項目を別のID・名称で追加します</p>
+            </div>
+            <div class="duplicate-dialog-footer">
+                <button class="duplicate-dialog-btn duplicate-dialog-btn-primary" data-action="ok">
+                    選択内容で保存
+                </button>
+                <button class="duplicate-dialog-btn duplicate-dialog-btn-cancel" data-action="cancel">
+                    キャンセル
+                </button>
+            </div>
+        `;
+
+        return new Promise((resolve) => {
+            this.resolveCallback = resolve;
+
+            this.dialog.innerHTML = html;
+
+            // 一括選択ボタン
+            this.dialog.querySelectorAll('[data-bulk]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const value = button.getAttribute('data-bulk');
+                    this.dialog.querySelectorAll(`input[type="radio"][value="${value}"]`).forEach(radio => {
+                        radio.checked = true;
+                    });
+                });
+            });
+
+            // 選択内容で保存
+            this.dialog.querySelector('[data-action="ok"]').addEventListener('click', () => {
+                const choices = rows.map((row, index) => {
+                    const checked = this.dialog.querySelector(`input[name="conflict-${index}"]:checked`);
+                    return checked ? checked.value : 'mine';
+                });
+                document.removeEventListener('keydown', escapeHandler);
+                this.closeDialog(choices);
+            });
+
+            // キャンセルボタン・Escapeキーで保存を中止
+            this.dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+                document.removeEventListener('keydown', escapeHandler);
+                this.closeDialog(null);
+            });
+            const escapeHandler = (e) => {
+                if (e.key === 'Escape') {
+                    document.removeEventListener('keydown', escapeHandler);
+                    this.closeDialog(null);
+                }
+            };
+            document.addEventListener('keydown', escapeHandler);
+
+            // ダイアログを表示
+            this.overlay.style.display = 'flex';
+            this.dialog.style.animation = 'duplicateDialogSlideIn 0.3s ease-out';
+        });
+    }
+
+    /**
+     * HTML特殊文字をエスケープ（他のユーザーが入力した名称を表示するため）
+     * @param {string} text - 文字列
+     * @returns {string} エスケープ済み文字列
+     */
+    _escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
 }
@@ -0,0 +1,331 @@
+import { UIHelper } from './UIHelper.js';
+import { PanelDragHandler } from './PanelDragHandler.js';
+import { ElevationProfile } from '../utils/ElevationProfile.js';
+import { Measurements } from '../utils/Measurements.js';
+
+// 断面図の余白（キャンバスの画素数）
+const CHART_PADDING = { left: 44, right: 10, top: 10, bottom: 22 };
+
+/**
+ * 標高に関する表示・操作を管理するクラス
+ * - ルート編集パネル: 選択中ルートの累積標高（登り・下り）と所要時間
+ * - 標高パネル: 標高グリッド（DEM）の読み込み、選択中ルートの断面図、ポイント・スポットの標高の入力
+ */
+export class ElevationUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.panel = document.getElementById('elevationPanel');
+        this.chartCanvas = document.getElementById('elevationProfileCanvas');
+        this.itemList = document.getElementById('elevationItemList');
+        // 一覧を作り直すかどうかの判定用（ポイントID・スポット名と標高の並び）
+        this.itemListSignature = '';
+
+        if (!this.panel) {
+            console.error('ElevationUIManager: 標高パネルの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('routeElevationBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.show();
+        });
+        document.getElementById('elevationCloseBtn').addEventListener('click', () => this.hide());
+        document.getElementById('elevationGridLoadBtn').addEventListener('click', () => this.loadGrid());
+        document.getElementById('elevationGridClearBtn').addEventListener('click', () => {
+            if (!this.app.ensureWritable()) return;
+            this.app.elevationManager.clearGrid();
+        });
+
+        // 標高の入力は確定時（change）に反映する
+        this.itemList.addEventListener('change', (e) => {
+            const input = e.target;
+            if (input.tagName === 'INPUT') {
+                this.handleItemElevationChange(input.dataset.kind, input.dataset.name, input.value);
+            }
+        });
+
+        // ヘッダーをドラッグしてパネルを移動できるようにする
+        this.dragHandler = new PanelDragHandler(this.panel, document.getElementById('elevationPanelHeader'));
+    }
+
+    /**
+     * パネルを表示
+     */
+    show() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('画像を読み込んでください');
+            return;
+        }
+        this.panel.style.display = 'flex';
+        this.updateGridStatus();
+        this.renderItemList();
+        this.updateDisplays();
+    }
+
+    /**
+     * パネルを閉じる
+     */
+    hide() {
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * パネルが表示されているか
+     * @returns {boolean} 表示されている場合true
+     */
+    isVisible() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * 標高グリッドのファイルを選択して読み込む
+     */
+    async loadGrid() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('画像を読み込んでください');
+            return;
+        }
+        if (!this.app.ensureWritable()) return;
+
+        try {
+            const { grid, fileName } = await this.app.fileHandler.selectElevationGrid();
+            this.app.elevationManager.setGrid(grid, fileName, this.app.currentImage.width, this.app.currentImage.height);
+            UIHelper.showMessage(`標高データ「${fileName}」を読み込みました（${grid.columns}列×${grid.rows}行）`);
+        } catch (error) {
+            if (error.message !== 'ファイル選択がキャンセルされました') {
+                UIHelper.showError('標高データの読み込みに失敗しました: ' + error.message);
+            }
+        }
+    }
+
+    /**
+     * 標高グリッドの読み込み状態を表示
+     */
+    updateGridStatus() {
+        const status = document.getElementById('elevationGridStatus');
+        const manager = this.app.elevationManager;
+        if (!manager.hasGrid()) {
+            status.textContent = '未読み込み（画像全体に対応する .asc / .csv の標高の表）';
+            return;
+        }
+        const range = manager.grid.getRange();
+        status.textContent = `${manager.gridFileName}（${manager.grid.columns}列×${manager.grid.rows}行` +
+            (range ? `、${Math.round(range.min)}～${Math.round(range.max)} m）` : '、値なし）');
+    }
+
+    /**
+     * ポイント・スポットの標高の入力欄を作成
+     * 空欄の項目は標高グリッドの値をプレースホルダーに表示する
+     */
+    renderItemList() {
+        const items = this._getNamedItems();
+        this.itemListSignature = this._getItemSignature(items);
+        this.itemList.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'ポイント・スポットがありません';
+            this.itemList.appendChild(empty);
+            return;
+        }
+
+        items.forEach(({ kind, name, item }) => {
+            const row = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${kind === 'point' ? 'ポイント' : 'スポット'} ${name}`;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '1';
+            input.dataset.kind = kind;
+            input.dataset.name = name;
+            input.value = Number.isFinite(item.elevation) ? item.elevation : '';
+            const gridElevation = this.app.elevationManager.getGridElevation(item.x, item.y);
+            input.placeholder = gridElevation === null ? '' : String(Math.round(gridElevation));
+            input.setAttribute('aria-label', `${name} の標高`);
+
+            row.appendChild(label);
+            row.appendChild(input);
+            this.itemList.appendChild(row);
+        });
+    }
+
+    /**
+     * ポイント・スポットの標高の入力を反映
+     * @param {string} kind - 'point' | 'spot'
+     * @param {string} name - ポイントIDまたはスポット名
+     * @param {string} value - 入力値（空欄で未設定）
+     */
+    handleItemElevationChange(kind, name, value) {
+        // 閲覧のみの場合は反映せず、一覧をもとの標高に戻す
+        if (!this.app.ensureWritable()) {
+            this.renderItemList();
+            return;
+        }
+        const elevation = value.trim() === '' ? null : parseFloat(value);
+        if (elevation !== null && !Number.isFinite(elevation)) {
+            UIHelper.showError('標高には数値（メートル）を入力してください');
+            return;
+        }
+
+        if (kind === 'point') {
+            const index = this.app.pointManager.getPoints().findIndex(point => point.id === name);
+            this.app.pointManager.updatePointElevation(index, elevation);
+        } else {
+            const index = this.app.spotManager.getSpots().findIndex(spot => spot.name === name);
+            this.app.spotManager.updateSpotElevation(index, elevation);
+        }
+        this.itemListSignature = this._getItemSignature(this._getNamedItems());
+    }
+
+    /**
+     * ルート編集パネルの累積標高・所要時間と、標高パネルの断面図を更新
+     */
+    updateDisplays() {
+        const route = this.app.routeManager.getSelectedRoute();
+        const profile = route ? this.app.elevationManager.getRouteProfile(route) : null;
+        const metersPerPixel = this.app.projectSettingsManager.getMetersPerPixel();
+
+        const elevationElement = document.getElementById('routeElevationDisplay');
+        const timeElement = document.getElementById('routeHikingTimeDisplay');
+        if (elevationElement && timeElement) {
+            elevationElement.textContent = profile
+                ? `登り ${Math.round(profile.ascent)} m / 下り ${Math.round(profile.descent)} m`
+                : '-';
+            timeElement.textContent = this._formatHikingTime(profile, metersPerPixel);
+        }
+
+        if (!this.isVisible()) return;
+
+        // 一覧の入力中でなければ、ポイント・スポットの追加・名称変更を一覧に反映
+        if (!this.itemList.contains(document.activeElement) &&
+            this._getItemSignature(this._getNamedItems()) !== this.itemListSignature) {
+            this.renderItemList();
+        }
+
+        const summary = document.getElementById('elevationProfileSummary');
+        if (!route) {
+            summary.textContent = 'ルートを選択すると断面図を表示します';
+        } else if (!profile) {
+            summary.textContent = '開始・終了ポイントの標高を入力するか、標高データを読み込んでください';
+        } else {
+            summary.textContent = [
+                `${route.routeName || `${route.startPointId} ～ ${route.endPointId}`}`,
+                `標高 ${Math.round(profile.min)}～${Math.round(profile.max)} m、登り ${Math.round(profile.ascent)} m、下り ${Math.round(profile.descent)} m`,
+                `所要時間: ${this._formatHikingTime(profile, metersPerPixel)}`
+            ].join('\n');
+        }
+        this.drawProfile(profile, metersPerPixel);
+    }
+
+    /**
+     * 断面図を描画（横軸: 始点からの距離、縦軸: 標高）
+     * @param {Object|null} profile - 標高断面（nullの場合は消去のみ）
+     * @param {number|null} metersPerPixel - 1画素あたりのメートル数（縮尺が未設定の場合はnull）
+     */
+    drawProfile(profile, metersPerPixel) {
+        const ctx = this.chartCanvas.getContext('2d');
+        const { width, height } = this.chartCanvas;
+        ctx.clearRect(0, 0, width, height);
+        if (!profile) return;
+
+        const totalDistance = profile.distances[profile.distances.length - 1];
+        // 起伏が小さい場合も平らになりすぎないよう、縦軸は最低20mの幅を取る
+        const margin = Math.max(10, (profile.max - profile.min) * 0.1);
+        const minElevation = Math.floor(profile.min - margin);
+        const maxElevation = Math.ceil(profile.max + margin);
+        const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+        const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+        const toX = (distance) => CHART_PADDING.left + (totalDistance > 0 ? distance / totalDistance : 0) * plotWidth;
+        const toY = (elevation) => CHART_PADDING.top + (1 - (elevation - minElevation) / (maxElevation - minElevation)) * plotHeight;
+
+        // 軸
+        ctx.strokeStyle = '#95a5a6';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(CHART_PADDING.left, CHART_PADDING.top);
+        ctx.lineTo(CHART_PADDING.left, CHART_PADDING.top + plotHeight);
+        ctx.lineTo(CHART_PADDING.left + plotWidth, CHART_PADDING.top + plotHeight);
+        ctx.stroke();
+
+        // 断面（塗りつぶしと線）
+        ctx.beginPath();
+        ctx.moveTo(toX(0), CHART_PADDING.top + plotHeight);
+        profile.distances.forEach((distance, i) => ctx.lineTo(toX(distance), toY(profile.elevations[i])));
+        ctx.lineTo(toX(totalDistance), CHART_PADDING.top + plotHeight);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(230, 126, 34, 0.25)';
+        ctx.fill();
+
+        ctx.beginPath();
+        profile.distances.forEach((distance, i) => {
+            const x = toX(distance);
+            const y = toY(profile.elevations[i]);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.strokeStyle = '#e67e22';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // 目盛りの値
+        ctx.fillStyle = '#2c3e50';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${maxElevation}m`, CHART_PADDING.left - 4, CHART_PADDING.top);
+        ctx.fillText(`${minElevation}m`, CHART_PADDING.left - 4, CHART_PADDING.top + plotHeight);
+        ctx.textBaseline = 'top';
+        ctx.fillText(
+            metersPerPixel ? Measurements.formatDistance(totalDistance * metersPerPixel) : `${Math.round(totalDistance)} px`,
+            CHART_PADDING.left + plotWidth,
+            CHART_PADDING.top + plotHeight + 4
+        );
+        ctx.textAlign = 'left';
+        ctx.fillText('0', CHART_PADDING.left, CHART_PADDING.top + plotHeight + 4);
+    }
+
+    /**
+     * 所要時間を表示用の文字列に変換
+     * @param {Object|null} profile - 標高断面
+     * @param {number|null} metersPerPixel - 1画素あたりのメートル数
+     * @returns {string} 表示文字列
+     */
+    _formatHikingTime(profile, metersPerPixel) {
+        if (!profile) return '-';
+        if (!metersPerPixel) return '縮尺未設定';
+        return `約${ElevationProfile.formatDuration(ElevationProfile.estimateHikingMinutes(profile, metersPerPixel))}`;
+    }
+
+    /**
+     * 名前のあるポイント・スポットを取得
+     * @returns {Array<{kind: string, name: string, item: Object}>} 一覧
+     */
+    _getNamedItems() {
+        const points = this.app.pointManager.getPoints()
+            .filter(point => point.id && point.id.trim() !== '')
+            .map(point => ({ kind: 'point', name: point.id, item: point }));
+        const spots = this.app.spotManager.getSpots()
+            .filter(spot => spot.name && spot.name.trim() !== '')
+            .map(spot => ({ kind: 'spot', name: spot.name, item: spot }));
+        return [...points, ...spots];
+    }
+
+    /**
+     * 一覧の内容を比較用の文字列に変換
+     * @param {Array<Object>} items - _getNamedItems() の戻り値
+     * @returns {string} 比較用の文字列
+     */
+    _getItemSignature(items) {
+        return JSON.stringify(items.map(({ kind, name, item }) => [kind, name, item.elevation ?? null]));
+    }
+}
@@ -0,0 +1,375 @@
+import { UIHelper } from './UIHelper.js';
+import { GeoTransform } from '../utils/GeoTransform.js';
+
+/**
+ * 基準点設定ダイアログ・座標変換方法の選択ダイアログを管理するクラス
+ * 基準点設定ダイアログ上の編集内容は下書きとして保持し、OKボタンでGeoreferenceManagerに反映する
+ */
+export class GeoreferenceUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.dialog = document.getElementById('georeferenceDialog');
+        this.methodSelect = document.getElementById('georeferenceMethodSelect');
+        this.tableBody = document.getElementById('georeferenceTableBody');
+        this.statusElement = document.getElementById('georeferenceStatus');
+
+        // 編集中の基準点（入力途中の値を保持するため文字列のまま扱う）
+        this.rows = [];
+        // 画像上の位置指定中の行番号（指定中でない場合は-1）
+        this.pickingIndex = -1;
+
+        if (!this.dialog) {
+            console.error('GeoreferenceUIManager: ダイアログ要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('georeferenceAddBtn').addEventListener('click', () => {
+            this.rows.push({ x: '', y: '', lat: '', lon: '' });
+            this.renderTable();
+        });
+
+        document.getElementById('georeferenceClearBtn').addEventListener('click', () => {
+            if (this.rows.length > 0 && !confirm('すべての基準点を削除しますか？')) return;
+            this.rows = [];
+            this.renderTable();
+        });
+
+        document.getElementById('georeferenceOkBtn').addEventListener('click', () => {
+            this.applyAndClose();
+        });
+
+        document.getElementById('georeferenceCancelBtn').addEventListener('click', () => {
+            this.closeDialog();
+        });
+
+        this.methodSelect.addEventListener('change', () => {
+            this.updateStatus();
+        });
+
+        // 入力欄の変更（行ごとに作り直すため委譲で処理）
+        this.tableBody.addEventListener('input', (e) => {
+            const index = parseInt(e.target.dataset.rowIndex, 10);
+            const field = e.target.dataset.field;
+            if (isNaN(index) || !field) return;
+            this.rows[index][field] = e.target.value;
+            this.updateStatus();
+        });
+
+        // 位置指定・削除ボタン
+        this.tableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            const index = parseInt(button.dataset.rowIndex, 10);
+            if (button.dataset.action === 'pick') {
+                this.startPick(index);
+            } else if (button.dataset.action === 'remove') {
+                this.rows.splice(index, 1);
+                this.renderTable();
+            }
+        });
+
+        // Escapeキーで閉じる・位置指定を取り消す
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            if (this.pickingIndex >= 0) {
+                this.finishPick(null);
+            } else if (this.dialog.style.display !== 'none') {
+                this.closeDialog();
+            }
+        });
+    }
+
+    /**
+     * ダイアログを開く（現在の基準点を下書きに読み込む）
+     */
+    openDialog() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('先に画像を読み込んでください');
+            return;
+        }
+
+        const manager = this.app.georeferenceManager;
+        this.rows = manager.getControlPoints().map(cp => ({
+            x: String(cp.x),
+            y: String(cp.y),
+            lat: String(cp.lat),
+            lon: String(cp.lon)
+        }));
+        this.methodSelect.value = manager.getMethod();
+        this.renderTable();
+        this.dialog.style.display = 'flex';
+    }
+
+    /**
+     * ダイアログを閉じる（下書きは破棄）
+     */
+    closeDialog() {
+        this.dialog.style.display = 'none';
+    }
+
+    /**
+     * 基準点一覧の表を描画
+     */
+    renderTable() {
+        this.tableBody.innerHTML = '';
+
+        this.rows.forEach((row, index) => {
+            const tr = document.createElement('tr');
+
+            const noCell = document.createElement('td');
+            noCell.textContent = String(index + 1);
+            tr.appendChild(noCell);
+
+            ['x', 'y', 'lat', 'lon'].forEach(field => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = 'any';
+                input.value = row[field];
+                input.dataset.rowIndex = String(index);
+                input.dataset.field = field;
+                input.className = 'georeference-input';
+                cell.appendChild(input);
+                tr.appendChild(cell);
+            });
+
+            const residualCell = document.createElement('td');
+            residualCell.className = 'georeference-residual';
+            residualCell.dataset.rowIndex = String(index);
+            tr.appendChild(residualCell);
+
+            const actionCell = document.createElement('td');
+            actionCell.className = 'georeference-actions';
+            actionCell.innerHTML =
+                `<button data-action="pick" data-row-index="${index}" title="画像上で位置を指定">📍</button>` +
+                `<button data-action="remove" data-row-index="${index}" title="削除">✕</button>`;
+            tr.appendChild(actionCell);
+
+            this.tableBody.appendChild(tr);
+        });
+
+        this.updateStatus();
+    }
+
+    /**
+     * 入力中の基準点から変換を試算し、各基準点の誤差と全体の状態を表示
+     */
+    updateStatus() {
+        this.tableBody.querySelectorAll('.georeference-residual').forEach(cell => {
+            cell.textContent = '';
+        });
+
+        const method = this.methodSelect.value;
+        const { controlPoints, rowIndexes, errors } = this._parseRows();
+        const minPoints = GeoTransform.getMinimumPoints(method);
+
+        if (errors.length > 0) {
+            this._setStatus(errors[0], 'error');
+            return;
+        }
+        if (controlPoints.length === 0) {
+            this._setStatus(`基準点が設定されていません（${minPoints}点以上必要です）`, 'info');
+            return;
+        }
+        if (controlPoints.length < minPoints) {
+            this._setStatus(`あと${minPoints - controlPoints.length}点の基準点が必要です`, 'info');
+            return;
+        }
+
+        try {
+            const model = GeoTransform.fit(controlPoints, method);
+            const { residuals, rms } = GeoTransform.getResiduals(model, controlPoints);
+            residuals.forEach((residual, i) => {
+                const cell = this.tableBody.querySelector(`.georeference-residual[data-row-index="${rowIndexes[i]}"]`);
+                if (cell) cell.textContent = `${residual.toFixed(1)}m`;
+            });
+            this._setStatus(`変換を計算しました（二乗平均誤差: ${rms.toFixed(1)}m）`, 'ok');
+        } catch (error) {
+            this._setStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * 画像上のクリックで基準点の位置を指定する
+     * 指定中はダイアログを隠し、クリック後に再表示する
+     * @param {number} index - 対象の行番号
+     */
+    startPick(index) {
+        this.pickingIndex = index;
+        this.dialog.style.display = 'none';
+        UIHelper.showPersistentMessage('基準点の位置を画像上でクリックしてください（Escでキャンセル）');
+        this.app.canvasEventHandler.setPickHandler(coords => this.finishPick(coords));
+    }
+
+    /**
+     * 位置指定を終了してダイアログに戻る
+     * @param {{x: number, y: number}|null} coords - 指定した画像座標（キャンセル時はnull）
+     */
+    finishPick(coords) {
+        const index = this.pickingIndex;
+        this.pickingIndex = -1;
+        this.app.canvasEventHandler.setPickHandler(null);
+        UIHelper.hidePersistentMessage();
+
+        if (coords && this.rows[index]) {
+            this.rows[index].x = String(coords.x);
+            this.rows[index].y = String(coords.y);
+        }
+        this.renderTable();
+        this.dialog.style.display = 'flex';
+    }
+
+    /**
+     * 緯度・経度への変換方法（基準点・縮尺）を選択するダイアログを表示し、変換モデルを返す
+     * 縮尺を選んだ場合は入力値をGeoreferenceManagerに保存し、次回の初期値とする
+     * @returns {Promise<Object|null>} 変換モデル（キャンセル時はnull）
+     */
+    selectCoordinateModel() {
+        return new Promise((resolve) => {
+            const manager = this.app.georeferenceManager;
+            const dialog = document.getElementById('coordinateSourceDialog');
+            const okBtn = document.getElementById('coordinateSourceOkBtn');
+            const cancelBtn = document.getElementById('coordinateSourceCancelBtn');
+            const georeferenceRadio = document.getElementById('coordinateSourceGeoreference');
+            const scaleRadio = document.getElementById('coordinateSourceScale');
+            const scaleInput = document.getElementById('coordinateScaleInput');
+            const latInput = document.getElementById('coordinateOriginLatInput');
+            const lonInput = document.getElementById('coordinateOriginLonInput');
+
+            // 基準点で変換できる場合は基準点を優先
+            georeferenceRadio.disabled = !manager.isReady();
+            document.getElementById('coordinateSourceGeoreferenceCount').textContent =
+                manager.isReady() ? `${manager.getControlPoints().length}点` : '未設定';
+            georeferenceRadio.checked = manager.isReady();
+            scaleRadio.checked = !manager.isReady();
+
+            const scale = manager.getScale();
+            if (scale) {
+                scaleInput.value = String(scale.metersPerPixel);
+                latInput.value = String(scale.originLat);
+                lonInput.value = String(scale.originLon);
+            } else if (this.app.projectSettingsManager.getMetersPerPixel()) {
+                // 縮尺タブで設定した縮尺を初期値にする
+                scaleInput.value = String(this.app.projectSettingsManager.getMetersPerPixel());
+            }
+
+            dialog.style.display = 'flex';
+
+            const cleanup = () => {
+                dialog.style.display = 'none';
+                okBtn.removeEventListener('click', onOk);
+                cancelBtn.removeEventListener('click', onCancel);
+            };
+
+            const onOk = () => {
+                if (georeferenceRadio.checked) {
+                    cleanup();
+                    resolve(manager.getModel());
+                    return;
+                }
+
+                const metersPerPixel = parseFloat(scaleInput.value);
+                const originLat = parseFloat(latInput.value);
+                const originLon = parseFloat(lonInput.value);
+                if (!(metersPerPixel > 0)) {
+                    UIHelper.showWarning('縮尺には0より大きい値を入力してください');
+                    return;
+                }
+                if (!(Math.abs(originLat) < 90) || !(Math.abs(originLon) <= 180)) {
+                    UIHelper.showWarning('緯度は-90～90、経度は-180～180の範囲で入力してください');
+                    return;
+                }
+
+                manager.setScale({ metersPerPixel, originLat, originLon });
+                cleanup();
+                resolve(GeoTransform.fromScale(metersPerPixel, originLat, originLon));
+            };
+
+            const onCancel = () => {
+                cleanup();
+                resolve(null);
+            };
+
+            okBtn.addEventListener('click', onOk);
+            cancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * 下書きを検証してGeoreferenceManagerに反映し、ダイアログを閉じる
+     */
+    applyAndClose() {
+        if (!this.app.ensureWritable()) return;
+        const method = this.methodSelect.value;
+        const { controlPoints, errors } = this._parseRows();
+
+        if (errors.length > 0) {
+            UIHelper.showWarning(errors[0]);
+            return;
+        }
+        if (controlPoints.length > 0) {
+            try {
+                GeoTransform.fit(controlPoints, method);
+            } catch (error) {
+                UIHelper.showWarning(error.message);
+                return;
+            }
+        }
+
+        this.app.georeferenceManager.setGeoreference(controlPoints, method);
+        this.closeDialog();
+        UIHelper.showMessage(controlPoints.length > 0
+            ? `基準点を設定しました（${controlPoints.length}点）`
+            : '基準点を削除しました');
+    }
+
+    /**
+     * 入力中の行を基準点に変換（空行は無視し、入力途中・範囲外の行はエラーとする）
+     * @returns {{controlPoints: Array, rowIndexes: Array<number>, errors: Array<string>}} 基準点・元の行番号・エラー
+     */
+    _parseRows() {
+        const controlPoints = [];
+        const rowIndexes = [];
+        const errors = [];
+        const { width, height } = this.app.currentImage || { width: Infinity, height: Infinity };
+
+        this.rows.forEach((row, index) => {
+            const values = [row.x, row.y, row.lat, row.lon].map(v => String(v).trim());
+            if (values.every(v => v === '')) return;
+
+            const [x, y, lat, lon] = values.map(Number);
+            const label = `基準点${index + 1}`;
+            if (values.some(v => v === '') || [x, y, lat, lon].some(v => !Number.isFinite(v))) {
+                errors.push(`${label}: 画像座標と緯度・経度をすべて入力してください`);
+            } else if (x < 0 || y < 0 || x > width || y > height) {
+                errors.push(`${label}: 画像座標が画像の範囲外です`);
+            } else if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+                errors.push(`${label}: 緯度は-90～90、経度は-180～180の範囲で入力してください`);
+            } else {
+                controlPoints.push({ x, y, lat, lon });
+                rowIndexes.push(index);
+            }
+        });
+
+        return { controlPoints, rowIndexes, errors };
+    }
+
+    /**
+     * 状態表示を更新
+     * @param {string} message - 表示するメッセージ
+     * @param {string} type - 'info' | 'ok' | 'error'
+     */
+    _setStatus(message, type) {
+        this.statusElement.textContent = message;
+        this.statusElement.className = `georeference-status georeference-status-${type}`;
+    }
+}
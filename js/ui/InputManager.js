@@ -18,7 +18,8 @@ export class InputManager {
         this.alwaysVisibleSpotNames = new Set(); // ルートの開始・終了ポイントとして指定されたスポット名（常に表示）
         this.forceShowRoutePointsSpotNames = false; // ルート選択等で一時的に強制表示するフラグ
         this.spotNameVisibility = false; // スポット名表示チェックボックスの状態
-        // ズーム・パン状態
+        this.readOnly = false; // 閲覧のみ（入力ボックスの値を変更・確定しない）
+        // ズーム・パン状態（scaleは画像座標からキャンバス座標への倍率）
         this.scale = 1.0;
         this.offsetX = 0;
         this.offsetY = 0;
@@ -26,7 +27,9 @@ export class InputManager {
             onPointIdChange: null,
             onPointRemove: null,
             onSpotNameChange: null,
-            onSpotRemove: null
+            onSpotRemove: null,
+            onPointFocus: null,
+            onSpotFocus: null
         };
     }
 
@@ -71,6 +74,17 @@ export class InputManager {
     }
 
 
+    /**
+     * 閲覧のみの切り替え（ポイントID・スポット名の入力ボックスを読み取り専用にする）
+     * @param {boolean} readOnly - 閲覧のみにする場合true
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        [...this.inputElements, ...this.spotInputElements].forEach(input => {
+            if (input) input.readOnly = readOnly;
+        });
+    }
+
     /**
      * 指定したポイントIDを強調表示
      * @param {Array<string>} pointIds - 強調表示するポイントIDの配列
@@ -210,6 +224,17 @@ export class InputManager {
         });
     }
 
+    /**
+     * ポイントID入力ボックスの幅を、入力値とID体系の例の長い方に合わせる
+     * 初期設定の「X-nn」形式（4文字）まではCSSの幅のままとする
+     * @param {HTMLInputElement} input - 入力ボックス
+     */
+    fitPointIdInputWidth(input) {
+        const example = Validators.getPointIdScheme().getExample();
+        const length = Math.max(input.value.length, example.length);
+        input.style.width = length > 4 ? `${length * 8 + 14}px` : '';
+    }
+
     /**
      * ポイント用の入力ボックスを作成
      * @param {Object} point - ポイントオブジェクト
@@ -226,10 +251,13 @@ export class InputManager {
 
         const input = document.createElement('input');
         input.type = 'text';
-        input.maxLength = 4;
         input.className = 'point-id-input';
         input.placeholder = 'ID';
         input.value = point.id || '';
+        input.readOnly = this.readOnly;
+        this.fitPointIdInputWidth(input);
+        // 編集前のID（ルートの開始・終了ポイントの付け替え・削除確認に使用）
+        let previousId = input.value;
 
         container.appendChild(input);
 
@@ -238,29 +266,33 @@ export class InputManager {
         // input時は変換処理を行わず、入力値をそのまま保存（blur時に一括変換）
         input.addEventListener('input', (e) => {
             const value = e.target.value;
+            this.fitPointIdInputWidth(input);
             // 入力中は変換処理なし、そのまま保存（表示更新なし）
             this.notify('onPointIdChange', { index, id: value, skipFormatting: true, skipDisplay: true });
         });
 
         // blur時はフォーマット処理を実行して保存
         input.addEventListener('blur', (e) => {
+            container.classList.remove('is-editing');
+            if (this.readOnly) return;
             const value = e.target.value.trim();
 
             // フォーマット処理なしで通知（PointManager側で処理）
-            this.notify('onPointIdChange', { index, id: value, skipFormatting: false });
-            container.classList.remove('is-editing');
+            this.notify('onPointIdChange', { index, id: value, skipFormatting: false, previousId });
         });
 
         // キーボードイベント（Escapeキーでポイント削除）
         input.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.notify('onPointRemove', { index, point });
+            if (e.key === 'Escape' && !this.readOnly) {
+                this.notify('onPointRemove', { index, point, previousId });
             }
         });
 
         // フォーカス時に編集中スタイル
         input.addEventListener('focus', () => {
+            previousId = input.value;
             container.classList.add('is-editing');
+            this.notify('onPointFocus', { index, point });
         });
 
         // ポイントインデックスを属性として設定
@@ -318,7 +350,7 @@ export class InputManager {
 
     /**
      * ズーム・パン状態を更新し、全ポップアップ位置を再計算
-     * @param {number} scale - ズーム倍率
+     * @param {number} scale - 描画倍率（画像座標→キャンバス座標、ズーム倍率込み）
      * @param {number} offsetX - X方向オフセット
      * @param {number} offsetY - Y方向オフセット
      * @param {Array} points - ポイント配列
@@ -347,7 +379,7 @@ export class InputManager {
     /**
      * 入力ボックスの最適な表示位置を計算・設定（ポイント・スポット共通）
      * @param {HTMLElement} container - 入力ボックスのコンテナ
-     * @param {Object} object - オブジェクト {x, y} （ポイントまたはスポット）
+     * @param {Object} object - オブジェクト {x, y} （ポイントまたはスポット、画像座標）
      */
     positionInputBox(container, object) {
         const rect = this.canvas.getBoundingClientRect();
@@ -446,7 +478,10 @@ export class InputManager {
         input.className = 'spot-name-input';
         input.placeholder = 'スポット名';
         input.value = spot.name || '';
+        input.readOnly = this.readOnly;
         input.rows = 1;  // 初期は1行
+        // 編集前のスポット名（ルートの開始・終了ポイントの付け替え・削除確認に使用）
+        let previousName = input.value;
 
         // 入力幅と高さを自動調整する関数
         const adjustInputSize = () => {
@@ -504,22 +539,25 @@ export class InputManager {
 
         // blur時はフォーマット処理を実行して保存
         input.addEventListener('blur', (e) => {
+            container.classList.remove('is-editing');
+            if (this.readOnly) return;
             const value = e.target.value.trim();
             // フォーマット処理を実行（SpotManager側で処理）
-            this.notify('onSpotNameChange', { index, name: value, skipFormatting: false });
-            container.classList.remove('is-editing');
+            this.notify('onSpotNameChange', { index, name: value, skipFormatting: false, previousName });
         });
 
         // キーボードイベント（Escapeキーでスポット削除）
         input.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.notify('onSpotRemove', { index, spot });
+            if (e.key === 'Escape' && !this.readOnly) {
+                this.notify('onSpotRemove', { index, spot, previousName });
             }
         });
 
         // フォーカス時に編集中スタイル
         input.addEventListener('focus', () => {
+            previousName = input.value;
             container.classList.add('is-editing');
+            this.notify('onSpotFocus', { index, spot });
         });
 
         // スポットインデックスを属性として設定
@@ -0,0 +1,175 @@
+import { UIHelper } from './UIHelper.js';
+import { PanelDragHandler } from './PanelDragHandler.js';
+import { LayerManager, LAYER_LABELS } from '../data/LayerManager.js';
+
+/**
+ * レイヤーパネル（ポイント・スポット・ルートごと・エリアごと・ラベルの表示とロックの切り替え）を管理するクラス
+ * 切り替えはすぐにLayerManagerに反映する
+ */
+export class LayerPanelUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.panel = document.getElementById('layerPanel');
+        this.listElement = document.getElementById('layerList');
+        // パネルを作り直すかどうかの判定用（レイヤーの一覧と状態）
+        this.renderSignature = '';
+
+        if (!this.panel) {
+            console.error('LayerPanelUIManager: レイヤーパネルの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('layerCloseBtn').addEventListener('click', () => this.hide());
+
+        this.listElement.addEventListener('change', (e) => {
+            const { layerId, field } = e.target.dataset;
+            if (!layerId) return;
+            if (field === 'visible') {
+                this.app.layerManager.setVisible(layerId, e.target.checked);
+            } else {
+                this.app.layerManager.setLocked(layerId, e.target.checked);
+            }
+        });
+
+        document.getElementById('layerResetBtn').addEventListener('click', () => {
+            this.app.layerManager.reset();
+            UIHelper.showMessage('すべてのレイヤーを表示し、ロックを解除しました');
+        });
+
+        // ヘッダーをドラッグしてパネルを移動できるようにする
+        this.dragHandler = new PanelDragHandler(this.panel, document.getElementById('layerPanelHeader'));
+    }
+
+    /**
+     * パネルを表示
+     */
+    show() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('画像を読み込んでください');
+            return;
+        }
+        this.panel.style.display = 'flex';
+        this.render();
+    }
+
+    /**
+     * パネルを閉じる
+     */
+    hide() {
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * パネルが表示されているか
+     * @returns {boolean} 表示されている場合true
+     */
+    isVisible() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * ルート・エリアの一覧やレイヤーの状態が変わっていればパネルを更新
+     */
+    update() {
+        if (!this.isVisible()) return;
+        if (this._getSignature(this.getLayers()) !== this.renderSignature) {
+            this.render();
+        }
+    }
+
+    /**
+     * パネルに表示するレイヤーの一覧を取得（同じ名前のルート・エリアは1つのレイヤーにまとめる）
+     * @returns {Array<{layerId: string, label: string, group: string|null}>} レイヤー（group はルート・エリアの見出し）
+     */
+    getLayers() {
+        const layers = [
+            { layerId: 'points', label: LAYER_LABELS.points, group: null },
+            { layerId: 'spots', label: LAYER_LABELS.spots, group: null }
+        ];
+        const addItems = (group, items, getLayerId, getName) => {
+            const seen = new Set();
+            items.forEach(item => {
+                const layerId = getLayerId(item);
+                if (seen.has(layerId)) return;
+                seen.add(layerId);
+                layers.push({ layerId, label: getName(item) || '（名称未入力）', group });
+            });
+        };
+        addItems('ルート', this.app.routeManager.getAllRoutes(), LayerManager.getRouteLayerId, route => route.routeName);
+        addItems('エリア', this.app.areaManager.getAllAreas(), LayerManager.getAreaLayerId, area => area.areaName);
+        layers.push({ layerId: 'labels', label: LAYER_LABELS.labels, group: null });
+        return layers;
+    }
+
+    /**
+     * レイヤーの一覧と状態をパネルに表示
+     */
+    render() {
+        const layers = this.getLayers();
+        this.renderSignature = this._getSignature(layers);
+
+        this.listElement.innerHTML = '';
+        let currentGroup = null;
+        layers.forEach(layer => {
+            if (layer.group && layer.group !== currentGroup) {
+                const groupRow = document.createElement('tr');
+                groupRow.className = 'layer-group-row';
+                const groupCell = document.createElement('td');
+                groupCell.colSpan = 3;
+                groupCell.textContent = layer.group;
+                groupRow.appendChild(groupCell);
+                this.listElement.appendChild(groupRow);
+            }
+            currentGroup = layer.group;
+
+            const state = this.app.layerManager.getLayerState(layer.layerId);
+            const row = document.createElement('tr');
+            if (layer.group) row.className = 'layer-child-row';
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = layer.label;
+            row.appendChild(nameCell);
+            row.appendChild(this._createCheckboxCell(layer, 'visible', state.visible, '表示'));
+            row.appendChild(this._createCheckboxCell(layer, 'locked', state.locked, 'ロック'));
+            this.listElement.appendChild(row);
+        });
+    }
+
+    /**
+     * 表示・ロックのチェックボックスのセルを作成
+     * @param {{layerId: string, label: string}} layer - レイヤー
+     * @param {string} field - 'visible' | 'locked'
+     * @param {boolean} checked - チェック状態
+     * @param {string} fieldLabel - 読み上げ用の項目名
+     * @returns {HTMLTableCellElement} セル
+     */
+    _createCheckboxCell(layer, field, checked, fieldLabel) {
+        const cell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.dataset.layerId = layer.layerId;
+        checkbox.dataset.field = field;
+        checkbox.setAttribute('aria-label', `${layer.label}を${fieldLabel}`);
+        cell.appendChild(checkbox);
+        return cell;
+    }
+
+    /**
+     * レイヤーの一覧と状態を比較用の文字列に変換
+     * @param {Array<Object>} layers - レイヤー
+     * @returns {string} 比較用の文字列
+     */
+    _getSignature(layers) {
+        return JSON.stringify(layers.map(layer => [layer.layerId, this.app.layerManager.getLayerState(layer.layerId)]));
+    }
+}
@@ -0,0 +1,111 @@
+import { UIHelper } from './UIHelper.js';
+import { PanelDragHandler } from './PanelDragHandler.js';
+import { ProjectLinter } from '../data/ProjectLinter.js';
+
+/**
+ * データチェック（整合性チェック）パネルを管理するクラス
+ * プロジェクト全体の問題点を一覧表示し、項目のクリックで該当箇所へズーム・移動する
+ */
+export class LintPanelUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.linter = new ProjectLinter(
+            {
+                pointManager: app.pointManager,
+                spotManager: app.spotManager,
+                routeManager: app.routeManager,
+                areaManager: app.areaManager
+            },
+            (id) => app.resolveRouteEndpointCoord(id)
+        );
+        this.panel = document.getElementById('lintPanel');
+        this.summaryElement = document.getElementById('lintSummary');
+        this.listElement = document.getElementById('lintIssueList');
+
+        if (!this.panel) {
+            console.error('LintPanelUIManager: パネルの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('lintCloseBtn').addEventListener('click', () => this.hide());
+        document.getElementById('lintRerunBtn').addEventListener('click', () => this.run());
+
+        // ヘッダーをドラッグしてパネルを移動できるようにする
+        this.dragHandler = new PanelDragHandler(this.panel, document.getElementById('lintPanelHeader'));
+    }
+
+    /**
+     * パネルを表示してチェックを実行
+     */
+    show() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('画像を読み込んでからチェックしてください');
+            return;
+        }
+        this.panel.style.display = 'flex';
+        this.run();
+    }
+
+    /**
+     * パネルを閉じる
+     */
+    hide() {
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * チェックを実行して一覧を更新
+     */
+    run() {
+        const image = this.app.currentImage;
+        const issues = this.linter.run(image ? image.width : 0, image ? image.height : 0);
+        this.renderIssues(issues);
+    }
+
+    /**
+     * 問題の一覧を表示
+     * @param {Array<Object>} issues - ProjectLinter.run() の結果
+     */
+    renderIssues(issues) {
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        const warningCount = issues.length - errorCount;
+        this.summaryElement.textContent = issues.length === 0
+            ? '問題は見つかりませんでした'
+            : `エラー ${errorCount}件、警告 ${warningCount}件`;
+
+        this.listElement.innerHTML = '';
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `lint-issue lint-issue-${issue.severity}`;
+            item.textContent = issue.message;
+
+            if (issue.location) {
+                item.classList.add('lint-issue-clickable');
+                item.title = 'クリックで該当箇所を表示';
+                item.addEventListener('click', () => this.focusIssue(issue));
+            }
+            this.listElement.appendChild(item);
+        });
+    }
+
+    /**
+     * 問題の箇所へズーム・移動
+     * @param {Object} issue - 問題
+     */
+    focusIssue(issue) {
+        const { x, y } = issue.location;
+        this.app.viewportManager.focusOn(x, y, 2.0, () => {
+            this.app.viewportManager.updateZoomButtonStates();
+            this.app.redrawCanvas();
+        });
+    }
+}
@@ -70,6 +70,12 @@ export class MarkerSettingsManager {
         this.fileIoLoadBtn = document.getElementById('fileIoLoadBtn');
         this.fileIoExportBtn = document.getElementById('fileIoExportBtn');
         this.fileIoCancelBtn = document.getElementById('fileIoCancelBtn');
+        this.georeferenceBtn = document.getElementById('georeferenceBtn');
+        this.geoJsonLoadBtn = document.getElementById('geoJsonLoadBtn');
+        this.geoJsonExportBtn = document.getElementById('geoJsonExportBtn');
+        this.gpxLoadBtn = document.getElementById('gpxLoadBtn');
+        this.gpxExportBtn = document.getElementById('gpxExportBtn');
+        this.imageExportBtn = document.getElementById('imageExportBtn');
 
         // フッター要素
         this.dialogFooter = this.dialog.querySelector('.settings-dialog-footer');
@@ -193,17 +199,17 @@ export class MarkerSettingsManager {
             }
         });
 
-        // フッターの表示切り替え
-        if (tabId === 'file-io-settings') {
-            this.dialogFooter.style.display = 'none';
-        } else {
+        // フッターの表示切り替え（OK・初期値に戻すはマーカーサイズ設定タブ用）
+        if (tabId === 'marker-settings') {
             this.dialogFooter.style.display = 'flex';
+        } else {
+            this.dialogFooter.style.display = 'none';
         }
     }
 
     /**
      * ファイル入出力操作のリスナーを設定
-     * @param {Object} callbacks - { onLoad: Function, onExport: Function }
+     * @param {Object} callbacks - { onLoad, onExport, onGeoreference, onGeoJsonLoad, onGeoJsonExport, onGpxLoad, onGpxExport, onImageExport }
      */
     setupFileIoListeners(callbacks) {
         if (this.fileIoLoadBtn && callbacks.onLoad) {
@@ -212,6 +218,24 @@ export class MarkerSettingsManager {
         if (this.fileIoExportBtn && callbacks.onExport) {
             this.fileIoExportBtn.addEventListener('click', callbacks.onExport);
         }
+        if (this.georeferenceBtn && callbacks.onGeoreference) {
+            this.georeferenceBtn.addEventListener('click', callbacks.onGeoreference);
+        }
+        if (this.geoJsonLoadBtn && callbacks.onGeoJsonLoad) {
+            this.geoJsonLoadBtn.addEventListener('click', callbacks.onGeoJsonLoad);
+        }
+        if (this.geoJsonExportBtn && callbacks.onGeoJsonExport) {
+            this.geoJsonExportBtn.addEventListener('click', callbacks.onGeoJsonExport);
+        }
+        if (this.gpxLoadBtn && callbacks.onGpxLoad) {
+            this.gpxLoadBtn.addEventListener('click', callbacks.onGpxLoad);
+        }
+        if (this.gpxExportBtn && callbacks.onGpxExport) {
+            this.gpxExportBtn.addEventListener('click', callbacks.onGpxExport);
+        }
+        if (this.imageExportBtn && callbacks.onImageExport) {
+            this.imageExportBtn.addEventListener('click', callbacks.onImageExport);
+        }
     }
 
     /**
@@ -0,0 +1,254 @@
+import { UIHelper } from './UIHelper.js';
+import { Measurements } from '../utils/Measurements.js';
+import { RouteManager } from '../data/RouteManager.js';
+
+/**
+ * 縮尺（距離の較正）と、ルート長・エリア面積・2地点間の距離の表示を管理するクラス
+ * - 設定ダイアログ「縮尺」タブ: 画像上に引いた線と実距離から縮尺を設定する
+ * - コントロールパネル: 選択中のルート長・エリア面積、指定した2地点間の距離を表示する
+ * 縮尺が未設定の場合は画素数で表示する
+ */
+export class MeasurementUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.dialog = document.getElementById('markerSettingsDialog');
+        this.statusElement = document.getElementById('scaleCalibrationStatus');
+        this.linePixelsElement = document.getElementById('scaleLinePixels');
+        this.distanceInput = document.getElementById('scaleDistanceInput');
+        this.fromInput = document.getElementById('distanceFromInput');
+        this.toInput = document.getElementById('distanceToInput');
+        // 「縮尺」タブで引いた線（適用前の下書き） {x1, y1, x2, y2}
+        this.draftLine = null;
+        // 線を引いている間の1点目（未指定の場合はnull）
+        this.pickStart = null;
+        this.isPicking = false;
+
+        if (!this.statusElement) {
+            console.error('MeasurementUIManager: 縮尺タブの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+        this.updateForm();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        // タブを開いた時点の設定を表示（適用していない線・距離は破棄）
+        const tabButton = document.querySelector('.settings-tab-btn[data-tab="scale-settings"]');
+        if (tabButton) {
+            tabButton.addEventListener('click', () => this.updateForm());
+        }
+
+        document.getElementById('scaleDrawLineBtn').addEventListener('click', () => this.startDrawLine());
+        document.getElementById('scaleApplyBtn').addEventListener('click', () => this.apply());
+        document.getElementById('scaleClearBtn').addEventListener('click', () => {
+            if (!this.app.ensureWritable()) return;
+            this.app.projectSettingsManager.setScaleCalibration(null);
+            UIHelper.showMessage('縮尺を解除しました');
+        });
+
+        // Escapeキーで線の指定を取り消す
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isPicking) {
+                this.finishDrawLine(false);
+            }
+        });
+
+        // 2地点間の距離
+        [this.fromInput, this.toInput].forEach(input => {
+            input.addEventListener('focus', () => this.updateTargetList());
+            input.addEventListener('input', () => this.updatePointDistance());
+        });
+    }
+
+    /**
+     * 現在の縮尺を「縮尺」タブに表示
+     */
+    updateForm() {
+        if (!this.statusElement) return;
+
+        const calibration = this.app.projectSettingsManager.getScaleCalibration();
+        this.draftLine = calibration
+            ? { x1: calibration.x1, y1: calibration.y1, x2: calibration.x2, y2: calibration.y2 }
+            : null;
+        this.distanceInput.value = calibration ? calibration.distanceMeters : '';
+        this.statusElement.textContent = calibration
+            ? `現在の縮尺: 1画素 = ${calibration.metersPerPixel.toPrecision(4)} m`
+            : '現在の縮尺: 未設定';
+        this.updateLinePixels();
+    }
+
+    /**
+     * 下書きの線の長さを表示
+     */
+    updateLinePixels() {
+        const line = this.draftLine;
+        this.linePixelsElement.textContent = line
+            ? `${Math.round(Math.hypot(line.x2 - line.x1, line.y2 - line.y1))}（(${line.x1}, ${line.y1}) ～ (${line.x2}, ${line.y2})）`
+            : '-';
+    }
+
+    /**
+     * 画像上の2回のクリックで線を引く（指定中はダイアログを隠す）
+     */
+    startDrawLine() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('画像を読み込んでください');
+            return;
+        }
+        this.isPicking = true;
+        this.pickStart = null;
+        this.dialog.style.display = 'none';
+        UIHelper.showPersistentMessage('縮尺バーの一端を画像上でクリックしてください（Escでキャンセル）');
+        this.app.canvasEventHandler.setPickHandler(coords => this.handlePick(coords));
+    }
+
+    /**
+     * 線の端点の指定を受け取る
+     * @param {{x: number, y: number}} coords - クリックした画像座標
+     */
+    handlePick(coords) {
+        if (!this.pickStart) {
+            this.pickStart = coords;
+            UIHelper.showPersistentMessage('縮尺バーのもう一端を画像上でクリックしてください（Escでキャンセル）');
+            this.app.canvasEventHandler.setPickHandler(next => this.handlePick(next));
+            return;
+        }
+
+        this.draftLine = { x1: this.pickStart.x, y1: this.pickStart.y, x2: coords.x, y2: coords.y };
+        this.finishDrawLine(true);
+    }
+
+    /**
+     * 線の指定を終了してダイアログに戻る
+     * @param {boolean} completed - 2点とも指定した場合true
+     */
+    finishDrawLine(completed) {
+        this.isPicking = false;
+        this.pickStart = null;
+        this.app.canvasEventHandler.setPickHandler(null);
+        UIHelper.hidePersistentMessage();
+
+        if (completed) {
+            this.updateLinePixels();
+        }
+        this.dialog.style.display = 'flex';
+        if (completed) {
+            this.distanceInput.focus();
+        }
+    }
+
+    /**
+     * 下書きの線と入力した実距離で縮尺を設定
+     */
+    apply() {
+        if (!this.app.ensureWritable()) return;
+        if (!this.draftLine) {
+            UIHelper.showError('「画像上で線を引く」で縮尺バーに沿って線を引いてください');
+            return;
+        }
+
+        try {
+            this.app.projectSettingsManager.setScaleCalibration({
+                ...this.draftLine,
+                distanceMeters: parseFloat(this.distanceInput.value)
+            });
+        } catch (error) {
+            UIHelper.showError(error.message);
+            return;
+        }
+
+        const metersPerPixel = this.app.projectSettingsManager.getMetersPerPixel();
+        UIHelper.showMessage(`縮尺を設定しました（1画素 = ${metersPerPixel.toPrecision(4)} m）`);
+    }
+
+    /**
+     * 選択中のルート長・エリア面積、2地点間の距離の表示を更新
+     */
+    updateDisplays() {
+        const routeElement = document.getElementById('routeLengthDisplay');
+        if (routeElement) {
+            const route = this.app.routeManager.getSelectedRoute();
+            const startCoord = route ? this.app.resolveRouteEndpointCoord(route.startPointId) : null;
+            const endCoord = route ? this.app.resolveRouteEndpointCoord(route.endPointId) : null;
+            routeElement.textContent = startCoord && endCoord
+                ? this.formatLength(RouteManager.calculatePathLength(startCoord, route.routePoints || [], endCoord))
+                : '-';
+        }
+
+        const areaElement = document.getElementById('areaSizeDisplay');
+        if (areaElement) {
+            const area = this.app.areaManager.getSelectedArea();
+            areaElement.textContent = area && area.vertices && area.vertices.length >= 3
+                ? this.formatArea(Measurements.polygonArea(area.vertices))
+                : '-';
+        }
+
+        this.updatePointDistance();
+    }
+
+    /**
+     * 指定した2地点（ポイントIDまたはスポット名）間の直線距離を表示
+     */
+    updatePointDistance() {
+        const element = document.getElementById('pointDistanceDisplay');
+        if (!element || !this.fromInput) return;
+
+        const from = this.fromInput.value.trim();
+        const to = this.toInput.value.trim();
+        if (!from || !to) {
+            element.textContent = '-';
+            return;
+        }
+
+        const a = this.app.resolveRouteEndpointCoord(from);
+        const b = this.app.resolveRouteEndpointCoord(to);
+        if (!a || !b) {
+            element.textContent = `「${!a ? from : to}」が見つかりません`;
+            return;
+        }
+        element.textContent = `直線距離 ${this.formatLength(Math.hypot(b.x - a.x, b.y - a.y))}`;
+    }
+
+    /**
+     * 距離の入力候補（登録済みのポイントIDとスポット名）を更新
+     */
+    updateTargetList() {
+        const list = document.getElementById('distanceTargetList');
+        const names = new Set([
+            ...this.app.pointManager.getRegisteredIds(),
+            ...this.app.spotManager.getSpots().map(spot => spot.name).filter(name => name && name.trim() !== '')
+        ]);
+        list.innerHTML = '';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            list.appendChild(option);
+        });
+    }
+
+    /**
+     * 画像上の長さを表示用の文字列に変換（縮尺が未設定の場合は画素数）
+     * @param {number} pixels - 長さ（画素）
+     * @returns {string} 表示文字列
+     */
+    formatLength(pixels) {
+        const meters = this.app.projectSettingsManager.toMeters(pixels);
+        return meters === null ? `${Math.round(pixels)} px（縮尺未設定）` : Measurements.formatDistance(meters);
+    }
+
+    /**
+     * 画像上の面積を表示用の文字列に変換（縮尺が未設定の場合は平方画素）
+     * @param {number} squarePixels - 面積（平方画素）
+     * @returns {string} 表示文字列
+     */
+    formatArea(squarePixels) {
+        const squareMeters = this.app.projectSettingsManager.toSquareMeters(squarePixels);
+        return squareMeters === null ? `${Math.round(squarePixels)} px²（縮尺未設定）` : Measurements.formatArea(squareMeters);
+    }
+}
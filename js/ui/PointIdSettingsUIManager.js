@@ -0,0 +1,130 @@
+import { UIHelper } from './UIHelper.js';
+import { PointIdScheme } from '../utils/PointIdScheme.js';
+
+/**
+ * 設定ダイアログの「ポイントID」タブ（ポイントID体系の設定）を管理するクラス
+ * 入力内容は適用ボタンでProjectSettingsManagerに反映する
+ */
+export class PointIdSettingsUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.modeSelect = document.getElementById('pointIdModeSelect');
+        this.prefixesInput = document.getElementById('pointIdPrefixesInput');
+        this.prefixLengthInput = document.getElementById('pointIdPrefixLengthInput');
+        this.digitsInput = document.getElementById('pointIdDigitsInput');
+        this.patternInput = document.getElementById('pointIdPatternInput');
+        this.previewElement = document.getElementById('pointIdSchemePreview');
+
+        if (!this.modeSelect) {
+            console.error('PointIdSettingsUIManager: 設定タブの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+        this.updateForm();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        // タブを開いた時点の設定を表示（適用していない入力は破棄）
+        const tabButton = document.querySelector('.settings-tab-btn[data-tab="point-id-settings"]');
+        if (tabButton) {
+            tabButton.addEventListener('click', () => this.updateForm());
+        }
+
+        [this.modeSelect, this.prefixesInput, this.prefixLengthInput, this.digitsInput, this.patternInput]
+            .forEach(element => element.addEventListener('input', () => this.updatePreview()));
+
+        document.getElementById('pointIdApplyBtn').addEventListener('click', () => {
+            this.apply(this.readForm());
+        });
+
+        document.getElementById('pointIdResetBtn').addEventListener('click', () => {
+            this.apply(PointIdScheme.getDefaultConfig());
+        });
+    }
+
+    /**
+     * 現在のポイントID体系を入力欄に表示
+     */
+    updateForm() {
+        if (!this.modeSelect) return;
+
+        const config = this.app.projectSettingsManager.getPointIdScheme().toJSON();
+        this.modeSelect.value = config.mode;
+        this.prefixesInput.value = config.prefixes.join(',');
+        this.prefixLengthInput.value = config.prefixLength;
+        this.digitsInput.value = config.digits;
+        this.patternInput.value = config.pattern;
+        this.updatePreview();
+    }
+
+    /**
+     * 入力欄からID体系の設定を作成
+     * @returns {Object} ID体系の設定
+     */
+    readForm() {
+        return {
+            mode: this.modeSelect.value,
+            prefixes: this.prefixesInput.value.split(','),
+            prefixLength: this.prefixLengthInput.value,
+            digits: this.digitsInput.value,
+            pattern: this.patternInput.value.trim()
+        };
+    }
+
+    /**
+     * 形式に応じた入力欄の表示切り替えと、説明・例のプレビューを更新
+     */
+    updatePreview() {
+        const mode = this.modeSelect.value;
+        document.querySelectorAll('[data-point-id-mode]').forEach(element => {
+            element.style.display = element.dataset.pointIdMode === mode ? '' : 'none';
+        });
+
+        try {
+            const scheme = new PointIdScheme(this.readForm());
+            const example = scheme.mode === 'standard' ? `（例: ${scheme.getExample()}）` : '';
+            this.previewElement.textContent = `形式: ${scheme.describe()}${example}`;
+            this.previewElement.style.color = '';
+        } catch (error) {
+            this.previewElement.textContent = error.message;
+            this.previewElement.style.color = '#e74c3c';
+        }
+    }
+
+    /**
+     * ID体系を適用し、形式に合わない既存のポイントIDがあれば警告
+     * @param {Object} config - ID体系の設定
+     */
+    apply(config) {
+        if (!this.app.ensureWritable()) return;
+        if (config.mode === 'pattern' && !config.pattern) {
+            UIHelper.showError('正規表現を入力してください');
+            return;
+        }
+
+        try {
+            this.app.projectSettingsManager.setPointIdScheme(config);
+        } catch (error) {
+            UIHelper.showError(error.message);
+            return;
+        }
+
+        const scheme = this.app.projectSettingsManager.getPointIdScheme();
+        const invalidIds = this.app.pointManager.getPoints()
+            .map(point => point.id)
+            .filter(id => id && !scheme.isValid(id));
+
+        if (invalidIds.length > 0) {
+            const examples = invalidIds.slice(0, 5).join(', ') + (invalidIds.length > 5 ? ' など' : '');
+            UIHelper.showWarning(`ポイントIDの形式を変更しました。形式に合わないポイントIDが${invalidIds.length}件あります: ${examples}`);
+        } else {
+            UIHelper.showMessage(`ポイントIDの形式を「${scheme.describe()}」に変更しました`);
+        }
+    }
+}
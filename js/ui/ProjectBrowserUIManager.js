@@ -0,0 +1,267 @@
+import { UIHelper } from './UIHelper.js';
+import { ImageFingerprint } from '../utils/ImageFingerprint.js';
+import { PROJECT_ROLE_LABELS } from './ProjectMembersUIManager.js';
+
+// 並べ替えの種類（選択欄の値 → 比較関数）
+const PROJECT_SORTS = {
+    updatedAt: (a, b) => b.updatedAt - a.updatedAt,
+    name: (a, b) => a.projectName.localeCompare(b.projectName, 'ja'),
+    pointCount: (a, b) => b.pointCount - a.pointCount || b.updatedAt - a.updatedAt
+};
+
+/**
+ * プロジェクト一覧ダイアログ（自分がメンバーのプロジェクトの検索・並べ替えと、画像を選んで開く操作）を管理するクラス
+ * 画像のファイル名・内容がプロジェクトの画像と異なっていても、選んだプロジェクトのデータを開ける
+ */
+export class ProjectBrowserUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.dialog = document.getElementById('projectBrowserDialog');
+        this.searchInput = document.getElementById('projectSearchInput');
+        this.sortSelect = document.getElementById('projectSortSelect');
+        this.listElement = document.getElementById('projectList');
+        this.statusElement = document.getElementById('projectBrowserStatus');
+        this.openButton = document.getElementById('projectOpenBtn');
+        // 読み込んだプロジェクトと選択中のプロジェクト
+        this.projects = [];
+        this.selectedProject = null;
+        this.isLoading = false;
+
+        if (!this.dialog) {
+            console.error('ProjectBrowserUIManager: プロジェクト一覧ダイアログの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('projectBrowserCloseBtn').addEventListener('click', () => this.hide());
+        this.openButton.addEventListener('click', () => this.openSelectedProject());
+        this.searchInput.addEventListener('input', () => this.render());
+        this.sortSelect.addEventListener('change', () => this.render());
+
+        this.listElement.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-project-id]');
+            if (!row) return;
+            this.select(this.projects.find(project => project.id === row.dataset.projectId) || null);
+        });
+        this.listElement.addEventListener('dblclick', (e) => {
+            if (e.target.closest('tr[data-project-id]')) {
+                this.openSelectedProject();
+            }
+        });
+    }
+
+    /**
+     * データベースからプロジェクト一覧を読み込んでダイアログを表示
+     */
+    async show() {
+        if (this.isLoading) {
+            UIHelper.showMessage('読み込み中です。完了までお待ちください', 'warning');
+            return;
+        }
+
+        this.isLoading = true;
+        try {
+            try {
+                if (window.connectFirebase) {
+                    await window.connectFirebase();
+                }
+            } catch (error) {
+                return;
+            }
+            if (!window.firestoreManager) {
+                UIHelper.showError('Firebase接続が利用できません');
+                return;
+            }
+
+            UIHelper.showPersistentMessage('プロジェクト一覧を読み込み中...', 'info');
+            try {
+                const projects = await window.firestoreManager.getAllProjects();
+                this.projects = projects.map(project => this._normalize(project));
+            } catch (error) {
+                console.error('プロジェクト一覧の読み込みエラー:', error);
+                UIHelper.hidePersistentMessage();
+                UIHelper.showError('プロジェクト一覧の読み込みに失敗しました');
+                return;
+            }
+            UIHelper.hidePersistentMessage();
+
+            this.searchInput.value = '';
+            this.selectedProject = null;
+            this.render();
+            this.dialog.style.display = 'flex';
+            this.searchInput.focus();
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * ダイアログを閉じる
+     */
+    hide() {
+        this.dialog.style.display = 'none';
+        this.projects = [];
+        this.selectedProject = null;
+    }
+
+    /**
+     * 検索語で絞り込み、選択中の並べ替えで並べたプロジェクトを取得
+     * @returns {Array<Object>} プロジェクト
+     */
+    getVisibleProjects() {
+        const keyword = this.searchInput.value.trim().toLowerCase();
+        const compare = PROJECT_SORTS[this.sortSelect.value] || PROJECT_SORTS.updatedAt;
+        return this.projects
+            .filter(project => !keyword ||
+                project.projectName.toLowerCase().includes(keyword) ||
+                project.id.toLowerCase().includes(keyword))
+            .sort(compare);
+    }
+
+    /**
+     * プロジェクト一覧を表に表示（選択中のプロジェクトが絞り込みで消えた場合は選択を解除）
+     */
+    render() {
+        const projects = this.getVisibleProjects();
+        if (this.selectedProject && !projects.includes(this.selectedProject)) {
+            this.selectedProject = null;
+        }
+
+        this.listElement.innerHTML = '';
+        projects.forEach(project => {
+            const row = document.createElement('tr');
+            row.dataset.projectId = project.id;
+            // 画像の内容から作ったIDは長く意味のない文字列のため表示しない
+            const name = project.projectName === project.id || ImageFingerprint.isHashProjectId(project.id)
+                ? project.projectName
+                : `${project.projectName}（${project.id}）`;
+            [
+                name,
+                PROJECT_ROLE_LABELS[project.role] || '-',
+                project.imageWidth > 0 ? `${project.imageWidth}×${project.imageHeight}` : '-',
+                project.pointCount,
+                project.routeCount,
+                project.spotCount,
+                this._formatAuthor(project.lastUpdatedBy, project.memberEmails),
+                project.updatedAt > 0 ? new Date(project.updatedAt).toLocaleString() : '-'
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.listElement.appendChild(row);
+        });
+
+        this.statusElement.textContent = this.projects.length === 0
+            ? 'メンバーになっているプロジェクトがありません'
+            : `${projects.length}件 / 全${this.projects.length}件（行を選んで「画像を選んで開く」、またはダブルクリック）`;
+        this.select(this.selectedProject);
+    }
+
+    /**
+     * プロジェクトを選択
+     * @param {Object|null} project - プロジェクト（nullの場合は選択を解除）
+     */
+    select(project) {
+        this.selectedProject = project;
+        this.listElement.querySelectorAll('tr').forEach(row => {
+            row.classList.toggle('selected', !!project && row.dataset.projectId === project.id);
+        });
+        this.openButton.disabled = !project;
+    }
+
+    /**
+     * 画像を選び、選択中のプロジェクトのデータを開く
+     * 画像のサイズがプロジェクトの画像と異なる場合は、確認のうえで開く（位置がずれるため）
+     */
+    async openSelectedProject() {
+        const project = this.selectedProject;
+        if (!project || this.app.isFilePickerActive) return;
+
+        const fileHandler = this.app.fileHandler;
+        // 選択中止・画像の不一致で開かない場合は、現在の画像のファイル名・プロジェクトIDに戻す
+        const previousIdentity = fileHandler.getImageIdentity();
+        let result;
+        this.app.isFilePickerActive = true;
+        try {
+            result = await fileHandler.selectImage();
+        } catch (error) {
+            fileHandler.restoreImageIdentity(previousIdentity);
+            if (error.message !== 'ファイル選択がキャンセルされました') {
+                UIHelper.showError('画像選択中にエラーが発生しました: ' + error.message);
+            }
+            return;
+        } finally {
+            this.app.isFilePickerActive = false;
+        }
+
+        const { image, fileName, fullFileName, imageHash } = result;
+        let proceed = true;
+        if (project.imageWidth > 0 && project.imageHeight > 0 &&
+            (image.width !== project.imageWidth || image.height !== project.imageHeight)) {
+            proceed = confirm(
+                `選んだ画像のサイズ（${image.width}×${image.height}）が、プロジェクト「${project.projectName}」の画像のサイズ（${project.imageWidth}×${project.imageHeight}）と一致しません。\n` +
+                'ポイントなどの位置がずれて表示されます。このまま開きますか？'
+            );
+        } else if (project.imageHash && imageHash && project.imageHash !== imageHash) {
+            proceed = confirm(
+                `選んだ画像は、プロジェクト「${project.projectName}」に登録されている画像と内容が異なります。\n` +
+                '保存すると、このプロジェクトは選んだ画像に結び付けられます。このまま開きますか？'
+            );
+        }
+        if (!proceed) {
+            fileHandler.restoreImageIdentity(previousIdentity);
+            UIHelper.showWarning('プロジェクトを開くのを中止しました');
+            return;
+        }
+
+        // 画像のファイル名・内容にかかわらず、選んだプロジェクトのIDで読み込み・保存する
+        fileHandler.setProjectId(project.id);
+        this.hide();
+        await this.app.processLoadedImage(image, fileName, fullFileName);
+        await this.app.handleDatabaseLoad();
+    }
+
+    /**
+     * プロジェクトメタデータを表示用に整える
+     * @param {Object} project - getAllProjects() が返したプロジェクト
+     * @returns {Object} プロジェクト（件数・日時は数値）
+     */
+    _normalize(project) {
+        const toMillis = (timestamp) => (timestamp && typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : 0);
+        return {
+            id: project.id,
+            projectName: project.projectName || project.id,
+            imageWidth: project.imageWidth || 0,
+            imageHeight: project.imageHeight || 0,
+            imageHash: project.imageHash || '',
+            role: window.firestoreManager.getProjectRole(project),
+            pointCount: project.pointCount || 0,
+            routeCount: project.routeCount || 0,
+            spotCount: project.spotCount || 0,
+            lastUpdatedBy: project.lastUpdatedBy || '',
+            memberEmails: project.memberEmails || {},
+            updatedAt: toMillis(project.updatedAt)
+        };
+    }
+
+    /**
+     * 最終更新者を表示用の文字列に変換
+     * @param {string} userId - ユーザーID
+     * @param {Object} memberEmails - ユーザーID → メールアドレス（メンバーの場合はメールアドレスを表示）
+     * @returns {string} 表示名
+     */
+    _formatAuthor(userId, memberEmails = {}) {
+        if (!userId) return '-';
+        if (window.firestoreManager && userId === window.firestoreManager.userId) return '自分';
+        return memberEmails[userId] || `ユーザー${userId.slice(0, 6)}`;
+    }
+}
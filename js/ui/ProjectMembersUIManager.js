@@ -0,0 +1,261 @@
+import { UIHelper } from './UIHelper.js';
+import { PROJECT_ROLES } from '../firebase/FirestoreDataManager.js';
+
+// ロールの表示名
+export const PROJECT_ROLE_LABELS = {
+    owner: '所有者',
+    editor: '編集者',
+    viewer: '閲覧者'
+};
+
+/**
+ * プロジェクトのメンバーダイアログ（メンバーとロールの一覧、所有者によるメンバーの追加・ロールの変更・削除）を管理するクラス
+ * メンバーはメールアドレスで追加する（追加できるのは、ログインしてメールアドレスを確認済みのユーザー）
+ */
+export class ProjectMembersUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.dialog = document.getElementById('projectMembersDialog');
+        this.listElement = document.getElementById('projectMemberList');
+        this.statusElement = document.getElementById('projectMembersStatus');
+        this.emailInput = document.getElementById('projectMemberEmailInput');
+        this.roleSelect = document.getElementById('projectMemberRoleSelect');
+        this.addButton = document.getElementById('projectMemberAddBtn');
+        this.saveButton = document.getElementById('projectMembersSaveBtn');
+        // 表示中のプロジェクトと、編集中のメンバー（「変更を保存」で反映）
+        this.projectId = null;
+        this.members = {};
+        this.memberEmails = {};
+        this.isOwner = false;
+        this.isLoading = false;
+
+        if (!this.dialog) {
+            console.error('ProjectMembersUIManager: メンバーダイアログの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('projectMembersCloseBtn').addEventListener('click', () => this.hide());
+        this.addButton.addEventListener('click', () => this.addMember());
+        this.saveButton.addEventListener('click', () => this.save());
+        this.emailInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addMember();
+            }
+        });
+
+        this.listElement.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-uid]');
+            if (!select) return;
+            this.members[select.dataset.uid] = select.value;
+            this.render();
+        });
+        this.listElement.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-uid]');
+            if (!button) return;
+            delete this.members[button.dataset.uid];
+            delete this.memberEmails[button.dataset.uid];
+            this.render();
+        });
+    }
+
+    /**
+     * 現在の画像のプロジェクトのメンバーを読み込んでダイアログを表示
+     */
+    async show() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('先に画像を読み込んでください');
+            return;
+        }
+        if (this.isLoading) {
+            UIHelper.showMessage('読み込み中です。完了までお待ちください', 'warning');
+            return;
+        }
+
+        this.isLoading = true;
+        try {
+            try {
+                if (window.connectFirebase) {
+                    await window.connectFirebase();
+                }
+            } catch (error) {
+                return;
+            }
+            if (!window.firestoreManager) {
+                UIHelper.showError('Firebase接続が利用できません');
+                return;
+            }
+
+            UIHelper.showPersistentMessage('メンバーを読み込み中...', 'info');
+            let projectId;
+            let metadata;
+            try {
+                projectId = await this.app.firebaseSyncManager.resolveProjectId();
+                metadata = await window.firestoreManager.getProjectMetadata(projectId);
+            } catch (error) {
+                console.error('メンバーの読み込みエラー:', error);
+                UIHelper.hidePersistentMessage();
+                UIHelper.showError(error.code === 'permission-denied'
+                    ? 'このプロジェクトのメンバーではないため、メンバーを表示できません'
+                    : 'メンバーの読み込みに失敗しました');
+                return;
+            }
+            UIHelper.hidePersistentMessage();
+
+            if (!metadata || !metadata.members) {
+                UIHelper.showWarning(metadata
+                    ? 'このプロジェクトにはメンバーが設定されていません。\n保存すると、保存したユーザーが所有者になります'
+                    : 'このプロジェクトはまだデータベースに保存されていません。\n保存すると、あなたが所有者になります');
+                return;
+            }
+
+            this.projectId = projectId;
+            this.members = { ...metadata.members };
+            this.memberEmails = { ...(metadata.memberEmails || {}) };
+            this.isOwner = metadata.members[window.firestoreManager.userId] === 'owner';
+            this.app.firebaseSyncManager.setProjectRole(window.firestoreManager.getProjectRole(metadata));
+            this.emailInput.value = '';
+            this.render();
+            this.dialog.style.display = 'flex';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * ダイアログを閉じる（保存していない変更は破棄）
+     */
+    hide() {
+        this.dialog.style.display = 'none';
+        this.projectId = null;
+        this.members = {};
+        this.memberEmails = {};
+    }
+
+    /**
+     * メンバーの一覧を表に表示（所有者はロールの変更・削除ができる）
+     */
+    render() {
+        const userId = window.firestoreManager ? window.firestoreManager.userId : null;
+        // 所有者・編集者・閲覧者の順、同じロールはメールアドレス順
+        const uids = Object.keys(this.members).sort((a, b) =>
+            PROJECT_ROLES.indexOf(this.members[a]) - PROJECT_ROLES.indexOf(this.members[b]) ||
+            this._formatMember(a).localeCompare(this._formatMember(b), 'ja'));
+
+        this.listElement.innerHTML = '';
+        uids.forEach(uid => {
+            const row = document.createElement('tr');
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = uid === userId ? `${this._formatMember(uid)}（自分）` : this._formatMember(uid);
+            row.appendChild(nameCell);
+
+            const roleCell = document.createElement('td');
+            if (this.isOwner) {
+                const select = document.createElement('select');
+                select.dataset.uid = uid;
+                PROJECT_ROLES.forEach(role => {
+                    const option = document.createElement('option');
+                    option.value = role;
+                    option.textContent = PROJECT_ROLE_LABELS[role];
+                    select.appendChild(option);
+                });
+                select.value = this.members[uid];
+                roleCell.appendChild(select);
+            } else {
+                roleCell.textContent = PROJECT_ROLE_LABELS[this.members[uid]] || this.members[uid];
+            }
+            row.appendChild(roleCell);
+
+            const actionCell = document.createElement('td');
+            if (this.isOwner) {
+                const removeButton = document.createElement('button');
+                removeButton.type = 'button';
+                removeButton.dataset.uid = uid;
+                removeButton.textContent = '削除';
+                actionCell.appendChild(removeButton);
+            }
+            row.appendChild(actionCell);
+            this.listElement.appendChild(row);
+        });
+
+        this.statusElement.textContent = this.isOwner
+            ? `${uids.length}人のメンバー。所有者はメンバーの追加・ロールの変更・削除ができます（「変更を保存」で反映）。\n編集者は保存でき、閲覧者は閲覧のみです`
+            : `${uids.length}人のメンバー。メンバーを変更できるのは所有者のみです`;
+        [this.emailInput, this.roleSelect, this.addButton, this.saveButton].forEach(element => {
+            element.disabled = !this.isOwner;
+        });
+    }
+
+    /**
+     * 入力したメールアドレスのユーザーを、選んだロールでメンバーに追加（「変更を保存」で反映）
+     */
+    async addMember() {
+        if (!this.isOwner) return;
+        const email = this.emailInput.value.trim().toLowerCase();
+        if (!email) {
+            UIHelper.showWarning('追加するユーザーのメールアドレスを入力してください');
+            return;
+        }
+
+        let user;
+        try {
+            user = await window.firestoreManager.findUserByEmail(email);
+        } catch (error) {
+            UIHelper.showError('ユーザーの検索に失敗しました');
+            return;
+        }
+        if (!user) {
+            UIHelper.showWarning(`${email} のユーザーが見つかりません。\nログインしてメールアドレスを確認済みのユーザーのみ追加できます`);
+            return;
+        }
+
+        this.members[user.uid] = this.roleSelect.value;
+        this.memberEmails[user.uid] = user.email;
+        this.emailInput.value = '';
+        this.render();
+    }
+
+    /**
+     * 編集したメンバーをデータベースに保存
+     */
+    async save() {
+        if (!this.isOwner || !this.projectId) return;
+        if (!Object.values(this.members).includes('owner')) {
+            UIHelper.showWarning('所有者を1人以上残してください');
+            return;
+        }
+
+        try {
+            await window.firestoreManager.updateProjectMembers(this.projectId, this.members, this.memberEmails);
+        } catch (error) {
+            UIHelper.showError(error.code === 'permission-denied'
+                ? 'メンバーを変更する権限がありません'
+                : 'メンバーの保存に失敗しました');
+            return;
+        }
+
+        // 自分のロールを変えた・自分を削除した場合は、編集できるかどうかに反映する
+        this.app.firebaseSyncManager.setProjectRole(this.members[window.firestoreManager.userId] || null);
+        this.hide();
+        UIHelper.showMessage('メンバーを保存しました', 'success');
+    }
+
+    /**
+     * メンバーを表示用の文字列に変換
+     * @param {string} uid - ユーザーID
+     * @returns {string} メールアドレス（不明の場合は「ユーザー」とIDの先頭）
+     */
+    _formatMember(uid) {
+        return this.memberEmails[uid] || `ユーザー${uid.slice(0, 6)}`;
+    }
+}
@@ -0,0 +1,219 @@
+import { UIHelper } from './UIHelper.js';
+import { RouteReferenceIndex } from '../data/RouteReferenceIndex.js';
+
+/**
+ * ポイントID・スポット名の変更・削除時に、ルートの開始・終了ポイントの参照を保つクラス
+ * - 名前の変更: 参照しているルートの開始・終了ポイントを新しい名前に付け替える
+ * - 削除: 参照しているルートを一覧表示し、付け替え・ルート削除・キャンセルを選択させる
+ */
+export class ReferenceIntegrityUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.referenceIndex = new RouteReferenceIndex(app.pointManager, app.spotManager, app.routeManager);
+        // 削除確認ダイアログの表示中フラグ（表示中の入力ボックスのblurを無視するため）
+        this.isConfirming = false;
+    }
+
+    /**
+     * ポイントID・スポット名の変更をルートの開始・終了ポイントに反映
+     * 元の名前を持つポイント・スポットが他に残っている場合は参照が切れないため付け替えない
+     * @param {string} oldName - 変更前の名前
+     * @param {string} newName - 変更後の名前
+     * @returns {number} 付け替えたルート数
+     */
+    cascadeRename(oldName, newName) {
+        if (!oldName || !newName || oldName === newName) return 0;
+        if (this.referenceIndex.countNamedObjects(oldName) > 0) return 0;
+        if (this.referenceIndex.getReferencingRoutes(oldName).length === 0) return 0;
+
+        const count = this.app.routeManager.replaceEndpointId(oldName, newName);
+        if (count > 0) {
+            UIHelper.showMessage(`ルート${count}本の開始・終了ポイントを「${oldName}」から「${newName}」に変更しました`);
+        }
+        return count;
+    }
+
+    /**
+     * ポイントを削除（ルートから参照されている場合は確認する）
+     * @param {number} index - ポイントのインデックス
+     * @param {string} previousId - 編集前のポイントID（入力中に空にした場合の参照確認に使用）
+     * @returns {Promise<boolean>} 削除した場合true
+     */
+    async removePoint(index, previousId) {
+        const pointManager = this.app.pointManager;
+        const point = pointManager.getPoints()[index];
+        if (!point) return false;
+
+        return this._removeWithReferenceCheck({
+            label: 'ポイント',
+            object: point,
+            name: previousId || point.id,
+            findIndex: () => pointManager.getPoints().indexOf(point),
+            remove: (currentIndex) => pointManager.removePoint(currentIndex),
+            restoreName: (currentIndex, name) => pointManager.updatePointId(currentIndex, name)
+        });
+    }
+
+    /**
+     * スポットを削除（ルートから参照されている場合は確認する）
+     * @param {number} index - スポットのインデックス
+     * @param {string} previousName - 編集前のスポット名（入力中に空にした場合の参照確認に使用）
+     * @returns {Promise<boolean>} 削除した場合true
+     */
+    async removeSpot(index, previousName) {
+        const spotManager = this.app.spotManager;
+        const spot = spotManager.getSpots()[index];
+        if (!spot) return false;
+
+        return this._removeWithReferenceCheck({
+            label: 'スポット',
+            object: spot,
+            name: previousName || spot.name,
+            findIndex: () => spotManager.getSpots().indexOf(spot),
+            remove: (currentIndex) => spotManager.removeSpot(currentIndex),
+            restoreName: (currentIndex, name) => spotManager.updateSpotName(currentIndex, name)
+        });
+    }
+
+    /**
+     * 参照しているルートがあれば確認ダイアログを表示し、選択に従って削除する
+     * ルートの変更と削除は1件の履歴として記録する
+     * @param {Object} target - 削除対象 { label, object, name, findIndex, remove, restoreName }
+     * @returns {Promise<boolean>} 削除した場合true
+     */
+    async _removeWithReferenceCheck(target) {
+        const { label, name } = target;
+        // 同じ名前のポイント・スポットが他にあれば参照は切れない
+        const references = this.referenceIndex.countNamedObjects(name, target.object) > 0
+            ? []
+            : this.referenceIndex.getReferencingRoutes(name);
+
+        if (references.length === 0) {
+            const index = target.findIndex();
+            if (index < 0) return false;
+            target.remove(index);
+            return true;
+        }
+
+        this.isConfirming = true;
+        let choice;
+        try {
+            choice = await this.showRemovalDialog(label, name, references);
+        } finally {
+            this.isConfirming = false;
+        }
+
+        const index = target.findIndex();
+        if (index < 0) return false;
+
+        if (!choice) {
+            // キャンセル時は入力中に空にした名前を元に戻す
+            target.restoreName(index, name);
+            return false;
+        }
+
+        const history = this.app.historyManager;
+        history.beginGroup(`${label}削除`);
+        try {
+            const routeIndices = references.map(ref => ref.index);
+            if (choice.action === 'reassign') {
+                this.app.routeManager.replaceEndpointId(name, choice.target, routeIndices);
+            } else {
+                this.app.routeManager.deleteRoutes(routeIndices);
+            }
+            target.remove(index);
+        } finally {
+            history.endGroup();
+        }
+
+        UIHelper.showMessage(choice.action === 'reassign'
+            ? `${label}「${name}」を削除し、ルート${references.length}本の開始・終了ポイントを「${choice.target}」に付け替えました`
+            : `${label}「${name}」と、参照していたルート${references.length}本を削除しました`);
+        return true;
+    }
+
+    /**
+     * 参照されているポイント・スポットの削除確認ダイアログを表示
+     * @param {string} label - 'ポイント' | 'スポット'
+     * @param {string} name - 削除するポイントID・スポット名
+     * @param {Array<{routeName: string, ends: Array<string>}>} references - 参照しているルート
+     * @returns {Promise<{action: string, target?: string}|null>} 選択結果（キャンセル時はnull）
+     */
+    showRemovalDialog(label, name, references) {
+        return new Promise((resolve) => {
+            const dialog = document.getElementById('referencedRemovalDialog');
+            const okBtn = document.getElementById('referencedRemovalOkBtn');
+            const cancelBtn = document.getElementById('referencedRemovalCancelBtn');
+            const reassignRadio = document.getElementById('referencedRemovalReassign');
+            const deleteRoutesRadio = document.getElementById('referencedRemovalDeleteRoutes');
+            const targetSelect = document.getElementById('referencedRemovalTargetSelect');
+            const routeList = document.getElementById('referencedRemovalRouteList');
+
+            document.getElementById('referencedRemovalTitle').textContent = `${label}の削除`;
+            document.getElementById('referencedRemovalMessage').textContent =
+                `${label}「${name}」は次のルートの開始・終了ポイントに使われています`;
+
+            routeList.innerHTML = '';
+            references.forEach(ref => {
+                const item = document.createElement('li');
+                const ends = ref.ends.map(end => (end === 'start' ? '開始' : '終了')).join('・');
+                item.textContent = `${ref.routeName}（${ends}）`;
+                routeList.appendChild(item);
+            });
+
+            // 付け替え先の候補（ポイントID・スポット名）
+            const { pointIds, spotNames } = this.referenceIndex.getReplacementCandidates(name);
+            targetSelect.innerHTML = '';
+            [['ポイント', pointIds], ['スポット', spotNames]].forEach(([groupLabel, names]) => {
+                if (names.length === 0) return;
+                const group = document.createElement('optgroup');
+                group.label = groupLabel;
+                names.forEach(candidate => {
+                    const option = document.createElement('option');
+                    option.value = candidate;
+                    option.textContent = candidate;
+                    group.appendChild(option);
+                });
+                targetSelect.appendChild(group);
+            });
+
+            const canReassign = pointIds.length + spotNames.length > 0;
+            reassignRadio.disabled = !canReassign;
+            targetSelect.disabled = !canReassign;
+            reassignRadio.checked = canReassign;
+            deleteRoutesRadio.checked = !canReassign;
+
+            dialog.style.display = 'flex';
+
+            const cleanup = () => {
+                dialog.style.display = 'none';
+                okBtn.removeEventListener('click', onOk);
+                cancelBtn.removeEventListener('click', onCancel);
+                targetSelect.removeEventListener('change', onSelectTarget);
+            };
+
+            const onSelectTarget = () => {
+                reassignRadio.checked = true;
+            };
+
+            const onOk = () => {
+                cleanup();
+                resolve(reassignRadio.checked
+                    ? { action: 'reassign', target: targetSelect.value }
+                    : { action: 'deleteRoutes' });
+            };
+
+            const onCancel = () => {
+                cleanup();
+                resolve(null);
+            };
+
+            okBtn.addEventListener('click', onOk);
+            cancelBtn.addEventListener('click', onCancel);
+            targetSelect.addEventListener('change', onSelectTarget);
+        });
+    }
+}
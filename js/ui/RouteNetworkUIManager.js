@@ -0,0 +1,186 @@
+import { UIHelper } from './UIHelper.js';
+import { PanelDragHandler } from './PanelDragHandler.js';
+import { RouteNetwork } from '../data/RouteNetwork.js';
+
+/**
+ * 経路検索パネルを管理するクラス
+ * ルートをつないだ経路網で2地点間の最短経路を求めてキャンバス上に強調表示し、
+ * 到達できない地点と重複ルートを一覧表示する
+ */
+export class RouteNetworkUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.network = new RouteNetwork(app.routeManager, (id) => app.resolveRouteEndpointCoord(id));
+        // 強調表示中の最短経路（画像座標の折れ線）
+        this.highlightPath = null;
+
+        this.panel = document.getElementById('routeNetworkPanel');
+        this.fromSelect = document.getElementById('routeNetworkFromSelect');
+        this.toSelect = document.getElementById('routeNetworkToSelect');
+        this.resultElement = document.getElementById('routeNetworkResult');
+
+        if (!this.panel) {
+            console.error('RouteNetworkUIManager: パネルの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('routeNetworkCloseBtn').addEventListener('click', () => this.hide());
+        document.getElementById('routeNetworkSearchBtn').addEventListener('click', () => this.search());
+        this.fromSelect.addEventListener('change', () => this.renderUnreachable());
+
+        // ヘッダーをドラッグしてパネルを移動できるようにする
+        this.dragHandler = new PanelDragHandler(this.panel, document.getElementById('routeNetworkPanelHeader'));
+    }
+
+    /**
+     * 強調表示中の最短経路を取得（キャンバスの再描画用）
+     * @returns {Array<{x: number, y: number}>|null} 折れ線（非表示の場合はnull）
+     */
+    getHighlightPath() {
+        return this.highlightPath;
+    }
+
+    /**
+     * パネルを表示
+     * 選択中のルートがあれば、その開始・終了ポイントを出発・目的地点の初期値にする
+     */
+    show() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('画像を読み込んでください');
+            return;
+        }
+        if (this.app.routeManager.getAllRoutes().length === 0) {
+            UIHelper.showWarning('ルートがありません。先にルートを作成してください');
+            return;
+        }
+
+        const route = this.app.routeManager.getSelectedRoute();
+        this.updateSelects(route ? route.startPointId : this.fromSelect.value, route ? route.endPointId : this.toSelect.value);
+        this.renderDuplicates();
+        this.resultElement.textContent = '';
+        this.renderUnreachable();
+        this.panel.style.display = 'flex';
+    }
+
+    /**
+     * パネルを閉じて強調表示を消す
+     */
+    hide() {
+        this.panel.style.display = 'none';
+        this.setHighlightPath(null);
+    }
+
+    /**
+     * 出発・目的地点の選択肢（経路網に含まれるポイントID・スポット名）を更新
+     * @param {string} fromValue - 出発地点の初期値
+     * @param {string} toValue - 目的地点の初期値
+     */
+    updateSelects(fromValue, toValue) {
+        const { nodes } = this.network.build();
+        const names = [...nodes.keys()].sort();
+        [[this.fromSelect, fromValue], [this.toSelect, toValue]].forEach(([select, value]) => {
+            select.innerHTML = '';
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            if (names.includes(value)) select.value = value;
+        });
+    }
+
+    /**
+     * 最短経路を検索して結果を表示
+     */
+    search() {
+        const from = this.fromSelect.value;
+        const to = this.toSelect.value;
+        if (!from || !to) {
+            UIHelper.showWarning('出発地点と目的地点を選択してください');
+            return;
+        }
+
+        const result = this.network.findShortestPath(from, to);
+        if (!result) {
+            this.resultElement.textContent = `「${from}」から「${to}」へはルートがつながっていないため到達できません`;
+            this.setHighlightPath(null);
+        } else {
+            const routeLines = result.routes.map(route => `・${route.routeName}${route.reversed ? '（逆向き）' : ''}`);
+            this.resultElement.textContent = [
+                `経路長: ${Math.round(result.length)}（ルート${result.routes.length}本、経由: ${result.nodes.join(' → ')}）`,
+                ...routeLines
+            ].join('\n');
+            this.setHighlightPath(result.path);
+        }
+        this.renderUnreachable();
+    }
+
+    /**
+     * 出発地点から到達できないポイント・スポットを一覧表示
+     */
+    renderUnreachable() {
+        const from = this.fromSelect.value;
+        const summary = document.getElementById('routeNetworkUnreachableSummary');
+        const list = document.getElementById('routeNetworkUnreachableList');
+        list.innerHTML = '';
+        if (!from) {
+            summary.textContent = '';
+            return;
+        }
+
+        const candidates = [
+            ...this.app.pointManager.getRegisteredIds(),
+            ...this.app.spotManager.getSpots().map(spot => spot.name)
+        ];
+        const unreachable = this.network.findUnreachable(from, candidates);
+        summary.textContent = unreachable.length === 0
+            ? `「${from}」からすべてのポイント・スポットに到達できます`
+            : `「${from}」から到達できない地点: ${unreachable.length}件`;
+        unreachable.forEach(name => {
+            const item = document.createElement('li');
+            item.textContent = name;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 重複ルート（開始・終了ポイントの組が同じ、逆向きを含む）を一覧表示
+     */
+    renderDuplicates() {
+        const list = document.getElementById('routeNetworkDuplicateList');
+        list.innerHTML = '';
+        const groups = this.network.findDuplicateRoutes();
+        if (groups.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'なし';
+            list.appendChild(item);
+            return;
+        }
+        groups.forEach(group => {
+            const item = document.createElement('li');
+            item.textContent = group
+                .map(route => `${route.routeName}${route.reversed ? '（逆向き）' : ''}`)
+                .join(' / ');
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 強調表示する経路を設定して再描画
+     * @param {Array<{x: number, y: number}>|null} path - 折れ線（nullで消去）
+     */
+    setHighlightPath(path) {
+        this.highlightPath = path;
+        this.app.redrawCanvas();
+    }
+}
@@ -52,6 +52,11 @@ export class RouteUIManager {
      * @returns {string} 設定された値
      */
     handleRoutePointBlur(inputValue, pointType, previousValue) {
+        // 閲覧のみの場合は入力を反映せず元の値に戻す
+        if (this.app.isReadOnly()) {
+            return previousValue || '';
+        }
+
         const isStartPoint = pointType === 'start';
         const setPointMethod = isStartPoint ? 'setStartPoint' : 'setEndPoint';
         const pointLabel = isStartPoint ? '開始ポイント' : '終了ポイント';
@@ -134,6 +139,8 @@ export class RouteUIManager {
      * 新しいルートを追加
      */
     handleAddRoute() {
+        if (!this.app.ensureWritable()) return;
+
         const newRoute = {
             routeName: `ルート${this.app.routeManager.getAllRoutes().length + 1}`,
             startPointId: '',
@@ -194,6 +201,8 @@ export class RouteUIManager {
      * 「保存」（Firebase）や「出力」（JSON）にもそのまま反映される。
      */
     handleOptimizeRoute() {
+        if (!this.app.ensureWritable()) return;
+
         // 「ルート経路を描画」チェックがオンの場合のみ動作
         const showRoutePathCheckbox = document.getElementById('showRoutePathCheckbox');
         if (!showRoutePathCheckbox || !showRoutePathCheckbox.checked) {
@@ -237,11 +246,17 @@ export class RouteUIManager {
             return;
         }
 
-        // 各ルートを順に最適化して結果を集計
-        const results = allRoutes.map((route, index) => {
-            const routeName = route.routeName || `${route.startPointId} ～ ${route.endPointId}`;
-            return { routeName, outcome: this._optimizeRouteAt(index) };
-        });
+        // 各ルートを順に最適化して結果を集計（全ルート分を1件の履歴としてまとめる）
+        this.app.historyManager.beginGroup('全ルート最適化');
+        let results;
+        try {
+            results = allRoutes.map((route, index) => {
+                const routeName = route.routeName || `${route.startPointId} ～ ${route.endPointId}`;
+                return { routeName, outcome: this._optimizeRouteAt(index) };
+            });
+        } finally {
+            this.app.historyManager.endGroup();
+        }
 
         // 結果一覧を作成（最適化済み＝すでに最適だったルートは出力対象外）
         const lines = results
@@ -316,6 +331,7 @@ export class RouteUIManager {
      * 選択中のルートを削除
      */
     async handleDeleteRoute() {
+        if (!this.app.ensureWritable()) return;
         const selectedIndex = this.app.routeManager.selectedRouteIndex;
         if (selectedIndex < 0) {
             UIHelper.showError('ルートが選択されていません');
@@ -344,7 +360,8 @@ export class RouteUIManager {
         const startPointInput = document.getElementById('startPointInput');
         const endPointInput = document.getElementById('endPointInput');
 
-        if (editable) {
+        // 閲覧のみの間は常に読み取り専用
+        if (editable && !this.app.isReadOnly()) {
             startPointInput.removeAttribute('readonly');
             endPointInput.removeAttribute('readonly');
         } else {
@@ -359,13 +376,11 @@ export class RouteUIManager {
      */
     handleRoutePointEditRequest(pointType) {
         const selectedRoute = this.app.routeManager.getSelectedRoute();
-        if (!selectedRoute) return;
+        if (!selectedRoute || !this.app.ensureWritable()) return;
 
         // 中間点をクリア
         if (selectedRoute.routePoints && selectedRoute.routePoints.length > 0) {
-            selectedRoute.routePoints = [];
-            this.app.routeManager.notify('onCountChange', 0);
-            this.app.routeManager.notify('onChange');
+            this.app.routeManager.clearRoutePoints();
         }
 
         // 入力を編集可能にする
@@ -0,0 +1,439 @@
+import { UIHelper } from './UIHelper.js';
+import { Validators } from '../utils/Validators.js';
+import { SELECTION_TYPES } from '../data/SelectionManager.js';
+
+// 選択中のオブジェクトの種類 → 表示名・数え方
+const SELECTION_LABELS = {
+    point: { label: 'ポイント', counter: '件' },
+    spot: { label: 'スポット', counter: '件' },
+    routePoint: { label: '中間点', counter: '個' },
+    vertex: { label: '頂点', counter: '個' }
+};
+
+// 削除確認に名前を並べる上限（超えた分は件数で表示）
+const MAX_LISTED_NAMES = 10;
+
+/**
+ * 複数選択したオブジェクトの操作（矢印キーでの移動・一括削除・ポイントIDの接頭辞の一括変更）と、
+ * 選択状態の表示（編集パネルの選択バー・キャンバスの強調表示）を管理するクラス
+ * キャンバス上での選択（Shift+クリック・Shift+ドラッグ）と、まとめてのドラッグはCanvasEventHandlerが行う
+ */
+export class SelectionUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.bar = document.getElementById('selectionBar');
+        // 選択バーを作り直すかどうかの判定用（選択の種類と数）
+        this.renderSignature = '';
+
+        if (!this.bar) {
+            console.error('SelectionUIManager: 選択バーの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('selectionReprefixBtn').addEventListener('click', () => this.reprefixPointIds());
+        document.getElementById('selectionDeleteBtn').addEventListener('click', () => this.deleteSelection());
+        document.getElementById('selectionClearBtn').addEventListener('click', () => this.app.selectionManager.clear());
+
+        // Delete / Backspace: 一括削除、矢印キー: 移動（Shiftで10px）、Esc: 選択解除
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (!this.app.currentImage || this.app.selectionManager.getCount() === 0) return;
+
+            // 入力欄の編集中は通常のキー操作を優先
+            const target = e.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+                target.tagName === 'SELECT' || target.isContentEditable)) {
+                return;
+            }
+
+            const step = e.shiftKey ? 10 : 1;
+            const moves = {
+                ArrowLeft: [-step, 0],
+                ArrowRight: [step, 0],
+                ArrowUp: [0, -step],
+                ArrowDown: [0, step]
+            };
+            if (moves[e.key]) {
+                e.preventDefault();
+                this.moveSelection(...moves[e.key]);
+            } else if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                this.deleteSelection();
+            } else if (e.key === 'Escape') {
+                this.app.selectionManager.clear();
+            }
+        });
+    }
+
+    /**
+     * 現在の編集モードで選択できるオブジェクトの種類を取得
+     * @returns {string|null} 'point' | 'spot' | 'routePoint' | 'vertex'
+     */
+    getCurrentType() {
+        return SELECTION_TYPES[this.app.layoutManager.getCurrentEditingMode()] || null;
+    }
+
+    /**
+     * 選択対象のオブジェクトの配列を取得
+     * @param {string} type - オブジェクトの種類
+     * @returns {Array<Object>} オブジェクト配列（中間点・頂点は選択中のルート・エリアのもの）
+     */
+    getSelectableObjects(type) {
+        if (type === 'point') return this.app.pointManager.getPoints();
+        if (type === 'spot') return this.app.spotManager.getSpots();
+        if (type === 'routePoint') {
+            const route = this.app.routeManager.getSelectedRoute();
+            return (route && route.routePoints) || [];
+        }
+        if (type === 'vertex') {
+            const area = this.app.areaManager.getSelectedArea();
+            return (area && area.vertices) || [];
+        }
+        return [];
+    }
+
+    /**
+     * 現在の編集モードの対象レイヤーを編集できるか（警告は表示しない）
+     * @returns {boolean} 編集できる場合true
+     */
+    isCurrentLayerEditable() {
+        const layers = this.app.layerManager;
+        const mode = this.app.layoutManager.getCurrentEditingMode();
+        if (mode === 'point') return layers.isEditable('points');
+        if (mode === 'spot') return layers.isEditable('spots');
+        if (mode === 'route') return layers.isRouteEditable(this.app.routeManager.getSelectedRoute());
+        if (mode === 'area') return layers.isAreaEditable(this.app.areaManager.getSelectedArea());
+        return false;
+    }
+
+    /**
+     * 選択中のオブジェクトのインデックスを取得
+     * @returns {Array<number>} インデックス配列（昇順）
+     */
+    getSelectedIndices() {
+        const selection = this.app.selectionManager;
+        return selection.getIndices(this.getSelectableObjects(selection.getType()));
+    }
+
+    /**
+     * オブジェクトの選択を切り替え（Shift+クリック）
+     * @param {string} type - オブジェクトの種類
+     * @param {number} index - オブジェクトのインデックス
+     */
+    toggle(type, index) {
+        const item = this.getSelectableObjects(type)[index];
+        if (item) {
+            this.app.selectionManager.toggle(type, item);
+        }
+    }
+
+    /**
+     * 矩形内の現在の編集モードのオブジェクトを選択に追加（Shift+ドラッグ）
+     * @param {number} x1 - 矩形の開始点X座標
+     * @param {number} y1 - 矩形の開始点Y座標
+     * @param {number} x2 - 矩形の終了点X座標
+     * @param {number} y2 - 矩形の終了点Y座標
+     * @returns {number} 矩形内にあったオブジェクトの数
+     */
+    selectInRectangle(x1, y1, x2, y2) {
+        const mode = this.app.layoutManager.getCurrentEditingMode();
+        const type = this.getCurrentType();
+        if (!type || !this.app.canvasEventHandler.ensureLayerEditable(mode)) return 0;
+
+        if (mode === 'route' && !this.app.routeManager.getSelectedRoute()) {
+            UIHelper.showWarning('ルートが選択されていません。ルートを選択または追加してください');
+            return 0;
+        }
+        if (mode === 'area' && !this.app.areaManager.getSelectedArea()) {
+            UIHelper.showWarning('頂点を選択するには、まずエリアを選択してください');
+            return 0;
+        }
+
+        const left = Math.min(x1, x2);
+        const right = Math.max(x1, x2);
+        const top = Math.min(y1, y2);
+        const bottom = Math.max(y1, y2);
+        const items = this.getSelectableObjects(type)
+            .filter(item => item.x >= left && item.x <= right && item.y >= top && item.y <= bottom);
+
+        if (items.length === 0) {
+            UIHelper.showWarning(`範囲内に${SELECTION_LABELS[type].label}が見つかりませんでした`);
+            return 0;
+        }
+        this.app.selectionManager.add(type, items);
+        return items.length;
+    }
+
+    /**
+     * 編集モードの切り替え・削除・元に戻す等で選択対象でなくなったオブジェクトを選択から外し、選択バーを更新
+     * 描画のたびに呼ぶ
+     */
+    refresh() {
+        const selection = this.app.selectionManager;
+        const type = this.isCurrentLayerEditable() ? this.getCurrentType() : null;
+        selection.prune(type, this.getSelectableObjects(type));
+        this.updateBar();
+    }
+
+    /**
+     * キャンバスに強調表示する選択状態を取得
+     * @returns {{type: string, items: Array<Object>}|null} 選択状態（未選択の場合はnull）
+     */
+    getRenderSelection() {
+        const selection = this.app.selectionManager;
+        return selection.getCount() > 0 ? { type: selection.getType(), items: selection.getItems() } : null;
+    }
+
+    /**
+     * 選択バー（選択数と操作ボタン）を更新
+     */
+    updateBar() {
+        if (!this.bar) return;
+        const selection = this.app.selectionManager;
+        const type = selection.getType();
+        const count = selection.getCount();
+        const signature = `${type}:${count}`;
+        if (signature === this.renderSignature) return;
+        this.renderSignature = signature;
+
+        if (count === 0) {
+            this.bar.style.display = 'none';
+            return;
+        }
+        const { label, counter } = SELECTION_LABELS[type];
+        document.getElementById('selectionSummary').textContent = `${label}を${count}${counter}選択中`;
+        document.getElementById('selectionReprefixBtn').style.display = type === 'point' ? '' : 'none';
+        this.bar.style.display = 'flex';
+    }
+
+    /**
+     * 選択中のオブジェクトをまとめて移動（矢印キー）
+     * @param {number} dx - X方向の移動量（画像座標）
+     * @param {number} dy - Y方向の移動量（画像座標）
+     */
+    moveSelection(dx, dy) {
+        const type = this.app.selectionManager.getType();
+        const mode = this.app.layoutManager.getCurrentEditingMode();
+        if (!type || !this.app.canvasEventHandler.ensureLayerEditable(mode)) return;
+
+        const indices = this.getSelectedIndices();
+        if (type === 'point') {
+            this.app.pointManager.movePoints(indices, dx, dy);
+        } else if (type === 'spot') {
+            this.app.spotManager.moveSpots(indices, dx, dy);
+        } else if (type === 'routePoint') {
+            this.app.routeManager.moveRoutePoints(indices, dx, dy);
+            // Firebase連携: ルート更新
+            this.app.routeUIManager.handleSaveRoute();
+        } else if (type === 'vertex') {
+            this.app.areaManager.moveVertices(indices, dx, dy);
+        }
+    }
+
+    /**
+     * 選択中のオブジェクトを確認後にまとめて削除
+     * ポイント・スポットの削除で開始・終了ポイントの参照が切れるルートは、確認に含めて一緒に削除する
+     */
+    async deleteSelection() {
+        const selection = this.app.selectionManager;
+        const type = selection.getType();
+        const mode = this.app.layoutManager.getCurrentEditingMode();
+        if (!type || !this.app.canvasEventHandler.ensureLayerEditable(mode)) return;
+
+        const indices = this.getSelectedIndices();
+        if (indices.length === 0) return;
+        const { label, counter } = SELECTION_LABELS[type];
+
+        if (type === 'point' || type === 'spot') {
+            this._deleteNamedObjects(type, indices);
+            return;
+        }
+
+        const lines = [];
+        if (type === 'routePoint') {
+            const route = this.app.routeManager.getSelectedRoute();
+            lines.push(`ルート「${route.routeName || ''}」の${label}${indices.length}${counter}を削除しますか？`);
+        } else {
+            const area = this.app.areaManager.getSelectedArea();
+            lines.push(`エリア「${area.areaName || ''}」の${label}${indices.length}${counter}を削除しますか？`);
+            const rest = area.vertices.length - indices.length;
+            if (rest < 3) {
+                lines.push(`（削除後の頂点は${rest}個になります。エリアには3個以上の頂点が必要です）`);
+            }
+        }
+        if (!confirm(lines.join('\n'))) {
+            UIHelper.showMessage('削除をキャンセルしました');
+            return;
+        }
+
+        let deletedCount;
+        if (type === 'routePoint') {
+            deletedCount = this.app.routeManager.removeRoutePoints(indices);
+            // Firebase自動保存
+            await this.app.routeUIManager.handleSaveRoute();
+        } else {
+            deletedCount = this.app.areaManager.removeVertices(indices);
+        }
+        selection.clear();
+        UIHelper.showMessage(`${deletedCount}${counter}の${label}を削除しました`);
+    }
+
+    /**
+     * 選択中のポイント・スポットを、参照が切れるルートとともに確認後に削除
+     * @param {string} type - 'point' | 'spot'
+     * @param {Array<number>} indices - 削除するインデックス
+     */
+    _deleteNamedObjects(type, indices) {
+        const { label, counter } = SELECTION_LABELS[type];
+        const points = this.app.pointManager.getPoints();
+        const spots = this.app.spotManager.getSpots();
+        const targets = indices.map(index => (type === 'point' ? points[index] : spots[index]));
+        const getName = (item) => (type === 'point' ? item.id : item.name) || '';
+
+        // 同じ名前のポイント・スポットが残らない名前を参照しているルート
+        const removed = new Set(targets);
+        const referenceIndex = this.app.referenceIntegrityUIManager.referenceIndex;
+        const routes = new Map();
+        new Set(targets.map(getName).filter(Boolean)).forEach(name => {
+            const remains = points.some(point => !removed.has(point) && point.id === name) ||
+                spots.some(spot => !removed.has(spot) && spot.name === name);
+            if (remains) return;
+            referenceIndex.getReferencingRoutes(name).forEach(ref => routes.set(ref.index, ref.routeName));
+        });
+
+        const lines = [
+            `次の${label}${targets.length}${counter}を削除しますか？`,
+            this._formatNames(targets.map(item => getName(item) || '（名称未入力）'))
+        ];
+        if (routes.size > 0) {
+            lines.push('', `開始・終了ポイントに使われているため、次のルート${routes.size}本も削除されます:`,
+                this._formatNames([...routes.values()]));
+        }
+        if (!confirm(lines.join('\n'))) {
+            UIHelper.showMessage('削除をキャンセルしました');
+            return;
+        }
+
+        // ルートの削除とポイント・スポットの削除を1件の履歴として記録する
+        const history = this.app.historyManager;
+        let deletedCount;
+        history.beginGroup(`${label}削除`);
+        try {
+            if (routes.size > 0) {
+                this.app.routeManager.deleteRoutes([...routes.keys()]);
+            }
+            deletedCount = type === 'point'
+                ? this.app.pointManager.removePoints(indices)
+                : this.app.spotManager.removeSpots(indices);
+        } finally {
+            history.endGroup();
+        }
+
+        this.app.selectionManager.clear();
+        UIHelper.showMessage(routes.size > 0
+            ? `${label}${deletedCount}${counter}と、参照していたルート${routes.size}本を削除しました`
+            : `${label}${deletedCount}${counter}を削除しました`);
+    }
+
+    /**
+     * 選択中のポイントのIDの接頭辞をまとめて変更（番号はそのまま）
+     * 参照しているルートの開始・終了ポイントも新しいIDに付け替える
+     */
+    reprefixPointIds() {
+        if (this.app.selectionManager.getType() !== 'point' || !this.app.canvasEventHandler.ensureLayerEditable('point')) return;
+
+        const scheme = this.app.projectSettingsManager.getPointIdScheme();
+        if (scheme.mode !== 'standard') {
+            UIHelper.showWarning('接頭辞の変更は、ポイントIDの体系が「接頭辞-番号」の場合のみ使用できます');
+            return;
+        }
+
+        const points = this.app.pointManager.getPoints();
+        const indices = this.getSelectedIndices();
+        // eslint-disable-next-line no-alert
+        const input = prompt(`選択中のポイント${indices.length}件のIDの接頭辞を変更します。\n新しい接頭辞を入力してください（${scheme.describe()}）:`, '');
+        if (input === null) return;
+
+        const prefix = Validators.convertFullWidthToHalfWidth(input.trim()).toUpperCase();
+        if (!scheme.isValidPrefix(prefix)) {
+            UIHelper.showError(`接頭辞「${input.trim()}」は使用できません（${scheme.describe()}）`);
+            return;
+        }
+
+        // 接頭辞-番号の形式でないIDと、接頭辞が変わらないIDは対象外
+        const renames = [];
+        let skippedCount = 0;
+        indices.forEach(index => {
+            const oldId = points[index].id;
+            const newId = scheme.replacePrefix(oldId, prefix);
+            if (!newId) {
+                skippedCount++;
+            } else if (newId !== oldId) {
+                renames.push({ index, oldId, newId });
+            }
+        });
+        if (renames.length === 0) {
+            UIHelper.showWarning('接頭辞を変更できるポイントIDがありません');
+            return;
+        }
+
+        // 変更後のIDが他のポイントや、同時に変更するポイントと重複する場合は変更しない
+        const renamedIndices = new Set(renames.map(rename => rename.index));
+        const usedIds = new Set(points.filter((point, index) => !renamedIndices.has(index)).map(point => point.id));
+        const duplicates = new Set();
+        const newIds = new Set();
+        renames.forEach(({ newId }) => {
+            if (usedIds.has(newId) || newIds.has(newId)) duplicates.add(newId);
+            newIds.add(newId);
+        });
+        if (duplicates.size > 0) {
+            UIHelper.showError(`変更後のポイントID（${[...duplicates].join('、')}）が重複するため変更できません`);
+            return;
+        }
+
+        // IDの変更とルートの付け替えを1件の履歴として記録する
+        const referenceIndex = this.app.referenceIntegrityUIManager.referenceIndex;
+        const history = this.app.historyManager;
+        let routeCount = 0;
+        history.beginGroup('ポイントIDの接頭辞変更');
+        try {
+            renames.forEach(({ index, newId }) => {
+                this.app.pointManager.updatePointId(index, newId, true, true);
+            });
+            renames.forEach(({ oldId, newId }) => {
+                // 元のIDを持つポイント・スポットが他に残っている場合は参照が切れないため付け替えない
+                if (referenceIndex.countNamedObjects(oldId) === 0) {
+                    routeCount += this.app.routeManager.replaceEndpointId(oldId, newId);
+                }
+            });
+            this.app.pointManager.notify('onChange', points);
+        } finally {
+            history.endGroup();
+        }
+
+        const notes = [];
+        if (routeCount > 0) notes.push(`ルート${routeCount}本の開始・終了ポイントを付け替えました`);
+        if (skippedCount > 0) notes.push(`接頭辞-番号の形式でない${skippedCount}件は変更していません`);
+        UIHelper.showMessage(`ポイント${renames.length}件のIDの接頭辞を「${prefix}」に変更しました` +
+            (notes.length > 0 ? `（${notes.join('。')}）` : ''));
+    }
+
+    /**
+     * 確認メッセージ用に名前を並べる（多い場合は残りを件数で表示）
+     * @param {Array<string>} names - 名前
+     * @returns {string} 並べた名前
+     */
+    _formatNames(names) {
+        const listed = names.slice(0, MAX_LISTED_NAMES).join('、');
+        return names.length > MAX_LISTED_NAMES ? `${listed} ほか${names.length - MAX_LISTED_NAMES}件` : listed;
+    }
+}
@@ -0,0 +1,153 @@
+import { UIHelper } from './UIHelper.js';
+import { TrailTracer } from '../utils/TrailTracer.js';
+
+// 中間点を間引く際の許容誤差（画像上の画素数）
+const SIMPLIFY_EPSILON = 3;
+
+/**
+ * 線に沿った中間点の追跡（ルート編集の補助）を管理するクラス
+ * 開始ポイント → 既存の中間点（経由地） → 終了ポイントを順に結ぶ、指定色の線に沿った経路を求め、
+ * 間引いた結果で選択中ルートの中間点を置き換える
+ */
+export class TrailTraceUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.colorInput = document.getElementById('trailColorInput');
+        this.toleranceInput = document.getElementById('trailToleranceInput');
+        // 画素データは画像ごとに1回だけ取得する
+        this.imageData = null;
+        this.imageDataSource = null;
+        this.isPicking = false;
+        this.isTracing = false;
+
+        if (!this.colorInput) {
+            console.error('TrailTraceUIManager: 追跡用の要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('pickTrailColorBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.startPickColor();
+        });
+
+        document.getElementById('traceRouteBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.handleTraceRoute();
+        });
+
+        // Escapeキーで色の取得を取り消す
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isPicking) {
+                this.finishPickColor(null);
+            }
+        });
+    }
+
+    /**
+     * 読み込み中の画像の画素データを取得（画像が変わった場合のみ取得し直す）
+     * @returns {ImageData|null} 画素データ
+     */
+    getImageData() {
+        const image = this.app.currentImage;
+        if (!image) return null;
+        if (this.imageDataSource !== image) {
+            this.imageData = TrailTracer.getImageData(image);
+            this.imageDataSource = image;
+        }
+        return this.imageData;
+    }
+
+    /**
+     * 画像上のクリックで線の色を取得する
+     */
+    startPickColor() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('画像を読み込んでください');
+            return;
+        }
+        this.isPicking = true;
+        UIHelper.showPersistentMessage('線の色を取得する位置を画像上でクリックしてください（Escでキャンセル）');
+        this.app.canvasEventHandler.setPickHandler(coords => this.finishPickColor(coords));
+    }
+
+    /**
+     * 色の取得を終了
+     * @param {{x: number, y: number}|null} coords - クリックした画像座標（キャンセル時はnull）
+     */
+    finishPickColor(coords) {
+        this.isPicking = false;
+        this.app.canvasEventHandler.setPickHandler(null);
+        UIHelper.hidePersistentMessage();
+
+        if (coords) {
+            const color = TrailTracer.sampleColor(this.getImageData(), coords.x, coords.y);
+            this.colorInput.value = TrailTracer.rgbToHex(color);
+        }
+    }
+
+    /**
+     * 選択中ルートの中間点を線に沿って追跡
+     */
+    async handleTraceRoute() {
+        if (this.isTracing || !this.app.ensureWritable()) return;
+
+        const routeManager = this.app.routeManager;
+        const index = routeManager.selectedRouteIndex;
+        const route = routeManager.getSelectedRoute();
+        if (!route) {
+            UIHelper.showWarning('ルートが選択されていません。ルートを選択または追加してください');
+            return;
+        }
+
+        const startCoord = this.app.resolveRouteEndpointCoord(route.startPointId);
+        const endCoord = this.app.resolveRouteEndpointCoord(route.endPointId);
+        if (!startCoord || !endCoord) {
+            UIHelper.showError('開始ポイントと終了ポイントの両方を設定してから追跡を実行してください');
+            return;
+        }
+
+        const tolerance = parseInt(this.toleranceInput.value, 10);
+        if (isNaN(tolerance) || tolerance < 0) {
+            UIHelper.showError('色の許容差には0以上の数値を入力してください');
+            return;
+        }
+
+        const anchors = [startCoord, ...(route.routePoints || []), endCoord];
+
+        this.isTracing = true;
+        UIHelper.showPersistentMessage('線に沿った経路を探索しています...');
+        try {
+            // メッセージを描画させてから重い処理を始める
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const tracer = new TrailTracer(
+                this.getImageData(),
+                TrailTracer.hexToRgb(this.colorInput.value),
+                tolerance
+            );
+            const path = tracer.traceThrough(anchors);
+            const waypoints = TrailTracer.simplify(path, SIMPLIFY_EPSILON).slice(1, -1);
+
+            routeManager.setRoutePointsAt(index, waypoints);
+            UIHelper.hidePersistentMessage();
+            UIHelper.showMessage(
+                `線に沿って中間点を${waypoints.length}点に置き換えました（元に戻すにはCtrl+Z）。` +
+                `「保存」または「出力」で反映してください`
+            );
+        } catch (error) {
+            UIHelper.hidePersistentMessage();
+            UIHelper.showError('経路の追跡中にエラーが発生しました: ' + error.message);
+        } finally {
+            this.isTracing = false;
+        }
+    }
+}
@@ -83,13 +83,13 @@ export class ValidationManager {
         }
 
         // ポイントIDでもスポット名でも該当しない場合はエラー
-        // 形式チェック（X-nn形式かどうか）
+        // 形式チェック（プロジェクトのポイントID体系に合うかどうか）
         if (Validators.isValidPointIdFormat(value)) {
-            // X-nn形式だが存在しない場合は赤枠
+            // ID体系の形式だが存在しない場合は赤枠
             ValidationManager.setInputElementError(inputElement,
                 `ポイント「${value}」が見つかりません`, true);
         } else {
-            // X-nn形式でもなく、スポット名でも該当しない場合はピンク背景
+            // ID体系の形式でもなく、スポット名でも該当しない場合はピンク背景
             ValidationManager.setInputElementError(inputElement,
                 `該当するポイントまたはスポットが見つかりません`, false);
         }
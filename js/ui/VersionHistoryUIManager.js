@@ -0,0 +1,257 @@
+import { UIHelper } from './UIHelper.js';
+import { SYNC_COLLECTIONS } from '../firebase/RemoteChangeMerger.js';
+
+// 差分・件数の表示に使うコレクションの表示名
+const COLLECTION_LABELS = {
+    points: 'ポイント',
+    spots: 'スポット',
+    routes: 'ルート',
+    areas: 'エリア'
+};
+
+/**
+ * 保存履歴ダイアログ（データベースに保存した版の一覧・現在の状態との差分・版の復元）を管理するクラス
+ * 版は「保存」のたびに FirebaseSyncManager が versions サブコレクションに追加する
+ */
+export class VersionHistoryUIManager {
+    /**
+     * @param {PointMarkerApp} app - アプリケーションのメインインスタンス
+     */
+    constructor(app) {
+        this.app = app;
+        this.dialog = document.getElementById('versionHistoryDialog');
+        this.listElement = document.getElementById('versionList');
+        this.statusElement = document.getElementById('versionStatus');
+        this.diffElement = document.getElementById('versionDiffSummary');
+        this.restoreButton = document.getElementById('versionRestoreBtn');
+        // 表示中の版と選択中の版
+        this.versions = [];
+        this.selectedVersion = null;
+        this.isLoading = false;
+
+        if (!this.dialog) {
+            console.error('VersionHistoryUIManager: 保存履歴ダイアログの要素が見つかりません');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     */
+    setupEventListeners() {
+        document.getElementById('versionCloseBtn').addEventListener('click', () => this.hide());
+        this.restoreButton.addEventListener('click', () => this.restoreSelectedVersion());
+
+        this.listElement.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-version-id]');
+            if (!row) return;
+            this.select(this.versions.find(version => version.versionId === row.dataset.versionId) || null);
+        });
+    }
+
+    /**
+     * データベースから保存履歴を読み込んでダイアログを表示
+     */
+    async show() {
+        if (!this.app.currentImage) {
+            UIHelper.showWarning('画像を読み込んでください');
+            return;
+        }
+        if (this.isLoading) {
+            UIHelper.showMessage('読み込み中です。完了までお待ちください', 'warning');
+            return;
+        }
+
+        this.isLoading = true;
+        try {
+            try {
+                if (window.connectFirebase) {
+                    await window.connectFirebase();
+                }
+            } catch (error) {
+                return;
+            }
+
+            UIHelper.showPersistentMessage('保存履歴を読み込み中...', 'info');
+            try {
+                this.versions = await this.app.firebaseSyncManager.getVersions();
+            } catch (error) {
+                console.error('保存履歴の読み込みエラー:', error);
+                UIHelper.hidePersistentMessage();
+                UIHelper.showError('保存履歴の読み込みに失敗しました');
+                return;
+            }
+            UIHelper.hidePersistentMessage();
+
+            this.render();
+            this.select(null);
+            this.dialog.style.display = 'flex';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * ダイアログを閉じる
+     */
+    hide() {
+        this.dialog.style.display = 'none';
+        this.versions = [];
+        this.selectedVersion = null;
+    }
+
+    /**
+     * 版の一覧を表に表示
+     */
+    render() {
+        this.listElement.innerHTML = '';
+        this.statusElement.textContent = this.versions.length > 0
+            ? '版を選ぶと現在の状態との差分を表示します'
+            : 'まだ保存履歴がありません（「保存」するたびに版が追加されます）';
+
+        this.versions.forEach(version => {
+            const row = document.createElement('tr');
+            row.dataset.versionId = version.versionId;
+            [
+                this._formatDate(version.createdAt),
+                this._formatAuthor(version.createdBy),
+                this._formatCounts(version.counts),
+                this._formatChanges(version.changes)
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.listElement.appendChild(row);
+        });
+    }
+
+    /**
+     * 版を選択し、現在の状態との差分を表示
+     * @param {Object|null} version - 版（nullの場合は選択を解除）
+     */
+    select(version) {
+        this.selectedVersion = version;
+        this.listElement.querySelectorAll('tr').forEach(row => {
+            row.classList.toggle('selected', !!version && row.dataset.versionId === version.versionId);
+        });
+        // 閲覧のみの場合は復元できない（復元しても保存できないため）
+        this.restoreButton.disabled = !version || !version.data || this.app.isReadOnly();
+
+        if (!version) {
+            this.diffElement.textContent = '';
+        } else if (!version.data) {
+            this.diffElement.textContent = 'この版はデータが大きすぎるため復元できません';
+        } else {
+            this.diffElement.textContent = this.describeDiff(version.data);
+        }
+    }
+
+    /**
+     * 版を復元した場合の現在の状態からの変化を文章にする
+     * @param {Object} data - 版のデータ（コレクション名 → 項目配列）
+     * @returns {string} 差分の説明
+     */
+    describeDiff(data) {
+        const diff = this.app.firebaseSyncManager.changeMerger.diffItems(this._getCurrentItems(), data);
+        const lines = Object.keys(SYNC_COLLECTIONS).map(collection => {
+            const { added, removed, modified } = diff[collection];
+            const parts = [];
+            if (added > 0) parts.push(`追加 ${added}件`);
+            if (removed > 0) parts.push(`削除 ${removed}件`);
+            if (modified > 0) parts.push(`変更 ${modified}件`);
+            return parts.length > 0 ? `${COLLECTION_LABELS[collection]}: ${parts.join('・')}` : null;
+        }).filter(line => line !== null);
+
+        return lines.length > 0
+            ? `この版に戻すと、現在の状態から次のように変わります\n${lines.join('\n')}`
+            : 'この版は現在の状態と同じです';
+    }
+
+    /**
+     * 選択中の版のポイント・スポット・ルート・エリアを復元（1件の履歴として記録し、元に戻せる）
+     * データベースには反映しない（「保存」で反映する）
+     */
+    restoreSelectedVersion() {
+        const version = this.selectedVersion;
+        if (!version || !version.data) return;
+
+        const date = this._formatDate(version.createdAt);
+        if (!confirm(`${date} の版に戻しますか？\n現在の編集内容は「元に戻す」で戻せます`)) {
+            return;
+        }
+
+        const { data } = version;
+        this.app.historyManager.beginGroup('保存履歴から復元');
+        try {
+            this.app.pointManager.restoreSnapshot({ points: data.points || [] });
+            this.app.spotManager.restoreSnapshot({ spots: data.spots || [] });
+            this.app.routeManager.restoreSnapshot({ routes: data.routes || [], selectedRouteIndex: -1 });
+            this.app.areaManager.restoreSnapshot({ areas: data.areas || [], selectedAreaIndex: -1 });
+        } finally {
+            this.app.historyManager.endGroup();
+        }
+        this.app.syncAfterHistoryChange();
+        this.hide();
+        UIHelper.showMessage(`${date} の版を復元しました。\nデータベースに反映するには「保存」してください`);
+    }
+
+    /**
+     * 現在のポイント・スポット・ルート・エリアを取得
+     * @returns {Object} コレクション名 → 項目配列
+     */
+    _getCurrentItems() {
+        return {
+            points: this.app.pointManager.getPoints(),
+            spots: this.app.spotManager.getSpots(),
+            routes: this.app.routeManager.getAllRoutes(),
+            areas: this.app.areaManager.getAllAreas()
+        };
+    }
+
+    /**
+     * 保存日時を表示用の文字列に変換
+     * @param {number} millis - 保存日時（ミリ秒。未確定の場合は0）
+     * @returns {string} 日時
+     */
+    _formatDate(millis) {
+        return millis > 0 ? new Date(millis).toLocaleString() : '保存中';
+    }
+
+    /**
+     * 保存したユーザーを表示用の文字列に変換
+     * @param {string} userId - ユーザーID
+     * @returns {string} 表示名
+     */
+    _formatAuthor(userId) {
+        if (!userId) return '不明';
+        if (window.firestoreManager && userId === window.firestoreManager.userId) return '自分';
+        return `ユーザー${userId.slice(0, 6)}`;
+    }
+
+    /**
+     * 版の件数を表示用の文字列に変換
+     * @param {Object<string, number>} counts - コレクション名 → 件数
+     * @returns {string} 「ポイント12・ルート3」形式の文字列
+     */
+    _formatCounts(counts) {
+        const parts = Object.keys(COLLECTION_LABELS)
+            .filter(collection => counts[collection] > 0)
+            .map(collection => `${COLLECTION_LABELS[collection]}${counts[collection]}`);
+        return parts.length > 0 ? parts.join('・') : 'データなし';
+    }
+
+    /**
+     * 保存時の変更件数を表示用の文字列に変換
+     * @param {{added: number, updated: number, deleted: number}} changes - 変更件数
+     * @returns {string} 「追加2・更新1」形式の文字列
+     */
+    _formatChanges(changes) {
+        const parts = [];
+        if (changes.added > 0) parts.push(`追加${changes.added}`);
+        if (changes.updated > 0) parts.push(`更新${changes.updated}`);
+        if (changes.deleted > 0) parts.push(`削除${changes.deleted}`);
+        return parts.length > 0 ? parts.join('・') : '-';
+    }
+}
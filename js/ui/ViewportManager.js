@@ -86,11 +86,46 @@ export class ViewportManager {
         }
     }
 
+    /**
+     * 指定した画像座標が表示領域の中央に来るようにズーム・スクロール
+     * @param {number} x - 画像X座標
+     * @param {number} y - 画像Y座標
+     * @param {number} minScale - 最低限の倍率（現在の倍率の方が大きければそのまま）
+     * @param {Function} onUpdate - 更新時のコールバック（ボタン状態更新、再描画など）
+     */
+    focusOn(x, y, minScale = 2.0, onUpdate) {
+        if (this.canvasRenderer.getScale() < minScale) {
+            this.canvasRenderer.setScale(minScale);
+        }
+
+        const canvas = this.canvasRenderer.canvas;
+        const container = canvas.closest('.map-container') || canvas.parentElement;
+        if (container) {
+            // コンテナ内でのcanvasの位置（余白・中央寄せ分）を加えてスクロール量を求める
+            const canvasRect = canvas.getBoundingClientRect();
+            const containerRect = container.getBoundingClientRect();
+            const canvasLeft = canvasRect.left - containerRect.left + container.scrollLeft;
+            const canvasTop = canvasRect.top - containerRect.top + container.scrollTop;
+            const scale = this.canvasRenderer.getDrawScale();
+
+            container.scrollTo(
+                canvasLeft + x * scale - container.clientWidth / 2,
+                canvasTop + y * scale - container.clientHeight / 2
+            );
+        }
+
+        this.updatePopupPositions();
+
+        if (onUpdate) {
+            onUpdate();
+        }
+    }
+
     /**
      * ポップアップ位置を更新
      */
     updatePopupPositions() {
-        const scale = this.canvasRenderer.getScale();
+        const scale = this.canvasRenderer.getDrawScale();
         const offset = this.canvasRenderer.getOffset();
         const points = this.pointManager.getPoints();
         const spots = this.spotManager.getSpots();
@@ -0,0 +1,130 @@
+// スポットのマーカー形状（Canvas.drawMarker() の type）と表示名
+export const MARKER_SHAPES = {
+    square: '四角',
+    circle: '円',
+    diamond: '菱形',
+    triangle: '三角'
+};
+
+// カテゴリのアイコン（icons/ のSVGファイル）と表示名
+export const CATEGORY_ICONS = {
+    viewpoint: { label: '展望', file: 'icons/category-viewpoint.svg' },
+    toilet: { label: 'トイレ', file: 'icons/category-toilet.svg' },
+    water: { label: '水場', file: 'icons/category-water.svg' },
+    parking: { label: '駐車場', file: 'icons/category-parking.svg' },
+    rest: { label: '休憩所', file: 'icons/category-rest.svg' },
+    danger: { label: '危険', file: 'icons/category-danger.svg' }
+};
+
+// カテゴリの表示設定がないスポットの表示（従来の青い四角）
+export const DEFAULT_SPOT_STYLE = { shape: 'square', color: '#0066ff', icon: '' };
+
+// 初期設定のカテゴリ（ProjectSettingsManager の初期カテゴリ）の表示設定
+export const DEFAULT_CATEGORY_STYLES = {
+    '展望': { shape: 'circle', color: '#2e86de', icon: 'viewpoint' },
+    'トイレ': { shape: 'square', color: '#8e44ad', icon: 'toilet' },
+    '水場': { shape: 'circle', color: '#00a8cc', icon: 'water' },
+    '駐車場': { shape: 'square', color: '#34495e', icon: 'parking' },
+    '休憩所': { shape: 'square', color: '#27ae60', icon: 'rest' },
+    '危険箇所': { shape: 'triangle', color: '#e74c3c', icon: 'danger' }
+};
+
+/**
+ * カテゴリごとの表示設定（スポットのマーカー形状・色・アイコン、エリアの色）を扱うユーティリティクラス
+ * 表示設定は { カテゴリ名: { shape, color, icon } } の形でプロジェクト設定に保持する
+ */
+export class CategoryStyles {
+    /**
+     * 表示設定を整える（不明な形状・アイコン、色の形式の誤りは初期値に戻す）
+     * @param {Object} style - 表示設定
+     * @returns {{shape: string, color: string, icon: string}} 整えた表示設定
+     */
+    static normalize(style) {
+        const source = style || {};
+        return {
+            shape: MARKER_SHAPES[source.shape] ? source.shape : DEFAULT_SPOT_STYLE.shape,
+            color: /^#[0-9a-f]{6}$/i.test(source.color || '') ? source.color.toLowerCase() : DEFAULT_SPOT_STYLE.color,
+            icon: CATEGORY_ICONS[source.icon] ? source.icon : ''
+        };
+    }
+
+    /**
+     * カテゴリの表示設定を取得
+     * @param {Object} styles - カテゴリ名 → 表示設定
+     * @param {string|undefined} category - カテゴリ名
+     * @returns {Object|null} 表示設定（カテゴリが未設定、または表示設定がない場合はnull）
+     */
+    static getStyle(styles, category) {
+        return (category && styles && styles[category]) || null;
+    }
+
+    /**
+     * 新しいカテゴリの表示設定の初期値を取得（初期設定のカテゴリはその表示設定）
+     * @param {string} category - カテゴリ名
+     * @returns {{shape: string, color: string, icon: string}} 表示設定
+     */
+    static getDefaultStyle(category) {
+        return { ...(DEFAULT_CATEGORY_STYLES[category] || DEFAULT_SPOT_STYLE) };
+    }
+
+    /**
+     * スポットのマーカーを描く大きさを取得（形状によらず四角と同程度の大きさに見えるようにする）
+     * @param {string} shape - マーカー形状
+     * @param {number} size - スポットマーカーのサイズ（四角の一辺）
+     * @returns {number} Canvas.drawMarker() に渡すサイズ（四角は一辺、それ以外は中心から頂点までの長さ）
+     */
+    static getMarkerSize(shape, size) {
+        if (shape === 'circle') return size / 2;
+        if (shape === 'square') return size;
+        return size * 0.65;
+    }
+
+    /**
+     * 「#rrggbb」形式の色を透明度付きの rgba() 形式に変換
+     * @param {string} color - 色
+     * @param {number} alpha - 不透明度（0〜1）
+     * @returns {string} rgba() 形式の色
+     */
+    static toRgba(color, alpha) {
+        const value = parseInt(color.slice(1), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+
+    /**
+     * 凡例の項目を作成
+     * スポット・エリアに使われているカテゴリのうち表示設定があるものを、カテゴリの選択肢の順に並べる。
+     * 表示設定のないスポット・エリアがある場合は「その他」の項目を加える
+     * @param {Object} styles - カテゴリ名 → 表示設定
+     * @param {Array<string>} categories - カテゴリの選択肢（並び順に使う）
+     * @param {Array<Object>} spots - スポット配列
+     * @param {Array<Object>} areas - エリア配列
+     * @returns {Array<{label: string, kind: string, style: Object|null}>} 凡例の項目（kind は 'spot' | 'area'、style がnullの項目は既定の表示）
+     */
+    static getLegendEntries(styles, categories, spots, areas) {
+        const entries = [];
+        const order = (name) => {
+            const index = categories.indexOf(name);
+            return index < 0 ? categories.length : index;
+        };
+
+        [['spot', spots], ['area', areas]].forEach(([kind, items]) => {
+            const used = new Set();
+            let hasOthers = false;
+            items.forEach(item => {
+                if (CategoryStyles.getStyle(styles, item.category)) {
+                    used.add(item.category);
+                } else {
+                    hasOthers = true;
+                }
+            });
+
+            [...used]
+                .sort((a, b) => order(a) - order(b) || a.localeCompare(b))
+                .forEach(name => entries.push({ label: name, kind, style: styles[name] }));
+            if (hasOthers && items.length > 0) {
+                entries.push({ label: kind === 'spot' ? 'その他のスポット' : 'その他のエリア', kind, style: null });
+            }
+        });
+        return entries;
+    }
+}
@@ -6,8 +6,13 @@ import { CoordinateUtils } from './Coordinates.js';
 export class DragDropHandler {
     constructor() {
         this.isDragging = false;
-        this.draggedObjectType = null;  // 'point' | 'spot' | 'routePoint'
+        this.draggedObjectType = null;  // 'point' | 'spot' | 'routePoint' | 'vertex'
         this.draggedObjectIndex = -1;
+        // 選択中の複数オブジェクトをまとめてドラッグする場合のインデックス配列（単独のドラッグはnull）
+        this.draggedGroupIndices = null;
+        // まとめてドラッグ中に適用済みの移動量
+        this.groupMovedX = 0;
+        this.groupMovedY = 0;
         this.dragOffsetX = 0;
         this.dragOffsetY = 0;
 
@@ -16,6 +21,7 @@ export class DragDropHandler {
         this.dragStartY = 0;
         this.hasMoved = false;
         this.DRAG_THRESHOLD = 3; // 3px以上移動したらドラッグ扱い
+        this.dragThreshold = this.DRAG_THRESHOLD;
     }
 
     /**
@@ -25,8 +31,9 @@ export class DragDropHandler {
      * @param {number} mouseX - マウスX座標
      * @param {number} mouseY - マウスY座標
      * @param {Object} object - ドラッグするオブジェクト
+     * @param {number} dragThreshold - ドラッグ扱いとする移動距離（座標の単位に換算済みの値）
      */
-    startDrag(objectType, objectIndex, mouseX, mouseY, object) {
+    startDrag(objectType, objectIndex, mouseX, mouseY, object, dragThreshold = this.DRAG_THRESHOLD) {
         this.isDragging = true;
         this.draggedObjectType = objectType;
         this.draggedObjectIndex = objectIndex;
@@ -37,6 +44,22 @@ export class DragDropHandler {
         this.dragStartX = mouseX;
         this.dragStartY = mouseY;
         this.hasMoved = false;
+        this.dragThreshold = dragThreshold;
+    }
+
+    /**
+     * 選択中の複数オブジェクトをまとめてドラッグする処理を開始
+     * @param {string} objectType - ドラッグするオブジェクトの種類（'point' | 'spot' | 'routePoint' | 'vertex'）
+     * @param {Array<number>} indices - ドラッグするオブジェクトのインデックス配列
+     * @param {number} mouseX - マウスX座標
+     * @param {number} mouseY - マウスY座標
+     * @param {number} dragThreshold - ドラッグ扱いとする移動距離（座標の単位に換算済みの値）
+     */
+    startGroupDrag(objectType, indices, mouseX, mouseY, dragThreshold = this.DRAG_THRESHOLD) {
+        this.startDrag(objectType, -1, mouseX, mouseY, { x: mouseX, y: mouseY }, dragThreshold);
+        this.draggedGroupIndices = [...indices];
+        this.groupMovedX = 0;
+        this.groupMovedY = 0;
     }
 
     /**
@@ -57,11 +80,15 @@ export class DragDropHandler {
             const dy = mouseY - this.dragStartY;
             const distance = Math.sqrt(dx * dx + dy * dy);
 
-            if (distance > this.DRAG_THRESHOLD) {
+            if (distance > this.dragThreshold) {
                 this.hasMoved = true;
             }
         }
 
+        if (this.draggedGroupIndices) {
+            return this._updateGroupDrag(mouseX, mouseY, pointManager, spotManager, routeManager, areaManager);
+        }
+
         const newX = mouseX - this.dragOffsetX;
         const newY = mouseY - this.dragOffsetY;
 
@@ -86,6 +113,34 @@ export class DragDropHandler {
         return false;
     }
 
+    /**
+     * まとめてドラッグ中の更新処理（開始位置からの移動量のうち未適用の分だけ移動する）
+     * @returns {boolean} 位置が更新されたかどうか
+     */
+    _updateGroupDrag(mouseX, mouseY, pointManager, spotManager, routeManager, areaManager) {
+        const dx = Math.round(mouseX - this.dragStartX) - this.groupMovedX;
+        const dy = Math.round(mouseY - this.dragStartY) - this.groupMovedY;
+        if (dx === 0 && dy === 0) return false;
+
+        const indices = this.draggedGroupIndices;
+        if (this.draggedObjectType === 'point') {
+            // 入力ボックスはドラッグ終了時に再描画する
+            pointManager.movePoints(indices, dx, dy, true);
+        } else if (this.draggedObjectType === 'spot') {
+            spotManager.moveSpots(indices, dx, dy);
+        } else if (this.draggedObjectType === 'routePoint') {
+            routeManager.moveRoutePoints(indices, dx, dy);
+        } else if (this.draggedObjectType === 'vertex' && areaManager) {
+            areaManager.moveVertices(indices, dx, dy);
+        } else {
+            return false;
+        }
+
+        this.groupMovedX += dx;
+        this.groupMovedY += dy;
+        return true;
+    }
+
     /**
      * ドラッグ終了処理
      * @param {Object} inputManager - InputManagerインスタンス
@@ -93,15 +148,17 @@ export class DragDropHandler {
      * @param {Function} onPointDragEndCallback - ポイントドラッグ終了時のコールバック（オプション）
      * @param {Function} onSpotDragEndCallback - スポットドラッグ終了時のコールバック（オプション）
      * @param {Function} onRoutePointDragEndCallback - ルート中間点ドラッグ終了時のコールバック（オプション）
-     * @returns {{wasDragging: boolean, hasMoved: boolean}} ドラッグ情報
+     * まとめてドラッグした場合、コールバックには -1 を渡す
+     * @returns {{wasDragging: boolean, hasMoved: boolean, isGroup: boolean}} ドラッグ情報
      */
     endDrag(inputManager, pointManager, onPointDragEndCallback, onSpotDragEndCallback, onRoutePointDragEndCallback, onVertexDragEndCallback) {
-        if (!this.isDragging) return { wasDragging: false, hasMoved: false };
+        if (!this.isDragging) return { wasDragging: false, hasMoved: false, isGroup: false };
 
         const wasDragging = true;
         const draggedIndex = this.draggedObjectIndex;
         const draggedType = this.draggedObjectType;
         const hasMoved = this.hasMoved; // reset()前に保存
+        const isGroup = !!this.draggedGroupIndices;
 
         // ポイント移動後に入力ボックスを再描画
         if (this.draggedObjectType === 'point') {
@@ -131,7 +188,7 @@ export class DragDropHandler {
         }
 
         this.reset();
-        return { wasDragging, hasMoved };
+        return { wasDragging, hasMoved, isGroup };
     }
 
     /**
@@ -141,11 +198,15 @@ export class DragDropHandler {
         this.isDragging = false;
         this.draggedObjectType = null;
         this.draggedObjectIndex = -1;
+        this.draggedGroupIndices = null;
+        this.groupMovedX = 0;
+        this.groupMovedY = 0;
         this.dragOffsetX = 0;
         this.dragOffsetY = 0;
         this.dragStartX = 0;
         this.dragStartY = 0;
         this.hasMoved = false;
+        this.dragThreshold = this.DRAG_THRESHOLD;
     }
 
     /**
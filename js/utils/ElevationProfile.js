@@ -0,0 +1,89 @@
+// 所要時間の計算で、1区間の勾配の絶対値の上限（崖などの極端な値で時間が発散しないようにする）
+const MAX_SLOPE = 1;
+
+/**
+ * ルートの標高断面（距離と標高の列）・累積標高・所要時間の計算を行うユーティリティクラス
+ */
+export class ElevationProfile {
+    /**
+     * 点列から標高断面を作成
+     * 標高が未設定の点は、前後の標高が分かる点から距離に応じて線形補間する（端の点は最も近い点の標高を使う）
+     * @param {Array<{x: number, y: number, elevation: number|null}>} samples - 点列（画像座標と標高）
+     * @returns {{distances: Array<number>, elevations: Array<number>, ascent: number, descent: number, min: number, max: number}|null}
+     *   標高断面（distances は始点からの距離（画素）。標高が分かる点がない場合はnull）
+     */
+    static build(samples) {
+        if (samples.length < 2) return null;
+
+        const distances = [0];
+        for (let i = 1; i < samples.length; i++) {
+            distances.push(distances[i - 1] + Math.hypot(samples[i].x - samples[i - 1].x, samples[i].y - samples[i - 1].y));
+        }
+
+        const known = [];
+        samples.forEach((sample, i) => {
+            if (Number.isFinite(sample.elevation)) known.push(i);
+        });
+        if (known.length === 0) return null;
+
+        const elevations = samples.map((sample, i) => {
+            if (Number.isFinite(sample.elevation)) return sample.elevation;
+            const nextIndex = known.findIndex(k => k > i);
+            if (nextIndex === 0) return samples[known[0]].elevation;
+            if (nextIndex === -1) return samples[known[known.length - 1]].elevation;
+            const a = known[nextIndex - 1];
+            const b = known[nextIndex];
+            const t = distances[b] === distances[a] ? 0 : (distances[i] - distances[a]) / (distances[b] - distances[a]);
+            return samples[a].elevation + (samples[b].elevation - samples[a].elevation) * t;
+        });
+
+        let ascent = 0;
+        let descent = 0;
+        for (let i = 1; i < elevations.length; i++) {
+            const diff = elevations[i] - elevations[i - 1];
+            if (diff > 0) ascent += diff;
+            else descent -= diff;
+        }
+
+        return {
+            distances,
+            elevations,
+            ascent,
+            descent,
+            min: Math.min(...elevations),
+            max: Math.max(...elevations)
+        };
+    }
+
+    /**
+     * 標高断面から歩行の所要時間を推定（Toblerのハイキング関数）
+     * 区間ごとに 速度[km/h] = 6 × exp(−3.5 × |勾配 + 0.05|) として距離を速度で割った時間を合計する
+     * @param {Object} profile - build() で作成した標高断面
+     * @param {number} metersPerPixel - 1画素あたりのメートル数
+     * @returns {number} 所要時間（分）
+     */
+    static estimateHikingMinutes(profile, metersPerPixel) {
+        let hours = 0;
+        for (let i = 1; i < profile.distances.length; i++) {
+            const meters = (profile.distances[i] - profile.distances[i - 1]) * metersPerPixel;
+            if (meters <= 0) continue;
+            const rise = profile.elevations[i] - profile.elevations[i - 1];
+            const slope = Math.max(-MAX_SLOPE, Math.min(MAX_SLOPE, rise / meters));
+            const speedKmPerHour = 6 * Math.exp(-3.5 * Math.abs(slope + 0.05));
+            hours += (meters / 1000) / speedKmPerHour;
+        }
+        return hours * 60;
+    }
+
+    /**
+     * 所要時間を表示用の文字列に変換
+     * @param {number} minutes - 所要時間（分）
+     * @returns {string} 「1時間05分」形式の文字列
+     */
+    static formatDuration(minutes) {
+        const total = Math.round(minutes);
+        const hours = Math.floor(total / 60);
+        const rest = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}時間${rest}分` : `${total}分`;
+    }
+}
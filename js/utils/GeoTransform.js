@@ -0,0 +1,214 @@
+/**
+ * 変換方式の定義
+ * label: 表示名
+ * minPoints: 必要な基準点の数
+ * terms: 座標から説明変数の列を作る関数
+ */
+const METHODS = {
+    affine: {
+        label: 'アフィン変換',
+        minPoints: 3,
+        terms: (x, y) => [1, x, y]
+    },
+    polynomial: {
+        label: '2次多項式変換',
+        minPoints: 6,
+        terms: (x, y) => [1, x, y, x * x, x * y, y * y]
+    }
+};
+
+// 緯度1度あたりの距離（メートル、誤差表示用の近似値）
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * 画像座標と地理座標（緯度・経度）の相互変換を計算するユーティリティクラス
+ * 基準点（画像座標と緯度・経度の組）から最小二乗法で変換係数を求める。
+ * 逆変換（緯度・経度→画像座標）も同じ基準点から別途求める
+ */
+export class GeoTransform {
+    /**
+     * 変換方式に必要な基準点の数を取得
+     * @param {string} method - 変換方式（'affine' | 'polynomial'）
+     * @returns {number} 必要な基準点の数
+     */
+    static getMinimumPoints(method) {
+        return METHODS[method] ? METHODS[method].minPoints : 0;
+    }
+
+    /**
+     * 基準点から変換モデルを計算
+     * @param {Array<{x: number, y: number, lat: number, lon: number}>} controlPoints - 基準点
+     * @param {string} method - 変換方式（'affine' | 'polynomial'）
+     * @returns {{method: string, forward: Object, inverse: Object}} 変換モデル
+     * @throws {Error} 基準点が不足している、または一直線上に並んでいる場合
+     */
+    static fit(controlPoints, method = 'affine') {
+        const definition = METHODS[method];
+        if (!definition) {
+            throw new Error(`未対応の変換方式です: ${method}`);
+        }
+        if (controlPoints.length < definition.minPoints) {
+            throw new Error(`${definition.label}には基準点が${definition.minPoints}点以上必要です`);
+        }
+
+        const imagePositions = controlPoints.map(cp => [cp.x, cp.y]);
+        const geoPositions = controlPoints.map(cp => [cp.lon, cp.lat]);
+
+        return {
+            method,
+            forward: this._fitDirection(imagePositions, geoPositions, definition),
+            inverse: this._fitDirection(geoPositions, imagePositions, definition)
+        };
+    }
+
+    /**
+     * 縮尺（1ピクセルあたりのメートル）と画像左上の緯度・経度から変換モデルを作成
+     * 基準点がない場合の簡易変換で、画像の上を北とみなす
+     * @param {number} metersPerPixel - 1ピクセルあたりの距離（メートル）
+     * @param {number} originLat - 画像左上の緯度
+     * @param {number} originLon - 画像左上の経度
+     * @returns {{method: string, forward: Object, inverse: Object}} 変換モデル（fit() と同じ形式）
+     */
+    static fromScale(metersPerPixel, originLat = 0, originLon = 0) {
+        const latPerPixel = metersPerPixel / METERS_PER_DEGREE;
+        const lonPerPixel = metersPerPixel / (METERS_PER_DEGREE * Math.cos(originLat * Math.PI / 180));
+        const identity = { cx: 0, cy: 0, sx: 1, sy: 1 };
+
+        return {
+            method: 'affine',
+            forward: {
+                normalization: identity,
+                u: [originLon, lonPerPixel, 0],
+                v: [originLat, 0, -latPerPixel]
+            },
+            inverse: {
+                normalization: identity,
+                u: [-originLon / lonPerPixel, 1 / lonPerPixel, 0],
+                v: [originLat / latPerPixel, 0, -1 / latPerPixel]
+            }
+        };
+    }
+
+    /**
+     * 画像座標を緯度・経度に変換
+     * @param {Object} model - fit() で求めた変換モデル
+     * @param {number} x - 画像X座標
+     * @param {number} y - 画像Y座標
+     * @returns {{lat: number, lon: number}} 緯度・経度
+     */
+    static imageToGeo(model, x, y) {
+        const [lon, lat] = this._evaluate(model.method, model.forward, x, y);
+        return { lat, lon };
+    }
+
+    /**
+     * 緯度・経度を画像座標に変換
+     * @param {Object} model - fit() で求めた変換モデル
+     * @param {number} lat - 緯度
+     * @param {number} lon - 経度
+     * @returns {{x: number, y: number}} 画像座標
+     */
+    static geoToImage(model, lat, lon) {
+        const [x, y] = this._evaluate(model.method, model.inverse, lon, lat);
+        return { x, y };
+    }
+
+    /**
+     * 各基準点の変換誤差（変換後の位置と指定した緯度・経度の距離）を計算
+     * @param {Object} model - 変換モデル
+     * @param {Array<{x: number, y: number, lat: number, lon: number}>} controlPoints - 基準点
+     * @returns {{residuals: Array<number>, rms: number}} 基準点ごとの誤差と二乗平均平方根（メートル）
+     */
+    static getResiduals(model, controlPoints) {
+        const residuals = controlPoints.map(cp => {
+            const { lat, lon } = this.imageToGeo(model, cp.x, cp.y);
+            const dy = (lat - cp.lat) * METERS_PER_DEGREE;
+            const dx = (lon - cp.lon) * METERS_PER_DEGREE * Math.cos(cp.lat * Math.PI / 180);
+            return Math.hypot(dx, dy);
+        });
+        const rms = residuals.length > 0
+            ? Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length)
+            : 0;
+        return { residuals, rms };
+    }
+
+    /**
+     * 一方向の変換係数を最小二乗法で計算
+     * 桁の大きい画像座標でも計算が安定するよう、入力座標を平均0・幅1程度に正規化してから解く
+     * @param {Array<Array<number>>} sources - 変換元の座標
+     * @param {Array<Array<number>>} targets - 変換先の座標
+     * @param {Object} definition - 変換方式の定義
+     * @returns {{normalization: Object, u: Array<number>, v: Array<number>}} 変換係数
+     */
+    static _fitDirection(sources, targets, definition) {
+        const count = sources.length;
+        const cx = sources.reduce((sum, p) => sum + p[0], 0) / count;
+        const cy = sources.reduce((sum, p) => sum + p[1], 0) / count;
+        const sx = Math.max(...sources.map(p => Math.abs(p[0] - cx))) || 1;
+        const sy = Math.max(...sources.map(p => Math.abs(p[1] - cy))) || 1;
+        const normalization = { cx, cy, sx, sy };
+
+        const rows = sources.map(p => definition.terms((p[0] - cx) / sx, (p[1] - cy) / sy));
+        return {
+            normalization,
+            u: this._solveLeastSquares(rows, targets.map(p => p[0])),
+            v: this._solveLeastSquares(rows, targets.map(p => p[1]))
+        };
+    }
+
+    /**
+     * 変換係数を適用
+     * @param {string} method - 変換方式
+     * @param {Object} coefficients - _fitDirection() の結果
+     * @param {number} a - 変換元の第1座標
+     * @param {number} b - 変換元の第2座標
+     * @returns {Array<number>} 変換先の座標
+     */
+    static _evaluate(method, coefficients, a, b) {
+        const { cx, cy, sx, sy } = coefficients.normalization;
+        const terms = METHODS[method].terms((a - cx) / sx, (b - cy) / sy);
+        const dot = (weights) => terms.reduce((sum, term, i) => sum + term * weights[i], 0);
+        return [dot(coefficients.u), dot(coefficients.v)];
+    }
+
+    /**
+     * 正規方程式（AᵀA c = Aᵀb）を部分ピボット選択付きガウス消去法で解く
+     * @param {Array<Array<number>>} rows - 説明変数の行列A
+     * @param {Array<number>} values - 目的変数b
+     * @returns {Array<number>} 係数c
+     * @throws {Error} 基準点の配置から係数が決まらない場合
+     */
+    static _solveLeastSquares(rows, values) {
+        const size = rows[0].length;
+        const matrix = [];
+        for (let i = 0; i < size; i++) {
+            const row = [];
+            for (let j = 0; j < size; j++) {
+                row.push(rows.reduce((sum, r) => sum + r[i] * r[j], 0));
+            }
+            row.push(rows.reduce((sum, r, k) => sum + r[i] * values[k], 0));
+            matrix.push(row);
+        }
+
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < size; r++) {
+                if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+            }
+            if (Math.abs(matrix[pivot][col]) < 1e-9 * rows.length) {
+                throw new Error('基準点が一直線上に並んでいるなど、配置が偏っているため変換を計算できません');
+            }
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+            for (let r = 0; r < size; r++) {
+                if (r === col) continue;
+                const factor = matrix[r][col] / matrix[col][col];
+                for (let c = col; c <= size; c++) {
+                    matrix[r][c] -= factor * matrix[col][c];
+                }
+            }
+        }
+
+        return matrix.map((row, i) => row[size] / row[i]);
+    }
+}
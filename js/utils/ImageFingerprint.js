@@ -0,0 +1,47 @@
+// 画像の内容から作るプロジェクトIDの接頭辞
+const HASH_PROJECT_ID_PREFIX = 'img_';
+
+/**
+ * 画像ファイルの内容のハッシュ（SHA-256）を求め、画像の内容に結び付いたプロジェクトIDを作るユーティリティクラス
+ * ファイル名を変えても同じ画像なら同じハッシュになり、同じ名前の別の画像とは異なるハッシュになる
+ */
+export class ImageFingerprint {
+    /**
+     * ファイルの内容のSHA-256を計算
+     * SubtleCrypto が使えない環境（HTTPで配信した場合など）では空文字を返す
+     * @param {File|Blob} file - 画像ファイル
+     * @returns {Promise<string>} ハッシュ（16進数64桁、計算できない場合は空文字）
+     */
+    static async compute(file) {
+        const subtle = globalThis.crypto && globalThis.crypto.subtle;
+        if (!subtle || !file || typeof file.arrayBuffer !== 'function') {
+            return '';
+        }
+
+        try {
+            const digest = await subtle.digest('SHA-256', await file.arrayBuffer());
+            return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        } catch (error) {
+            console.warn('画像のハッシュ計算に失敗しました:', error);
+            return '';
+        }
+    }
+
+    /**
+     * ハッシュからプロジェクトIDを作成
+     * @param {string} hash - 画像のハッシュ
+     * @returns {string} プロジェクトID（'img_' + ハッシュ）
+     */
+    static toProjectId(hash) {
+        return HASH_PROJECT_ID_PREFIX + hash;
+    }
+
+    /**
+     * 画像の内容から作ったプロジェクトIDかどうかを判定
+     * @param {string} projectId - プロジェクトID
+     * @returns {boolean} ハッシュによるプロジェクトIDの場合true
+     */
+    static isHashProjectId(projectId) {
+        return typeof projectId === 'string' && projectId.startsWith(HASH_PROJECT_ID_PREFIX);
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * 画像座標での面積の計算と、縮尺（1画素あたりのメートル数）による実距離への換算を行うユーティリティクラス
+ */
+export class Measurements {
+    /**
+     * 多角形の面積（平方画素）を計算（靴ひも公式）
+     * @param {Array<{x: number, y: number}>} vertices - 頂点（画像座標）
+     * @returns {number} 面積（平方画素、頂点が3つ未満の場合は0）
+     */
+    static polygonArea(vertices) {
+        if (!vertices || vertices.length < 3) return 0;
+        let sum = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            sum += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(sum) / 2;
+    }
+
+    /**
+     * 距離を表示用の文字列に変換（1km以上はkm表示）
+     * @param {number} meters - 距離（メートル）
+     * @returns {string} 表示文字列
+     */
+    static formatDistance(meters) {
+        if (meters >= 1000) return `${(meters / 1000).toFixed(2)} km`;
+        return `${Math.round(meters)} m`;
+    }
+
+    /**
+     * 面積を表示用の文字列に変換（1ha以上はha、1km²以上はkm²表示）
+     * @param {number} squareMeters - 面積（平方メートル）
+     * @returns {string} 表示文字列
+     */
+    static formatArea(squareMeters) {
+        if (squareMeters >= 1000000) return `${(squareMeters / 1000000).toFixed(2)} km²`;
+        if (squareMeters >= 10000) return `${(squareMeters / 10000).toFixed(2)} ha`;
+        return `${Math.round(squareMeters)} m²`;
+    }
+}
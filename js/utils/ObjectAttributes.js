@@ -0,0 +1,118 @@
+// ルートの難易度・路面、エリアの危険種別の選択肢
+export const ATTRIBUTE_OPTIONS = {
+    difficulty: ['初級', '中級', '上級', 'エキスパート'],
+    surface: ['舗装', '未舗装', '砂利', '土', '岩場', '木道', '階段', '沢'],
+    hazardType: ['落石', '崩落', '滑落', '増水', '倒木', '通行止め', '動物', 'その他']
+};
+
+/**
+ * ポイント・スポット・ルート・エリアの属性（説明・カテゴリ・任意項目、ルートの難易度・路面、エリアの危険種別）を扱うユーティリティクラス
+ * 属性は各オブジェクトに直接持たせ、保存・読み込み時の変換をここにまとめる
+ */
+export class ObjectAttributes {
+    /**
+     * 種別ごとの属性項目（すべての種別に共通の説明・カテゴリ・任意項目を除く）
+     * @param {string} type - 'point' | 'spot' | 'route' | 'area'
+     * @returns {Array<string>} 項目名
+     */
+    static getTypeFields(type) {
+        if (type === 'route') return ['difficulty', 'surface'];
+        if (type === 'area') return ['hazardType'];
+        return [];
+    }
+
+    /**
+     * 種別の文字列項目（説明・カテゴリと種別ごとの項目）
+     * @param {string} type - 'point' | 'spot' | 'route' | 'area'
+     * @returns {Array<string>} 項目名
+     */
+    static getTextFields(type) {
+        return ['description', 'category', ...ObjectAttributes.getTypeFields(type)];
+    }
+
+    /**
+     * オブジェクトの属性を保存用に取得（空の項目は含めない。プロジェクトJSON用）
+     * @param {string} type - 'point' | 'spot' | 'route' | 'area'
+     * @param {Object} item - オブジェクト
+     * @returns {Object} 属性
+     */
+    static toData(type, item) {
+        const data = {};
+        ObjectAttributes.getTextFields(type).forEach(field => {
+            if (item[field]) data[field] = item[field];
+        });
+        const attributes = ObjectAttributes.normalizeCustomFields(item.attributes);
+        if (Object.keys(attributes).length > 0) data.attributes = attributes;
+        return data;
+    }
+
+    /**
+     * オブジェクトの属性を保存用に取得（空の項目も空文字・空オブジェクトで含める。Firestore用）
+     * 更新時に属性の削除も反映できるよう、すべての項目を上書きする
+     * @param {string} type - 'point' | 'spot' | 'route' | 'area'
+     * @param {Object} item - オブジェクト
+     * @returns {Object} 属性
+     */
+    static toRecord(type, item) {
+        const record = {};
+        ObjectAttributes.getTextFields(type).forEach(field => {
+            record[field] = item[field] || '';
+        });
+        record.attributes = ObjectAttributes.normalizeCustomFields(item.attributes);
+        return record;
+    }
+
+    /**
+     * 読み込んだデータから属性を取り出す（文字列以外の値・空の項目は除く）
+     * @param {string} type - 'point' | 'spot' | 'route' | 'area'
+     * @param {Object} data - 読み込んだデータ
+     * @returns {Object} オブジェクトに設定する属性
+     */
+    static fromData(type, data) {
+        const attributes = {};
+        ObjectAttributes.getTextFields(type).forEach(field => {
+            if (typeof data[field] === 'string' && data[field] !== '') attributes[field] = data[field];
+        });
+        const custom = ObjectAttributes.normalizeCustomFields(data.attributes);
+        if (Object.keys(custom).length > 0) attributes.attributes = custom;
+        return attributes;
+    }
+
+    /**
+     * 属性の変更をオブジェクトに反映（空になった項目はオブジェクトから取り除く）
+     * @param {Object} item - オブジェクト（直接書き換える）
+     * @param {Object} changes - 変更する属性（項目名 → 値。任意項目は attributes にまとめて指定）
+     */
+    static assign(item, changes) {
+        Object.entries(changes).forEach(([field, value]) => {
+            const normalized = field === 'attributes'
+                ? ObjectAttributes.normalizeCustomFields(value)
+                : (typeof value === 'string' ? value.trim() : '');
+            const isEmpty = field === 'attributes' ? Object.keys(normalized).length === 0 : normalized === '';
+            if (isEmpty) {
+                delete item[field];
+            } else {
+                item[field] = normalized;
+            }
+        });
+    }
+
+    /**
+     * 任意項目（キーと値の組）を整える
+     * キー・値を文字列にして前後の空白を除き、キーが空の項目を除いてキーの順に並べる
+     * @param {Object|null|undefined} attributes - 任意項目
+     * @returns {Object<string, string>} 整えた任意項目
+     */
+    static normalizeCustomFields(attributes) {
+        const normalized = {};
+        if (!attributes || typeof attributes !== 'object') return normalized;
+        Object.keys(attributes)
+            .map(key => [String(key).trim(), attributes[key]])
+            .filter(([key, value]) => key !== '' && value !== null && value !== undefined)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .forEach(([key, value]) => {
+                normalized[key] = String(value).trim();
+            });
+        return normalized;
+    }
+}
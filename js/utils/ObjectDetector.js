@@ -4,18 +4,21 @@
 export class ObjectDetector {
     /**
      * 指定座標上のオブジェクト（ポイント/スポット/ルート中間点）を検出
-     * @param {number} x - X座標（キャンバス座標）
-     * @param {number} y - Y座標（キャンバス座標）
-     * @param {Object} managers - { pointManager, spotManager, routeManager }
+     * layerManager を指定した場合、非表示・ロック中のレイヤーのオブジェクトは検出しない
+     * @param {number} x - X座標（画像座標）
+     * @param {number} y - Y座標（画像座標）
+     * @param {Object} managers - { pointManager, spotManager, routeManager, areaManager, layerManager }
      * @param {string} mode - 編集モード ('point' | 'spot' | 'route')
+     * @param {number} toleranceScale - 検出閾値の倍率（ベースキャンバス1pxあたりの画像ピクセル数）
      * @returns {{type: string, index: number, object: Object} | null} 検出されたオブジェクト情報
      */
-    static findObjectAt(x, y, managers, mode = null) {
-        const { pointManager, spotManager, routeManager, areaManager } = managers;
+    static findObjectAt(x, y, managers, mode = null, toleranceScale = 1.0) {
+        const { pointManager, spotManager, routeManager, areaManager, layerManager } = managers;
+        const isEditable = (layerId) => !layerManager || layerManager.isEditable(layerId);
 
         // エリア編集モード時は頂点を優先チェック
-        if (mode === 'area' && areaManager) {
-            const vertexInfo = areaManager.findVertexAt(x, y, 10);
+        if (mode === 'area' && areaManager && (!layerManager || layerManager.isAreaEditable(areaManager.getSelectedArea()))) {
+            const vertexInfo = areaManager.findVertexAt(x, y, 10 * toleranceScale);
             if (vertexInfo) {
                 return {
                     type: 'vertex',
@@ -26,8 +29,8 @@ export class ObjectDetector {
         }
 
         // ルート編集モード時は中間点を優先チェック
-        if (mode === 'route' && routeManager) {
-            const routePointInfo = routeManager.findRoutePointAt(x, y, 10);
+        if (mode === 'route' && routeManager && (!layerManager || layerManager.isRouteEditable(routeManager.getSelectedRoute()))) {
+            const routePointInfo = routeManager.findRoutePointAt(x, y, 10 * toleranceScale);
             if (routePointInfo) {
                 return {
                     type: 'routePoint',
@@ -38,8 +41,8 @@ export class ObjectDetector {
         }
 
         // スポットを次にチェック（ポイントより大きいため）
-        if (spotManager) {
-            const spotIndex = spotManager.findSpotAt(x, y, 10);
+        if (spotManager && isEditable('spots')) {
+            const spotIndex = spotManager.findSpotAt(x, y, 10 * toleranceScale);
             if (spotIndex !== -1) {
                 const spots = spotManager.getSpots();
                 return {
@@ -51,8 +54,8 @@ export class ObjectDetector {
         }
 
         // ポイントをチェック
-        if (pointManager) {
-            const pointIndex = this.findPointAt(x, y, pointManager.getPoints(), 8);
+        if (pointManager && isEditable('points')) {
+            const pointIndex = this.findPointAt(x, y, pointManager.getPoints(), 8 * toleranceScale);
             if (pointIndex !== -1) {
                 const points = pointManager.getPoints();
                 return {
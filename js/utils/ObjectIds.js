@@ -0,0 +1,28 @@
+/**
+ * ルート・エリアを識別するID（objectId）を扱うユーティリティクラス
+ * 名前の変更や並び替え、Firestoreへの初回保存の前後でも変わらないIDで、レイヤーの状態の対応付けに使う
+ */
+export class ObjectIds {
+    /**
+     * 新しいIDを発行
+     * @returns {string} ID
+     */
+    static create() {
+        if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+            return globalThis.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * IDがなければ発行して設定する
+     * @param {Object} item - ルートまたはエリア（直接書き換える）
+     * @returns {Object} 同じオブジェクト
+     */
+    static ensure(item) {
+        if (!item.objectId) {
+            item.objectId = ObjectIds.create();
+        }
+        return item;
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * ポイントID体系の初期設定（従来の「X-nn」形式：英大文字1文字-数字2桁）
+ * mode: 'standard'（接頭辞-番号）| 'pattern'（正規表現）| 'free'（自由入力）
+ * prefixes: 使用できる接頭辞の一覧（空の場合は英大文字 1〜prefixLength 文字）
+ * digits: 番号の桁数（この桁数まで0埋めする）
+ * pattern: 'pattern' モードで使う正規表現（全体一致）
+ */
+const DEFAULT_CONFIG = {
+    mode: 'standard',
+    prefixes: [],
+    prefixLength: 1,
+    digits: 2,
+    pattern: ''
+};
+
+/**
+ * プロジェクトごとのポイントID体系（形式の判定・自動修正）を表すクラス
+ */
+export class PointIdScheme {
+    /**
+     * @param {Object} config - ID体系の設定（省略した項目は初期設定）
+     */
+    constructor(config = {}) {
+        const merged = { ...DEFAULT_CONFIG, ...config };
+        this.mode = ['standard', 'pattern', 'free'].includes(merged.mode) ? merged.mode : 'standard';
+        this.prefixes = (Array.isArray(merged.prefixes) ? merged.prefixes : String(merged.prefixes).split(','))
+            .map(prefix => String(prefix).trim().toUpperCase())
+            .filter(prefix => /^[A-Z]+$/.test(prefix));
+        this.prefixLength = Math.max(1, parseInt(merged.prefixLength, 10) || 1);
+        this.digits = Math.max(1, parseInt(merged.digits, 10) || 1);
+        this.pattern = String(merged.pattern || '');
+        this.regex = this._buildRegex();
+    }
+
+    /**
+     * 初期設定を取得
+     * @returns {Object} ID体系の設定
+     */
+    static getDefaultConfig() {
+        return { ...DEFAULT_CONFIG, prefixes: [] };
+    }
+
+    /**
+     * 保存用の設定を取得
+     * @returns {{mode: string, prefixes: Array<string>, prefixLength: number, digits: number, pattern: string}} 設定
+     */
+    toJSON() {
+        return {
+            mode: this.mode,
+            prefixes: [...this.prefixes],
+            prefixLength: this.prefixLength,
+            digits: this.digits,
+            pattern: this.pattern
+        };
+    }
+
+    /**
+     * 値がID体系の形式に合っているかどうかをチェック（空の値は未入力として有効）
+     * @param {string} value - 検証する値
+     * @returns {boolean} 有効な形式かどうか
+     */
+    isValid(value) {
+        if (!value || value.trim() === '') {
+            return true;
+        }
+        return this.mode === 'free' || this.regex.test(value);
+    }
+
+    /**
+     * 入力値をID体系の形式に自動修正する
+     * @param {string} value - 修正する値
+     * @param {Function} toHalfWidth - 全角英数字・ハイフンを半角に変換する関数
+     * @returns {string} 修正された値（修正できない場合は変換後の値のまま）
+     */
+    format(value, toHalfWidth) {
+        if (!value || value.trim() === '') {
+            return value;
+        }
+
+        if (this.mode === 'free') {
+            return value.trim();
+        }
+
+        const converted = toHalfWidth(value.trim());
+        if (this.mode === 'pattern') {
+            // そのままでは合わず、英大文字に変換すると合う場合のみ大文字にする
+            const upper = converted.toUpperCase();
+            return !this.regex.test(converted) && this.regex.test(upper) ? upper : converted;
+        }
+
+        // 「接頭辞-番号」「接頭辞番号」を「接頭辞-0埋めした番号」に揃える
+        const upper = converted.toUpperCase();
+        const match = upper.match(/^([A-Z]+)-?(\d+)$/);
+        if (match && this._isAllowedPrefix(match[1])) {
+            return this._compose(match[1], parseInt(match[2], 10));
+        }
+        return upper;
+    }
+
+    /**
+     * 同じ接頭辞で番号が大きい未使用のIDを取得（接頭辞-番号の形式の場合のみ）
+     * @param {string} id - 元のID
+     * @param {Set<string>} usedIds - 使用中のID
+     * @returns {string|null} 未使用のID（求められない場合はnull）
+     */
+    nextFreeId(id, usedIds) {
+        if (this.mode !== 'standard') return null;
+
+        const match = this.regex.exec(id);
+        if (!match) return null;
+
+        // 桁数に収まる番号の範囲で探す
+        const limit = Math.pow(10, this.digits);
+        for (let number = parseInt(match[2], 10) + 1; number < limit; number++) {
+            const candidate = this._compose(match[1], number);
+            if (!usedIds.has(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    /**
+     * 接頭辞として使用できるかどうかを判定（接頭辞-番号の形式の場合のみ）
+     * @param {string} prefix - 接頭辞（英大文字）
+     * @returns {boolean} 使用できる場合true
+     */
+    isValidPrefix(prefix) {
+        return this.mode === 'standard' && /^[A-Z]+$/.test(prefix || '') && this._isAllowedPrefix(prefix);
+    }
+
+    /**
+     * IDの接頭辞を付け替え、番号はそのままにしたIDを取得（接頭辞-番号の形式の場合のみ）
+     * @param {string} id - 元のID
+     * @param {string} prefix - 新しい接頭辞（isValidPrefix() で確認済みの値）
+     * @returns {string|null} 新しいID（元のIDが接頭辞-番号の形式でない場合はnull）
+     */
+    replacePrefix(id, prefix) {
+        if (this.mode !== 'standard') return null;
+        const match = this.regex.exec(id || '');
+        return match ? this._compose(prefix, parseInt(match[2], 10)) : null;
+    }
+
+    /**
+     * ID体系の説明文を取得（メッセージ・設定画面用）
+     * @returns {string} 説明文
+     */
+    describe() {
+        if (this.mode === 'free') {
+            return '自由入力';
+        }
+        if (this.mode === 'pattern') {
+            return `正規表現 ${this.pattern}`;
+        }
+        const prefix = this.prefixes.length > 0
+            ? `接頭辞（${this.prefixes.join('・')}）`
+            : `英大文字${this.prefixLength === 1 ? '1文字' : `1〜${this.prefixLength}文字`}`;
+        return `${prefix}-数字${this.digits}桁`;
+    }
+
+    /**
+     * IDの例を取得（入力欄の幅・設定画面のプレビュー用）
+     * @returns {string} IDの例（接頭辞-番号の形式以外は 'ID'）
+     */
+    getExample() {
+        if (this.mode !== 'standard') {
+            return 'ID';
+        }
+        const prefix = this.prefixes.length > 0 ? this.prefixes[0] : 'A';
+        return this._compose(prefix, 1);
+    }
+
+    /**
+     * 形式判定用の正規表現を作成
+     * 'standard' モードでは接頭辞を1番目、番号を2番目のグループとする
+     * @returns {RegExp} 正規表現
+     */
+    _buildRegex() {
+        if (this.mode === 'pattern') {
+            try {
+                return new RegExp(`^(?:${this.pattern})$`);
+            } catch (error) {
+                throw new Error(`ポイントIDの正規表現が正しくありません: ${error.message}`);
+            }
+        }
+        const prefix = this.prefixes.length > 0
+            ? `(${this.prefixes.join('|')})`
+            : `([A-Z]{1,${this.prefixLength}})`;
+        return new RegExp(`^${prefix}-(\\d{${this.digits},})$`);
+    }
+
+    /**
+     * 接頭辞が使用できるかどうかを判定
+     * @param {string} prefix - 接頭辞
+     * @returns {boolean} 使用できる場合true
+     */
+    _isAllowedPrefix(prefix) {
+        return this.prefixes.length > 0
+            ? this.prefixes.includes(prefix)
+            : prefix.length <= this.prefixLength;
+    }
+
+    /**
+     * 接頭辞と番号からIDを作成
+     * @param {string} prefix - 接頭辞
+     * @param {number} number - 番号
+     * @returns {string} ID
+     */
+    _compose(prefix, number) {
+        return `${prefix}-${String(number).padStart(this.digits, '0')}`;
+    }
+}
@@ -0,0 +1,361 @@
+// RGB色空間での最大の色距離（黒⇔白）
+const MAX_COLOR_DISTANCE = Math.sqrt(255 * 255 * 3);
+
+// 線の色から外れた画素を通る場合の最低コスト（線上の画素は1）
+const OFF_TRAIL_BASE_COST = 20;
+const OFF_TRAIL_EXTRA_COST = 200;
+
+// 探索範囲の画素数の上限（超える場合はブロック単位に縮小して探索する）
+const MAX_SEARCH_CELLS = 1500000;
+
+// 8近傍の移動（dx, dy, 距離）
+const NEIGHBORS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+/**
+ * 画像の線（登山道など）に沿った経路を求めるユーティリティクラス
+ * 指定色との色距離からコストマップを作り、A*探索で最小コストの経路を求める。
+ * 求めた画素列はDouglas-Peucker法で間引いて中間点にする。
+ * 処理はすべてブラウザ内のImageData上で行う
+ */
+export class TrailTracer {
+    /**
+     * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - 画像の画素データ（元画像サイズ）
+     * @param {{r: number, g: number, b: number}} trailColor - 線の色
+     * @param {number} tolerance - 線とみなす色距離の許容値（0〜441）
+     */
+    constructor(imageData, trailColor, tolerance = 60) {
+        this.imageData = imageData;
+        this.trailColor = trailColor;
+        this.tolerance = tolerance;
+    }
+
+    /**
+     * 画像要素から画素データを取得
+     * @param {HTMLImageElement} image - 画像
+     * @returns {ImageData} 元画像サイズの画素データ
+     */
+    static getImageData(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0);
+        return ctx.getImageData(0, 0, image.width, image.height);
+    }
+
+    /**
+     * 指定位置の周囲の平均色を取得
+     * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - 画素データ
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} radius - 平均をとる範囲の半径（画素）
+     * @returns {{r: number, g: number, b: number}} 平均色
+     */
+    static sampleColor(imageData, x, y, radius = 1) {
+        const { data, width, height } = imageData;
+        let r = 0, g = 0, b = 0, count = 0;
+        for (let py = Math.round(y) - radius; py <= Math.round(y) + radius; py++) {
+            for (let px = Math.round(x) - radius; px <= Math.round(x) + radius; px++) {
+                if (px < 0 || py < 0 || px >= width || py >= height) continue;
+                const offset = (py * width + px) * 4;
+                r += data[offset];
+                g += data[offset + 1];
+                b += data[offset + 2];
+                count++;
+            }
+        }
+        if (count === 0) return { r: 0, g: 0, b: 0 };
+        return { r: Math.round(r / count), g: Math.round(g / count), b: Math.round(b / count) };
+    }
+
+    /**
+     * #rrggbb形式の色文字列をRGBに変換
+     * @param {string} hex - 色文字列
+     * @returns {{r: number, g: number, b: number}} RGB
+     */
+    static hexToRgb(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return { r: (value >> 16) & 0xff, g: (value >> 8) & 0xff, b: value & 0xff };
+    }
+
+    /**
+     * RGBを#rrggbb形式の色文字列に変換
+     * @param {{r: number, g: number, b: number}} color - RGB
+     * @returns {string} 色文字列
+     */
+    static rgbToHex(color) {
+        return '#' + [color.r, color.g, color.b].map(v => v.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * アンカー（開始・経由・終了）を順に結ぶ線に沿った経路を求める
+     * @param {Array<{x: number, y: number}>} anchors - 2点以上のアンカー（画像座標）
+     * @returns {Array<{x: number, y: number}>} 経路の画素列（最初と最後はアンカーそのもの）
+     */
+    traceThrough(anchors) {
+        const path = [];
+        for (let i = 0; i < anchors.length - 1; i++) {
+            const segment = this.findPath(anchors[i], anchors[i + 1]);
+            // 区間のつなぎ目の重複を除く
+            path.push(...(i === 0 ? segment : segment.slice(1)));
+        }
+        return path;
+    }
+
+    /**
+     * 2点間の最小コスト経路をA*探索で求める
+     * 探索範囲は2点を囲む矩形に余白を加えた範囲とし、広すぎる場合はブロック単位に縮小する
+     * @param {{x: number, y: number}} start - 開始位置（画像座標）
+     * @param {{x: number, y: number}} end - 終了位置（画像座標）
+     * @returns {Array<{x: number, y: number}>} 経路の画素列（最初と最後はstart・end）
+     */
+    findPath(start, end) {
+        const grid = this._createGrid(start, end);
+        const { cols, rows, costs } = grid;
+        const startCell = this._toCell(grid, start);
+        const endCell = this._toCell(grid, end);
+        const endCol = endCell % cols;
+        const endRow = Math.floor(endCell / cols);
+
+        // 1マスの最低コストは1のため、八方向距離は許容的なヒューリスティック
+        const heuristic = (col, row) => {
+            const dx = Math.abs(col - endCol);
+            const dy = Math.abs(row - endRow);
+            return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+        };
+
+        const gScore = new Float64Array(cols * rows).fill(Infinity);
+        const cameFrom = new Int32Array(cols * rows).fill(-1);
+        const closed = new Uint8Array(cols * rows);
+        const open = new MinHeap();
+
+        gScore[startCell] = 0;
+        open.push(startCell, heuristic(startCell % cols, Math.floor(startCell / cols)));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === endCell) break;
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % cols;
+            const row = Math.floor(current / cols);
+            for (const [dx, dy, distance] of NEIGHBORS) {
+                const nc = col + dx;
+                const nr = row + dy;
+                if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) continue;
+                const next = nr * cols + nc;
+                if (closed[next]) continue;
+
+                // 移動コスト = 距離 × 両端の画素コストの平均
+                const tentative = gScore[current] + distance * (costs[current] + costs[next]) / 2;
+                if (tentative < gScore[next]) {
+                    gScore[next] = tentative;
+                    cameFrom[next] = current;
+                    open.push(next, tentative + heuristic(nc, nr));
+                }
+            }
+        }
+
+        // 終了位置から開始位置へたどって画素列を作る
+        const cells = [];
+        for (let cell = endCell; cell !== -1; cell = cameFrom[cell]) {
+            cells.push(cell);
+            if (cell === startCell) break;
+        }
+        cells.reverse();
+
+        const path = cells.map(cell => this._toImageCoord(grid, cell));
+        path[0] = { x: start.x, y: start.y };
+        path[path.length - 1] = { x: end.x, y: end.y };
+        return path;
+    }
+
+    /**
+     * Douglas-Peucker法で経路を間引く
+     * @param {Array<{x: number, y: number}>} points - 経路の点列
+     * @param {number} epsilon - 許容誤差（画素）
+     * @returns {Array<{x: number, y: number}>} 間引いた点列（最初と最後の点は残す）
+     */
+    static simplify(points, epsilon) {
+        if (points.length <= 2) return points.slice();
+
+        const keep = new Uint8Array(points.length);
+        keep[0] = 1;
+        keep[points.length - 1] = 1;
+
+        // 再帰の代わりに区間のスタックで処理（長い経路でのスタックあふれを防ぐ）
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            let maxDistance = 0;
+            let farthest = -1;
+            for (let i = first + 1; i < last; i++) {
+                const distance = TrailTracer._distanceToSegment(points[i], points[first], points[last]);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    farthest = i;
+                }
+            }
+            if (farthest !== -1 && maxDistance > epsilon) {
+                keep[farthest] = 1;
+                stack.push([first, farthest], [farthest, last]);
+            }
+        }
+        return points.filter((_, i) => keep[i]);
+    }
+
+    /**
+     * 点から線分までの距離
+     * @param {{x: number, y: number}} p - 点
+     * @param {{x: number, y: number}} a - 線分の始点
+     * @param {{x: number, y: number}} b - 線分の終点
+     * @returns {number} 距離
+     */
+    static _distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+        const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+
+    /**
+     * 探索範囲のコストマップを作成
+     * ブロック単位に縮小する場合は、ブロック内で最も線の色に近い画素のコストを使う（細い線を失わないため）
+     * @param {{x: number, y: number}} start - 開始位置
+     * @param {{x: number, y: number}} end - 終了位置
+     * @returns {{left: number, top: number, cellSize: number, cols: number, rows: number, costs: Float32Array}} 探索範囲
+     */
+    _createGrid(start, end) {
+        const { data, width, height } = this.imageData;
+        // 線が大きく回り込む場合に備え、2点間の距離の半分（最低100画素）の余白をとる
+        const margin = Math.max(100, Math.hypot(end.x - start.x, end.y - start.y) / 2);
+        const clampX = (v) => Math.max(0, Math.min(width - 1, Math.round(v)));
+        const clampY = (v) => Math.max(0, Math.min(height - 1, Math.round(v)));
+        const left = clampX(Math.min(start.x, end.x) - margin);
+        const top = clampY(Math.min(start.y, end.y) - margin);
+        const right = clampX(Math.max(start.x, end.x) + margin);
+        const bottom = clampY(Math.max(start.y, end.y) + margin);
+
+        const areaWidth = right - left + 1;
+        const areaHeight = bottom - top + 1;
+        const cellSize = Math.max(1, Math.ceil(Math.sqrt(areaWidth * areaHeight / MAX_SEARCH_CELLS)));
+        const cols = Math.ceil(areaWidth / cellSize);
+        const rows = Math.ceil(areaHeight / cellSize);
+        const costs = new Float32Array(cols * rows);
+
+        const { r: tr, g: tg, b: tb } = this.trailColor;
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                let minDistance = Infinity;
+                const y0 = top + row * cellSize;
+                const x0 = left + col * cellSize;
+                for (let y = y0; y < Math.min(y0 + cellSize, bottom + 1); y++) {
+                    for (let x = x0; x < Math.min(x0 + cellSize, right + 1); x++) {
+                        const offset = (y * width + x) * 4;
+                        const dr = data[offset] - tr;
+                        const dg = data[offset + 1] - tg;
+                        const db = data[offset + 2] - tb;
+                        const distance = Math.sqrt(dr * dr + dg * dg + db * db);
+                        if (distance < minDistance) minDistance = distance;
+                    }
+                }
+                costs[row * cols + col] = this._cost(minDistance);
+            }
+        }
+
+        return { left, top, cellSize, cols, rows, costs };
+    }
+
+    /**
+     * 色距離から画素のコストを計算
+     * @param {number} distance - 線の色との色距離
+     * @returns {number} コスト（線上は1、外れるほど大きい）
+     */
+    _cost(distance) {
+        if (distance <= this.tolerance) return 1;
+        return OFF_TRAIL_BASE_COST + OFF_TRAIL_EXTRA_COST * (distance - this.tolerance) / MAX_COLOR_DISTANCE;
+    }
+
+    /**
+     * 画像座標を探索範囲のマス番号に変換
+     */
+    _toCell(grid, point) {
+        const col = Math.max(0, Math.min(grid.cols - 1, Math.floor((point.x - grid.left) / grid.cellSize)));
+        const row = Math.max(0, Math.min(grid.rows - 1, Math.floor((point.y - grid.top) / grid.cellSize)));
+        return row * grid.cols + col;
+    }
+
+    /**
+     * 探索範囲のマス番号を画像座標（マスの中心）に変換
+     */
+    _toImageCoord(grid, cell) {
+        const col = cell % grid.cols;
+        const row = Math.floor(cell / grid.cols);
+        return {
+            x: Math.round(grid.left + (col + 0.5) * grid.cellSize - 0.5),
+            y: Math.round(grid.top + (row + 0.5) * grid.cellSize - 0.5)
+        };
+    }
+}
+
+/**
+ * A*探索のオープンリスト用の二分ヒープ（優先度の小さい順に取り出す）
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        const items = this.items;
+        const priorities = this.priorities;
+        let index = items.length;
+        items.push(item);
+        priorities.push(priority);
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (priorities[parent] <= priority) break;
+            items[index] = items[parent];
+            priorities[index] = priorities[parent];
+            index = parent;
+        }
+        items[index] = item;
+        priorities[index] = priority;
+    }
+
+    pop() {
+        const items = this.items;
+        const priorities = this.priorities;
+        const top = items[0];
+        const lastItem = items.pop();
+        const lastPriority = priorities.pop();
+        if (items.length > 0) {
+            let index = 0;
+            const length = items.length;
+            while (true) {
+                const leftChild = index * 2 + 1;
+                if (leftChild >= length) break;
+                const rightChild = leftChild + 1;
+                const child = rightChild < length && priorities[rightChild] < priorities[leftChild] ? rightChild : leftChild;
+                if (priorities[child] >= lastPriority) break;
+                items[index] = items[child];
+                priorities[index] = priorities[child];
+                index = child;
+            }
+            items[index] = lastItem;
+            priorities[index] = lastPriority;
+        }
+        return top;
+    }
+}
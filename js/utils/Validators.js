@@ -1,68 +1,45 @@
+import { PointIdScheme } from './PointIdScheme.js';
+
+// 現在のプロジェクトのポイントID体系（ProjectSettingsManagerが画像の切り替え・設定変更時に更新）
+let pointIdScheme = new PointIdScheme();
+
 /**
  * バリデーション機能を提供するクラス
  */
 export class Validators {
     /**
-     * ポイントIDが「X-nn」形式（英大文字1桁-数字2桁）かどうかをチェック
+     * ポイントID体系を設定
+     * @param {PointIdScheme} scheme - ID体系
+     */
+    static setPointIdScheme(scheme) {
+        pointIdScheme = scheme;
+    }
+
+    /**
+     * 現在のポイントID体系を取得
+     * @returns {PointIdScheme} ID体系
+     */
+    static getPointIdScheme() {
+        return pointIdScheme;
+    }
+
+    /**
+     * ポイントIDが現在のID体系の形式（初期設定は「X-nn」形式）かどうかをチェック
      * @param {string} value - 検証する値
      * @returns {boolean} 有効な形式かどうか
      */
     static isValidPointIdFormat(value) {
-        if (!value || value.trim() === '') {
-            return true;
-        }
-
-        const validPattern = /^[A-Z]-\d{2}$/;
-        return validPattern.test(value);
+        return pointIdScheme.isValid(value);
     }
 
     /**
-     * ポイントIDを「X-nn」形式に自動修正する
+     * ポイントIDを現在のID体系の形式に自動修正する
+     * 例（初期設定）: 'a1' → 'A-01'、'Ｊ－１' → 'J-01'
      * @param {string} value - 修正する値
      * @returns {string} 修正された値
      */
     static formatPointId(value) {
-        if (!value || value.trim() === '') {
-            return value;
-        }
-
-        // 1. 全角英数字を半角英数字に変換
-        let convertedValue = this.convertFullWidthToHalfWidth(value);
-
-        // 2. 英小文字を英大文字に変換
-        convertedValue = convertedValue.toUpperCase();
-
-        // 完全な「X-nn」形式（2桁数字）の場合
-        const fullMatch = convertedValue.match(/^([A-Z])[-]?(\d{2})$/);
-        if (fullMatch) {
-            const letter = fullMatch[1];
-            const numbers = fullMatch[2];
-            return `${letter}-${numbers}`;
-        }
-
-        // 不完全な入力「X-n」（1桁数字）の場合
-        const partialMatch = convertedValue.match(/^([A-Z])[-]?(\d{1})$/);
-        if (partialMatch) {
-            const letter = partialMatch[1];
-            const number = partialMatch[2];
-            // 1桁の場合は0埋めしてフォーマット
-            return `${letter}-${number.padStart(2, '0')}`;
-        }
-
-        // ハイフンなしの「X数字」形式の場合
-        const noHyphenMatch = convertedValue.match(/^([A-Z])(\d{1,2})$/);
-        if (noHyphenMatch) {
-            const letter = noHyphenMatch[1];
-            const numbers = noHyphenMatch[2].padStart(2, '0');
-            return `${letter}-${numbers}`;
-        }
-
-        // 数字のみの場合は変換しない
-        if (convertedValue.match(/^\d+$/)) {
-            return convertedValue;
-        }
-
-        return convertedValue;
+        return pointIdScheme.format(value, str => this.convertFullWidthToHalfWidth(str));
     }
 
     /**
@@ -100,11 +77,12 @@ export class Validators {
 
     /**
      * ファイルがJSON形式かどうかをチェック
+     * GeoJSON（.geojson）はMIMEタイプが空になる環境があるため拡張子でも判定する
      * @param {File} file - チェックするファイル
      * @returns {boolean} JSON形式かどうか
      */
     static isJsonFile(file) {
-        return file && file.type.includes('json');
+        return !!file && (file.type.includes('json') || /\.(geo)?json$/i.test(file.name || ''));
     }
 
     /**
@@ -158,7 +136,7 @@ export class Validators {
 
     /**
      * スポット名をフォーマット（全角→半角、英小文字→英大文字、数字を半角に変換）
-     * ※ポイントIDと同じフォーマット処理だが、X-nn形式への自動補正は行わない
+     * ※ポイントIDと同じフォーマット処理だが、ポイントID体系の形式への自動補正は行わない
      * @param {string} value - フォーマットする値
      * @returns {string} フォーマット後の値
      */
@@ -0,0 +1,18 @@
+/**
+ * XML（GPX・SVG）の文書を組み立てるためのユーティリティクラス
+ */
+export class XmlUtils {
+    /**
+     * XMLの特殊文字をエスケープ（要素の内容・属性値のどちらにも使える）
+     * @param {string} text - 対象文字列
+     * @returns {string} エスケープ後の文字列
+     */
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
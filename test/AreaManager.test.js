@@ -0,0 +1,76 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AreaManager } from '../js/data/AreaManager.js';
+
+/**
+ * 頂点を持つエリアを1つ追加して選択したAreaManagerを作成
+ * @param {Array<{x: number, y: number}>} vertices - 頂点
+ * @returns {AreaManager} AreaManager
+ */
+function createManagerWithArea(vertices) {
+    const manager = new AreaManager();
+    manager.addArea({ areaName: '駐車場', vertices: vertices.map(v => ({ ...v })) });
+    manager.selectArea(0);
+    return manager;
+}
+
+// 一辺100の正方形（時計回り）
+const SQUARE = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+
+describe('AreaManager の頂点の挿入', () => {
+    test('2頂点までは末尾に追加する', () => {
+        const manager = createManagerWithArea([]);
+        manager.addVertex(10, 10);
+        manager.addVertex(50.6, 10.2);
+        assert.deepEqual(manager.getSelectedArea().vertices, [{ x: 10, y: 10 }, { x: 51, y: 10 }]);
+    });
+
+    test('3点目以降は最も近い辺の間に挿入する', () => {
+        const manager = createManagerWithArea(SQUARE);
+
+        // 右の辺（1→2）のすぐ外側
+        manager.addVertex(110, 50);
+        assert.deepEqual(manager.getSelectedArea().vertices.map(v => [v.x, v.y]),
+            [[0, 0], [100, 0], [110, 50], [100, 100], [0, 100]]);
+
+        // 左の辺（最後の頂点→最初の頂点で閉じる辺）のすぐ外側は末尾に入る
+        manager.addVertex(-10, 50);
+        assert.deepEqual(manager.getSelectedArea().vertices.map(v => [v.x, v.y]),
+            [[0, 0], [100, 0], [110, 50], [100, 100], [0, 100], [-10, 50]]);
+        assert.equal(manager.validateArea().isValid, true);
+    });
+
+    test('エリアを選択していない場合は追加せずに通知する', () => {
+        const manager = new AreaManager();
+        const messages = [];
+        manager.setCallback('onNoAreaSelected', message => messages.push(message));
+        assert.equal(manager.addVertex(1, 1), null);
+        assert.equal(messages.length, 1);
+    });
+
+    test('移動した頂点を最も近い辺の間に入れ直す', () => {
+        const manager = createManagerWithArea(SQUARE);
+        // 頂点0を下の辺（2→3）の近くへ移動
+        manager.updateVertex(0, 50, 110);
+        manager.reinsertNearestEdge(0, 0);
+        assert.deepEqual(manager.getSelectedArea().vertices.map(v => [v.x, v.y]),
+            [[100, 0], [100, 100], [50, 110], [0, 100]]);
+    });
+
+    test('辺が交差するエリアは無効とする', () => {
+        const manager = createManagerWithArea([{ x: 0, y: 0 }, { x: 100, y: 100 }, { x: 100, y: 0 }, { x: 0, y: 100 }]);
+        assert.equal(manager.validateArea().isValid, false);
+        assert.equal(createManagerWithArea(SQUARE).validateArea().isValid, true);
+    });
+
+    test('頂点の追加で更新フラグを立て、スナップショットで元に戻せる', () => {
+        const manager = createManagerWithArea(SQUARE);
+        const snapshot = manager.getSnapshot();
+        manager.addVertex(50, -10);
+        assert.equal(manager.getSelectedArea().vertices.length, 5);
+        assert.equal(manager.getSelectedArea().isModified, true);
+
+        manager.restoreSnapshot(snapshot);
+        assert.deepEqual(manager.getSelectedArea().vertices, SQUARE);
+    });
+});
@@ -0,0 +1,82 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CanvasEventHandler } from '../js/ui/CanvasEventHandler.js';
+import { DragDropHandler } from '../js/utils/DragDropHandler.js';
+import { HistoryManager } from '../js/core/HistoryManager.js';
+import { PointManager } from '../js/data/PointManager.js';
+
+/**
+ * ポイントのドラッグに必要な部分だけを持つアプリとハンドラーを作成
+ * @returns {{handler: CanvasEventHandler, app: Object, history: HistoryManager, pointManager: PointManager}}
+ */
+function createHandler() {
+    const history = new HistoryManager(5);
+    const pointManager = new PointManager();
+    history.register('point', pointManager);
+    pointManager.addPoint(10, 10, 'A-01');
+    const app = {
+        canvas: { id: 'mapCanvas' },
+        historyManager: history,
+        dragDropHandler: new DragDropHandler(),
+        inputManager: { redrawInputBoxes() {} },
+        pointManager,
+        redrawCanvas() {}
+    };
+    return { handler: new CanvasEventHandler(app), app, history, pointManager };
+}
+
+/**
+ * ポイントのドラッグを開始して動かす（マウスダウン・マウス移動の処理のうち履歴とドラッグの部分）
+ * @param {Object} context - createHandler() の戻り値
+ * @param {number} x - 移動先のX座標
+ */
+function dragPoint({ handler, app, pointManager }, x) {
+    const point = pointManager.getPoints()[0];
+    handler.beginDragHistory('point');
+    app.dragDropHandler.startDrag('point', 0, point.x, point.y, point);
+    app.dragDropHandler.updateDrag(x, point.y, pointManager);
+}
+
+const mouseUpOn = (target) => ({ target, preventDefault() {} });
+
+describe('CanvasEventHandler のドラッグの履歴', () => {
+    test('キャンバスの外でボタンを離してもドラッグを終了し、1件の履歴として確定する', async () => {
+        const context = createHandler();
+        const { handler, app, history, pointManager } = context;
+        dragPoint(context, 50);
+
+        await handler.handleDocumentMouseUp(mouseUpOn({ id: 'sidePanel' }));
+        assert.equal(app.dragDropHandler.isDraggingObject(), false);
+        assert.equal(history.isGrouping(), false);
+        assert.equal(handler.justFinishedDragging, false);
+
+        assert.equal(history.undo(), 'ポイント移動');
+        assert.equal(pointManager.getPoints()[0].x, 10);
+    });
+
+    test('キャンバス上のマウスアップは二重に処理しない', async () => {
+        const context = createHandler();
+        const { handler, app, history } = context;
+        dragPoint(context, 50);
+
+        await handler.handleCanvasMouseUp(mouseUpOn(app.canvas));
+        await handler.handleDocumentMouseUp(mouseUpOn(app.canvas));
+        assert.equal(handler.justFinishedDragging, true);
+        assert.equal(history.isGrouping(), false);
+    });
+
+    test('前のドラッグの記録が閉じていなくても、次のドラッグの開始で確定して重ならない', () => {
+        const context = createHandler();
+        const { handler, history, pointManager } = context;
+        dragPoint(context, 50);
+        // マウスアップを受け取れずに次のドラッグを開始
+        dragPoint(context, 90);
+        handler.endDragHistory();
+
+        assert.equal(history.isGrouping(), false);
+        assert.equal(history.undo(), 'ポイント移動');
+        assert.equal(pointManager.getPoints()[0].x, 50);
+        assert.equal(history.undo(), 'ポイント移動');
+        assert.equal(pointManager.getPoints()[0].x, 10);
+    });
+});
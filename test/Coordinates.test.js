@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CoordinateUtils } from '../js/utils/Coordinates.js';
+import { GeoTransform } from '../js/utils/GeoTransform.js';
+import { createCanvasStub } from './helpers/dom.js';
+
+describe('CoordinateUtils', () => {
+    test('キャンバス座標と画像座標を相互に変換する（整数に丸める）', () => {
+        assert.deepEqual(CoordinateUtils.canvasToImage(100, 50, 800, 600, 1600, 1200), { x: 200, y: 100 });
+        assert.deepEqual(CoordinateUtils.imageToCanvas(200, 100, 800, 600, 1600, 1200), { x: 100, y: 50 });
+        assert.deepEqual(CoordinateUtils.canvasToImage(33, 67, 300, 300, 1000, 1000), { x: 110, y: 223 });
+    });
+
+    test('拡大率・移動量を戻してマウス座標をキャンバス座標にする', () => {
+        // 画面上で半分の大きさに表示したキャンバス
+        const canvas = createCanvasStub({ left: 10, top: 20, width: 400, height: 300 }, 800, 600);
+        const event = { clientX: 110, clientY: 70 };
+        assert.deepEqual(CoordinateUtils.mouseToCanvas(event, canvas), { x: 200, y: 100 });
+        assert.deepEqual(CoordinateUtils.mouseToCanvas(event, canvas, 2, 40, -20), { x: 80, y: 60 });
+    });
+
+    test('canvasToScreen は mouseToCanvas の逆変換になる', () => {
+        const canvas = createCanvasStub({ left: 15, top: 40, width: 640, height: 480 }, 1280, 960);
+        const scale = 1.75;
+        const offsetX = -120;
+        const offsetY = 35;
+        const screen = CoordinateUtils.canvasToScreen(321, 123, canvas, scale, offsetX, offsetY);
+        const back = CoordinateUtils.mouseToCanvas({ clientX: screen.x, clientY: screen.y }, canvas, scale, offsetX, offsetY);
+        assert.ok(Math.abs(back.x - 321) < 1e-9);
+        assert.ok(Math.abs(back.y - 123) < 1e-9);
+    });
+});
+
+describe('GeoTransform', () => {
+    // 画像の左上が (35.0, 135.0)、1画素が経度・緯度とも0.0001度の地図
+    const controlPoints = [
+        { x: 0, y: 0, lat: 35.0, lon: 135.0 },
+        { x: 1000, y: 0, lat: 35.0, lon: 135.1 },
+        { x: 0, y: 1000, lat: 34.9, lon: 135.0 },
+        { x: 1000, y: 1000, lat: 34.9, lon: 135.1 }
+    ];
+
+    test('アフィン変換で画像座標と緯度・経度を相互に変換する', () => {
+        const model = GeoTransform.fit(controlPoints, 'affine');
+        const geo = GeoTransform.imageToGeo(model, 250, 500);
+        assert.ok(Math.abs(geo.lat - 34.95) < 1e-9);
+        assert.ok(Math.abs(geo.lon - 135.025) < 1e-9);
+
+        const image = GeoTransform.geoToImage(model, geo.lat, geo.lon);
+        assert.ok(Math.abs(image.x - 250) < 1e-6);
+        assert.ok(Math.abs(image.y - 500) < 1e-6);
+    });
+
+    test('基準点が足りない場合はエラーにする', () => {
+        assert.throws(() => GeoTransform.fit(controlPoints.slice(0, 2), 'affine'), /3点以上/);
+        assert.throws(() => GeoTransform.fit(controlPoints, 'polynomial'), /6点以上/);
+    });
+});
@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ElevationGrid } from '../js/data/ElevationGrid.js';
+
+const ASCII_GRID = [
+    'ncols 3',
+    'nrows 2',
+    'xllcorner 0',
+    'yllcorner 0',
+    'cellsize 10',
+    'NODATA_value -9999',
+    '100 200 300',
+    '400 500 -9999'
+].join('\n');
+
+describe('ElevationGrid', () => {
+    test('ESRI ASCII Grid を読み込み、欠測値をNaNにする', () => {
+        const grid = ElevationGrid.parse(ASCII_GRID);
+        assert.equal(grid.columns, 3);
+        assert.equal(grid.rows, 2);
+        assert.equal(grid.getValue(1, 1), 500);
+        assert.ok(isNaN(grid.getValue(2, 1)));
+        assert.deepEqual(grid.getRange(), { min: 100, max: 500 });
+    });
+
+    test('ヘッダーなしの数値の表をカンマ・空白区切りで読み込む', () => {
+        const grid = ElevationGrid.parse('10,20\r\n30 40\r\n');
+        assert.deepEqual([grid.columns, grid.rows], [2, 2]);
+        assert.deepEqual(Array.from(grid.values), [10, 20, 30, 40]);
+    });
+
+    test('行・列が足りない、または値の数が合わない場合はエラーにする', () => {
+        assert.throws(() => ElevationGrid.parse('1 2 3'), /2行2列以上必要です/);
+        assert.throws(() => ElevationGrid.parse(''), /2行2列以上必要です/);
+        assert.throws(() => ElevationGrid.parse('ncols 2\nnrows 2\n1 2\n3'),
+            /値の数が正しくありません（2列×2行 = 4個に対して3個）/);
+    });
+
+    test('画像全体に引き伸ばしてセルの中心の間を双線形補間する', () => {
+        // 200×200の画像に2×2のグリッド。セルの中心は (50,50)・(150,50)・(50,150)・(150,150)
+        const grid = ElevationGrid.parse('0 100\n200 300');
+        assert.equal(grid.sample(50, 50, 200, 200), 0);
+        assert.equal(grid.sample(150, 150, 200, 200), 300);
+        assert.equal(grid.sample(100, 100, 200, 200), 150);
+        // 外周のセルの中心より外側は端の値を使う
+        assert.equal(grid.sample(0, 0, 200, 200), 0);
+        assert.equal(grid.sample(200, 50, 200, 200), 100);
+        // 画像の範囲外はnull
+        assert.equal(grid.sample(-1, 50, 200, 200), null);
+        assert.equal(grid.sample(50, 201, 200, 200), null);
+    });
+
+    test('欠測のセルにかかる位置はnull', () => {
+        const grid = ElevationGrid.parse(ASCII_GRID);
+        assert.equal(grid.sample(5, 5, 30, 20), 100);
+        assert.equal(grid.sample(28, 18, 30, 20), null);
+    });
+});
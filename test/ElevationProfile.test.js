@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ElevationProfile } from '../js/utils/ElevationProfile.js';
+
+describe('ElevationProfile', () => {
+    test('距離を累積し、標高が未設定の点は距離に応じて補間する', () => {
+        const profile = ElevationProfile.build([
+            { x: 0, y: 0, elevation: null },
+            { x: 30, y: 40, elevation: 100 },
+            { x: 60, y: 80, elevation: null },
+            { x: 90, y: 120, elevation: null },
+            { x: 120, y: 160, elevation: 160 },
+            { x: 150, y: 200, elevation: null }
+        ]);
+        assert.deepEqual(profile.distances, [0, 50, 100, 150, 200, 250]);
+        // 端の点は最も近い点の標高を使う
+        assert.deepEqual(profile.elevations, [100, 100, 120, 140, 160, 160]);
+        assert.equal(profile.ascent, 60);
+        assert.equal(profile.descent, 0);
+        assert.equal(profile.min, 100);
+        assert.equal(profile.max, 160);
+    });
+
+    test('登りと下りを別々に累積する', () => {
+        const profile = ElevationProfile.build([
+            { x: 0, y: 0, elevation: 500 },
+            { x: 10, y: 0, elevation: 650 },
+            { x: 20, y: 0, elevation: 600 },
+            { x: 30, y: 0, elevation: 620 }
+        ]);
+        assert.equal(profile.ascent, 170);
+        assert.equal(profile.descent, 50);
+    });
+
+    test('点が2点未満、または標高が分かる点がない場合はnull', () => {
+        assert.equal(ElevationProfile.build([{ x: 0, y: 0, elevation: 100 }]), null);
+        assert.equal(ElevationProfile.build([{ x: 0, y: 0, elevation: null }, { x: 10, y: 0, elevation: undefined }]), null);
+    });
+
+    test('所要時間は平地で時速約5km、緩い下りが最も速く、急な登りほど遅い', () => {
+        const minutesFor = (rise) => ElevationProfile.estimateHikingMinutes(
+            ElevationProfile.build([{ x: 0, y: 0, elevation: 0 }, { x: 1000, y: 0, elevation: rise }]), 1);
+        // 速度 = 6 × exp(−3.5 × 0.05) km/h
+        assert.ok(Math.abs(minutesFor(0) - 60 / (6 * Math.exp(-0.175))) < 1e-9);
+        assert.ok(minutesFor(-50) < minutesFor(0));
+        assert.ok(minutesFor(0) < minutesFor(300));
+        // 勾配の上限（1）を超える崖でも時間が発散しない
+        assert.equal(minutesFor(5000), minutesFor(1000));
+    });
+
+    test('所要時間を時間・分の表示にする', () => {
+        assert.equal(ElevationProfile.formatDuration(45.4), '45分');
+        assert.equal(ElevationProfile.formatDuration(65), '1時間05分');
+        assert.equal(ElevationProfile.formatDuration(119.6), '2時間00分');
+    });
+});
@@ -0,0 +1,365 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJsonFile, captureSavedJson, captureSavedBlobs } from './helpers/dom.js';
+import { FileHandler } from '../js/data/FileHandler.js';
+import { PointManager } from '../js/data/PointManager.js';
+import { RouteManager } from '../js/data/RouteManager.js';
+import { SpotManager } from '../js/data/SpotManager.js';
+import { AreaManager } from '../js/data/AreaManager.js';
+import { GeoreferenceManager } from '../js/data/GeoreferenceManager.js';
+import { ProjectSettingsManager } from '../js/data/ProjectSettingsManager.js';
+import { LayerManager } from '../js/data/LayerManager.js';
+import { Validators } from '../js/utils/Validators.js';
+import { PointIdScheme } from '../js/utils/PointIdScheme.js';
+import { HistoryManager } from '../js/core/HistoryManager.js';
+import { GeoTransform } from '../js/utils/GeoTransform.js';
+
+/**
+ * 空のマネージャー一式を作成
+ * @returns {Object} { pointManager, routeManager, spotManager, areaManager, georeferenceManager, projectSettingsManager, layerManager }
+ */
+function createManagers() {
+    return {
+        pointManager: new PointManager(),
+        routeManager: new RouteManager(),
+        spotManager: new SpotManager(),
+        areaManager: new AreaManager(),
+        georeferenceManager: new GeoreferenceManager(),
+        projectSettingsManager: new ProjectSettingsManager(),
+        layerManager: new LayerManager()
+    };
+}
+
+/**
+ * ポイント・スポット・ルート・エリアを持つマネージャー一式を作成
+ * @returns {Object} マネージャー一式
+ */
+function createSampleManagers() {
+    const managers = createManagers();
+    const { pointManager, routeManager, spotManager, areaManager } = managers;
+
+    const summit = pointManager.addPoint(120, 80, 'A-01');
+    summit.elevation = 1234.5;
+    summit.description = '山頂';
+    summit.attributes = { 標識: 'あり' };
+    pointManager.addPoint(400, 300, 'A-02');
+    // IDが空のポイントは保存しない
+    pointManager.addPoint(10, 10, '');
+
+    const spot = spotManager.addSpot(250, 260, '展望台');
+    spot.category = '展望';
+    spotManager.addSpot(5, 5, '');
+
+    routeManager.addRoute({
+        routeName: 'A-01 ～ A-02',
+        startPointId: 'A-01',
+        endPointId: 'A-02',
+        routePoints: [{ x: 200, y: 150 }, { x: 300, y: 220 }],
+        difficulty: '中級'
+    });
+    routeManager.addRoute({
+        routeName: '展望台 ～ A-02',
+        startPointId: '展望台',
+        endPointId: 'A-02',
+        routePoints: [{ x: 320, y: 280 }]
+    });
+
+    areaManager.addArea({
+        areaName: '駐車場',
+        vertices: [{ x: 500, y: 500 }, { x: 600, y: 500 }, { x: 600, y: 580 }, { x: 500, y: 580 }],
+        hazardType: '落石'
+    });
+    return managers;
+}
+
+/**
+ * 比較用にマネージャーの内容を取り出す（保存の対象となる項目のみ）
+ * @param {Object} managers - マネージャー一式
+ * @returns {Object} 内容
+ */
+function describeManagers(managers) {
+    return {
+        points: managers.pointManager.getPoints().map(p => ({ id: p.id, x: p.x, y: p.y })),
+        spots: managers.spotManager.getSpots().map(s => ({ name: s.name, x: s.x, y: s.y })),
+        routes: managers.routeManager.getAllRoutes().map(r => ({
+            routeName: r.routeName, startPointId: r.startPointId, endPointId: r.endPointId, routePoints: r.routePoints
+        })),
+        areas: managers.areaManager.getAllAreas().map(a => ({ areaName: a.areaName, vertices: a.vertices }))
+    };
+}
+
+afterEach(() => {
+    // ProjectSettingsManager はID体系を Validators に反映するため、テストごとに初期設定へ戻す
+    Validators.setPointIdScheme(new PointIdScheme());
+});
+
+describe('FileHandler のプロジェクトJSON', () => {
+    test('出力したJSONを読み込むと同じデータになる', async () => {
+        const fileHandler = new FileHandler();
+        const saved = captureSavedJson(fileHandler);
+        const source = createSampleManagers();
+        source.projectSettingsManager.setPointIdScheme({ prefixes: ['A', 'B'], digits: 2 });
+        source.projectSettingsManager.setScaleCalibration({ x1: 0, y1: 0, x2: 100, y2: 0, distanceMeters: 50 });
+        source.layerManager.setLocked('points', true);
+        source.layerManager.setVisible(LayerManager.getRouteLayerId(source.routeManager.getAllRoutes()[1]), false);
+        const resolveEndpoint = id => source.pointManager.findPointById(id) || source.spotManager.findSpotByName(id);
+
+        await fileHandler.exportProjectData(source, 'map', 800, 600, 'map.json', undefined, resolveEndpoint);
+        assert.equal(saved.length, 1);
+        const exported = saved[0];
+        assert.equal(exported.imageReference, 'map');
+        assert.equal(exported.data.points.length, 2);
+        assert.equal(exported.data.spots.length, 1);
+        // 縮尺があるとルート長・エリア面積を実距離で出力する（1画素 = 0.5m）
+        assert.ok(exported.data.routes[0].lengthMeters > 0);
+        assert.equal(exported.data.areas[0].areaSquareMeters, 2000);
+
+        const target = createManagers();
+        const counts = await fileHandler.importProjectData(target, createJsonFile(exported, 'map.json'));
+        assert.deepEqual(counts, { pointsCount: 2, routesCount: 2, spotsCount: 1, areasCount: 1 });
+
+        const expected = describeManagers(source);
+        expected.points = expected.points.filter(p => p.id);
+        expected.spots = expected.spots.filter(s => s.name);
+        assert.deepEqual(describeManagers(target), expected);
+
+        // 標高・属性・設定も引き継ぐ
+        const summit = target.pointManager.findPointById('A-01');
+        assert.equal(summit.elevation, 1234.5);
+        assert.equal(summit.description, '山頂');
+        assert.deepEqual(summit.attributes, { 標識: 'あり' });
+        assert.equal(target.spotManager.findSpotByName('展望台').category, '展望');
+        assert.equal(target.routeManager.getAllRoutes()[0].difficulty, '中級');
+        assert.equal(target.areaManager.getAllAreas()[0].hazardType, '落石');
+        assert.deepEqual(target.projectSettingsManager.getPointIdScheme().toJSON(), source.projectSettingsManager.getPointIdScheme().toJSON());
+        assert.equal(target.projectSettingsManager.getMetersPerPixel(), 0.5);
+        assert.equal(target.layerManager.isLocked('points'), true);
+        // ルート・エリアは識別IDを引き継ぎ、レイヤーの状態も同じルートに対応する
+        assert.deepEqual(target.routeManager.getAllRoutes().map(r => r.objectId), source.routeManager.getAllRoutes().map(r => r.objectId));
+        assert.equal(target.areaManager.getAllAreas()[0].objectId, source.areaManager.getAllAreas()[0].objectId);
+        assert.deepEqual(target.routeManager.getAllRoutes().map(r => target.layerManager.isVisible(LayerManager.getRouteLayerId(r))), [true, false]);
+    });
+
+    test('読み込んだデータの反映は待ち時間を挟まず、1件の履歴にまとめられる', async () => {
+        const fileHandler = new FileHandler();
+        const saved = captureSavedJson(fileHandler);
+        await fileHandler.exportProjectData(createSampleManagers(), 'map', 800, 600, 'map.json');
+
+        const target = createManagers();
+        target.pointManager.addPoint(1, 1, 'Z-01');
+        const history = new HistoryManager();
+        history.register('point', target.pointManager);
+        history.register('route', target.routeManager);
+        const jsonData = await fileHandler.loadJsonFile(createJsonFile(saved[0], 'map.json'));
+
+        history.beginGroup('ファイル読み込み');
+        let result;
+        try {
+            result = fileHandler.applyProjectData(target, jsonData);
+        } finally {
+            history.endGroup();
+        }
+        assert.equal(result.pointsCount, 2);
+        assert.equal(history.undo(), 'ファイル読み込み');
+        assert.deepEqual(target.pointManager.getPoints().map(p => p.id), ['Z-01']);
+        assert.equal(target.routeManager.getAllRoutes().length, 0);
+    });
+
+    test('出力対象に選ばなかったデータは出力しない', async () => {
+        const fileHandler = new FileHandler();
+        const saved = captureSavedJson(fileHandler);
+        await fileHandler.exportProjectData(createSampleManagers(), 'map', 800, 600, 'map.json',
+            { points: true, routes: false, spots: false, areas: true });
+        assert.equal(saved[0].data.points.length, 2);
+        assert.deepEqual(saved[0].data.routes, []);
+        assert.deepEqual(saved[0].data.spots, []);
+        assert.equal(saved[0].data.areas.length, 1);
+    });
+
+    test('プロジェクトデータでないJSONはエラーにする', async () => {
+        const fileHandler = new FileHandler();
+        await assert.rejects(fileHandler.importProjectData(createManagers(), createJsonFile({ points: [] })),
+            /有効なプロジェクトデータではありません/);
+        await assert.rejects(fileHandler.importProjectData(createManagers(), new File(['{'], 'broken.json', { type: 'application/json' })),
+            /JSONファイルの形式が正しくありません/);
+        await assert.rejects(fileHandler.importProjectData(createManagers(), new File(['{}'], 'map.png', { type: 'image/png' })),
+            /JSONファイルを選択してください/);
+    });
+});
+
+describe('FileHandler のポイント・ルート・スポットのJSON', () => {
+    test('ポイントJSONを出力して読み込むと、IDのあるポイントが戻る', async () => {
+        const fileHandler = new FileHandler();
+        const saved = captureSavedJson(fileHandler);
+        const source = createSampleManagers();
+        await fileHandler.exportPointData(source.pointManager, 'map', 800, 600, 'map_points.json');
+
+        const target = new PointManager();
+        await fileHandler.importPointData(target, createJsonFile(saved[0]));
+        assert.deepEqual(target.getPoints().map(p => [p.id, p.x, p.y]), [['A-01', 120, 80], ['A-02', 400, 300]]);
+    });
+
+    test('ルートJSONを出力して読み込むと、選択中のルートの開始・終了・中間点が戻る', async () => {
+        const fileHandler = new FileHandler();
+        const saved = captureSavedJson(fileHandler);
+        const source = createSampleManagers();
+        source.routeManager.selectRoute(0);
+        await fileHandler.exportRouteData(source.routeManager, 'map', 800, 600, 'map_route.json');
+
+        const target = new RouteManager();
+        target.addRoute({ routeName: '読み込み先', routePoints: [] });
+        target.selectRoute(0);
+        await fileHandler.importRouteData(target, createJsonFile(saved[0]));
+        assert.deepEqual(target.getStartEndPoints(), { start: 'A-01', end: 'A-02' });
+        assert.deepEqual(target.getRoutePoints(), [{ x: 200, y: 150 }, { x: 300, y: 220 }]);
+    });
+
+    test('スポットJSONを出力して読み込むと、名前のあるスポットが戻る', async () => {
+        const fileHandler = new FileHandler();
+        const saved = captureSavedJson(fileHandler);
+        const source = createSampleManagers();
+        await fileHandler.exportSpotData(source.spotManager, 'map', 800, 600, 'map_spots.json');
+
+        const target = new SpotManager();
+        await fileHandler.importSpotData(target, createJsonFile(saved[0]));
+        assert.deepEqual(target.getSpots().map(s => [s.name, s.x, s.y]), [['展望台', 250, 260]]);
+    });
+});
+
+describe('FileHandler のGeoJSON', () => {
+    // 1画素が経度・緯度とも0.0001度の地図
+    const controlPoints = [
+        { x: 0, y: 0, lat: 35.0, lon: 135.0 },
+        { x: 1000, y: 0, lat: 35.0, lon: 135.1 },
+        { x: 0, y: 1000, lat: 34.9, lon: 135.0 }
+    ];
+
+    test('出力したGeoJSONを読み込むと同じ位置のデータになる', async () => {
+        const fileHandler = new FileHandler();
+        const saved = captureSavedJson(fileHandler);
+        const source = createSampleManagers();
+        source.georeferenceManager.setGeoreference(controlPoints);
+        const resolveEndpoint = id => source.pointManager.findPointById(id) || source.spotManager.findSpotByName(id);
+
+        await fileHandler.exportGeoJSON(source, resolveEndpoint, 'map.geojson');
+        const geojson = saved[0];
+        assert.equal(geojson.type, 'FeatureCollection');
+        const summit = geojson.features.find(f => f.properties.id === 'A-01');
+        assert.deepEqual(summit.geometry.coordinates, [135.012, 34.992]);
+        // エリアの外周は閉じている
+        const ring = geojson.features.find(f => f.geometry.type === 'Polygon').geometry.coordinates[0];
+        assert.deepEqual(ring[0], ring[ring.length - 1]);
+
+        const target = createManagers();
+        target.georeferenceManager.setGeoreference(controlPoints);
+        const result = await fileHandler.importGeoJSON(target, createJsonFile(geojson, 'map.geojson', ''), 1000, 1000);
+        assert.deepEqual(result, { pointsCount: 2, routesCount: 2, spotsCount: 1, areasCount: 1, skippedCount: 0 });
+
+        // 出力時に加えた開始・終了ポイントの位置は中間点に含めない
+        const expected = describeManagers(source);
+        expected.points = expected.points.filter(p => p.id);
+        expected.spots = expected.spots.filter(s => s.name);
+        const actual = describeManagers(target);
+        assert.deepEqual(actual.points, expected.points);
+        assert.deepEqual(actual.spots, expected.spots);
+        assert.deepEqual(actual.routes, expected.routes);
+        // 外周は反時計回りで出力するため、頂点の並びは逆になる場合がある
+        assert.deepEqual(
+            [...actual.areas[0].vertices].sort((a, b) => a.x - b.x || a.y - b.y),
+            [...expected.areas[0].vertices].sort((a, b) => a.x - b.x || a.y - b.y)
+        );
+        assert.equal(target.areaManager.getAllAreas()[0].areaName, '駐車場');
+    });
+
+    test('基準点がない場合は出力・読み込みともにエラーにする', async () => {
+        const fileHandler = new FileHandler();
+        captureSavedJson(fileHandler);
+        const managers = createSampleManagers();
+        await assert.rejects(fileHandler.exportGeoJSON(managers, () => null, 'map.geojson'), /基準点/);
+        await assert.rejects(fileHandler.importGeoJSON(managers, createJsonFile({ type: 'FeatureCollection', features: [] }), 1000, 1000), /基準点/);
+    });
+});
+
+describe('FileHandler のGPX', () => {
+    // 1画素が経度・緯度とも0.0001度の地図
+    const model = GeoTransform.fit([
+        { x: 0, y: 0, lat: 35.0, lon: 135.0 },
+        { x: 1000, y: 0, lat: 35.0, lon: 135.1 },
+        { x: 0, y: 1000, lat: 34.9, lon: 135.0 }
+    ]);
+
+    /**
+     * GPXのトラックを1本持つ文書を作成
+     * @param {Array<[number, number]>} positions - トラックポイントの [緯度, 経度]
+     * @returns {string} GPXの内容
+     */
+    const gpxWithTrack = (positions) => [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <trk><name>登山道</name><trkseg>',
+        ...positions.map(([lat, lon]) => `    <trkpt lat="${lat}" lon="${lon}"></trkpt>`),
+        '  </trkseg></trk>',
+        '</gpx>'
+    ].join('\n');
+
+    test('出力したGPXを読み込むと、同じ開始・終了ポイントと中間点のルートになる', async () => {
+        const fileHandler = new FileHandler();
+        const saved = captureSavedBlobs(fileHandler);
+        const source = createSampleManagers();
+        source.spotManager.findSpotByName('展望台').description = '岩 & <滝>';
+        const resolveEndpoint = id => source.pointManager.findPointById(id) || source.spotManager.findSpotByName(id);
+
+        await fileHandler.exportGPX(source, resolveEndpoint, model, 'map.gpx');
+        const { text, filename } = saved[0];
+        assert.equal(filename, 'map.gpx');
+        // IDのあるポイント・名前のあるスポットだけをウェイポイントにする
+        assert.equal(text.match(/<wpt /g).length, 3);
+        assert.ok(text.includes('<wpt lat="34.992" lon="135.012">\n    <name>A-01</name>'));
+        assert.ok(text.includes('<desc>岩 &amp; &lt;滝&gt;</desc>'));
+        // トラックは開始ポイント→中間点→終了ポイントの順
+        assert.equal(text.match(/<trk>/g).length, 2);
+        assert.equal(text.match(/<trkpt /g).length, 7);
+
+        // 開始・終了ポイントと重なる位置は中間点に含めない
+        const target = createManagers();
+        source.pointManager.getPoints().forEach(p => target.pointManager.addPoint(p.x, p.y, p.id));
+        source.spotManager.getSpots().forEach(s => target.spotManager.addSpot(s.x, s.y, s.name));
+        const result = fileHandler.applyGPX(target, text, model, 1000, 1000);
+        assert.deepEqual(result, { routesCount: 2, skippedCount: 0 });
+        assert.deepEqual(describeManagers(target).routes, describeManagers(source).routes);
+    });
+
+    test('出力対象に選ばなかったデータは出力しない', async () => {
+        const fileHandler = new FileHandler();
+        const saved = captureSavedBlobs(fileHandler);
+        await fileHandler.exportGPX(createSampleManagers(), () => null, model, 'map.gpx',
+            { points: false, routes: true, spots: false });
+        assert.equal(saved[0].text.includes('<wpt '), false);
+        // 開始・終了ポイントの位置が分からない場合は中間点だけのトラックになり、2点未満のルートは出力しない
+        assert.equal(saved[0].text.match(/<trk>/g).length, 1);
+        assert.equal(saved[0].text.match(/<trkpt /g).length, 2);
+    });
+
+    test('重なるポイントがない線は全ての位置を中間点とし、画像の外にある線は読み込まない', () => {
+        const fileHandler = new FileHandler();
+        const managers = createManagers();
+        const result = fileHandler.applyGPX(managers, gpxWithTrack([[34.99, 135.01], [34.98, 135.02]]), model, 1000, 1000);
+        assert.deepEqual(result, { routesCount: 1, skippedCount: 0 });
+        assert.deepEqual(describeManagers(managers).routes, [{
+            routeName: '登山道', startPointId: '', endPointId: '',
+            routePoints: [{ x: 100, y: 100 }, { x: 200, y: 200 }]
+        }]);
+
+        const outside = fileHandler.applyGPX(managers, gpxWithTrack([[36.0, 136.0], [36.1, 136.1]]), model, 1000, 1000);
+        assert.deepEqual(outside, { routesCount: 0, skippedCount: 1 });
+        assert.equal(managers.routeManager.getAllRoutes().length, 1);
+    });
+
+    test('GPXでないファイルはエラーにする', async () => {
+        const fileHandler = new FileHandler();
+        assert.throws(() => fileHandler.applyGPX(createManagers(), '<kml></kml>', model, 1000, 1000),
+            /GPXファイルの形式が正しくありません/);
+        await assert.rejects(fileHandler.importGPX(createManagers(), createJsonFile({}, 'map.json'), model, 1000, 1000),
+            /GPXファイルを選択してください/);
+    });
+});
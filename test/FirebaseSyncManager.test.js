@@ -0,0 +1,117 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FirebaseSyncManager } from '../js/firebase/FirebaseSyncManager.js';
+import { FileHandler } from '../js/data/FileHandler.js';
+import { PointManager } from '../js/data/PointManager.js';
+import { RouteManager } from '../js/data/RouteManager.js';
+import { SpotManager } from '../js/data/SpotManager.js';
+import { AreaManager } from '../js/data/AreaManager.js';
+import { ProjectSettingsManager } from '../js/data/ProjectSettingsManager.js';
+import { ElevationManager } from '../js/data/ElevationManager.js';
+
+/**
+ * 標高付きの2地点を結ぶルートと、正方形のエリアを持つFirebaseSyncManagerを作成
+ * @returns {{sync: FirebaseSyncManager, pointManager: PointManager, routeManager: RouteManager, areaManager: AreaManager, projectSettingsManager: ProjectSettingsManager}}
+ */
+function createSyncManager() {
+    const pointManager = new PointManager();
+    const spotManager = new SpotManager();
+    const routeManager = new RouteManager();
+    const areaManager = new AreaManager();
+    const projectSettingsManager = new ProjectSettingsManager();
+    const elevationManager = new ElevationManager(pointManager, spotManager);
+
+    pointManager.addPoint(0, 0, 'A-01');
+    pointManager.updatePointElevation(0, 1000);
+    spotManager.addSpot(300, 400, '山頂');
+    spotManager.updateSpotElevation(0, 1200);
+    routeManager.addRoute({ routeName: 'A-01 ～ 山頂', startPointId: 'A-01', endPointId: '山頂', routePoints: [] });
+    areaManager.addArea({ areaName: '駐車場', vertices: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }] });
+
+    const sync = new FirebaseSyncManager(pointManager, spotManager, routeManager, areaManager,
+        new FileHandler(), projectSettingsManager, elevationManager);
+    return { sync, pointManager, routeManager, areaManager, projectSettingsManager };
+}
+
+describe('FirebaseSyncManager の保存データ', () => {
+    test('縮尺・標高が分かる場合はルート長・累積標高・所要時間・面積を含める', () => {
+        const { sync, routeManager, areaManager, projectSettingsManager } = createSyncManager();
+        // 1画素 = 2m
+        projectSettingsManager.setScaleCalibration({ x1: 0, y1: 0, x2: 100, y2: 0, distanceMeters: 200 });
+
+        const route = sync._buildRouteRecord(routeManager.getAllRoutes()[0]);
+        assert.equal(route.lengthMeters, 1000);
+        assert.equal(route.ascentMeters, 200);
+        assert.equal(route.descentMeters, 0);
+        assert.ok(route.hikingTimeMinutes > 0);
+        assert.equal(sync._buildAreaRecord(areaManager.getAllAreas()[0]).areaSquareMeters, 40000);
+    });
+
+    test('計算できない値は省略せずnullにする（差分保存で以前の値を残さない）', () => {
+        const { sync, pointManager, routeManager, areaManager, projectSettingsManager } = createSyncManager();
+        // 縮尺が未設定の場合
+        const route = sync._buildRouteRecord(routeManager.getAllRoutes()[0]);
+        assert.equal(route.lengthMeters, null);
+        assert.equal(route.hikingTimeMinutes, null);
+        assert.equal(route.ascentMeters, 200);
+        assert.ok('areaSquareMeters' in sync._buildAreaRecord(areaManager.getAllAreas()[0]));
+        assert.equal(sync._buildAreaRecord(areaManager.getAllAreas()[0]).areaSquareMeters, null);
+
+        // 開始ポイントが見つからない場合
+        projectSettingsManager.setScaleCalibration({ x1: 0, y1: 0, x2: 100, y2: 0, distanceMeters: 200 });
+        pointManager.removePoint(0);
+        const orphan = sync._buildRouteRecord(routeManager.getAllRoutes()[0]);
+        assert.deepEqual(
+            [orphan.lengthMeters, orphan.ascentMeters, orphan.descentMeters, orphan.hikingTimeMinutes],
+            [null, null, null, null]
+        );
+        // 以前保存した値があるドキュメントとは異なると判定し、nullで更新する
+        assert.equal(sync._isRecordChanged(orphan, { ...orphan, lengthMeters: 1000, ascentMeters: 200 }), true);
+    });
+});
+
+describe('FirebaseSyncManager の保存後の競合検出の基準', () => {
+    afterEach(() => {
+        delete globalThis.window;
+    });
+
+    test('書き込んだドキュメントだけを取得し直し、書き込んだ内容とサーバーの更新日時で基準を作る', async () => {
+        const { sync } = createSyncManager();
+        const requests = [];
+        globalThis.window = {
+            firestoreManager: {
+                getDocumentsByIds: async (projectId, collection, ids) => {
+                    requests.push({ projectId, collection, ids });
+                    // 追加したドキュメントの1件は、書き込み後に他のユーザーが削除した
+                    return ids.filter(id => id !== 'p-gone').map(id => ({ firestoreId: id, updatedAt: 200 }));
+                }
+            }
+        };
+        const remote = {
+            points: [
+                { firestoreId: 'p1', id: 'A-01', x: 0, y: 0, updatedAt: 100 },
+                { firestoreId: 'p2', id: 'A-02', x: 5, y: 5, updatedAt: 100 },
+                { firestoreId: 'p3', id: 'A-03', x: 9, y: 9, updatedAt: 100 }
+            ],
+            spots: [{ firestoreId: 's1', name: '山頂', x: 1, y: 1, updatedAt: 100 }]
+        };
+        const writes = [
+            { type: 'update', collection: 'points', firestoreId: 'p1', data: { id: 'A-01', x: 10, y: 10 } },
+            { type: 'add', collection: 'points', firestoreId: 'p4', data: { id: 'A-04', x: 40, y: 40 } },
+            { type: 'add', collection: 'points', firestoreId: 'p-gone', data: { id: 'A-05', x: 50, y: 50 } },
+            { type: 'delete', collection: 'points', firestoreId: 'p2' }
+        ];
+
+        const saved = await sync._fetchSavedRemoteState('img_abc', remote, writes);
+
+        assert.deepEqual(requests, [{ projectId: 'img_abc', collection: 'points', ids: ['p1', 'p4', 'p-gone'] }]);
+        assert.deepEqual(saved.points, [
+            { firestoreId: 'p1', id: 'A-01', x: 10, y: 10, updatedAt: 200 },
+            { firestoreId: 'p3', id: 'A-03', x: 9, y: 9, updatedAt: 100 },
+            { firestoreId: 'p4', id: 'A-04', x: 40, y: 40, updatedAt: 200 }
+        ]);
+        assert.deepEqual(saved.spots, remote.spots);
+        assert.deepEqual(saved.routes, []);
+        assert.deepEqual(saved.areas, []);
+    });
+});
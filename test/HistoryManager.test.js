@@ -0,0 +1,193 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { HistoryManager } from '../js/core/HistoryManager.js';
+import { PointManager } from '../js/data/PointManager.js';
+import { SpotManager } from '../js/data/SpotManager.js';
+import { RouteManager } from '../js/data/RouteManager.js';
+import { AreaManager } from '../js/data/AreaManager.js';
+import { RemoteChangeMerger } from '../js/firebase/RemoteChangeMerger.js';
+
+/**
+ * 履歴に登録したマネージャー一式を作成
+ * @returns {{history: HistoryManager, pointManager: PointManager, spotManager: SpotManager, routeManager: RouteManager, areaManager: AreaManager}}
+ */
+function createTrackedManagers() {
+    const history = new HistoryManager(5);
+    const pointManager = new PointManager();
+    const spotManager = new SpotManager();
+    const routeManager = new RouteManager();
+    const areaManager = new AreaManager();
+    history.register('point', pointManager);
+    history.register('spot', spotManager);
+    history.register('route', routeManager);
+    history.register('area', areaManager);
+    return { history, pointManager, spotManager, routeManager, areaManager };
+}
+
+const pointIds = (pointManager) => pointManager.getPoints().map(p => p.id);
+
+describe('HistoryManager', () => {
+    test('変更系メソッドを1件ずつ記録し、元に戻す・やり直しができる', () => {
+        const { history, pointManager } = createTrackedManagers();
+        pointManager.addPoint(10, 10, 'A-01');
+        pointManager.addPoint(20, 20, 'A-02');
+        pointManager.removePoint(0);
+        assert.deepEqual(pointIds(pointManager), ['A-02']);
+
+        assert.equal(history.undo(), 'ポイント削除');
+        assert.deepEqual(pointIds(pointManager), ['A-01', 'A-02']);
+        assert.equal(history.undo(), 'ポイント追加');
+        assert.deepEqual(pointIds(pointManager), ['A-01']);
+        assert.equal(history.redo(), 'ポイント追加');
+        assert.deepEqual(pointIds(pointManager), ['A-01', 'A-02']);
+        assert.deepEqual(history.getState(), { canUndo: true, canRedo: true, undoLabel: 'ポイント追加', redoLabel: 'ポイント削除' });
+    });
+
+    test('新しい操作をするとやり直しの履歴を破棄し、上限を超えた古い履歴は捨てる', () => {
+        const { history, pointManager } = createTrackedManagers();
+        for (let i = 1; i <= 7; i++) {
+            pointManager.addPoint(i, i, `A-0${i}`);
+        }
+        let count = 0;
+        while (history.undo()) count++;
+        assert.equal(count, 5);
+        assert.deepEqual(pointIds(pointManager), ['A-01', 'A-02']);
+
+        history.redo();
+        pointManager.addPoint(0, 0, 'B-01');
+        assert.equal(history.getState().canRedo, false);
+    });
+
+    test('入力中のID変更は確定するまで1件にまとめる', () => {
+        const { history, pointManager } = createTrackedManagers();
+        pointManager.addPoint(10, 10, '');
+        pointManager.updatePointId(0, 'A', true);
+        pointManager.updatePointId(0, 'A-', true);
+        pointManager.updatePointId(0, 'A-01', false);
+        pointManager.updatePointId(0, 'A-02', false);
+
+        assert.equal(history.undo(), 'ポイントID変更');
+        assert.deepEqual(pointIds(pointManager), ['A-01']);
+        assert.equal(history.undo(), 'ポイントID変更');
+        assert.deepEqual(pointIds(pointManager), ['']);
+    });
+
+    test('結合キー付きのグループは入力中のエントリに結合し、確定と連動した変更も1件にまとめる', () => {
+        const { history, pointManager, routeManager } = createTrackedManagers();
+        pointManager.addPoint(10, 10, 'A-01');
+        routeManager.addRoute({ routeName: 'A-01 ～ A-02', startPointId: 'A-01', endPointId: 'A-02', routePoints: [] });
+        pointManager.updatePointId(0, 'b', true);
+        pointManager.updatePointId(0, 'b1', true);
+
+        // 確定（フォーマット）とルートの付け替え
+        history.beginGroup('ポイントID変更', history.getMergeKey('point', 'updatePointId', [0]));
+        pointManager.updatePointId(0, 'b1', false);
+        routeManager.replaceEndpointId('A-01', pointManager.getPoints()[0].id);
+        history.endGroup();
+        assert.deepEqual(pointIds(pointManager), ['B-01']);
+        assert.equal(routeManager.getAllRoutes()[0].startPointId, 'B-01');
+
+        assert.equal(history.undo(), 'ポイントID変更');
+        assert.deepEqual(pointIds(pointManager), ['A-01']);
+        assert.equal(routeManager.getAllRoutes()[0].startPointId, 'A-01');
+        assert.equal(history.undo(), 'ルート追加');
+
+        // 確定後の入力は別の1件になる
+        history.redo();
+        history.redo();
+        pointManager.updatePointId(0, 'B-02', true);
+        assert.equal(history.undo(), 'ポイントID変更');
+        assert.deepEqual(pointIds(pointManager), ['B-01']);
+    });
+
+    test('グループ内の複数マネージャーの変更を1件として記録する', () => {
+        const { history, pointManager, spotManager, routeManager } = createTrackedManagers();
+        history.beginGroup('読み込み');
+        pointManager.addPoint(10, 10, 'A-01');
+        spotManager.addSpot(20, 20, '山頂');
+        routeManager.addRoute({ routeName: 'A-01 ～ 山頂', startPointId: 'A-01', endPointId: '山頂', routePoints: [] });
+        assert.equal(history.undo(), null, 'グループ記録中は元に戻せない');
+        history.endGroup();
+
+        assert.equal(history.undo(), '読み込み');
+        assert.equal(pointManager.getPoints().length, 0);
+        assert.equal(spotManager.getSpots().length, 0);
+        assert.equal(routeManager.getAllRoutes().length, 0);
+    });
+
+    test('値が変わらない操作は記録しない', () => {
+        const { history, areaManager } = createTrackedManagers();
+        areaManager.addVertex(1, 1);
+        areaManager.removeVertex(3);
+        assert.equal(history.getState().canUndo, false);
+    });
+});
+
+describe('HistoryManager.rebase（共同編集者の変更の付け替え）', () => {
+    const merger = new RemoteChangeMerger();
+    const transformsFor = (key, change) => ({ [key]: snapshot => merger.applyChange(key, snapshot, change) });
+
+    /**
+     * リモートの変更を現在の状態に反映して履歴を付け替える（FirebaseSyncManager と同じ手順）
+     */
+    function applyRemoteChange(history, manager, key, change) {
+        const snapshot = manager.getSnapshot();
+        merger.applyChange(key, snapshot, change);
+        manager.restoreSnapshot(snapshot);
+        history.rebase(transformsFor(key, change));
+    }
+
+    test('共同編集者の変更は履歴に記録せず、自分の操作を元に戻しても残る', () => {
+        const { history, pointManager } = createTrackedManagers();
+        pointManager.addPoint(10, 10, 'A-01');
+        pointManager.movePoints([0], 5, 5);
+
+        applyRemoteChange(history, pointManager, 'point',
+            { collection: 'points', type: 'added', doc: { id: 'B-01', x: 50, y: 50 }, previous: null });
+        assert.deepEqual(pointIds(pointManager), ['A-01', 'B-01']);
+        assert.equal(history.getState().undoLabel, 'ポイント移動');
+
+        assert.equal(history.undo(), 'ポイント移動');
+        assert.deepEqual(pointManager.getPoints().map(p => [p.id, p.x, p.y]), [['A-01', 10, 10], ['B-01', 50, 50]]);
+        assert.equal(history.undo(), 'ポイント追加');
+        assert.deepEqual(pointIds(pointManager), ['B-01']);
+        assert.equal(history.redo(), 'ポイント追加');
+        assert.equal(history.redo(), 'ポイント移動');
+        assert.deepEqual(pointManager.getPoints().map(p => [p.id, p.x, p.y]), [['A-01', 15, 15], ['B-01', 50, 50]]);
+    });
+
+    test('共同編集者の変更で上書きされた自分の操作は履歴から除く', () => {
+        const { history, pointManager, spotManager } = createTrackedManagers();
+        spotManager.addSpot(1, 1, '山頂');
+        pointManager.addPoint(10, 10, 'A-01');
+        pointManager.addPoint(20, 20, 'A-02');
+        pointManager.movePoints([0], 5, 5);
+
+        // 自分が移動したポイントを、相手が別の位置へ移動した
+        applyRemoteChange(history, pointManager, 'point', {
+            collection: 'points', type: 'modified',
+            doc: { id: 'A-01', x: 100, y: 100 }, previous: { id: 'A-01', x: 10, y: 10 }
+        });
+        assert.equal(history.getState().undoLabel, 'ポイント追加');
+
+        // 移動は相手の位置で上書きされたため、元に戻すのはA-02の追加から
+        assert.equal(history.undo(), 'ポイント追加');
+        assert.deepEqual(pointManager.getPoints().map(p => [p.id, p.x, p.y]), [['A-01', 100, 100]]);
+        // A-01の追加も相手が編集したポイントとして残り、次はスポットの追加
+        assert.equal(history.undo(), 'スポット追加');
+        assert.deepEqual(pointIds(pointManager), ['A-01']);
+    });
+
+    test('グループ記録中に反映した共同編集者の変更は、グループの差分に含めない', () => {
+        const { history, pointManager } = createTrackedManagers();
+        pointManager.addPoint(10, 10, 'A-01');
+        history.beginGroup('移動');
+        pointManager.movePoints([0], 5, 5);
+        applyRemoteChange(history, pointManager, 'point',
+            { collection: 'points', type: 'added', doc: { id: 'B-01', x: 50, y: 50 }, previous: null });
+        history.endGroup();
+
+        assert.equal(history.undo(), '移動');
+        assert.deepEqual(pointManager.getPoints().map(p => [p.id, p.x, p.y]), [['A-01', 10, 10], ['B-01', 50, 50]]);
+    });
+});
@@ -0,0 +1,27 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ImageFingerprint } from '../js/utils/ImageFingerprint.js';
+
+// 'abc' のSHA-256
+const ABC_HASH = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+
+describe('ImageFingerprint', () => {
+    test('ファイル名によらず内容のSHA-256を16進数で返す', async () => {
+        assert.equal(await ImageFingerprint.compute(new File(['abc'], 'map.png', { type: 'image/png' })), ABC_HASH);
+        assert.equal(await ImageFingerprint.compute(new File(['abc'], 'renamed.png', { type: 'image/png' })), ABC_HASH);
+        assert.notEqual(await ImageFingerprint.compute(new File(['abd'], 'map.png', { type: 'image/png' })), ABC_HASH);
+    });
+
+    test('ファイルでないものは計算せず空文字を返す', async () => {
+        assert.equal(await ImageFingerprint.compute(null), '');
+        assert.equal(await ImageFingerprint.compute({ name: 'map.png' }), '');
+    });
+
+    test('ハッシュから作ったプロジェクトIDを判定できる', () => {
+        const projectId = ImageFingerprint.toProjectId(ABC_HASH);
+        assert.equal(projectId, `img_${ABC_HASH}`);
+        assert.equal(ImageFingerprint.isHashProjectId(projectId), true);
+        assert.equal(ImageFingerprint.isHashProjectId('map'), false);
+        assert.equal(ImageFingerprint.isHashProjectId(null), false);
+    });
+});
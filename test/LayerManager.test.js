@@ -0,0 +1,42 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { LayerManager } from '../js/data/LayerManager.js';
+import { RouteManager } from '../js/data/RouteManager.js';
+import { AreaManager } from '../js/data/AreaManager.js';
+
+describe('LayerManager のルート・エリアのレイヤー', () => {
+    test('作成時に発行した識別IDで対応付け、名前を変えても状態を引き継ぐ', () => {
+        const routeManager = new RouteManager();
+        const layers = new LayerManager();
+        routeManager.addRoute({ routeName: 'A-01 ～ A-02', startPointId: 'A-01', endPointId: 'A-02', routePoints: [] });
+        routeManager.addRoute({ routeName: 'A-01 ～ A-02', startPointId: 'A-01', endPointId: 'A-02', routePoints: [] });
+        const [first, second] = routeManager.getAllRoutes();
+        assert.ok(first.objectId);
+        assert.notEqual(first.objectId, second.objectId);
+
+        layers.setLocked(LayerManager.getRouteLayerId(first), true);
+        first.routeName = '尾根道';
+        assert.equal(layers.isRouteEditable(first), false);
+        // 同じ名前の別のルートは別のレイヤー
+        assert.equal(layers.isRouteEditable(second), true);
+    });
+
+    test('元に戻す・並び替えの後も同じエリアのレイヤーになる', () => {
+        const areaManager = new AreaManager();
+        const layers = new LayerManager();
+        areaManager.addArea({ areaName: '駐車場', vertices: [] });
+        areaManager.addArea({ areaName: '崩落箇所', vertices: [] });
+        const snapshot = areaManager.getSnapshot();
+        layers.setVisible(LayerManager.getAreaLayerId(areaManager.getAllAreas()[1]), false);
+
+        areaManager.deleteArea(0);
+        areaManager.restoreSnapshot(snapshot);
+        assert.deepEqual(areaManager.getAllAreas().map(a => layers.isVisible(LayerManager.getAreaLayerId(a))), [true, false]);
+    });
+
+    test('識別IDのない以前のデータは復元時にIDを発行する', () => {
+        const routeManager = new RouteManager();
+        routeManager.restoreSnapshot({ routes: [{ routeName: '旧ルート', startPointId: 'A-01', endPointId: 'A-02', routePoints: [] }], selectedRouteIndex: -1 });
+        assert.ok(routeManager.getAllRoutes()[0].objectId);
+    });
+});
@@ -0,0 +1,119 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProjectIdResolver } from '../js/firebase/ProjectIdResolver.js';
+import { FileHandler } from '../js/data/FileHandler.js';
+
+const HASH = 'ab'.repeat(32);
+const HASH_PROJECT_ID = `img_${HASH}`;
+const IMAGE = { width: 800, height: 600 };
+
+/**
+ * 画像を開いた状態のFileHandlerと ProjectIdResolver を作成
+ * @param {string} imageHash - 画像のハッシュ（計算できなかった場合は空文字）
+ * @returns {{resolver: ProjectIdResolver, fileHandler: FileHandler}} ProjectIdResolver とFileHandler
+ */
+function createResolver(imageHash = HASH) {
+    const fileHandler = new FileHandler();
+    fileHandler.restoreImageIdentity({ fileName: 'map', imageHash, projectId: '' });
+    return { resolver: new ProjectIdResolver(fileHandler), fileHandler };
+}
+
+/**
+ * Firestoreの代替（ハッシュによる検索結果と、ファイル名のプロジェクトのメタデータを返す）
+ * @param {Array<Object>} matches - findProjectsByImageHash() の結果
+ * @param {Object|null|Error} named - getProjectMetadata() の結果（Errorの場合は投げる）
+ * @returns {Object} firestoreManager の代替
+ */
+function createFirestoreManager(matches, named) {
+    return {
+        findProjectsByImageHash: async () => matches,
+        getProjectMetadata: async () => {
+            if (named instanceof Error) throw named;
+            return named;
+        }
+    };
+}
+
+describe('ProjectIdResolver', () => {
+    let dialogs;
+
+    beforeEach(() => {
+        dialogs = [];
+        globalThis.alert = (message) => dialogs.push({ type: 'alert', message });
+        globalThis.confirm = (message) => {
+            dialogs.push({ type: 'confirm', message });
+            return false;
+        };
+    });
+
+    afterEach(() => {
+        delete globalThis.window;
+        delete globalThis.alert;
+        delete globalThis.confirm;
+    });
+
+    test('決定済みのプロジェクトIDはそのまま使い、ハッシュがない場合はファイル名をIDにする', async () => {
+        const { resolver, fileHandler } = createResolver('');
+        fileHandler.setProjectId('chosen');
+        assert.equal(await resolver.resolve(IMAGE), 'chosen');
+
+        fileHandler.setProjectId('');
+        assert.equal(await resolver.resolve(IMAGE), 'map');
+        assert.equal(fileHandler.getProjectId(), 'map');
+        assert.equal(await createResolver().resolver.resolve(null), '');
+    });
+
+    test('同じ内容の画像のプロジェクトは、ハッシュのID、ファイル名のID、その他の順に選ぶ', async () => {
+        const { resolver } = createResolver();
+        globalThis.window = { firestoreManager: createFirestoreManager([{ id: 'renamed' }, { id: 'map' }, { id: HASH_PROJECT_ID }], null) };
+        assert.equal(await resolver._findProjectId('map', HASH, IMAGE), HASH_PROJECT_ID);
+
+        globalThis.window = { firestoreManager: createFirestoreManager([{ id: 'renamed' }, { id: 'map' }], null) };
+        assert.equal(await resolver._findProjectId('map', HASH, IMAGE), 'map');
+
+        globalThis.window = { firestoreManager: createFirestoreManager([{ id: 'renamed' }], null) };
+        assert.equal(await resolver._findProjectId('map', HASH, IMAGE), 'renamed');
+        assert.deepEqual(dialogs, []);
+    });
+
+    test('同じ名前のプロジェクトがなければ、ハッシュから作ったIDにする', async () => {
+        const { resolver } = createResolver();
+        globalThis.window = { firestoreManager: createFirestoreManager([], null) };
+        assert.equal(await resolver._findProjectId('map', HASH, IMAGE), HASH_PROJECT_ID);
+    });
+
+    test('同じ画像が記録された旧形式のプロジェクトはそのまま使う', async () => {
+        const { resolver } = createResolver();
+        globalThis.window = { firestoreManager: createFirestoreManager([], { imageHash: HASH }) };
+        assert.equal(await resolver._findProjectId('map', HASH, IMAGE), 'map');
+        assert.deepEqual(dialogs, []);
+    });
+
+    test('同じ名前の別の画像のプロジェクトは使わず、知らせてハッシュから作ったIDにする', async () => {
+        const { resolver } = createResolver();
+        const cases = [
+            { imageHash: 'cd'.repeat(32) },
+            { imageHash: HASH, migratedTo: HASH_PROJECT_ID },
+            { imageWidth: 1024, imageHeight: 768 },
+            Object.assign(new Error('権限がありません'), { code: 'permission-denied' })
+        ];
+        for (const named of cases) {
+            globalThis.window = { firestoreManager: createFirestoreManager([], named) };
+            assert.equal(await resolver._findProjectId('map', HASH, IMAGE), HASH_PROJECT_ID);
+        }
+        assert.deepEqual(dialogs.map(d => d.type), ['alert', 'alert', 'alert', 'alert']);
+    });
+
+    test('権限以外の読み取りエラーはそのまま投げる', async () => {
+        const { resolver } = createResolver();
+        globalThis.window = { firestoreManager: createFirestoreManager([], Object.assign(new Error('通信エラー'), { code: 'unavailable' })) };
+        await assert.rejects(resolver._findProjectId('map', HASH, IMAGE), /通信エラー/);
+    });
+
+    test('同じ画像と考えられる旧形式のプロジェクトは移行するか確認し、移行しない場合はファイル名のIDを使う', async () => {
+        const { resolver } = createResolver();
+        globalThis.window = { firestoreManager: createFirestoreManager([], { imageWidth: 800, imageHeight: 600 }) };
+        assert.equal(await resolver._findProjectId('map', HASH, IMAGE), 'map');
+        assert.deepEqual(dialogs.map(d => d.type), ['confirm']);
+    });
+});
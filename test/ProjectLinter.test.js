@@ -0,0 +1,92 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProjectLinter } from '../js/data/ProjectLinter.js';
+import { PointManager } from '../js/data/PointManager.js';
+import { SpotManager } from '../js/data/SpotManager.js';
+import { RouteManager } from '../js/data/RouteManager.js';
+import { AreaManager } from '../js/data/AreaManager.js';
+
+/**
+ * 空のマネージャー一式と、それを検査する ProjectLinter を作成
+ * @returns {{managers: Object, linter: ProjectLinter}} マネージャー一式と ProjectLinter
+ */
+function createLinter() {
+    const managers = {
+        pointManager: new PointManager(),
+        spotManager: new SpotManager(),
+        routeManager: new RouteManager(),
+        areaManager: new AreaManager()
+    };
+    const resolveEndpoint = id => managers.pointManager.findPointById(id) || managers.spotManager.findSpotByName(id);
+    return { managers, linter: new ProjectLinter(managers, resolveEndpoint) };
+}
+
+const messages = (issues) => issues.map(issue => `${issue.severity}: ${issue.message}`);
+
+describe('ProjectLinter', () => {
+    test('問題のないデータでは何も報告しない', () => {
+        const { managers, linter } = createLinter();
+        managers.pointManager.addPoint(10, 10, 'A-01');
+        managers.spotManager.addSpot(50, 50, '山頂');
+        managers.routeManager.addRoute({ routeName: 'A-01 ～ 山頂', startPointId: 'A-01', endPointId: '山頂', routePoints: [{ x: 30, y: 30 }] });
+        managers.areaManager.addArea({ areaName: '駐車場', vertices: [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 20 }] });
+        assert.deepEqual(linter.run(100, 100), []);
+    });
+
+    test('ポイントIDの重複はエラー、未入力・ID体系に合わないIDは警告にする', () => {
+        const { managers, linter } = createLinter();
+        managers.pointManager.addPoint(10, 10, 'A-01');
+        managers.pointManager.addPoint(20, 20, 'A-01');
+        managers.pointManager.addPoint(30, 30, '');
+        managers.pointManager.addPoint(40, 40, '山小屋');
+        const issues = linter.run(100, 100);
+        assert.deepEqual(messages(issues).slice(0, 3), [
+            'error: ポイントID「A-01」が重複しています',
+            'error: ポイントID「A-01」が重複しています',
+            'warning: ポイント3のIDが未入力です'
+        ]);
+        assert.match(issues[3].message, /^ポイントID「山小屋」がID体系（.+）に合っていません$/);
+        assert.deepEqual(issues.map(issue => issue.location), [{ x: 10, y: 10 }, { x: 20, y: 20 }, { x: 30, y: 30 }, { x: 40, y: 40 }]);
+    });
+
+    test('ルートの開始・終了ポイントの未設定・参照切れはエラー、中間点がないルートは警告にする', () => {
+        const { managers, linter } = createLinter();
+        managers.pointManager.addPoint(10, 10, 'A-01');
+        managers.routeManager.addRoute({ routeName: '尾根道', startPointId: 'A-01', endPointId: 'A-99', routePoints: [] });
+        managers.routeManager.addRoute({ routeName: '', startPointId: '', endPointId: 'A-01', routePoints: [{ x: 60, y: 60 }] });
+        const issues = linter.run(100, 100);
+        assert.deepEqual(messages(issues), [
+            'error: ルート「尾根道」の終了ポイント「A-99」がポイント・スポットとして見つかりません',
+            'error: ルート「ルート2」の開始ポイントが未設定です',
+            'warning: ルート「尾根道」に中間点がありません'
+        ]);
+        // 位置は開始ポイント、開始ポイントがなければ最初の中間点
+        assert.deepEqual(issues.map(({ location }) => [location.x, location.y]), [[10, 10], [60, 60], [10, 10]]);
+    });
+
+    test('スポット名・エリア名の未入力は警告、頂点の不足はエラーにする', () => {
+        const { managers, linter } = createLinter();
+        managers.spotManager.addSpot(5, 5, '');
+        managers.areaManager.addArea({ areaName: '駐車場', vertices: [{ x: 0, y: 0 }, { x: 30, y: 0 }] });
+        managers.areaManager.getAllAreas()[0].areaName = '';
+        const issues = linter.run(100, 100);
+        assert.deepEqual(messages(issues), [
+            'error: エリア「エリア1」: エリアを作成するには少なくとも3つの頂点が必要です。',
+            'warning: スポット1の名前が未入力です',
+            'warning: エリア1の名前が未入力です'
+        ]);
+        // エリアの位置は頂点の重心
+        assert.deepEqual(issues[0].location, { x: 15, y: 0 });
+    });
+
+    test('画像の範囲外にある位置をエラーにし、画像の大きさが不明な場合は検査しない', () => {
+        const { managers, linter } = createLinter();
+        managers.pointManager.addPoint(120, 10, 'A-01');
+        managers.areaManager.addArea({ areaName: '駐車場', vertices: [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: -5 }] });
+        assert.deepEqual(messages(linter.run(100, 100)), [
+            'error: ポイント「A-01」が画像の範囲外にあります（120, 10）',
+            'error: エリア「駐車場」の頂点3が画像の範囲外にあります（20, -5）'
+        ]);
+        assert.deepEqual(linter.run(0, 0), []);
+    });
+});
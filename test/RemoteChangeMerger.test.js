@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { RemoteChangeMerger } from '../js/firebase/RemoteChangeMerger.js';
+
+/**
+ * Firestoreのタイムスタンプの代わり（toMillis() だけを持つ）
+ * @param {number} millis - ミリ秒
+ * @returns {{toMillis: Function}} タイムスタンプ
+ */
+const at = (millis) => ({ toMillis: () => millis });
+
+/**
+ * ポイントだけを持つリモート状態を作成
+ * @param {Array<Object>} points - ポイントのドキュメント
+ * @returns {Object} コレクションごとのリモートドキュメント配列
+ */
+const remoteWith = (points) => ({ points, spots: [], routes: [], areas: [] });
+
+const snapshotsWith = (points) => ({
+    point: { points },
+    spot: { spots: [] },
+    route: { routes: [] },
+    area: { areas: [] }
+});
+
+describe('RemoteChangeMerger', () => {
+    test('ドキュメントIDと更新日時で、2回取得したリモート状態の違いを判定する', () => {
+        const merger = new RemoteChangeMerger();
+        const first = remoteWith([
+            { firestoreId: 'a', id: 'A-01', x: 1, y: 1, updatedAt: at(100) },
+            { firestoreId: 'b', id: 'A-02', x: 2, y: 2, updatedAt: at(200) }
+        ]);
+        const reordered = remoteWith([first.points[1], first.points[0]]);
+        assert.equal(merger.hasRemoteChanged(first, reordered), false);
+        assert.equal(merger.hasRemoteChanged(first, remoteWith([first.points[0]])), true);
+        assert.equal(merger.hasRemoteChanged(first, remoteWith([
+            first.points[0], { ...first.points[1], updatedAt: at(300) }
+        ])), true);
+    });
+
+    test('取り込み済みの状態を基準にすると、選択後に保存された変更だけを検出する', () => {
+        const merger = new RemoteChangeMerger();
+        merger.recordBase('p', remoteWith([
+            { firestoreId: 'a', id: 'A-01', x: 10, y: 10, updatedAt: at(100) },
+            { firestoreId: 'b', id: 'A-02', x: 20, y: 20, updatedAt: at(100) }
+        ]));
+        // 自分がA-01を移動し、相手もA-01を移動した（競合）
+        const local = snapshotsWith([{ id: 'A-01', x: 15, y: 15 }, { id: 'A-02', x: 20, y: 20 }]);
+        const first = remoteWith([
+            { firestoreId: 'a', id: 'A-01', x: 50, y: 50, updatedAt: at(200) },
+            { firestoreId: 'b', id: 'A-02', x: 20, y: 20, updatedAt: at(100) }
+        ]);
+        assert.equal(merger.detectChanges('p', local, first).conflicts.length, 1);
+
+        // 「自分の変更」を選んでいる間に、相手がA-02を移動した
+        const latest = remoteWith([first.points[0], { firestoreId: 'b', id: 'A-02', x: 70, y: 70, updatedAt: at(300) }]);
+        assert.equal(merger.hasRemoteChanged(first, latest), true);
+        merger.recordBase('p', first);
+        const { changes, conflicts } = merger.detectChanges('p', local, latest);
+        assert.equal(conflicts.length, 0);
+        assert.deepEqual(changes.map(change => [change.type, change.doc.id]), [['modified', 'A-02']]);
+    });
+});
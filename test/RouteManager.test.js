@@ -0,0 +1,142 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { RouteManager } from '../js/data/RouteManager.js';
+
+/**
+ * 決まった並びの疑似乱数（テストの再現性のため）
+ * @param {number} seed - 初期値
+ * @returns {Function} 0以上1未満の値を返す関数
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+/**
+ * 中間点を無作為に作成
+ * @param {Function} random - 疑似乱数
+ * @param {number} count - 点数
+ * @returns {Array<{x: number, y: number}>} 中間点
+ */
+function randomWaypoints(random, count) {
+    return Array.from({ length: count }, () => ({ x: Math.round(random() * 1000), y: Math.round(random() * 1000) }));
+}
+
+/**
+ * 訪問順の経路の長さ
+ */
+function orderLength(start, waypoints, end, order) {
+    return RouteManager.calculatePathLength(start, order.map(i => waypoints[i]), end);
+}
+
+/**
+ * すべての訪問順を試した最短距離（少ない点数の検証用）
+ */
+function bruteForceLength(start, waypoints, end) {
+    let best = Infinity;
+    const permute = (order, rest) => {
+        if (rest.length === 0) {
+            best = Math.min(best, orderLength(start, waypoints, end, order));
+            return;
+        }
+        rest.forEach((index, k) => permute([...order, index], [...rest.slice(0, k), ...rest.slice(k + 1)]));
+    };
+    permute([], waypoints.map((_, i) => i));
+    return best;
+}
+
+const isPermutation = (order, n) => order.length === n && [...order].sort((a, b) => a - b).every((v, i) => v === i);
+
+describe('RouteManager の中間点の順序最適化', () => {
+    const start = { x: 0, y: 0 };
+    const end = { x: 1000, y: 1000 };
+
+    test('厳密解（Held-Karp法）はすべての順序を試した最短距離と一致する', () => {
+        const manager = new RouteManager();
+        const random = createRandom(1);
+        for (let trial = 0; trial < 5; trial++) {
+            const waypoints = randomWaypoints(random, 7);
+            const order = manager._computeExactOrder(start, waypoints, end);
+            assert.ok(isPermutation(order, waypoints.length));
+            assert.ok(Math.abs(orderLength(start, waypoints, end, order) - bruteForceLength(start, waypoints, end)) < 1e-6);
+        }
+    });
+
+    test('近似解（最近傍法＋2-opt）は厳密解以上で、大きく離れない', () => {
+        const manager = new RouteManager();
+        const random = createRandom(42);
+        for (let trial = 0; trial < 5; trial++) {
+            const waypoints = randomWaypoints(random, 11);
+            const exact = orderLength(start, waypoints, end, manager._computeExactOrder(start, waypoints, end));
+            const heuristicOrder = manager._computeHeuristicOrder(start, waypoints, end);
+            const heuristic = orderLength(start, waypoints, end, heuristicOrder);
+            assert.ok(isPermutation(heuristicOrder, waypoints.length));
+            assert.ok(heuristic >= exact - 1e-6);
+            assert.ok(heuristic <= exact * 1.25, `近似解 ${heuristic} が厳密解 ${exact} から離れすぎている`);
+        }
+    });
+
+    test('一直線上の中間点はどちらの方法でも並び順どおりにする', () => {
+        const manager = new RouteManager();
+        const waypoints = [{ x: 400, y: 400 }, { x: 100, y: 100 }, { x: 300, y: 300 }, { x: 200, y: 200 }];
+        assert.deepEqual(manager._computeExactOrder(start, waypoints, end), [1, 3, 2, 0]);
+        assert.deepEqual(manager._computeHeuristicOrder(start, waypoints, end), [1, 3, 2, 0]);
+    });
+
+    test('14点以上は近似解を使い、短くなった場合のみ並べ替える', () => {
+        const manager = new RouteManager();
+        const waypoints = randomWaypoints(createRandom(7), 20);
+        manager.addRoute({ routeName: 'R', startPointId: 'A-01', endPointId: 'A-02', routePoints: [...waypoints] });
+
+        const result = manager.optimizeRouteAt(0, start, end);
+        assert.equal(result.changed, true);
+        assert.ok(result.afterLength < result.beforeLength);
+        assert.equal(manager.getAllRoutes()[0].isModified, true);
+        assert.ok(Math.abs(RouteManager.calculatePathLength(start, manager.getAllRoutes()[0].routePoints, end) - result.afterLength) < 1e-6);
+
+        const again = manager.optimizeRouteAt(0, start, end);
+        assert.equal(again.changed, false);
+    });
+});
+
+describe('RouteManager のルート操作', () => {
+    test('選択中のルートにのみ中間点を追加し、座標は整数にする', () => {
+        const manager = new RouteManager();
+        const messages = [];
+        manager.setCallback('onNoRouteSelected', message => messages.push(message));
+
+        assert.equal(manager.addRoutePoint(1, 2), null);
+        assert.equal(messages.length, 1);
+
+        manager.addRoute({ routeName: 'R', startPointId: '', endPointId: '', routePoints: [] });
+        manager.selectRoute(0);
+        manager.addRoutePoint(10.4, 20.6);
+        assert.deepEqual(manager.getRoutePoints(), [{ x: 10, y: 21 }]);
+    });
+
+    test('replaceEndpointId は自動生成のルート名も付け替える', () => {
+        const manager = new RouteManager();
+        manager.addRoute({ routeName: 'A-01 ～ A-02', startPointId: 'A-01', endPointId: 'A-02', routePoints: [] });
+        manager.addRoute({ routeName: '尾根道', startPointId: 'A-02', endPointId: 'A-01', routePoints: [] });
+
+        assert.equal(manager.replaceEndpointId('A-01', 'B-01'), 2);
+        const [first, second] = manager.getAllRoutes();
+        assert.equal(first.routeName, 'B-01 ～ A-02');
+        assert.equal(first.startPointId, 'B-01');
+        assert.equal(second.routeName, '尾根道');
+        assert.equal(second.endPointId, 'B-01');
+    });
+
+    test('選択中より前のルートを削除すると選択のインデックスを詰める', () => {
+        const manager = new RouteManager();
+        ['R1', 'R2', 'R3'].forEach(routeName => manager.addRoute({ routeName, routePoints: [] }));
+        manager.selectRoute(2);
+        manager.deleteRoute(0);
+        assert.equal(manager.getSelectedRoute().routeName, 'R3');
+        manager.deleteRoute(1);
+        assert.equal(manager.getSelectedRoute(), null);
+    });
+});
@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { RouteNetwork } from '../js/data/RouteNetwork.js';
+import { RouteManager } from '../js/data/RouteManager.js';
+import { PointManager } from '../js/data/PointManager.js';
+import { SpotManager } from '../js/data/SpotManager.js';
+
+/**
+ * 正方形の角のポイントと、それらを結ぶルートの経路網を作成
+ *   A-01(0,0) ─ A-02(100,0)
+ *                  │
+ *   A-04(0,100)  A-03(100,100)
+ * A-01 → A-03 は大きく回り込む遠回りのルートもある
+ * @returns {{network: RouteNetwork, routeManager: RouteManager}} 経路網とルートマネージャー
+ */
+function createNetwork() {
+    const pointManager = new PointManager();
+    const spotManager = new SpotManager();
+    const routeManager = new RouteManager();
+    pointManager.addPoint(0, 0, 'A-01');
+    pointManager.addPoint(100, 0, 'A-02');
+    pointManager.addPoint(100, 100, 'A-03');
+    pointManager.addPoint(0, 100, 'A-04');
+    spotManager.addSpot(500, 500, '山頂');
+
+    routeManager.addRoute({ routeName: '稜線', startPointId: 'A-01', endPointId: 'A-02', routePoints: [] });
+    routeManager.addRoute({ routeName: '', startPointId: 'A-03', endPointId: 'A-02', routePoints: [{ x: 100, y: 50 }] });
+    routeManager.addRoute({ routeName: '迂回路', startPointId: 'A-01', endPointId: 'A-03', routePoints: [{ x: 0, y: 200 }, { x: 100, y: 200 }] });
+    routeManager.addRoute({ routeName: '未完成', startPointId: 'A-04', endPointId: 'A-99', routePoints: [] });
+    routeManager.addRoute({ routeName: '巻き道', startPointId: 'A-02', endPointId: 'A-01', routePoints: [{ x: 50, y: 50 }] });
+
+    const resolveEndpoint = id => pointManager.findPointById(id) || spotManager.findSpotByName(id);
+    return { network: new RouteNetwork(routeManager, resolveEndpoint), routeManager };
+}
+
+describe('RouteNetwork', () => {
+    test('開始・終了ポイントが見つからないルートは経路網に含めない', () => {
+        const { network } = createNetwork();
+        const { nodes, edges, adjacency, skippedRoutes } = network.build();
+        assert.deepEqual([...nodes.keys()].sort(), ['A-01', 'A-02', 'A-03']);
+        assert.deepEqual(edges.map(e => [e.routeIndex, e.length]), [[0, 100], [1, 100], [2, 400], [4, 100 * Math.SQRT2]]);
+        assert.equal(edges[1].routeName, 'A-03 ～ A-02');
+        assert.deepEqual(adjacency.get('A-02').map(e => e.routeIndex), [0, 1, 4]);
+        assert.deepEqual(skippedRoutes, [3]);
+    });
+
+    test('最短経路は逆向きのルートも使い、経路の座標を出発地点から順につなぐ', () => {
+        const { network } = createNetwork();
+        const result = network.findShortestPath('A-01', 'A-03');
+        assert.equal(result.length, 200);
+        assert.deepEqual(result.nodes, ['A-01', 'A-02', 'A-03']);
+        assert.deepEqual(result.routes, [
+            { routeIndex: 0, routeName: '稜線', reversed: false },
+            { routeIndex: 1, routeName: 'A-03 ～ A-02', reversed: true }
+        ]);
+        assert.deepEqual(result.path.map(p => [p.x, p.y]), [[0, 0], [100, 0], [100, 50], [100, 100]]);
+    });
+
+    test('経路網にない地点への最短経路はnull、同じ地点は長さ0にする', () => {
+        const { network } = createNetwork();
+        assert.equal(network.findShortestPath('A-01', 'A-04'), null);
+        assert.equal(network.findShortestPath('A-01', '山頂'), null);
+        const same = network.findShortestPath('A-02', 'A-02');
+        assert.equal(same.length, 0);
+        assert.deepEqual(same.nodes, ['A-02']);
+        assert.deepEqual(same.routes, []);
+    });
+
+    test('出発地点から到達できない地点を重複なく返す', () => {
+        const { network } = createNetwork();
+        assert.deepEqual(network.findUnreachable('A-03', ['A-01', 'A-04', '山頂', 'A-04', '']), ['A-04', '山頂']);
+    });
+
+    test('開始・終了ポイントの組が同じルートを逆向きも含めてまとめる', () => {
+        const { network, routeManager } = createNetwork();
+        assert.deepEqual(network.findDuplicateRoutes(), [[
+            { routeIndex: 0, routeName: '稜線', reversed: false },
+            { routeIndex: 4, routeName: '巻き道', reversed: true }
+        ]]);
+        routeManager.deleteRoute(4);
+        assert.deepEqual(network.findDuplicateRoutes(), []);
+    });
+});
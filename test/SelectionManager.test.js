@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SelectionManager, SELECTION_TYPES } from '../js/data/SelectionManager.js';
+
+/**
+ * 変更の通知回数を数える SelectionManager を作成
+ * @returns {{selection: SelectionManager, changes: {count: number}}} SelectionManager と通知回数
+ */
+function createSelection() {
+    const selection = new SelectionManager();
+    const changes = { count: 0 };
+    selection.setCallback('onChange', () => changes.count++);
+    return { selection, changes };
+}
+
+describe('SelectionManager', () => {
+    const a = { x: 0, y: 0, id: 'A-01' };
+    const b = { x: 10, y: 0, id: 'A-02' };
+    const c = { x: 20, y: 0, id: 'A-03' };
+
+    test('同じ種類は追加し、別の種類を追加すると選択し直す', () => {
+        const { selection, changes } = createSelection();
+        selection.add(SELECTION_TYPES.point, [a, b]);
+        selection.add(SELECTION_TYPES.point, [b, c]);
+        assert.equal(selection.getType(), 'point');
+        assert.deepEqual(selection.getItems(), [a, b, c]);
+
+        // 選択済みのものだけを追加しても変わらない
+        selection.add(SELECTION_TYPES.point, [a]);
+        assert.equal(changes.count, 2);
+
+        const spot = { x: 5, y: 5, name: '山頂' };
+        selection.add(SELECTION_TYPES.spot, [spot]);
+        assert.equal(selection.getType(), 'spot');
+        assert.deepEqual(selection.getItems(), [spot]);
+        assert.equal(changes.count, 3);
+    });
+
+    test('切り替えで選択から外し、すべて外れると未選択に戻る', () => {
+        const { selection } = createSelection();
+        selection.toggle(SELECTION_TYPES.route, a);
+        selection.toggle(SELECTION_TYPES.route, b);
+        assert.equal(selection.getCount(), 2);
+        assert.equal(selection.getType(), 'routePoint');
+
+        selection.toggle(SELECTION_TYPES.route, a);
+        assert.equal(selection.has(a), false);
+        selection.toggle(SELECTION_TYPES.route, b);
+        assert.equal(selection.getType(), null);
+        assert.equal(selection.getCount(), 0);
+    });
+
+    test('インデックスではなくオブジェクトで選択するため、並びが変わっても同じものを指す', () => {
+        const { selection } = createSelection();
+        const points = [a, b, c];
+        selection.add(SELECTION_TYPES.point, [c, a]);
+        assert.deepEqual(selection.getIndices(points), [0, 2]);
+
+        points.splice(0, 1);
+        assert.deepEqual(selection.getIndices(points), [1]);
+    });
+
+    test('配列からなくなったものや選択できない種類は、通知せずに選択から外す', () => {
+        const { selection, changes } = createSelection();
+        selection.add(SELECTION_TYPES.area, [a, b]);
+        assert.equal(selection.prune(SELECTION_TYPES.area, [a, b, c]), false);
+        assert.equal(selection.prune(SELECTION_TYPES.area, [b]), true);
+        assert.deepEqual(selection.getItems(), [b]);
+
+        assert.equal(selection.prune(SELECTION_TYPES.point, [b]), true);
+        assert.equal(selection.getType(), null);
+        assert.equal(changes.count, 1);
+    });
+
+    test('未選択の状態で解除しても通知しない', () => {
+        const { selection, changes } = createSelection();
+        selection.clear();
+        assert.equal(changes.count, 0);
+        selection.add(SELECTION_TYPES.point, [a]);
+        selection.clear();
+        assert.equal(selection.getType(), null);
+        assert.equal(changes.count, 2);
+    });
+});
@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrailTracer } from '../js/utils/TrailTracer.js';
+
+const WHITE = { r: 255, g: 255, b: 255 };
+const RED = { r: 220, g: 30, b: 30 };
+
+/**
+ * 白地に線を描いた画素データを作成
+ * @param {number} width - 幅
+ * @param {number} height - 高さ
+ * @param {Array<{x: number, y: number}>} trail - 線の色で塗る画素
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} 画素データ
+ */
+function createImageData(width, height, trail) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const paint = (x, y, color) => {
+        const offset = (y * width + x) * 4;
+        data.set([color.r, color.g, color.b, 255], offset);
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) paint(x, y, WHITE);
+    }
+    trail.forEach(p => paint(p.x, p.y, RED));
+    return { data, width, height };
+}
+
+/**
+ * 線分上の画素（水平・垂直のみ）
+ */
+function line(from, to) {
+    const pixels = [];
+    const steps = Math.max(Math.abs(to.x - from.x), Math.abs(to.y - from.y));
+    for (let i = 0; i <= steps; i++) {
+        pixels.push({ x: from.x + Math.sign(to.x - from.x) * i, y: from.y + Math.sign(to.y - from.y) * i });
+    }
+    return pixels;
+}
+
+// 左上から右へ進み、右端で下へ折れるL字の線
+const CORNER = { x: 180, y: 20 };
+const L_TRAIL = [...line({ x: 20, y: 20 }, CORNER), ...line(CORNER, { x: 180, y: 180 })];
+
+describe('TrailTracer', () => {
+    test('色の変換と周囲の平均色の取得', () => {
+        assert.deepEqual(TrailTracer.hexToRgb('#dc1e1e'), RED);
+        assert.equal(TrailTracer.rgbToHex(RED), '#dc1e1e');
+
+        const imageData = createImageData(10, 10, [{ x: 0, y: 0 }]);
+        assert.deepEqual(TrailTracer.sampleColor(imageData, 5, 5), WHITE);
+        // 画像の外は平均に含めない（左上の4画素のうち1画素が線の色）
+        assert.deepEqual(TrailTracer.sampleColor(imageData, 0, 0), {
+            r: Math.round((220 + 255 * 3) / 4), g: Math.round((30 + 255 * 3) / 4), b: Math.round((30 + 255 * 3) / 4)
+        });
+    });
+
+    test('2点間の経路は近道をせずに線に沿う', () => {
+        const tracer = new TrailTracer(createImageData(200, 200, L_TRAIL), RED);
+        const path = tracer.findPath({ x: 20, y: 20 }, { x: 180, y: 180 });
+        assert.deepEqual(path[0], { x: 20, y: 20 });
+        assert.deepEqual(path[path.length - 1], { x: 180, y: 180 });
+        const onTrail = new Set(L_TRAIL.map(p => `${p.x},${p.y}`));
+        assert.ok(path.every(p => onTrail.has(`${p.x},${p.y}`)), '線の外の画素を通らない');
+    });
+
+    test('アンカーを順に結び、区間のつなぎ目を重複させない', () => {
+        const tracer = new TrailTracer(createImageData(200, 200, L_TRAIL), RED);
+        const anchors = [{ x: 20, y: 20 }, CORNER, { x: 180, y: 180 }];
+        const path = tracer.traceThrough(anchors);
+        assert.equal(path.filter(p => p.x === CORNER.x && p.y === CORNER.y).length, 1);
+        // 間引くと折れ曲がる位置だけが中間点として残る
+        assert.deepEqual(TrailTracer.simplify(path, 2), anchors);
+    });
+
+    test('間引きは許容誤差を超えて外れる点だけを残す', () => {
+        const points = [{ x: 0, y: 0 }, { x: 10, y: 1 }, { x: 20, y: 0 }, { x: 30, y: 10 }];
+        assert.deepEqual(TrailTracer.simplify(points, 2), [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 30, y: 10 }]);
+        assert.deepEqual(TrailTracer.simplify(points, 20), [{ x: 0, y: 0 }, { x: 30, y: 10 }]);
+        assert.deepEqual(TrailTracer.simplify(points.slice(0, 2), 0), points.slice(0, 2));
+    });
+});
@@ -0,0 +1,102 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Validators } from '../js/utils/Validators.js';
+import { PointIdScheme } from '../js/utils/PointIdScheme.js';
+
+describe('Validators.formatPointId（初期設定の「X-nn」形式）', () => {
+    test('英小文字・番号の0埋め・ハイフンの省略を補正する', () => {
+        assert.equal(Validators.formatPointId('a1'), 'A-01');
+        assert.equal(Validators.formatPointId('b-2'), 'B-02');
+        assert.equal(Validators.formatPointId('C12'), 'C-12');
+        assert.equal(Validators.formatPointId('d123'), 'D-123');
+    });
+
+    test('全角英数字・全角ハイフンを半角にしてから補正する', () => {
+        assert.equal(Validators.formatPointId('Ｊ－１'), 'J-01');
+        assert.equal(Validators.formatPointId('ｋ３'), 'K-03');
+        assert.equal(Validators.formatPointId('Ａ‐１０'), 'A-10');
+    });
+
+    test('前後の空白を除き、空の値はそのまま返す', () => {
+        assert.equal(Validators.formatPointId('  e5  '), 'E-05');
+        assert.equal(Validators.formatPointId(''), '');
+        assert.equal(Validators.formatPointId('   '), '   ');
+    });
+
+    test('形式に合わない値は大文字にするだけで補正しない', () => {
+        assert.equal(Validators.formatPointId('ab1'), 'AB1');
+        assert.equal(Validators.formatPointId('山頂'), '山頂');
+        assert.equal(Validators.isValidPointIdFormat('AB-01'), false);
+        assert.equal(Validators.isValidPointIdFormat('A-01'), true);
+        assert.equal(Validators.isValidPointIdFormat(''), true);
+    });
+});
+
+describe('Validators（ID体系の切り替え）', () => {
+    afterEach(() => {
+        Validators.setPointIdScheme(new PointIdScheme());
+    });
+
+    test('設定したID体系で判定・補正する', () => {
+        Validators.setPointIdScheme(new PointIdScheme({ prefixes: ['P', 'JT'], digits: 3 }));
+        assert.equal(Validators.formatPointId('jt7'), 'JT-007');
+        assert.equal(Validators.formatPointId('p-12'), 'P-012');
+        assert.equal(Validators.formatPointId('a1'), 'A1');
+        assert.equal(Validators.isValidPointIdFormat('A-001'), false);
+        assert.equal(Validators.isValidPointIdFormat('JT-007'), true);
+    });
+
+    test('自由入力では空白を除くだけで補正しない', () => {
+        Validators.setPointIdScheme(new PointIdScheme({ mode: 'free' }));
+        assert.equal(Validators.formatPointId(' 山頂a '), '山頂a');
+        assert.equal(Validators.isValidPointIdFormat('何でも'), true);
+    });
+});
+
+describe('PointIdScheme', () => {
+    test('接頭辞の文字数と番号の桁数を指定できる', () => {
+        const scheme = new PointIdScheme({ prefixLength: 2, digits: 3 });
+        assert.equal(scheme.isValid('AB-001'), true);
+        assert.equal(scheme.isValid('ABC-001'), false);
+        assert.equal(scheme.isValid('AB-01'), false);
+        assert.equal(scheme.format('ab1', Validators.convertFullWidthToHalfWidth), 'AB-001');
+        assert.equal(scheme.describe(), '英大文字1〜2文字-数字3桁');
+        assert.equal(scheme.getExample(), 'A-001');
+    });
+
+    test('正規表現のモードでは合う場合だけ大文字にする', () => {
+        const scheme = new PointIdScheme({ mode: 'pattern', pattern: '[A-Z]{2}\\d{2}' });
+        const toHalfWidth = str => Validators.convertFullWidthToHalfWidth(str);
+        assert.equal(scheme.format('ab12', toHalfWidth), 'AB12');
+        assert.equal(scheme.format('abc', toHalfWidth), 'abc');
+        assert.equal(scheme.isValid('AB12'), true);
+        assert.equal(scheme.isValid('AB123'), false);
+    });
+
+    test('正しくない正規表現はエラーにする', () => {
+        assert.throws(() => new PointIdScheme({ mode: 'pattern', pattern: '(' }), /正規表現が正しくありません/);
+    });
+
+    test('不正な設定値は初期設定に戻し、接頭辞は大文字に揃える', () => {
+        const scheme = new PointIdScheme({ mode: 'unknown', prefixes: 'p, q ,1x', digits: 'abc' });
+        assert.deepEqual(scheme.toJSON(), {
+            mode: 'standard', prefixes: ['P', 'Q'], prefixLength: 1, digits: 1, pattern: ''
+        });
+        assert.deepEqual(new PointIdScheme(scheme.toJSON()).toJSON(), scheme.toJSON());
+    });
+
+    test('nextFreeId は使用中のIDを避け、桁数に収まらない場合はnullを返す', () => {
+        const scheme = new PointIdScheme();
+        assert.equal(scheme.nextFreeId('A-01', new Set(['A-01', 'A-02'])), 'A-03');
+        assert.equal(scheme.nextFreeId('A-99', new Set(['A-99'])), null);
+        assert.equal(scheme.nextFreeId('山頂', new Set()), null);
+    });
+
+    test('replacePrefix は番号をそのままに接頭辞を付け替える', () => {
+        const scheme = new PointIdScheme();
+        assert.equal(scheme.isValidPrefix('B'), true);
+        assert.equal(scheme.isValidPrefix('BC'), false);
+        assert.equal(scheme.replacePrefix('A-07', 'B'), 'B-07');
+        assert.equal(scheme.replacePrefix('山頂', 'B'), null);
+    });
+});
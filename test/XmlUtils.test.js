@@ -0,0 +1,13 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { XmlUtils } from '../js/utils/XmlUtils.js';
+
+describe('XmlUtils.escape', () => {
+    test('XMLの特殊文字をすべてエスケープする', () => {
+        assert.equal(XmlUtils.escape(`<"岩 & 沢">'`), '&lt;&quot;岩 &amp; 沢&quot;&gt;&apos;');
+    });
+
+    test('文字列以外は文字列にしてから返す', () => {
+        assert.equal(XmlUtils.escape(1234.5), '1234.5');
+    });
+});
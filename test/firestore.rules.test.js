@@ -0,0 +1,190 @@
+import { test, describe, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    initializeTestEnvironment,
+    assertSucceeds,
+    assertFails
+} from '@firebase/rules-unit-testing';
+import {
+    doc,
+    getDoc,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    collection,
+    getDocs,
+    query,
+    where,
+    writeBatch
+} from 'firebase/firestore';
+
+// Firestoreエミュレーターが起動している場合のみ実行する（npm run test:rules で起動して実行）
+const SKIP_REASON = process.env.FIRESTORE_EMULATOR_HOST ? false : 'Firestoreエミュレーターが起動していません（npm run test:rules で実行）';
+
+/**
+ * メンバー情報（members・memberIds）を作成
+ * @param {Object<string, string>} members - ユーザーID → ロール
+ * @returns {{members: Object, memberIds: Array<string>}} メンバー情報
+ */
+const membership = (members) => ({ members, memberIds: Object.keys(members) });
+
+describe('firestore.rules', { skip: SKIP_REASON }, () => {
+    let testEnv;
+
+    /**
+     * ログインしたユーザーのFirestoreを取得
+     * @param {string} uid - ユーザーID
+     * @param {string} provider - ログイン方法（'password' | 'anonymous'）
+     * @returns {Object} Firestore
+     */
+    const dbAs = (uid, provider = 'password') =>
+        testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: provider } }).firestore();
+
+    before(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'pointmarker-rules-test',
+            firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+        });
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await setDoc(doc(db, 'projects/p1'), {
+                projectName: '箕面大滝',
+                createdBy: 'owner',
+                ...membership({ owner: 'owner', editor: 'editor', viewer: 'viewer' })
+            });
+            await setDoc(doc(db, 'projects/p1/points/a'), { id: 'A-01', x: 10, y: 10 });
+            await setDoc(doc(db, 'projects/p1/versions/v1'), { message: '初回保存' });
+            // メンバー未設定の旧プロジェクト
+            await setDoc(doc(db, 'projects/legacy'), { projectName: '旧プロジェクト', createdBy: 'creator' });
+            await setDoc(doc(db, 'projects/legacy/points/a'), { id: 'A-01', x: 10, y: 10 });
+        });
+    });
+
+    after(async () => {
+        await testEnv.cleanup();
+    });
+
+    describe('所有者', () => {
+        test('メンバーの追加・ロールの変更とプロジェクトの削除ができる', async () => {
+            const db = dbAs('owner');
+            await assertSucceeds(getDoc(doc(db, 'projects/p1')));
+            await assertSucceeds(updateDoc(doc(db, 'projects/p1'),
+                membership({ owner: 'owner', editor: 'viewer', viewer: 'viewer', newcomer: 'editor' })));
+            await assertSucceeds(deleteDoc(doc(db, 'projects/p1')));
+        });
+
+        test('所有者がいなくなる変更や、memberIds と合わないメンバー情報は保存できない', async () => {
+            const db = dbAs('owner');
+            await assertFails(updateDoc(doc(db, 'projects/p1'),
+                membership({ owner: 'editor', editor: 'editor', viewer: 'viewer' })));
+            await assertFails(updateDoc(doc(db, 'projects/p1'), {
+                members: { owner: 'owner', editor: 'editor' },
+                memberIds: ['owner', 'editor', 'viewer']
+            }));
+        });
+    });
+
+    describe('編集者', () => {
+        test('データとメタデータ（メンバー情報以外）を保存でき、保存履歴を追加できる', async () => {
+            const db = dbAs('editor');
+            await assertSucceeds(setDoc(doc(db, 'projects/p1/points/b'), { id: 'A-02', x: 20, y: 20 }));
+            await assertSucceeds(deleteDoc(doc(db, 'projects/p1/points/a')));
+            await assertSucceeds(updateDoc(doc(db, 'projects/p1'), { pointCount: 1, lastUpdatedBy: 'editor' }));
+            await assertSucceeds(setDoc(doc(db, 'projects/p1/versions/v2'), { message: '2回目の保存' }));
+        });
+
+        test('メンバー情報の変更・プロジェクトの削除・過去の版の書き換えはできない', async () => {
+            const db = dbAs('editor');
+            await assertFails(updateDoc(doc(db, 'projects/p1'),
+                membership({ owner: 'owner', editor: 'owner', viewer: 'viewer' })));
+            await assertFails(deleteDoc(doc(db, 'projects/p1')));
+            await assertFails(setDoc(doc(db, 'projects/p1/versions/v1'), { message: '書き換え' }));
+            await assertFails(deleteDoc(doc(db, 'projects/p1/versions/v1')));
+        });
+    });
+
+    describe('閲覧者', () => {
+        test('プロジェクトとデータを読み取れる', async () => {
+            const db = dbAs('viewer');
+            await assertSucceeds(getDoc(doc(db, 'projects/p1')));
+            await assertSucceeds(getDocs(collection(db, 'projects/p1/points')));
+            await assertSucceeds(getDocs(collection(db, 'projects/p1/versions')));
+        });
+
+        test('データ・メタデータ・保存履歴を書き込めない', async () => {
+            const db = dbAs('viewer');
+            await assertFails(setDoc(doc(db, 'projects/p1/points/b'), { id: 'A-02', x: 20, y: 20 }));
+            await assertFails(deleteDoc(doc(db, 'projects/p1/points/a')));
+            await assertFails(updateDoc(doc(db, 'projects/p1'), { pointCount: 0 }));
+            await assertFails(setDoc(doc(db, 'projects/p1/versions/v2'), { message: '保存' }));
+        });
+    });
+
+    describe('メンバーでないユーザー', () => {
+        test('プロジェクトとデータを読み書きできない', async () => {
+            const db = dbAs('stranger');
+            await assertFails(getDoc(doc(db, 'projects/p1')));
+            await assertFails(getDocs(collection(db, 'projects/p1/points')));
+            await assertFails(setDoc(doc(db, 'projects/p1/points/b'), { id: 'A-02', x: 20, y: 20 }));
+            await assertFails(updateDoc(doc(db, 'projects/p1'),
+                membership({ owner: 'owner', stranger: 'owner' })));
+        });
+
+        test('一覧は自分がメンバーのプロジェクトに絞った検索のみ', async () => {
+            const db = dbAs('stranger');
+            await assertFails(getDocs(collection(db, 'projects')));
+            await assertSucceeds(getDocs(query(collection(db, 'projects'), where('memberIds', 'array-contains', 'stranger'))));
+        });
+
+        test('匿名ユーザーはメンバーのユーザーIDでも読み取れない', async () => {
+            await assertFails(getDoc(doc(dbAs('owner', 'anonymous'), 'projects/p1')));
+        });
+    });
+
+    describe('プロジェクトの作成', () => {
+        test('作成前に未作成のプロジェクトのメタデータを読み取れる（存在しないと分かる）', async () => {
+            const snapshot = await assertSucceeds(getDoc(doc(dbAs('newcomer'), 'projects/p2')));
+            assert.equal(snapshot.exists(), false);
+            await assertFails(getDoc(doc(dbAs('newcomer', 'anonymous'), 'projects/p2')));
+        });
+
+        test('自分だけを所有者とするメタデータとデータを同じバッチで作成できる', async () => {
+            const db = dbAs('newcomer');
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'projects/p2'), { projectName: '新規', createdBy: 'newcomer', ...membership({ newcomer: 'owner' }) });
+            batch.set(doc(db, 'projects/p2/points/a'), { id: 'A-01', x: 10, y: 10 });
+            await assertSucceeds(batch.commit());
+        });
+
+        test('他のユーザーを含むメンバー情報では作成できない', async () => {
+            const db = dbAs('newcomer');
+            await assertFails(setDoc(doc(db, 'projects/p2'),
+                { projectName: '新規', ...membership({ newcomer: 'owner', owner: 'editor' }) }));
+        });
+    });
+
+    describe('メンバー未設定の旧プロジェクト', () => {
+        test('作成したユーザーは読み書きでき、自分を所有者として引き継げる', async () => {
+            const db = dbAs('creator');
+            await assertSucceeds(getDoc(doc(db, 'projects/legacy')));
+            await assertSucceeds(getDocs(collection(db, 'projects/legacy/points')));
+            await assertSucceeds(setDoc(doc(db, 'projects/legacy/points/b'), { id: 'A-02', x: 20, y: 20 }));
+            await assertSucceeds(updateDoc(doc(db, 'projects/legacy'), { migratedTo: 'img_abc', updatedAt: 1 }));
+            await assertSucceeds(updateDoc(doc(db, 'projects/legacy'), membership({ creator: 'owner' })));
+        });
+
+        test('作成したユーザー以外は読み書き・引き継ぎ・移行先の記録ができない', async () => {
+            const db = dbAs('other');
+            await assertFails(getDoc(doc(db, 'projects/legacy')));
+            await assertFails(getDocs(collection(db, 'projects/legacy/points')));
+            await assertFails(setDoc(doc(db, 'projects/legacy/points/b'), { id: 'A-02', x: 20, y: 20 }));
+            await assertFails(updateDoc(doc(db, 'projects/legacy'), membership({ other: 'owner' })));
+            await assertFails(updateDoc(doc(db, 'projects/legacy'), { migratedTo: 'img_abc' }));
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * テスト用のブラウザAPIの代替（Node.jsで動かすため、テストで使う範囲のみ実装）
+ * Blob・File は Node.js 20 の標準のものを使う。DOMParser は @xmldom/xmldom のものを使う
+ */
+import { DOMParser } from '@xmldom/xmldom';
+
+/**
+ * FileReader の代替（readAsText・readAsDataURL のみ。結果は onload の e.target.result で返す）
+ */
+class FileReaderStub {
+    constructor() {
+        this.result = null;
+        this.onload = null;
+        this.onerror = null;
+    }
+
+    readAsText(blob) {
+        this._read(blob.text());
+    }
+
+    readAsDataURL(blob) {
+        this._read(blob.arrayBuffer().then(buffer =>
+            `data:${blob.type};base64,${Buffer.from(buffer).toString('base64')}`));
+    }
+
+    _read(promise) {
+        promise.then(result => {
+            this.result = result;
+            if (this.onload) this.onload({ target: this });
+        }, error => {
+            if (this.onerror) this.onerror(error);
+        });
+    }
+}
+
+if (typeof globalThis.FileReader === 'undefined') {
+    globalThis.FileReader = FileReaderStub;
+}
+if (typeof globalThis.DOMParser === 'undefined') {
+    globalThis.DOMParser = DOMParser;
+}
+
+/**
+ * JSONデータをファイルにする（FileHandler の読み込みに渡す）
+ * @param {Object} data - JSONデータ
+ * @param {string} name - ファイル名
+ * @param {string} type - MIMEタイプ
+ * @returns {File} ファイル
+ */
+export function createJsonFile(data, name = 'data.json', type = 'application/json') {
+    return new File([JSON.stringify(data)], name, { type });
+}
+
+/**
+ * FileHandler の保存ダイアログを使わず、保存するJSONデータを記録するようにする
+ * @param {FileHandler} fileHandler - 対象のFileHandler
+ * @returns {Array<Object>} 保存したJSONデータ（保存するたびに追加される）
+ */
+export function captureSavedJson(fileHandler) {
+    const saved = [];
+    fileHandler.saveJSONWithUserChoice = async (data) => {
+        saved.push(JSON.parse(JSON.stringify(data)));
+        return true;
+    };
+    return saved;
+}
+
+/**
+ * FileHandler の保存ダイアログを使わず、保存するファイル（Blob）の内容をテキストとして記録するようにする
+ * @param {FileHandler} fileHandler - 対象のFileHandler
+ * @returns {Array<{text: string, filename: string}>} 保存した内容とファイル名（保存するたびに追加される）
+ */
+export function captureSavedBlobs(fileHandler) {
+    const saved = [];
+    fileHandler.saveBlobWithUserChoice = async (blob, filename) => {
+        saved.push({ text: await blob.text(), filename });
+        return true;
+    };
+    return saved;
+}
+
+/**
+ * キャンバス要素の代替（getBoundingClientRect と width・height のみ）
+ * @param {{left: number, top: number, width: number, height: number}} rect - 画面上の位置と大きさ
+ * @param {number} width - キャンバスの幅（ピクセル）
+ * @param {number} height - キャンバスの高さ（ピクセル）
+ * @returns {Object} キャンバスの代替
+ */
+export function createCanvasStub(rect, width, height) {
+    return { width, height, getBoundingClientRect: () => ({ ...rect }) };
+}